@@ -6,60 +6,129 @@ class MarkdownConverter {
         // DOM Elements
         this.markdownInput = document.getElementById('markdownInput');
         this.htmlOutput = document.getElementById('htmlOutput');
+        this.metadataPanel = document.getElementById('metadataPanel');
+        this.outlinePanel = document.getElementById('outlinePanel');
+        this.outlineList = document.getElementById('outlineList');
+        this.outlineBtn = document.getElementById('outlineBtn');
+        this.scrollSyncBtn = document.getElementById('scrollSyncBtn');
+        this.inspectorBtn = document.getElementById('inspectorBtn');
+        this.inspectorPanel = document.getElementById('inspectorPanel');
+        this.lintBtn = document.getElementById('lintBtn');
+        this.lintPanel = document.getElementById('lintPanel');
+        this.lintGutter = document.getElementById('lintGutter');
+        this.statusBar = document.getElementById('statusBar');
+        this.statsBtn = document.getElementById('statsBtn');
+        this.statsPanel = document.getElementById('statsPanel');
         this.copyBtn = document.getElementById('copyBtn');
+        this.copyMenu = document.getElementById('copyMenu');
         this.downloadBtn = document.getElementById('downloadBtn');
         this.clearBtn = document.getElementById('clearBtn');
         this.easyModeBtn = document.getElementById('easyModeBtn');
         this.helpTooltip = document.getElementById('helpTooltip');
+        this.sanitizeBtn = document.getElementById('sanitizeBtn');
+        this.sanitizeReportBtn = document.getElementById('sanitizeReport');
+        this.codeThemeBtn = document.getElementById('codeThemeBtn');
+        this.exportThemeBtn = document.getElementById('exportThemeBtn');
+        this.themePreviewBtn = document.getElementById('themePreviewBtn');
+        this.exportMenuBtn = document.getElementById('exportMenuBtn');
+        this.exportMenu = document.getElementById('exportMenu');
+        this.toEasyModeBtn = document.getElementById('toEasyModeBtn');
+        this.templatesBtn = document.getElementById('templatesBtn');
+        this.snippetBtn = document.getElementById('snippetBtn');
+        this.snippetMenu = document.getElementById('snippetMenu');
+        this.documentList = document.getElementById('documentList');
+        this.newDocumentBtn = document.getElementById('newDocumentBtn');
+        this.historyBtn = document.getElementById('historyBtn');
+        this.autosaveStatus = document.getElementById('autosaveStatus');
+        this.editorToolbar = document.getElementById('editorToolbar');
+        this.toolbarSyntax = document.getElementById('toolbarSyntax');
+        this.languageSelect = document.getElementById('languageSelect');
 
         // State
         this.lastConvertedHTML = '';
         this.easyModeEnabled = true; // Default ON for better UX
-        this.conversionLog = []; // Track converted lines for debugging
+        this.conversionLog = []; // Track converted lines for the inspector
+        this.commandWarnings = []; // Lines that look like a mistyped Easy Mode command
+        this.inspectorEnabled = this.loadInspectorState(); // Show the conversion inspector under the editor
+        this.diagnostics = []; // Lint results for the editor text
+        this.lintPanelEnabled = false; // Show the list of lint diagnostics under the editor
+        this.documentStats = null; // Counts and readability of the rendered document
+        this.statsPanelEnabled = this.loadStatsPanelState(); // Show the statistics panel under the editor
         this.rawMarkdown = ''; // Store the actual Markdown after transformation
+        this.frontMatter = {}; // YAML front matter of the current document
+        this.sanitizeEnabled = true; // Strip scripts, event handlers and unsafe URLs from the output
+        this.sanitizeReport = []; // Items removed by the sanitizer in the last conversion
+        this.codeTheme = this.loadCodeTheme(); // 'light' or 'dark' code highlighting
+        this.themePreviewEnabled = false; // Show the preview as the exported document would look
+        this.outlineEnabled = this.loadOutlineState(); // Heading outline beside the preview
+        this.headings = []; // { level, text, id } of the headings in the preview
+        this.scrollSyncEnabled = this.loadScrollSyncState(); // Editor and preview scroll together
+        this.scrollLock = null; // Pane the user is scrolling; scroll events from the other one are ours
+        this.scrollLockTimer = null;
+        this.editorLineOffsets = null; // Cached pixel offset of each editor line (see getEditorLineOffsets)
+        this.editorLineOffsetsText = null; // Editor text the cached offsets were measured for
+        this.lintLayoutTimer = null;
+        this.defaultLintRules = this.loadDefaultLintRules(); // For documents without their own lint rules
+        this.activeDocument = null; // Document from the library shown in the editor
+        this.autosaveTimer = null;
+        this.lastVersionAt = 0; // When the active document's last history snapshot was taken
+
+        // Document library and version history (IndexedDB)
+        this.documentStore = new DocumentStore();
+        this.imageLibrary = new ImageLibrary(this.documentStore); // Pasted and dropped images
+
+        // Mermaid diagrams are rendered to SVG after each conversion
+        this.diagramRenderer = new DiagramRenderer();
+        this.diagramsReady = Promise.resolve(); // Settles once lastConvertedHTML has every diagram as SVG
+
+        // Edits only re-render the preview blocks they changed; slow documents wait for a pause in typing
+        this.previewPatcher = new PreviewPatcher(this.htmlOutput);
+        this.conversionTimer = null;
+        this.conversionTime = 0; // How long the last conversion took, in ms
+
+        // DOM-free conversion pipeline (src/converter-core.js)
+        this.core = new MarkdownConverterCore({
+            easyMode: this.easyModeEnabled,
+            sanitizer: this.loadSanitizerSettings(),
+            codeTheme: this.codeTheme,
+            sourceMap: true, // Preview blocks know their source line (scroll sync, click-to-source)
+            incremental: true, // Unchanged blocks are not parsed again
+            easyCommands: this.loadCustomEasyCommands(),
+            exportSettings: this.loadExportSettings(),
+            locale: this.loadLocale() // UI language and localized Easy Mode keywords
+        });
 
         // Initialize the application
         this.init();
     }
 
     init() {
-        // Configure marked.js options for better output
-        if (typeof marked !== 'undefined') {
-            marked.setOptions({
-                highlight: function(code, lang) {
-                    // Basic syntax highlighting placeholder
-                    return `<code class="language-${lang}">${this.escapeHtml(code)}</code>`;
-                }.bind(this),
-                breaks: true,
-                gfm: true,
-                tables: true,
-                sanitize: false
-            });
-        }
-
         // Bind event listeners
         this.bindEvents();
 
-        // Set initial placeholder for Easy Mode
-        this.updatePlaceholderForEasyMode();
+        // Page text in the selected language, Easy Mode placeholder and button states
+        this.renderLanguageSelect();
+        this.applyLocale();
+        this.renderSnippetMenu();
 
-        // Update Easy Mode button state
-        if (this.easyModeBtn) {
-            this.easyModeBtn.textContent = this.easyModeEnabled ? '🎯 Easy Mode: ON' : '📝 Easy Mode: OFF';
-            this.easyModeBtn.className = this.easyModeEnabled ? 'btn btn-success' : 'btn btn-secondary';
-        }
+        // Update outline and scroll sync button state
+        this.updateOutlineButton();
+        this.updateScrollSyncButton();
 
         // Initial conversion with placeholder content
         this.convertMarkdown();
 
+        // Restore the last open document from the library
+        this.initDocumentLibrary();
+
         // Show welcome message
-        this.showNotification('🚀 Markdown Converter Ready! Easy Mode is ON - try natural language commands!', 'success');
+        this.showNotification(this.t('notify.ready'), 'success');
     }
 
     bindEvents() {
         // Real-time conversion on input
         this.markdownInput.addEventListener('input', () => {
-            this.convertMarkdown();
+            this.scheduleConversion();
         });
 
         // Keyboard shortcuts
@@ -67,9 +136,25 @@ class MarkdownConverter {
             this.handleKeyboardShortcuts(e);
         });
 
+        // Formatting toolbar; mousedown would move focus (and the selection) away from the editor
+        if (this.editorToolbar) {
+            this.editorToolbar.addEventListener('mousedown', (e) => {
+                if (e.target.closest('button')) e.preventDefault();
+            });
+            this.editorToolbar.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-command]');
+                if (button) this.runEditorCommand(button.dataset.command);
+            });
+        }
+
         // Button click events
-        this.copyBtn.addEventListener('click', () => {
-            this.copyToClipboard();
+        this.bindDropdown(this.copyBtn, this.copyMenu, (item) => {
+            const copy = {
+                html: () => this.copyToClipboard(),
+                formatted: () => this.copyFormatted(),
+                markdown: () => this.copyMarkdown()
+            }[item.dataset.copy];
+            if (copy) copy();
         });
 
         this.downloadBtn.addEventListener('click', () => {
@@ -87,6 +172,13 @@ class MarkdownConverter {
             });
         }
 
+        // Language switcher
+        if (this.languageSelect) {
+            this.languageSelect.addEventListener('change', () => {
+                this.setLocale(this.languageSelect.value);
+            });
+        }
+
         // Help tooltip toggle
         if (this.helpTooltip) {
             this.helpTooltip.addEventListener('click', () => {
@@ -94,6 +186,217 @@ class MarkdownConverter {
             });
         }
 
+        // Sanitizer toggle and report
+        if (this.sanitizeBtn) {
+            this.sanitizeBtn.addEventListener('click', () => {
+                this.toggleSanitize();
+            });
+        }
+
+        if (this.sanitizeReportBtn) {
+            this.sanitizeReportBtn.addEventListener('click', () => {
+                this.showSanitizerSettings();
+            });
+        }
+
+        // Code highlighting theme toggle
+        if (this.codeThemeBtn) {
+            this.codeThemeBtn.addEventListener('click', () => {
+                this.toggleCodeTheme();
+            });
+        }
+
+        // Export theme settings and themed preview
+        if (this.exportThemeBtn) {
+            this.exportThemeBtn.addEventListener('click', () => {
+                this.showExportSettings();
+            });
+        }
+
+        if (this.themePreviewBtn) {
+            this.themePreviewBtn.addEventListener('click', () => {
+                this.toggleThemePreview();
+            });
+        }
+
+        // Heading outline and in-document links (e.g. from a [[toc]]) scroll the preview
+        if (this.outlineBtn) {
+            this.outlineBtn.addEventListener('click', () => {
+                this.toggleOutline();
+            });
+        }
+
+        if (this.outlineList) {
+            this.outlineList.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-heading-id]');
+                if (item) {
+                    this.scrollToHeading(item.dataset.headingId);
+                }
+            });
+        }
+
+        // Clicking a block in the preview puts the caret on the line that produced it
+        this.htmlOutput.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            const checkbox = e.target.closest('input.task-list-item-checkbox');
+            if (checkbox) {
+                this.toggleTask(checkbox);
+            } else if (link && link.getAttribute('href').length > 1) {
+                e.preventDefault();
+                this.scrollToHeading(decodeURIComponent(link.getAttribute('href').slice(1)));
+            } else if (!e.target.closest('a')) {
+                this.revealSourceLine(e.target);
+            }
+        });
+
+        // Synchronized scrolling, based on the source line of each preview block
+        this.markdownInput.addEventListener('scroll', () => {
+            this.syncScroll('editor');
+        });
+
+        this.htmlOutput.addEventListener('scroll', () => {
+            this.syncScroll('preview');
+        });
+
+        // Line offsets depend on the editor's width and font
+        const invalidateLineOffsets = () => {
+            this.editorLineOffsets = null;
+            this.scheduleLintMarkerLayout();
+        };
+        window.addEventListener('resize', invalidateLineOffsets);
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(invalidateLineOffsets).observe(this.markdownInput);
+        }
+        if (document.fonts) {
+            document.fonts.addEventListener('loadingdone', invalidateLineOffsets);
+        }
+
+        if (this.scrollSyncBtn) {
+            this.scrollSyncBtn.addEventListener('click', () => {
+                this.toggleScrollSync();
+            });
+        }
+
+        // Lint diagnostics: gutter markers and the list select their line; fixes rewrite it
+        if (this.lintBtn && this.lintPanel) {
+            this.lintBtn.addEventListener('click', () => {
+                this.toggleLintPanel();
+            });
+
+            this.lintPanel.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-lint-action]');
+                if (action) {
+                    if (action.dataset.lintAction === 'fix') this.applyLintFixes([this.diagnostics[parseInt(action.dataset.index, 10)]]);
+                    if (action.dataset.lintAction === 'fix-all') this.applyLintFixes(this.diagnostics);
+                    if (action.dataset.lintAction === 'rules') this.showLintSettings();
+                    return;
+                }
+
+                const item = e.target.closest('[data-line]');
+                if (item) {
+                    this.highlightEditorLine(parseInt(item.dataset.line, 10));
+                }
+            });
+        }
+
+        if (this.lintGutter) {
+            this.lintGutter.addEventListener('click', (e) => {
+                const marker = e.target.closest('[data-line]');
+                if (marker) {
+                    this.highlightEditorLine(parseInt(marker.dataset.line, 10));
+                }
+            });
+
+            this.markdownInput.addEventListener('scroll', () => {
+                this.positionLintGutter();
+            });
+        }
+
+        // Easy Mode conversion inspector: click an entry to select its line, or fix a typo
+        if (this.inspectorBtn && this.inspectorPanel) {
+            this.inspectorBtn.addEventListener('click', () => {
+                this.toggleInspector();
+            });
+
+            this.inspectorPanel.addEventListener('click', (e) => {
+                const fix = e.target.closest('[data-fix-line]');
+                if (fix) {
+                    this.fixCommandWarning(parseInt(fix.dataset.fixLine, 10));
+                    return;
+                }
+
+                const item = e.target.closest('[data-line]');
+                if (item) {
+                    this.highlightEditorLine(parseInt(item.dataset.line, 10));
+                }
+            });
+        }
+
+        // Document statistics: click a section to jump to its heading in the preview
+        if (this.statsBtn && this.statsPanel) {
+            this.statsBtn.addEventListener('click', () => {
+                this.toggleStatsPanel();
+            });
+
+            this.statsPanel.addEventListener('click', (e) => {
+                const section = e.target.closest('[data-heading-id]');
+                if (section) {
+                    this.scrollToHeading(section.dataset.headingId);
+                }
+            });
+        }
+
+        // Export menu
+        this.bindDropdown(this.exportMenuBtn, this.exportMenu, (item) => {
+            this.exportAs(item.dataset.format);
+        });
+
+        // Templates and the toolbar's Insert menu
+        if (this.templatesBtn) {
+            this.templatesBtn.addEventListener('click', () => {
+                this.showTemplatePicker();
+            });
+        }
+
+        this.bindDropdown(this.snippetBtn, this.snippetMenu, (item) => {
+            this.insertSnippet(item.dataset.snippet);
+        });
+
+        // Markdown -> Easy Mode conversion
+        if (this.toEasyModeBtn) {
+            this.toEasyModeBtn.addEventListener('click', () => {
+                this.convertToEasyMode();
+            });
+        }
+
+        // Document library
+        if (this.newDocumentBtn) {
+            this.newDocumentBtn.addEventListener('click', () => {
+                this.createNewDocument();
+            });
+        }
+
+        if (this.documentList) {
+            this.documentList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                const item = e.target.closest('[data-document-id]');
+                if (button && item) {
+                    this.handleDocumentAction(button.dataset.action, item.dataset.documentId);
+                }
+            });
+        }
+
+        if (this.historyBtn) {
+            this.historyBtn.addEventListener('click', () => {
+                this.showHistoryModal();
+            });
+        }
+
+        // Flush pending edits before the page goes away
+        window.addEventListener('beforeunload', () => {
+            this.saveActiveDocument();
+        });
+
         // Prevent default drag and drop, add custom handling
         this.markdownInput.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -103,763 +406,3224 @@ class MarkdownConverter {
             e.preventDefault();
             this.handleFileDrop(e);
         });
+
+        // Pasted images are stored and referenced instead of being dropped
+        this.markdownInput.addEventListener('paste', (e) => {
+            this.handlePaste(e);
+        });
     }
 
     convertMarkdown() {
+        clearTimeout(this.conversionTimer);
+        this.conversionTimer = null;
+        const started = performance.now();
+
         try {
-            let markdownText = this.markdownInput.value;
+            const markdownText = this.markdownInput.value;
             
             if (typeof marked === 'undefined') {
-                this.htmlOutput.innerHTML = '<p style="color: #ff6b6b;">❌ Error: marked.js library not loaded. Please check your internet connection.</p>';
+                this.htmlOutput.innerHTML = `<p style="color: #ff6b6b;">${this.t('error.markedMissing')}</p>`;
                 return;
             }
 
-            // Apply Easy Mode transformation if enabled
-            if (this.easyModeEnabled) {
-                markdownText = this.transformEasySyntaxToMarkdown(markdownText);
-                this.rawMarkdown = markdownText; // Store transformed markdown
+            // Apply Easy Mode transformation if enabled, then convert to HTML
+            const result = this.core.convert(markdownText, {
+                easyMode: this.easyModeEnabled,
+                sanitize: this.sanitizeEnabled
+            });
+            this.rawMarkdown = result.markdown; // Store transformed markdown
+            this.conversionLog = result.conversionLog;
+            this.commandWarnings = result.commandWarnings;
+            this.frontMatter = result.frontMatter;
+            this.headings = result.headings;
+
+            // Diagrams rendered before are filled in right away; new ones follow in renderDiagrams()
+            const htmlContent = this.diagramRenderer.renderCached(result.html);
+            this.lastConvertedHTML = htmlContent;
+
+            if (this.themePreviewEnabled) {
+                // The export frame replaces the blocks, so there is nothing to patch; once the frame is
+                // gone the patcher sees a foreign container and renders every block again
+                this.renderThemePreview();
             } else {
-                this.rawMarkdown = markdownText;
+                // Update the preview, replacing only the blocks that changed (blocks carry data-source-line
+                // attributes; copies and exports don't)
+                this.previewPatcher.update(result.blocks.map(block => ({
+                    html: this.resolveStoredImages(this.diagramRenderer.renderCached(block.html)),
+                    line: block.line
+                })));
+                this.htmlOutput.querySelectorAll('input.task-list-item-checkbox').forEach(checkbox => {
+                    checkbox.disabled = false; // Clicking toggles the item in the editor (see toggleTask)
+                });
             }
+            this.renderDiagrams();
 
-            // Convert markdown to HTML
-            const htmlContent = marked.parse(markdownText);
-            this.lastConvertedHTML = htmlContent;
-
-            // Update the preview
-            this.htmlOutput.innerHTML = htmlContent;
+            // Show the front matter above the preview and the headings beside it
+            this.renderMetadataPanel(result.frontMatter);
+            this.renderOutline(result.headings);
 
             // Add syntax highlighting class if code blocks exist
             this.addSyntaxHighlighting();
 
-            // Show conversion log if debug mode is enabled
+            // List Easy Mode conversions and likely typos in the inspector
             this.updateConversionLog();
 
+            // Check the text against the document's lint rules
+            this.lintDocument();
+
+            // Count words, sections and links of the rendered document
+            this.updateDocumentStats();
+
+            // Tell the author about anything the sanitizer stripped
+            this.updateSanitizeReport(result.sanitizeReport);
+
+            // Persist the text to the document library
+            this.scheduleAutosave();
+
         } catch (error) {
             console.error('Conversion error:', error);
-            this.htmlOutput.innerHTML = `<p style="color: #ff6b6b;">❌ Conversion Error: ${error.message}</p>`;
+            this.htmlOutput.innerHTML = `<p style="color: #ff6b6b;">${this.t('error.conversion', { message: this.escapeHtml(error.message) })}</p>`;
         }
+
+        this.conversionTime = performance.now() - started;
     }
 
     /**
-     * Smart Markdown Input Parser
-     * Transforms natural language commands into valid Markdown syntax
-     * @param {string} inputText - Raw user input
-     * @returns {string} - Transformed Markdown text
+     * Convert after an edit: right away while conversions are fast, otherwise once typing pauses
+     * for about as long as a conversion takes
      */
-    transformEasySyntaxToMarkdown(inputText) {
-        if (!inputText || inputText.trim() === '') return inputText;
+    scheduleConversion() {
+        clearTimeout(this.conversionTimer);
+        if (this.conversionTime < 30) {
+            this.convertMarkdown();
+            return;
+        }
+
+        this.conversionTimer = setTimeout(() => {
+            this.convertMarkdown();
+        }, Math.min(Math.round(this.conversionTime), 500));
+    }
+
+    /**
+     * Run a conversion that is still waiting for typing to pause, so copies and exports get the current text
+     */
+    flushConversion() {
+        if (this.conversionTimer) {
+            this.convertMarkdown();
+        }
+    }
 
-        const lines = inputText.split('\n');
-        const transformedLines = [];
-        this.conversionLog = []; // Reset conversion log
+    /**
+     * Render the mermaid diagrams of the last conversion to SVG, then put them into the preview and into
+     * lastConvertedHTML, which copies and downloads are made from
+     */
+    renderDiagrams() {
+        const html = this.lastConvertedHTML;
+        if (!DiagramRenderer.hasPlaceholders(html)) {
+            this.diagramsReady = Promise.resolve();
+            return;
+        }
 
-        lines.forEach((line, index) => {
-            const originalLine = line;
-            let transformedLine = line;
-            let wasTransformed = false;
+        this.diagramsReady = this.diagramRenderer.renderAll(html).then(rendered => {
+            // A newer conversion has taken over
+            if (this.lastConvertedHTML !== html) return;
+            this.lastConvertedHTML = rendered;
 
-            // Skip empty lines and lines that are already valid Markdown
-            if (line.trim() === '' || this.isAlreadyMarkdown(line)) {
-                transformedLines.push(line);
+            if (this.themePreviewEnabled) {
+                this.renderThemePreview();
                 return;
             }
+            this.htmlOutput.querySelectorAll('.diagram > pre.diagram-source:only-child').forEach(source => {
+                const markup = this.diagramRenderer.cache.get(source.textContent);
+                if (markup !== undefined) source.parentNode.innerHTML = markup;
+            });
+        }).catch(error => {
+            console.error('Diagram rendering failed:', error);
+        });
+    }
 
-            // Transform natural language patterns to Markdown
-            const transformations = [
-                // Headings (must come first to avoid conflicts)
-                { 
-                    pattern: /^heading\s*([1-6]):\s*(.+)$/i, 
-                    replacement: (match, level, text) => '#'.repeat(parseInt(level)) + ' ' + text.trim(),
-                    description: 'Heading conversion'
-                },
-                
-                // Bold text
-                { 
-                    pattern: /^bold\s*this:\s*(.+)$/i, 
-                    replacement: (match, text) => '**' + text.trim() + '**',
-                    description: 'Bold text conversion'
-                },
-                
-                // Italic text
-                { 
-                    pattern: /^italic\s*this:\s*(.+)$/i, 
-                    replacement: (match, text) => '*' + text.trim() + '*',
-                    description: 'Italic text conversion'
-                },
-                
-                // Blockquote
-                { 
-                    pattern: /^quote\s*this:\s*(.+)$/i, 
-                    replacement: (match, text) => '> ' + text.trim(),
-                    description: 'Blockquote conversion'
-                },
-                
-                // Links with URL
-                { 
-                    pattern: /^link\s*this:\s*(.+?)\s*\|\s*(.+)$/i, 
-                    replacement: (match, text, url) => '[' + text.trim() + '](' + url.trim() + ')',
-                    description: 'Link with URL conversion'
-                },
-                
-                // Simple links (just text, auto-detect URL)
-                { 
-                    pattern: /^link\s*this:\s*(https?:\/\/\S+)$/i, 
-                    replacement: (match, url) => '[' + url + '](' + url + ')',
-                    description: 'Auto-link conversion'
-                },
-                
-                // Horizontal rule / line break
-                { 
-                    pattern: /^(break\s*line|new\s*line|horizontal\s*rule|line\s*break)$/i, 
-                    replacement: () => '---',
-                    description: 'Horizontal rule conversion'
-                },
-                
-                // Code inline
-                { 
-                    pattern: /^code\s*this:\s*(.+)$/i, 
-                    replacement: (match, text) => '`' + text.trim() + '`',
-                    description: 'Inline code conversion'
-                },
-                
-                // Unordered list item
-                { 
-                    pattern: /^list\s*item:\s*(.+)$/i, 
-                    replacement: (match, text) => '- ' + text.trim(),
-                    description: 'List item conversion'
-                },
-                
-                // Numbered list item
-                { 
-                    pattern: /^number\s*item:\s*(.+)$/i, 
-                    replacement: (match, text) => '1. ' + text.trim(),
-                    description: 'Numbered list conversion'
-                },
-                
-                // Strikethrough
-                { 
-                    pattern: /^strike\s*this:\s*(.+)$/i, 
-                    replacement: (match, text) => '~~' + text.trim() + '~~',
-                    description: 'Strikethrough conversion'
-                },
-                
-                // Inline patterns within regular text
-                { 
-                    pattern: /\bmake\s*bold:\s*([^,\n]+)/gi, 
-                    replacement: (match, text) => '**' + text.trim() + '**',
-                    description: 'Inline bold conversion'
-                },
-                
-                { 
-                    pattern: /\bmake\s*italic:\s*([^,\n]+)/gi, 
-                    replacement: (match, text) => '*' + text.trim() + '*',
-                    description: 'Inline italic conversion'
-                }
-            ];
-
-            // Apply transformations
-            for (const transformation of transformations) {
-                if (transformation.pattern.test(transformedLine)) {
-                    transformedLine = transformedLine.replace(transformation.pattern, transformation.replacement);
-                    wasTransformed = true;
-                    
-                    // Log the transformation
-                    this.conversionLog.push({
-                        lineNumber: index + 1,
-                        original: originalLine,
-                        transformed: transformedLine,
-                        description: transformation.description
-                    });
-                    break; // Only apply first matching transformation per line
-                }
-            }
+    /**
+     * Show front matter values (title, author, date, description, tags and any others) above the preview
+     * @param {Object} data - Parsed front matter
+     */
+    renderMetadataPanel(data) {
+        if (!this.metadataPanel) return;
 
-            transformedLines.push(transformedLine);
-        });
+        const keys = Object.keys(data || {});
+        this.metadataPanel.hidden = keys.length === 0;
+        if (keys.length === 0) {
+            this.metadataPanel.innerHTML = '';
+            return;
+        }
 
-        return transformedLines.join('\n');
+        const text = value => this.escapeHtml(Array.isArray(value) ? value.join(', ') : String(value));
+        const byline = [
+            data.author ? `✍️ ${text(data.author)}` : '',
+            data.date ? `📅 ${text(data.date)}` : ''
+        ].filter(Boolean).join(' · ');
+        const tags = FrontMatter.toList(data.tags)
+            .map(tag => `<span class="metadata-tag">#${this.escapeHtml(tag)}</span>`)
+            .join('');
+        const known = ['title', 'author', 'date', 'description', 'tags'];
+        const others = keys
+            .filter(key => !known.includes(key))
+            .map(key => `<span class="metadata-extra"><strong>${this.escapeHtml(key)}:</strong> ${text(data[key])}</span>`)
+            .join('');
+
+        this.metadataPanel.innerHTML = `
+            <div class="metadata-title">📄 ${data.title ? text(data.title) : '<em>Untitled</em>'}</div>
+            ${byline ? `<div class="metadata-byline">${byline}</div>` : ''}
+            ${data.description ? `<p class="metadata-description">${text(data.description)}</p>` : ''}
+            ${tags || others ? `<div class="metadata-tags">${tags}${others}</div>` : ''}
+        `;
     }
 
     /**
-     * Check if a line is already valid Markdown syntax
-     * @param {string} line - Line to check
-     * @returns {boolean} - True if already Markdown
+     * List the document's headings in the outline sidebar
+     * @param {Array<{level: number, text: string, id: string}>} headings - Headings of the last conversion
      */
-    isAlreadyMarkdown(line) {
-        const markdownPatterns = [
-            /^#{1,6}\s+/, // Headers
-            /^\*\*.*\*\*/, // Bold
-            /^\*.*\*/, // Italic
-            /^>\s+/, // Blockquotes
-            /^\[.*\]\(.*\)/, // Links
-            /^-{3,}$/, // Horizontal rules
-            /^`.*`/, // Inline code
-            /^```/, // Code blocks
-            /^[-*+]\s+/, // Unordered lists
-            /^\d+\.\s+/, // Ordered lists
-            /^~~.*~~/, // Strikethrough
-        ];
+    renderOutline(headings) {
+        if (!this.outlineList) return;
+
+        if (headings.length === 0) {
+            this.outlineList.innerHTML = `<li class="outline-empty">${this.t('outline.empty')}</li>`;
+            return;
+        }
 
-        return markdownPatterns.some(pattern => pattern.test(line.trim()));
+        const topLevel = Math.min(...headings.map(heading => heading.level));
+        this.outlineList.innerHTML = headings.map(heading => `
+            <li>
+                <button class="outline-item outline-level-${heading.level}" data-heading-id="${this.escapeHtml(heading.id)}"
+                        style="padding-left: ${10 + (heading.level - topLevel) * 14}px" title="${this.escapeHtml(heading.text)}">
+                    ${this.escapeHtml(heading.text) || '<em>Untitled</em>'}
+                </button>
+            </li>
+        `).join('');
     }
 
     /**
-     * Update the conversion log display (for debugging)
+     * Scroll the preview to a heading (or any element) by its id
+     * @param {string} id - Element id, e.g. "getting-started"
      */
-    updateConversionLog() {
-        // Only show conversion log in console for now
-        if (this.conversionLog.length > 0 && this.easyModeEnabled) {
-            console.group('🔄 Easy Mode Conversions:');
-            this.conversionLog.forEach(log => {
-                console.log(`Line ${log.lineNumber}: ${log.description}`);
-                console.log(`  Original: "${log.original}"`);
-                console.log(`  Transformed: "${log.transformed}"`);
-            });
-            console.groupEnd();
+    scrollToHeading(id) {
+        // The export view is a sandboxed frame we can't scroll; go back to the live preview first
+        if (this.themePreviewEnabled) {
+            this.toggleThemePreview(false);
         }
-    }
 
-    addSyntaxHighlighting() {
-        // Add basic styling to code blocks
-        const codeBlocks = this.htmlOutput.querySelectorAll('pre code');
-        codeBlocks.forEach(block => {
-            block.style.display = 'block';
-            block.style.padding = '1rem';
-            block.style.borderRadius = '6px';
-            block.style.overflow = 'auto';
-        });
+        // Look the id up inside the preview only, so headings never resolve to the page's own elements
+        const target = Array.from(this.htmlOutput.querySelectorAll('[id]')).find(element => element.id === id);
+        if (!target) return;
+
+        const top = target.getBoundingClientRect().top - this.htmlOutput.getBoundingClientRect().top + this.htmlOutput.scrollTop;
+        this.htmlOutput.scrollTo({ top: Math.max(top - 10, 0), behavior: 'smooth' });
     }
 
-    async copyToClipboard() {
-        try {
-            if (!this.lastConvertedHTML.trim()) {
-                this.showNotification('⚠️ No content to copy!', 'warning');
-                return;
-            }
+    /**
+     * Scroll the other pane to match the one the user is scrolling
+     * @param {string} source - 'editor' or 'preview'
+     */
+    syncScroll(source) {
+        if (!this.scrollSyncEnabled || this.themePreviewEnabled) return;
+        if (!this.lockScroll(source)) return;
 
-            await navigator.clipboard.writeText(this.lastConvertedHTML);
-            this.showNotification('📋 HTML copied to clipboard!', 'success');
-            
-            // Visual feedback
-            this.copyBtn.textContent = '✅ Copied!';
-            setTimeout(() => {
-                this.copyBtn.textContent = '📋 Copy HTML';
-            }, 2000);
+        const anchors = this.getScrollAnchors();
+        if (anchors.length < 2) return;
 
-        } catch (error) {
-            console.error('Copy failed:', error);
-            
-            // Fallback for older browsers
-            this.fallbackCopyToClipboard(this.lastConvertedHTML);
+        if (source === 'editor') {
+            this.htmlOutput.scrollTop = this.interpolateScroll(anchors, 'editor', 'preview', this.markdownInput.scrollTop);
+        } else {
+            this.markdownInput.scrollTop = this.interpolateScroll(anchors, 'preview', 'editor', this.htmlOutput.scrollTop);
         }
     }
 
-    fallbackCopyToClipboard(text) {
-        const textArea = document.createElement('textarea');
-        textArea.value = text;
-        textArea.style.position = 'fixed';
-        textArea.style.left = '-999999px';
-        textArea.style.top = '-999999px';
-        document.body.appendChild(textArea);
-        textArea.focus();
-        textArea.select();
+    /**
+     * Mark a pane as the one being scrolled; scroll events from the other pane are ignored until it settles
+     * @param {string} source - 'editor' or 'preview'
+     * @returns {boolean} - False if the event was caused by syncing the other pane
+     */
+    lockScroll(source) {
+        if (this.scrollLock && this.scrollLock !== source) return false;
 
-        try {
-            document.execCommand('copy');
-            this.showNotification('📋 HTML copied to clipboard!', 'success');
-        } catch (error) {
-            this.showNotification('❌ Copy failed. Please select and copy manually.', 'error');
-        }
+        this.scrollLock = source;
+        clearTimeout(this.scrollLockTimer);
+        this.scrollLockTimer = setTimeout(() => {
+            this.scrollLock = null;
+        }, 100);
+        return true;
+    }
 
-        document.body.removeChild(textArea);
+    /**
+     * Pairs of matching scroll positions: the top, each preview block next to its source line, and the bottom
+     * @returns {Array<{editor: number, preview: number}>} - Increasing in both panes
+     */
+    getScrollAnchors() {
+        const lineOffsets = this.getEditorLineOffsets();
+        const previewTop = this.htmlOutput.getBoundingClientRect().top - this.htmlOutput.scrollTop;
+        const end = {
+            editor: Math.max(this.markdownInput.scrollHeight - this.markdownInput.clientHeight, 0),
+            preview: Math.max(this.htmlOutput.scrollHeight - this.htmlOutput.clientHeight, 0)
+        };
+
+        const anchors = [{ editor: 0, preview: 0 }];
+        this.htmlOutput.querySelectorAll('[data-source-line]').forEach(block => {
+            const line = parseInt(block.dataset.sourceLine, 10);
+            if (line >= 1 && line <= lineOffsets.length) {
+                anchors.push({ editor: lineOffsets[line - 1], preview: block.getBoundingClientRect().top - previewTop });
+            }
+        });
+
+        // Nested or reordered blocks can't be interpolated between; keep a strictly ordered subset
+        return anchors
+            .filter(anchor => anchor.editor <= end.editor && anchor.preview <= end.preview)
+            .reduce((list, anchor) => {
+                const last = list[list.length - 1];
+                if (!last || (anchor.editor >= last.editor && anchor.preview >= last.preview)) {
+                    list.push(anchor);
+                }
+                return list;
+            }, [])
+            .concat(end);
     }
 
-    downloadHTML() {
-        try {
-            if (!this.lastConvertedHTML.trim()) {
-                this.showNotification('⚠️ No content to download!', 'warning');
-                return;
+    /**
+     * Map a scroll position in one pane to the other, linearly between the surrounding anchors
+     * @param {Array<Object>} anchors - Result of getScrollAnchors()
+     * @param {string} from - Pane being scrolled ('editor' or 'preview')
+     * @param {string} to - Pane to scroll
+     * @param {number} position - scrollTop of the pane being scrolled
+     * @returns {number} - scrollTop for the other pane
+     */
+    interpolateScroll(anchors, from, to, position) {
+        for (let i = 1; i < anchors.length; i++) {
+            const previous = anchors[i - 1];
+            const next = anchors[i];
+
+            if (position <= next[from] || i === anchors.length - 1) {
+                const span = next[from] - previous[from];
+                const ratio = span > 0 ? Math.min(Math.max((position - previous[from]) / span, 0), 1) : 0;
+                return previous[to] + ratio * (next[to] - previous[to]);
             }
+        }
+        return 0;
+    }
 
-            // Create complete HTML document
-            const completeHTML = this.createCompleteHTMLDocument(this.lastConvertedHTML);
+    /**
+     * Pixel offset of each source line inside the editor, measured with a hidden copy of the
+     * textarea so wrapped lines are accounted for. Cached until the text, the editor size or its font changes.
+     * @returns {Array<number>} - Offset of line N at index N - 1
+     */
+    getEditorLineOffsets() {
+        if (this.hasEditorLineOffsets()) return this.editorLineOffsets;
+
+        const style = window.getComputedStyle(this.markdownInput);
+        const mirror = document.createElement('div');
+        ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize',
+            'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'].forEach(property => {
+            mirror.style[property] = style[property];
+        });
+        Object.assign(mirror.style, {
+            position: 'absolute',
+            visibility: 'hidden',
+            top: '0',
+            left: '-9999px',
+            boxSizing: 'border-box',
+            width: `${this.markdownInput.clientWidth}px`,
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word'
+        });
 
-            // Create blob and download
-            const blob = new Blob([completeHTML], { type: 'text/html;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
+        this.markdownInput.value.split('\n').forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line || '\u200b';
+            mirror.appendChild(row);
+        });
 
-            // Create download link
-            const downloadLink = document.createElement('a');
-            downloadLink.href = url;
-            downloadLink.download = `markdown-output-${this.getFormattedDate()}.html`;
-            downloadLink.style.display = 'none';
+        document.body.appendChild(mirror);
+        this.editorLineOffsets = Array.from(mirror.children, row => row.offsetTop);
+        this.editorLineOffsetsText = this.markdownInput.value;
+        mirror.remove();
 
-            // Trigger download
-            document.body.appendChild(downloadLink);
-            downloadLink.click();
-            document.body.removeChild(downloadLink);
+        return this.editorLineOffsets;
+    }
 
-            // Clean up
-            URL.revokeObjectURL(url);
+    // True when getEditorLineOffsets() can answer without measuring
+    hasEditorLineOffsets() {
+        return this.editorLineOffsets !== null && this.editorLineOffsetsText === this.markdownInput.value;
+    }
 
-            this.showNotification('⬇️ HTML file downloaded successfully!', 'success');
+    /**
+     * Move the editor caret to the source line of a clicked preview block
+     * @param {Element} element - Clicked element inside the preview
+     */
+    revealSourceLine(element) {
+        const block = element.closest('[data-source-line]');
+        const selection = window.getSelection ? window.getSelection() : null;
+        if (!block || (selection && !selection.isCollapsed)) return;
+
+        const line = parseInt(block.dataset.sourceLine, 10);
+        const lines = this.markdownInput.value.split('\n');
+        if (!(line >= 1 && line <= lines.length)) return;
+
+        const offset = lines.slice(0, line - 1).reduce((total, text) => total + text.length + 1, 0);
+        this.markdownInput.focus({ preventScroll: true });
+        this.markdownInput.setSelectionRange(offset, offset);
+
+        // Line the source up with the block that was clicked, without scrolling the preview back
+        const blockTop = block.getBoundingClientRect().top - this.htmlOutput.getBoundingClientRect().top;
+        this.scrollLock = null;
+        this.lockScroll('preview');
+        this.markdownInput.scrollTop = Math.max(this.getEditorLineOffsets()[line - 1] - blockTop, 0);
+    }
 
-            // Visual feedback
-            this.downloadBtn.textContent = '✅ Downloaded!';
-            setTimeout(() => {
-                this.downloadBtn.textContent = '⬇️ Download HTML';
-            }, 2000);
+    toggleScrollSync() {
+        this.scrollSyncEnabled = !this.scrollSyncEnabled;
 
+        try {
+            localStorage.setItem('markdownConverter.scrollSync', this.scrollSyncEnabled ? 'on' : 'off');
         } catch (error) {
-            console.error('Download failed:', error);
-            this.showNotification('❌ Download failed. Please try again.', 'error');
-        }
-    }
-
-    createCompleteHTMLDocument(htmlContent) {
-        return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Markdown Output - ${this.getFormattedDate()}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            background: #fff;
+            console.error('Could not save scroll sync setting:', error);
         }
-        
-        h1, h2, h3, h4, h5, h6 {
-            color: #2c3e50;
-            margin-top: 24px;
-            margin-bottom: 16px;
-            font-weight: 600;
-        }
-        
-        h1 { font-size: 2rem; border-bottom: 2px solid #3498db; padding-bottom: 10px; }
-        h2 { font-size: 1.7rem; border-bottom: 1px solid #bdc3c7; padding-bottom: 8px; }
-        h3 { font-size: 1.4rem; }
-        h4 { font-size: 1.2rem; }
-        h5 { font-size: 1.1rem; }
-        h6 { font-size: 1rem; }
-        
-        p { margin: 16px 0; }
-        
-        ul, ol { margin: 16px 0; padding-left: 24px; }
-        li { margin: 4px 0; }
-        
-        blockquote {
-            border-left: 4px solid #3498db;
-            margin: 20px 0;
-            padding: 16px 20px;
-            background: #f8f9fa;
-            border-radius: 0 6px 6px 0;
-            font-style: italic;
+
+        this.updateScrollSyncButton();
+        if (this.scrollSyncEnabled) {
+            this.syncScroll('editor');
         }
-        
-        code {
-            background: #f1f2f6;
-            padding: 2px 6px;
-            border-radius: 4px;
-            font-family: 'SF Mono', 'Monaco', 'Inconsolata', 'Fira Code', monospace;
-            font-size: 0.9em;
-            color: #e74c3c;
+    }
+
+    updateScrollSyncButton() {
+        if (this.scrollSyncBtn) {
+            this.scrollSyncBtn.classList.toggle('active', this.scrollSyncEnabled);
         }
-        
-        pre {
-            background: #2d3748;
-            color: #e2e8f0;
-            padding: 20px;
-            border-radius: 8px;
-            overflow-x: auto;
-            margin: 20px 0;
+    }
+
+    loadScrollSyncState() {
+        try {
+            return localStorage.getItem('markdownConverter.scrollSync') !== 'off';
+        } catch (error) {
+            return true;
         }
-        
-        pre code {
-            background: none;
-            padding: 0;
-            color: inherit;
-            font-size: 0.9rem;
+    }
+
+    /**
+     * Show or hide the outline sidebar
+     * @param {boolean} [open] - Force a state instead of toggling
+     */
+    toggleOutline(open) {
+        this.outlineEnabled = open === undefined ? !this.outlineEnabled : open;
+
+        try {
+            localStorage.setItem('markdownConverter.outline', this.outlineEnabled ? 'open' : 'closed');
+        } catch (error) {
+            console.error('Could not save outline state:', error);
         }
-        
-        a {
-            color: #3498db;
-            text-decoration: none;
-            border-bottom: 1px solid transparent;
-            transition: border-color 0.3s ease;
+
+        this.updateOutlineButton();
+    }
+
+    updateOutlineButton() {
+        if (this.outlinePanel) {
+            this.outlinePanel.hidden = !this.outlineEnabled;
         }
-        
-        a:hover { border-bottom-color: #3498db; }
-        
-        strong { color: #e74c3c; font-weight: 600; }
-        em { color: #27ae60; font-style: italic; }
-        
-        table {
-            width: 100%;
-            border-collapse: collapse;
-            margin: 20px 0;
-            background: #fff;
-            border-radius: 8px;
-            overflow: hidden;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        if (this.outlineBtn) {
+            this.outlineBtn.classList.toggle('active', this.outlineEnabled);
         }
-        
-        th, td {
-            padding: 12px 16px;
-            text-align: left;
-            border-bottom: 1px solid #e1e8ed;
+    }
+
+    loadOutlineState() {
+        try {
+            return localStorage.getItem('markdownConverter.outline') !== 'closed';
+        } catch (error) {
+            return true;
+        }
+    }
+
+    /**
+     * Smart Markdown Input Parser (see MarkdownConverterCore)
+     * @param {string} inputText - Raw user input
+     * @returns {string} - Transformed Markdown text
+     */
+    transformEasySyntaxToMarkdown(inputText) {
+        const markdownText = this.core.transformEasySyntaxToMarkdown(inputText);
+        this.conversionLog = this.core.conversionLog;
+        return markdownText;
+    }
+
+    /**
+     * Check if a line is already valid Markdown syntax
+     * @param {string} line - Line to check
+     * @returns {boolean} - True if already Markdown
+     */
+    isAlreadyMarkdown(line) {
+        return this.core.isAlreadyMarkdown(line);
+    }
+
+    /**
+     * Update the inspector button count and, when it is open, the list of conversions and likely typos
+     */
+    updateConversionLog() {
+        const warnings = this.easyModeEnabled ? this.commandWarnings : [];
+
+        if (this.inspectorBtn) {
+            this.inspectorBtn.classList.toggle('active', this.inspectorEnabled);
+            this.inspectorBtn.classList.toggle('has-warnings', warnings.length > 0);
+            this.inspectorBtn.textContent = warnings.length > 0 ? `${this.t('button.inspector')} ⚠️ ${warnings.length}` : this.t('button.inspector');
+        }
+
+        if (!this.inspectorPanel) return;
+        this.inspectorPanel.hidden = !this.inspectorEnabled;
+        if (!this.inspectorEnabled) return;
+
+        if (!this.easyModeEnabled) {
+            this.inspectorPanel.innerHTML = `<p class="inspector-empty">${this.t('inspector.easyModeOff')}</p>`;
+            return;
+        }
+
+        const entries = this.conversionLog.map(log => ({ type: 'conversion', lineNumber: log.lineNumber, log }))
+            .concat(warnings.map(warning => ({ type: 'warning', lineNumber: warning.lineNumber, warning })))
+            .sort((a, b) => a.lineNumber - b.lineNumber || (a.type === 'warning' ? -1 : 1));
+
+        if (entries.length === 0) {
+            this.inspectorPanel.innerHTML = `<p class="inspector-empty">${this.t('inspector.empty')}</p>`;
+            return;
+        }
+
+        const code = text => `<code>${this.escapeHtml(text)}</code>`;
+        const items = entries.map(entry => {
+            if (entry.type === 'warning') {
+                const warning = entry.warning;
+                const message = warning.exact
+                    ? this.t('inspector.wrongFormat', { keyword: this.escapeHtml(warning.keyword), example: code(warning.suggestion) })
+                    : this.t('inspector.didYouMean', { suggestion: code(warning.suggestion.trim()) });
+                return `
+                <li class="inspector-item inspector-warning" data-line="${warning.lineNumber}" title="${this.t('panel.selectLine')}">
+                    <span class="inspector-line">⚠️ ${warning.lineNumber}</span>
+                    <div class="inspector-text">${code(warning.original.trim())}<span class="inspector-note">${message}</span></div>
+                    ${warning.exact ? '' : `<button class="sidebar-btn" data-fix-line="${warning.lineNumber}" title="${this.t('inspector.fixTitle')}">${this.t('inspector.fix')}</button>`}
+                </li>`;
+            }
+
+            const log = entry.log;
+            return `
+                <li class="inspector-item" data-line="${log.lineNumber}" title="${this.t('panel.selectLine')}">
+                    <span class="inspector-line">${log.lineNumber}</span>
+                    <div class="inspector-text">${code(log.original.trim())} → ${code(log.transformed.trim())}<span class="inspector-note">${this.escapeHtml(this.tDefault(`command.${log.command}`, log.description))}</span></div>
+                </li>`;
+        }).join('');
+
+        this.inspectorPanel.innerHTML = `
+            <div class="inspector-summary">🔄 ${this.tn('inspector.converted', this.conversionLog.length)}${warnings.length ? ` · ⚠️ ${this.tn('inspector.typos', warnings.length)}` : ''}</div>
+            <ul class="inspector-list">${items}</ul>
+        `;
+    }
+
+    /**
+     * Lint the editor text and refresh the gutter markers, button count and (if open) the diagnostics list
+     */
+    lintDocument() {
+        this.diagnostics = MarkdownLinter.lint(this.markdownInput.value, {
+            rules: this.getLintRules(),
+            easyMode: this.easyModeEnabled
+        });
+
+        const errors = this.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+        if (this.lintBtn) {
+            this.lintBtn.classList.toggle('active', this.lintPanelEnabled);
+            this.lintBtn.classList.toggle('has-warnings', this.diagnostics.length > 0);
+            this.lintBtn.textContent = this.diagnostics.length > 0
+                ? `${this.t('button.lint')} ${errors ? '❌' : '⚠️'} ${this.diagnostics.length}`
+                : `${this.t('button.lint')} ✔️`;
+        }
+
+        this.renderLintGutter();
+        this.renderLintPanel();
+    }
+
+    /**
+     * Place a marker beside every line with a diagnostic (the worst severity sets its colour)
+     */
+    renderLintGutter() {
+        if (!this.lintGutter) return;
+        const track = this.lintGutter.querySelector('.lint-gutter-track');
+
+        const byLine = new Map();
+        this.diagnostics.forEach(diagnostic => {
+            const entry = byLine.get(diagnostic.lineNumber) || { messages: [], error: false };
+            entry.messages.push(this.lintMessage(diagnostic));
+            entry.error = entry.error || diagnostic.severity === 'error';
+            byLine.set(diagnostic.lineNumber, entry);
+        });
+
+        // Measuring the lines forces a layout, so while the text changes the markers keep the last
+        // measured offsets and move once typing pauses
+        const measured = this.hasEditorLineOffsets();
+        const offsets = this.editorLineOffsets || [];
+        track.innerHTML = Array.from(byLine, ([line, entry]) => `
+            <button class="lint-marker ${entry.error ? 'lint-error' : 'lint-warning'}" data-line="${line}"
+                    style="top: ${offsets[line - 1] || 0}px" title="${this.t('lint.markerTitle', { line, messages: this.escapeHtml(entry.messages.join('\n')) })}">●</button>
+        `).join('');
+
+        this.positionLintGutter();
+        if (!measured) this.scheduleLintMarkerLayout();
+    }
+
+    // Move the gutter markers to their lines once the editor has been still for a moment
+    scheduleLintMarkerLayout() {
+        clearTimeout(this.lintLayoutTimer);
+        if (!this.lintGutter || !this.lintGutter.querySelector('.lint-marker')) return;
+
+        this.lintLayoutTimer = setTimeout(() => {
+            const offsets = this.getEditorLineOffsets();
+            this.lintGutter.querySelectorAll('.lint-marker').forEach(marker => {
+                marker.style.top = `${offsets[marker.dataset.line - 1] || 0}px`;
+            });
+        }, 300);
+    }
+
+    positionLintGutter() {
+        const track = this.lintGutter && this.lintGutter.querySelector('.lint-gutter-track');
+        if (track) {
+            track.style.transform = `translateY(${-this.markdownInput.scrollTop}px)`;
+        }
+    }
+
+    renderLintPanel() {
+        if (!this.lintPanel) return;
+        this.lintPanel.hidden = !this.lintPanelEnabled;
+        if (!this.lintPanelEnabled) return;
+
+        const fixable = this.diagnostics.filter(diagnostic => diagnostic.fix).length;
+        const items = this.diagnostics.map((diagnostic, index) => `
+            <li class="inspector-item ${diagnostic.severity === 'error' ? 'lint-item-error' : 'inspector-warning'}" data-line="${diagnostic.lineNumber}" title="${this.t('panel.selectLine')}">
+                <span class="inspector-line">${diagnostic.severity === 'error' ? '❌' : '⚠️'} ${diagnostic.lineNumber}</span>
+                <div class="inspector-text">${this.escapeHtml(this.lintMessage(diagnostic))}<span class="inspector-note">${diagnostic.rule}</span></div>
+                ${diagnostic.fix ? `<button class="sidebar-btn" data-lint-action="fix" data-index="${index}" title="${this.t('lint.fixTitle')}">${this.t('lint.fix')}</button>` : ''}
+            </li>`).join('');
+
+        this.lintPanel.innerHTML = `
+            <div class="inspector-summary lint-summary">
+                <span>🧹 ${this.diagnostics.length ? this.tn('lint.problems', this.diagnostics.length) : this.t('lint.noProblems')}</span>
+                <span>
+                    ${fixable ? `<button class="sidebar-btn" data-lint-action="fix-all">${this.t('lint.fixAll', { count: fixable })}</button>` : ''}
+                    <button class="sidebar-btn" data-lint-action="rules" title="${this.t('lint.rulesTitle')}">${this.t('lint.rules')}</button>
+                </span>
+            </div>
+            ${items ? `<ul class="inspector-list">${items}</ul>` : ''}
+        `;
+    }
+
+    toggleLintPanel() {
+        this.lintPanelEnabled = !this.lintPanelEnabled;
+        this.lintDocument();
+    }
+
+    /**
+     * Apply lint fixes to the editor as one undoable edit
+     * @param {Array<Object>} diagnostics - Diagnostics with a fix
+     */
+    applyLintFixes(diagnostics) {
+        const fixes = diagnostics.filter(diagnostic => diagnostic && diagnostic.fix);
+        if (fixes.length === 0) return;
+
+        const before = this.markdownInput.value;
+        const fixed = MarkdownLinter.applyFixes(before, fixes);
+        if (fixed === before) return;
+
+        const scrollTop = this.markdownInput.scrollTop;
+        this.replaceEditorContent(fixed);
+        this.markdownInput.scrollTop = scrollTop;
+        this.convertMarkdown();
+
+        this.showNotification(fixes.length === 1
+            ? this.t('notify.lintFixedLine', { line: fixes[0].fix.lineNumber })
+            : this.t('notify.lintFixes', { count: fixes.length }), 'success');
+    }
+
+    /**
+     * A diagnostic's message in the selected language
+     * @param {Object} diagnostic - From MarkdownLinter.lint()
+     * @returns {string} - Plain text
+     */
+    lintMessage(diagnostic) {
+        return this.tDefault(`lint.message.${diagnostic.messageId}`, diagnostic.message, diagnostic.params);
+    }
+
+    /**
+     * Lint rules of the active document, or the defaults for documents that don't have their own
+     * @returns {Object} - Rule id → false for rules that are off
+     */
+    getLintRules() {
+        if (this.activeDocument && this.activeDocument.lintRules) {
+            return this.activeDocument.lintRules;
+        }
+        return this.defaultLintRules;
+    }
+
+    /**
+     * Saved lint rules for documents that don't have their own (read once; showLintSettings keeps them current)
+     * @returns {Object} - Rule id → false for rules that are off
+     */
+    loadDefaultLintRules() {
+        try {
+            return JSON.parse(localStorage.getItem('markdownConverter.lintRules') || '{}');
+        } catch (error) {
+            console.error('Could not load lint rules:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Choose which lint rules apply to the active document
+     */
+    showLintSettings() {
+        const rules = this.getLintRules();
+        const checkboxes = MarkdownLinter.RULES.map(rule => `
+                <label class="checkbox-label" title="${this.escapeHtml(rule.id)}">
+                    <input type="checkbox" data-rule="${rule.id}"${rules[rule.id] === false ? '' : ' checked'}>
+                    <span><strong>${this.escapeHtml(this.tDefault(`lint.rule.${rule.id}`, rule.name))}</strong> - ${this.escapeHtml(this.tDefault(`lint.rule.${rule.id}.description`, rule.description))}</span>
+                </label>`).join('');
+
+        const modal = this.openModal('lint-settings', this.t('lintSettings.title'), `
+            <div class="help-section settings-form">
+                <h4>${this.activeDocument ? this.t('lintSettings.rulesFor', { name: this.escapeHtml(this.activeDocument.name) }) : this.t('lintSettings.rulesForThis')}</h4>
+                ${checkboxes}
+                <label class="checkbox-label"><input type="checkbox" id="lintRulesDefault"> ${this.t('lintSettings.makeDefault')}</label>
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" data-action="reset">${this.t('lintSettings.allOn')}</button>
+                    <button class="btn btn-primary" data-action="save">${this.t('settings.save')}</button>
+                </div>
+            </div>
+        `);
+
+        modal.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            modal.querySelectorAll('[data-rule]').forEach(checkbox => {
+                checkbox.checked = true;
+            });
+        });
+
+        modal.querySelector('[data-action="save"]').addEventListener('click', async () => {
+            const selected = {};
+            modal.querySelectorAll('[data-rule]').forEach(checkbox => {
+                if (!checkbox.checked) selected[checkbox.dataset.rule] = false;
+            });
+
+            if (modal.querySelector('#lintRulesDefault').checked) {
+                this.defaultLintRules = selected;
+                try {
+                    localStorage.setItem('markdownConverter.lintRules', JSON.stringify(selected));
+                } catch (error) {
+                    console.error('Could not save default lint rules:', error);
+                }
+            }
+
+            if (this.activeDocument) {
+                this.activeDocument = Object.assign({}, this.activeDocument, { lintRules: selected });
+                try {
+                    await this.documentStore.putDocument(this.activeDocument);
+                } catch (error) {
+                    console.error('Could not save lint rules:', error);
+                    this.showNotification(this.t('notify.lintRulesSaveFailed'), 'error');
+                }
+            }
+
+            modal.remove();
+            this.lintDocument();
+            this.showNotification(this.t('notify.lintRulesSaved'), 'success');
+        });
+    }
+
+    /**
+     * Measure the rendered document (not the Markdown) and refresh the status bar and, if open, the statistics panel
+     */
+    updateDocumentStats() {
+        const lang = this.frontMatter.lang || this.core.exportSettings.lang;
+        this.documentStats = DocumentStats.analyze(this.lastConvertedHTML, { lang: String(lang) });
+
+        if (this.statusBar) {
+            const stats = this.documentStats;
+            const lines = this.markdownInput.value === '' ? 0 : this.markdownInput.value.split('\n').length;
+            this.statusBar.innerHTML = [
+                this.tn('stats.words', stats.words, { count: this.formatNumber(stats.words) }),
+                this.tn('stats.characters', stats.characters, { count: this.formatNumber(stats.characters) }),
+                this.tn('stats.lines', lines, { count: this.formatNumber(lines) }),
+                this.formatReadingTime(stats.readingMinutes)
+            ].map(item => `<span>${item}</span>`).join('<span class="status-separator">·</span>');
+        }
+
+        if (this.statsBtn) {
+            this.statsBtn.classList.toggle('active', this.statsPanelEnabled);
+        }
+        this.renderStatsPanel();
+    }
+
+    renderStatsPanel() {
+        if (!this.statsPanel) return;
+        this.statsPanel.hidden = !this.statsPanelEnabled;
+        if (!this.statsPanelEnabled) return;
+
+        const stats = this.documentStats;
+        if (!stats || stats.words === 0) {
+            this.statsPanel.innerHTML = `<p class="inspector-empty">${this.t('stats.empty')}</p>`;
+            return;
+        }
+
+        const counts = [
+            ['stats.sentences', stats.sentences],
+            ['stats.links', stats.links],
+            ['stats.images', stats.images],
+            ['stats.codeBlocks', stats.codeBlocks]
+        ].map(([key, count]) => `<li>${this.tn(key, count, { count: `<strong>${this.formatNumber(count)}</strong>` })}</li>`).join('');
+
+        const readability = stats.readability
+            ? `<div class="stats-score" title="${this.escapeHtml(stats.readability.formula)}">
+                    <strong>${stats.readability.score}</strong>
+                    <span>${this.t(this.getReadabilityBand(stats.readability.score))}</span>
+                    <span class="inspector-note">${this.t('stats.readabilityDetail', {
+                        formula: this.escapeHtml(stats.readability.formula),
+                        words: this.formatNumber(stats.readability.wordsPerSentence),
+                        syllables: this.formatNumber(stats.readability.syllablesPerWord)
+                    })}</span>
+                </div>`
+            : `<p class="inspector-note">${this.t(stats.sentences ? 'stats.readabilityUnsupported' : 'stats.readabilityNoProse')}</p>`;
+
+        const longest = Math.max(...stats.sections.map(section => section.words), 1);
+        const sections = stats.sections.map(section => `
+                <li class="inspector-item stats-section"${section.id ? ` data-heading-id="${this.escapeHtml(section.id)}" title="${this.escapeHtml(this.t('stats.sectionTitle'))}"` : ''}
+                    style="padding-left: ${Math.max(section.level - 1, 0) * 12 + 8}px">
+                    <span class="stats-section-name">${section.level ? this.escapeHtml(section.text) : `<em>${this.t('stats.intro')}</em>`}</span>
+                    <span class="stats-bar"><span style="width: ${Math.round(section.words / longest * 100)}%"></span></span>
+                    <span class="inspector-line">${this.formatNumber(section.words)}</span>
+                </li>`).join('');
+
+        const sentences = stats.longestSentences.map(sentence => `
+                <li><span class="inspector-line">${this.formatNumber(sentence.words)}</span> ${this.escapeHtml(sentence.text)}</li>`).join('');
+
+        this.statsPanel.innerHTML = `
+            <div class="inspector-summary">📊 ${this.tn('stats.words', stats.words, { count: this.formatNumber(stats.words) })} · ${this.tn('stats.charactersNoSpaces', stats.charactersNoSpaces, { count: this.formatNumber(stats.charactersNoSpaces) })}</div>
+            <div class="stats-grid">
+                <div>
+                    <h4>${this.t('stats.readability')}</h4>
+                    ${readability}
+                    <ul class="stats-counts">${counts}</ul>
+                </div>
+                <div>
+                    <h4>${this.t('stats.sections')}</h4>
+                    ${sections ? `<ul class="inspector-list">${sections}</ul>` : `<p class="inspector-note">${this.t('stats.noSections')}</p>`}
+                </div>
+            </div>
+            ${sentences ? `<h4>${this.t('stats.longestSentences')}</h4><ol class="stats-sentences">${sentences}</ol>` : ''}
+        `;
+    }
+
+    /**
+     * Name of the reading ease band a score falls in (the usual Flesch table)
+     * @param {number} score - Score from 0 to 100
+     * @returns {string} - Translation key
+     */
+    getReadabilityBand(score) {
+        if (score >= 90) return 'stats.band.veryEasy';
+        if (score >= 80) return 'stats.band.easy';
+        if (score >= 70) return 'stats.band.fairlyEasy';
+        if (score >= 60) return 'stats.band.standard';
+        if (score >= 50) return 'stats.band.fairlyDifficult';
+        if (score >= 30) return 'stats.band.difficult';
+        return 'stats.band.veryDifficult';
+    }
+
+    formatNumber(value) {
+        return Number(value).toLocaleString(this.core.locale.dateLocale);
+    }
+
+    formatReadingTime(minutes) {
+        if (minutes > 0 && minutes < 1) return this.t('stats.readingTimeShort');
+        const rounded = Math.round(minutes);
+        return this.tn('stats.readingTime', rounded, { count: this.formatNumber(rounded) });
+    }
+
+    toggleStatsPanel() {
+        this.statsPanelEnabled = !this.statsPanelEnabled;
+
+        try {
+            localStorage.setItem('markdownConverter.statsPanel', this.statsPanelEnabled ? 'open' : 'closed');
+        } catch (error) {
+            console.error('Could not save statistics panel state:', error);
+        }
+
+        this.updateDocumentStats();
+    }
+
+    loadStatsPanelState() {
+        try {
+            return localStorage.getItem('markdownConverter.statsPanel') === 'open';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    toggleInspector() {
+        this.inspectorEnabled = !this.inspectorEnabled;
+
+        try {
+            localStorage.setItem('markdownConverter.inspector', this.inspectorEnabled ? 'open' : 'closed');
+        } catch (error) {
+            console.error('Could not save inspector state:', error);
+        }
+
+        this.updateConversionLog();
+    }
+
+    loadInspectorState() {
+        try {
+            return localStorage.getItem('markdownConverter.inspector') === 'open';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Select a source line in the editor and scroll it into view
+     * @param {number} lineNumber - 1-based line number
+     */
+    highlightEditorLine(lineNumber) {
+        const lines = this.markdownInput.value.split('\n');
+        if (!(lineNumber >= 1 && lineNumber <= lines.length)) return;
+
+        const start = lines.slice(0, lineNumber - 1).reduce((total, text) => total + text.length + 1, 0);
+        this.markdownInput.focus({ preventScroll: true });
+        this.markdownInput.setSelectionRange(start, start + lines[lineNumber - 1].length);
+
+        const offset = this.getEditorLineOffsets()[lineNumber - 1] || 0;
+        this.markdownInput.scrollTop = Math.max(offset - this.markdownInput.clientHeight / 3, 0);
+    }
+
+    /**
+     * Replace a mistyped command line with the inspector's suggestion (undoable with Ctrl/Cmd + Z)
+     * @param {number} lineNumber - Line of the warning
+     */
+    fixCommandWarning(lineNumber) {
+        const warning = this.commandWarnings.find(item => item.lineNumber === lineNumber);
+        if (!warning || warning.exact) return;
+
+        this.highlightEditorLine(lineNumber);
+
+        let inserted = false;
+        try {
+            inserted = typeof document.execCommand === 'function' && document.execCommand('insertText', false, warning.suggestion);
+        } catch (error) {
+            inserted = false;
+        }
+        if (!inserted) {
+            this.markdownInput.setRangeText(warning.suggestion, this.markdownInput.selectionStart, this.markdownInput.selectionEnd, 'end');
+        }
+
+        this.convertMarkdown();
+        this.showNotification(this.t('notify.lineChanged', { line: lineNumber, text: warning.suggestion.trim() }), 'success');
+    }
+
+    addSyntaxHighlighting() {
+        // Code blocks are tokenized by the core; apply the matching theme to the preview
+        let themeStyles = document.getElementById('codeThemeStyles');
+        if (!themeStyles) {
+            themeStyles = document.createElement('style');
+            themeStyles.id = 'codeThemeStyles';
+            document.head.appendChild(themeStyles);
+        }
+
+        const css = CodeHighlighter.getThemeCSS(this.codeTheme, '#htmlOutput');
+        if (themeStyles.textContent !== css) {
+            themeStyles.textContent = css;
+        }
+    }
+
+    /**
+     * Switch code highlighting between the light and dark theme
+     */
+    toggleCodeTheme() {
+        this.codeTheme = this.codeTheme === 'dark' ? 'light' : 'dark';
+        this.core.setCodeTheme(this.codeTheme);
+
+        try {
+            localStorage.setItem('markdownConverter.codeTheme', this.codeTheme);
+        } catch (error) {
+            console.error('Failed to save code theme:', error);
+        }
+
+        this.updateCodeThemeButton();
+        this.addSyntaxHighlighting();
+        if (this.themePreviewEnabled) {
+            this.renderThemePreview();
+        }
+        this.showNotification(this.t(this.codeTheme === 'dark' ? 'notify.codeThemeDark' : 'notify.codeThemeLight'), 'info');
+    }
+
+    updateCodeThemeButton() {
+        if (this.codeThemeBtn) {
+            this.codeThemeBtn.textContent = this.t(this.codeTheme === 'dark' ? 'button.codeDark' : 'button.codeLight');
+        }
+    }
+
+    loadCodeTheme() {
+        try {
+            return localStorage.getItem('markdownConverter.codeTheme') === 'light' ? 'light' : 'dark';
+        } catch (error) {
+            return 'dark';
+        }
+    }
+
+    async copyToClipboard() {
+        this.flushConversion();
+        try {
+            if (!this.lastConvertedHTML.trim()) {
+                this.showNotification(this.t('notify.nothingToCopy'), 'warning');
+                return;
+            }
+
+            await this.diagramsReady;
+            await navigator.clipboard.writeText(this.lastConvertedHTML);
+            this.showNotification(this.t('notify.htmlCopied'), 'success');
+            this.showCopied();
+
+        } catch (error) {
+            console.error('Copy failed:', error);
+            
+            // Fallback for older browsers
+            this.fallbackCopyToClipboard(this.lastConvertedHTML);
+        }
+    }
+
+    /**
+     * Copy the document as rich text (text/html plus a text/plain version), with the export
+     * theme written into style attributes so email clients and docs editors keep the formatting
+     */
+    async copyFormatted() {
+        this.flushConversion();
+        if (!this.lastConvertedHTML.trim()) {
+            this.showNotification(this.t('notify.nothingToCopy'), 'warning');
+            return;
+        }
+
+        const formatted = this.diagramsReady.then(() => ({
+            html: this.createFormattedHTML(),
+            text: ExportFormats.toPlainText(this.lastConvertedHTML)
+        }));
+
+        try {
+            if (typeof ClipboardItem === 'undefined' || !navigator.clipboard || !navigator.clipboard.write) {
+                throw new Error('ClipboardItem is not supported');
+            }
+            // Write while still handling the click (Safari refuses clipboard writes after an await);
+            // the item's contents follow once the diagrams are rendered
+            await navigator.clipboard.write([new ClipboardItem({
+                'text/html': formatted.then(({ html }) => new Blob([html], { type: 'text/html' })),
+                'text/plain': formatted.then(({ text }) => new Blob([text], { type: 'text/plain' }))
+            })]);
+            this.showNotification(this.t('notify.formattedCopied'), 'success');
+            this.showCopied();
+        } catch (error) {
+            console.error('Rich text copy failed:', error);
+            this.fallbackCopyFormatted((await formatted).html);
+        }
+    }
+
+    /**
+     * The converted document with stored images embedded and the export theme's CSS inlined
+     * @returns {string} - HTML wrapped in a <div> carrying the page-level styles
+     */
+    createFormattedHTML() {
+        const container = document.createElement('div');
+        container.innerHTML = this.resolveStoredImages(this.lastConvertedHTML, true);
+        CssInliner.inline(container, this.core.getDocumentCSS({ footer: false }));
+        return container.outerHTML;
+    }
+
+    /**
+     * Rich text copy for browsers without ClipboardItem: select a rendered copy and let the browser copy it
+     * @param {string} html - Formatted HTML
+     */
+    fallbackCopyFormatted(html) {
+        const holder = document.createElement('div');
+        holder.innerHTML = html;
+        holder.setAttribute('contenteditable', 'true');
+        Object.assign(holder.style, { position: 'fixed', left: '-999999px', top: '0' });
+        document.body.appendChild(holder);
+
+        try {
+            const range = document.createRange();
+            range.selectNodeContents(holder);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+
+            if (!document.execCommand('copy')) throw new Error('copy command was refused');
+            selection.removeAllRanges();
+            this.showNotification(this.t('notify.formattedCopied'), 'success');
+            this.showCopied();
+        } catch (error) {
+            console.error('Rich text copy failed:', error);
+            this.showNotification(this.t('notify.formattedCopyFailed'), 'error');
+        }
+
+        document.body.removeChild(holder);
+    }
+
+    /**
+     * Copy the Markdown behind the preview, with Easy Mode commands expanded
+     */
+    async copyMarkdown() {
+        this.flushConversion();
+        if (!this.rawMarkdown.trim()) {
+            this.showNotification(this.t('notify.nothingToCopy'), 'warning');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(this.rawMarkdown);
+            this.showNotification(this.t('notify.markdownCopied'), 'success');
+            this.showCopied();
+        } catch (error) {
+            console.error('Copy failed:', error);
+            this.fallbackCopyToClipboard(this.rawMarkdown, this.t('notify.markdownCopied'));
+        }
+    }
+
+    // Visual feedback on the copy button
+    showCopied() {
+        this.copyBtn.textContent = this.t('button.copied');
+        setTimeout(() => {
+            this.copyBtn.textContent = this.t('button.copy');
+        }, 2000);
+    }
+
+    fallbackCopyToClipboard(text, message = this.t('notify.htmlCopied')) {
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        textArea.style.position = 'fixed';
+        textArea.style.left = '-999999px';
+        textArea.style.top = '-999999px';
+        document.body.appendChild(textArea);
+        textArea.focus();
+        textArea.select();
+
+        try {
+            document.execCommand('copy');
+            this.showNotification(message, 'success');
+        } catch (error) {
+            this.showNotification(this.t('notify.copyFailed'), 'error');
+        }
+
+        document.body.removeChild(textArea);
+    }
+
+    async downloadHTML() {
+        this.flushConversion();
+        try {
+            if (!this.lastConvertedHTML.trim()) {
+                this.showNotification(this.t('notify.nothingToDownload'), 'warning');
+                return;
+            }
+
+            // Diagrams go into the file as SVG, so wait for any still rendering
+            await this.diagramsReady;
+
+            // Create complete HTML document; pasted images are stored in the browser, so they go inline
+            const completeHTML = this.resolveStoredImages(this.createCompleteHTMLDocument(this.lastConvertedHTML), true);
+
+            this.downloadFile(completeHTML, `markdown-output-${this.getFormattedDate()}.html`, 'text/html;charset=utf-8');
+
+            this.showNotification(this.t('notify.htmlDownloaded'), 'success');
+
+            // Visual feedback
+            this.downloadBtn.textContent = this.t('button.downloaded');
+            setTimeout(() => {
+                this.downloadBtn.textContent = this.t('button.download');
+            }, 2000);
+
+        } catch (error) {
+            console.error('Download failed:', error);
+            this.showNotification(this.t('notify.downloadFailed'), 'error');
+        }
+    }
+
+    /**
+     * Open a dropdown menu from its button; clicks outside it and Escape close it again
+     * @param {HTMLElement} button - Button toggling the menu
+     * @param {HTMLElement} menu - Menu of <button> items
+     * @param {Function} onSelect - Called with the chosen item
+     */
+    bindDropdown(button, menu, onSelect) {
+        if (!button || !menu) return;
+
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleDropdown(button, menu);
+        });
+
+        menu.addEventListener('click', (e) => {
+            const item = e.target.closest('button');
+            if (item) {
+                this.toggleDropdown(button, menu, false);
+                onSelect(item);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!menu.hidden && !menu.contains(e.target)) {
+                this.toggleDropdown(button, menu, false);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !menu.hidden) {
+                this.toggleDropdown(button, menu, false);
+            }
+        });
+    }
+
+    /**
+     * Show or hide a dropdown menu
+     * @param {HTMLElement} button - Button toggling the menu
+     * @param {HTMLElement} menu
+     * @param {boolean} [open] - Force a state; toggles when omitted
+     */
+    toggleDropdown(button, menu, open) {
+        const show = open === undefined ? menu.hidden : open;
+        menu.hidden = !show;
+        button.setAttribute('aria-expanded', String(show));
+    }
+
+    /**
+     * Export the converted document in one of the export menu formats
+     * @param {string} format - 'fragment', 'linked', 'standalone', 'print', 'text' or 'markdown'
+     */
+    async exportAs(format) {
+        this.flushConversion();
+        if (format === 'markdown') {
+            this.exportMarkdown();
+            return;
+        }
+
+        if (!this.lastConvertedHTML.trim()) {
+            this.showNotification(this.t('notify.nothingToExport'), 'warning');
+            return;
+        }
+
+        await this.diagramsReady;
+
+        const baseName = `markdown-output-${this.getFormattedDate()}`;
+
+        try {
+            switch (format) {
+                case 'fragment':
+                    this.downloadFile(this.lastConvertedHTML, `${baseName}-fragment.html`, 'text/html;charset=utf-8');
+                    this.showNotification(this.t('notify.fragmentDownloaded'), 'success');
+                    break;
+
+                case 'linked': {
+                    const stylesheetName = `${baseName}.css`;
+                    this.downloadFile(this.createCompleteHTMLDocument(this.lastConvertedHTML, { stylesheetHref: stylesheetName }), `${baseName}.html`, 'text/html;charset=utf-8');
+                    this.downloadFile(this.core.getDocumentCSS(), stylesheetName, 'text/css;charset=utf-8');
+                    const images = this.downloadStoredImages(this.lastConvertedHTML);
+                    const files = { html: `${baseName}.html`, css: stylesheetName };
+                    this.showNotification(images
+                        ? this.tn('notify.linkedDownloadedImages', images, files)
+                        : this.t('notify.linkedDownloaded', files), 'success');
+                    break;
+                }
+
+                case 'standalone': {
+                    this.showNotification(this.t('notify.embeddingImages'), 'info');
+                    const result = await ExportFormats.embedImages(
+                        this.createCompleteHTMLDocument(this.lastConvertedHTML),
+                        (src) => this.imageLibrary.getDataUri(src) || this.fetchImageAsDataUri(src)
+                    );
+                    this.downloadFile(result.html, `${baseName}-standalone.html`, 'text/html;charset=utf-8');
+
+                    if (result.failed.length) {
+                        this.showNotification(this.t('notify.embedFailed', { count: result.failed.length }), 'warning');
+                    } else {
+                        this.showNotification(this.t('notify.standaloneDownloaded', { count: result.embedded }), 'success');
+                    }
+                    break;
+                }
+
+                case 'print':
+                    this.printDocument();
+                    break;
+
+                case 'text':
+                    this.downloadFile(ExportFormats.toPlainText(this.lastConvertedHTML), `${baseName}.txt`, 'text/plain;charset=utf-8');
+                    this.showNotification(this.t('notify.textDownloaded'), 'success');
+                    break;
+
+                default:
+                    throw new Error(`Unknown export format "${format}"`);
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showNotification(this.t('notify.exportFailed'), 'error');
+        }
+    }
+
+    /**
+     * Load an image and return it as a data URI
+     * @param {string} src - Image URL, relative to the page
+     * @returns {Promise<string>} - data: URI
+     */
+    async fetchImageAsDataUri(src) {
+        const response = await fetch(new URL(src, document.baseURI));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        return this.readFileAsDataUri(await response.blob());
+    }
+
+    /**
+     * @param {Blob} blob - File or blob to read
+     * @returns {Promise<string>} - data: URI
+     */
+    readFileAsDataUri(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * @param {Blob} blob - File or blob to read
+     * @param {string} [method='readAsText'] - FileReader method, e.g. 'readAsArrayBuffer'
+     * @returns {Promise<string|ArrayBuffer>} - The file's text, or its bytes
+     */
+    readFile(blob, method = 'readAsText') {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader[method](blob);
+        });
+    }
+
+    /**
+     * Point references to stored (pasted or dropped) images at the image content
+     * @param {string} html - HTML fragment or document
+     * @param {boolean} [embed=false] - Use data: URIs, for downloads and sandboxed frames, instead of blob: URLs
+     * @returns {string}
+     */
+    resolveStoredImages(html, embed = false) {
+        if (!this.imageLibrary.size) return html;
+        return ExportFormats.replaceImageSources(html, src => (embed
+            ? this.imageLibrary.getDataUri(src)
+            : this.imageLibrary.getPreviewUrl(src))).html;
+    }
+
+    /**
+     * Download the stored images an HTML fragment refers to, under the names it uses
+     * @param {string} html - Converted HTML
+     * @returns {number} - Number of image files downloaded
+     */
+    downloadStoredImages(html) {
+        const names = ExportFormats.listImageSources(html).filter(src => this.imageLibrary.getDataUri(src));
+        names.forEach(name => {
+            this.downloadFile(ImageLibrary.dataUriToBlob(this.imageLibrary.getDataUri(name)), name);
+        });
+        return names.length;
+    }
+
+    /**
+     * Store pasted or dropped images and insert Markdown references to them at the cursor
+     * @param {Array<File>} files - Image files
+     */
+    async insertImages(files) {
+        const references = [];
+        const large = [];
+
+        for (const file of files) {
+            try {
+                const image = await this.imageLibrary.add({
+                    fileName: file.name,
+                    type: file.type,
+                    size: file.size,
+                    dataUri: await this.readFileAsDataUri(file)
+                });
+                // Alt text from the file name (encoded, since altFromUrl expects a URL)
+                references.push(`![${MarkdownLinter.altFromUrl(encodeURIComponent(file.name || image.name))}](${image.name})`);
+                if (ImageLibrary.isLarge(file.size)) {
+                    large.push(`"${file.name || image.name}" (${ImageLibrary.formatSize(file.size)})`);
+                }
+            } catch (error) {
+                console.error('Could not store image:', error);
+            }
+        }
+
+        if (references.length === 0) {
+            this.showNotification(this.t('notify.imageStoreFailed'), 'error');
+            return;
+        }
+
+        const start = this.markdownInput.selectionStart;
+        const text = references.join('\n');
+        this.applyEditorEdit({
+            start,
+            end: this.markdownInput.selectionEnd,
+            text,
+            selectionStart: start + text.length,
+            selectionEnd: start + text.length
+        });
+
+        if (large.length) {
+            this.showNotification(this.t('notify.largeImage', { names: large.join(', ') }), 'warning');
+        } else {
+            this.showNotification(this.tn('notify.imagesAdded', references.length), 'success');
+        }
+    }
+
+    /**
+     * Open the browser print dialog for the print layout (choose "Save as PDF" there)
+     */
+    printDocument() {
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+        frame.setAttribute('aria-hidden', 'true');
+
+        frame.addEventListener('load', () => {
+            const printWindow = frame.contentWindow;
+            printWindow.addEventListener('afterprint', () => frame.remove());
+            printWindow.focus();
+            printWindow.print();
+        });
+
+        frame.srcdoc = this.resolveStoredImages(this.createCompleteHTMLDocument(this.lastConvertedHTML, { print: true }), true);
+        document.body.appendChild(frame);
+        this.showNotification(this.t('notify.printHint'), 'info');
+    }
+
+    /**
+     * Download the Markdown produced by the last conversion (Easy Mode commands already expanded)
+     */
+    exportMarkdown() {
+        this.flushConversion();
+        try {
+            if (!this.rawMarkdown.trim()) {
+                this.showNotification(this.t('notify.nothingToExport'), 'warning');
+                return;
+            }
+
+            this.downloadFile(this.rawMarkdown, `markdown-output-${this.getFormattedDate()}.md`, 'text/markdown;charset=utf-8');
+            this.showNotification(this.t('notify.markdownDownloaded'), 'success');
+        } catch (error) {
+            console.error('Markdown export failed:', error);
+            this.showNotification(this.t('notify.exportFailed'), 'error');
+        }
+    }
+
+    /**
+     * Rewrite the editor's Markdown as Easy Mode commands
+     */
+    convertToEasyMode() {
+        const source = this.markdownInput.value;
+        if (!source.trim()) {
+            this.showNotification(this.t('notify.nothingToConvert'), 'warning');
+            return;
+        }
+
+        const result = this.core.convertMarkdownToEasy(source);
+        if (result.changes.length === 0) {
+            this.showNotification(this.t('notify.noEasyConversions'), 'info');
+            return;
+        }
+
+        this.saveVersion(source, 'easy-mode');
+        this.replaceEditorContent(result.text);
+
+        // The rewritten text only renders correctly with Easy Mode on
+        if (!this.easyModeEnabled) {
+            this.toggleEasyMode();
+        } else {
+            this.convertMarkdown();
+        }
+
+        this.showNotification(this.tn('notify.convertedToEasy', result.changes.length), 'success');
+    }
+
+    /**
+     * Replace the whole editor text, keeping the change on the browser's undo stack where possible
+     * @param {string} text - New editor content
+     */
+    replaceEditorContent(text) {
+        this.applyEditorEdit({
+            start: 0,
+            end: this.markdownInput.value.length,
+            text,
+            selectionStart: text.length,
+            selectionEnd: text.length
+        });
+    }
+
+    /**
+     * Replace part of the editor text as if it had been typed, so Ctrl+Z undoes it in one step
+     * @param {{start: number, end: number, text: string, selectionStart: number, selectionEnd: number}} edit
+     *     - Edit from EditorCommands: value.slice(start, end) becomes text, then selectionStart..selectionEnd is selected
+     */
+    applyEditorEdit(edit) {
+        const input = this.markdownInput;
+        const expected = input.value.slice(0, edit.start) + edit.text + input.value.slice(edit.end);
+
+        input.focus();
+        input.setSelectionRange(edit.start, edit.end);
+
+        let inserted = false;
+        try {
+            if (typeof document.execCommand === 'function') {
+                // insertText refuses an empty string in some browsers; delete the selection instead
+                inserted = edit.text || edit.start === edit.end
+                    ? document.execCommand('insertText', false, edit.text)
+                    : document.execCommand('delete', false);
+            }
+        } catch (error) {
+            inserted = false;
+        }
+
+        // Without execCommand the change can't be undone, but the text must still be right
+        if (!inserted || input.value !== expected) {
+            input.value = expected;
+            this.convertMarkdown();
+        }
+        input.setSelectionRange(edit.selectionStart, edit.selectionEnd);
+    }
+
+    /**
+     * Check or uncheck the task list item behind a preview checkbox by editing its line in the editor
+     * @param {HTMLInputElement} checkbox - Clicked checkbox in the preview
+     */
+    toggleTask(checkbox) {
+        // The checkbox must belong to the current text; an unchanged block keeps its nodes when the preview catches up
+        this.flushConversion();
+        if (!this.htmlOutput.contains(checkbox)) return;
+
+        const index = Array.from(this.htmlOutput.querySelectorAll('input.task-list-item-checkbox')).indexOf(checkbox);
+        const markdownLine = GfmExtras.findTaskLines(this.rawMarkdown)[index];
+
+        // Easy Mode output lines map back to the line that was typed
+        const sourceLines = this.core.sourceLines;
+        const lineIndex = markdownLine === undefined ? -1 : (sourceLines ? sourceLines[markdownLine] - 1 : markdownLine);
+        const lines = this.markdownInput.value.split('\n');
+        const toggled = lineIndex >= 0 && lineIndex < lines.length ? GfmExtras.toggleTaskLine(lines[lineIndex]) : null;
+
+        if (toggled === null) {
+            // The preview no longer matches the text; redraw it rather than guess
+            this.convertMarkdown();
+            return;
+        }
+
+        const start = lines.slice(0, lineIndex).reduce((offset, line) => offset + line.length + 1, 0);
+        this.applyEditorEdit({
+            start,
+            end: start + lines[lineIndex].length,
+            text: toggled,
+            selectionStart: start + toggled.length,
+            selectionEnd: start + toggled.length
+        });
+    }
+
+    /**
+     * Run a toolbar or shortcut command on the editor selection, in Easy Mode or Markdown syntax
+     * @param {string} command - data-command name of a toolbar button
+     */
+    runEditorCommand(command) {
+        const state = {
+            value: this.markdownInput.value,
+            start: this.markdownInput.selectionStart,
+            end: this.markdownInput.selectionEnd
+        };
+        const easyMode = this.easyModeEnabled;
+
+        const commands = {
+            heading: () => EditorCommands.heading(state, easyMode),
+            bold: () => EditorCommands.inline(state, 'bold', easyMode),
+            italic: () => EditorCommands.inline(state, 'italic', easyMode),
+            strike: () => EditorCommands.inline(state, 'strike', easyMode),
+            code: () => EditorCommands.inline(state, 'code', easyMode),
+            link: () => EditorCommands.link(state, easyMode),
+            'code-block': () => EditorCommands.codeBlock(state, easyMode),
+            quote: () => EditorCommands.lineStyle(state, 'quote', easyMode),
+            bullet: () => EditorCommands.lineStyle(state, 'bullet', easyMode),
+            number: () => EditorCommands.lineStyle(state, 'number', easyMode),
+            rule: () => EditorCommands.horizontalRule(state, easyMode),
+            indent: () => EditorCommands.indent(state),
+            outdent: () => EditorCommands.outdent(state)
+        };
+        if (!commands[command]) return;
+
+        const edit = commands[command]();
+        if (edit) {
+            this.applyEditorEdit(edit);
+        } else {
+            this.markdownInput.focus();
+        }
+    }
+
+    /**
+     * Insert a snippet from the Insert menu below the caret, in Easy Mode or Markdown syntax
+     * @param {string} id - Snippet id (see DocumentTemplates.listSnippets())
+     */
+    insertSnippet(id) {
+        const snippet = DocumentTemplates.getSnippet(id, this.easyModeEnabled);
+        if (!snippet) return;
+
+        this.applyEditorEdit(EditorCommands.insertBlock({
+            value: this.markdownInput.value,
+            start: this.markdownInput.selectionStart,
+            end: this.markdownInput.selectionEnd
+        }, snippet.text, snippet.select));
+    }
+
+    renderSnippetMenu() {
+        if (!this.snippetMenu) return;
+        this.snippetMenu.innerHTML = DocumentTemplates.listSnippets()
+            .map(snippet => `<button data-snippet="${snippet.id}">${this.escapeHtml(this.tDefault(`snippet.${snippet.id}`, snippet.name))} <small>${this.escapeHtml(this.tDefault(`snippet.${snippet.id}.description`, snippet.description))}</small></button>`)
+            .join('');
+    }
+
+    updateToolbarSyntax() {
+        if (!this.toolbarSyntax) return;
+        this.toolbarSyntax.textContent = this.t(this.easyModeEnabled ? 'toolbar.easySyntax' : 'toolbar.markdownSyntax');
+    }
+
+    /**
+     * Save content as a file through a temporary download link
+     * @param {string|Blob} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
+     */
+    downloadFile(content, filename, type) {
+        // Create blob and download
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        // Create download link
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        downloadLink.download = filename;
+        downloadLink.style.display = 'none';
+
+        // Trigger download
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+
+        // Clean up
+        URL.revokeObjectURL(url);
+    }
+
+    createCompleteHTMLDocument(htmlContent, options) {
+        return this.core.createCompleteHTMLDocument(htmlContent, options);
+    }
+
+    async clearContent() {
+        if (this.markdownInput.value.trim() === '') {
+            this.showNotification(this.t('notify.alreadyEmpty'), 'warning');
+            return;
+        }
+
+        if (confirm(this.t('confirm.clear'))) {
+            const previousContent = this.markdownInput.value;
+
+            this.markdownInput.value = '';
+            clearTimeout(this.conversionTimer);
+            this.conversionTimer = null;
+            this.htmlOutput.innerHTML = `<p style="color: #8b8ba7; font-style: italic;">${this.t('preview.empty')}</p>`;
+            this.lastConvertedHTML = '';
+            this.rawMarkdown = '';
+            this.updateDocumentStats();
+            this.markdownInput.focus();
+            this.showNotification(this.t('notify.cleared'), 'success');
+
+            // Keep the text in the version history so the clear can be undone
+            await this.saveVersion(previousContent, 'clear');
+            await this.saveActiveDocument();
+        }
+    }
+
+    handleKeyboardShortcuts(e) {
+        const modifier = (e.ctrlKey || e.metaKey) && !e.altKey;
+        const key = e.key.toLowerCase();
+
+        // Ctrl/Cmd + S: Download
+        if (modifier && !e.shiftKey && key === 's') {
+            e.preventDefault();
+            this.downloadHTML();
+            return;
+        }
+
+        // Ctrl/Cmd + B / I / K: Bold, italic, link; Ctrl/Cmd + Shift + C: Code block
+        const formatting = e.shiftKey ? { c: 'code-block' } : { b: 'bold', i: 'italic', k: 'link' };
+        if (modifier && formatting[key]) {
+            e.preventDefault();
+            this.runEditorCommand(formatting[key]);
+            return;
+        }
+
+        // Tab / Shift + Tab: Indent or outdent (instead of focusing the next element)
+        if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            this.runEditorCommand(e.shiftKey ? 'outdent' : 'indent');
+            return;
+        }
+
+        // Enter: Continue a list with the next bullet or number
+        if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey && !e.isComposing) {
+            const edit = EditorCommands.continueList({
+                value: this.markdownInput.value,
+                start: this.markdownInput.selectionStart,
+                end: this.markdownInput.selectionEnd
+            }, this.easyModeEnabled);
+
+            if (edit) {
+                e.preventDefault();
+                this.applyEditorEdit(edit);
+            }
+        }
+    }
+
+    handleFileDrop(e) {
+        const files = Array.from(e.dataTransfer.files);
+
+        // A folder, or several Markdown files, is converted into a linked site instead of loaded into the editor.
+        // Entries have to be taken from the drop event before it returns.
+        const entries = Array.from(e.dataTransfer.items || [])
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+            .filter(Boolean);
+        if (entries.some(entry => entry.isDirectory) || files.filter(file => SiteBuilder.isMarkdownPath(file.name)).length > 1) {
+            this.convertFolder(entries.length ? entries : files);
+            return;
+        }
+
+        const markdownFile = files.find(file => 
+            file.name.endsWith('.md') || 
+            file.name.endsWith('.markdown') || 
+            file.name.endsWith('.txt')
+        );
+
+        const htmlFile = files.find(file => /\.html?$/i.test(file.name));
+        const images = files.filter(file => /^image\//.test(file.type));
+
+        if (markdownFile) {
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                this.saveVersion(this.markdownInput.value, 'file-drop');
+                this.markdownInput.value = event.target.result;
+                this.convertMarkdown();
+                this.showNotification(this.t('notify.fileLoaded', { name: markdownFile.name }), 'success');
+            };
+            reader.readAsText(markdownFile);
+        } else if (htmlFile) {
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                this.saveVersion(this.markdownInput.value, 'file-drop');
+                this.markdownInput.value = HtmlToMarkdown.convert(event.target.result);
+                this.convertMarkdown();
+                this.showNotification(this.t('notify.htmlImported', { name: htmlFile.name }), 'success');
+            };
+            reader.readAsText(htmlFile);
+        } else if (images.length) {
+            this.insertImages(images);
+        } else {
+            this.showNotification(this.t('notify.unsupportedDrop'), 'error');
+        }
+    }
+
+    /**
+     * Convert dropped Markdown files into linked HTML pages with an index page, and download them as a .zip
+     * @param {Array<FileSystemEntry|File>} dropped - Dropped entries (files and folders), or plain files
+     */
+    async convertFolder(dropped) {
+        try {
+            const found = await this.readDroppedFiles(dropped);
+
+            // One dropped folder is the site itself: its name is the title and it isn't repeated in every path
+            const folders = new Set(found.map(item => item.path.split('/')[0]));
+            const root = folders.size === 1 && found.every(item => item.path.includes('/')) ? Array.from(folders)[0] : '';
+            const relative = path => (root ? path.slice(root.length + 1) : path);
+
+            const markdown = found.filter(item => SiteBuilder.isMarkdownPath(item.path));
+            if (!markdown.length) {
+                this.showNotification(this.t('notify.noMarkdownInFolder'), 'error');
+                return;
+            }
+            // Images next to the pages are copied, so relative image links keep working
+            const assets = found.filter(item => /\.(?:png|jpe?g|gif|svg|webp|avif|bmp|ico)$/i.test(item.path));
+
+            this.showNotification(this.t('notify.convertingFiles', { count: markdown.length }), 'info');
+
+            // A separate converter, so the editor's document keeps its caches and front matter
+            const core = new MarkdownConverterCore({
+                easyMode: this.easyModeEnabled,
+                sanitize: this.sanitizeEnabled,
+                sanitizer: this.loadSanitizerSettings(),
+                codeTheme: this.codeTheme,
+                easyCommands: this.loadCustomEasyCommands(),
+                exportSettings: this.core.exportSettings,
+                locale: this.core.locale.id
+            });
+            const builder = new SiteBuilder(core, {
+                title: root || this.t('site.title'),
+                easyMode: this.easyModeEnabled,
+                // Diagrams go into the pages as SVG and stored images inline, as in a single download
+                renderHtml: html => this.diagramRenderer.renderAll(html).then(rendered => this.resolveStoredImages(rendered, true))
+            });
+
+            const site = await builder.buildZip(
+                await Promise.all(markdown.map(async item => ({ path: relative(item.path), text: await this.readFile(item.file) }))),
+                await Promise.all(assets.map(async item => ({ path: relative(item.path), data: new Uint8Array(await this.readFile(item.file, 'readAsArrayBuffer')) })))
+            );
+
+            const name = `${(root || 'markdown-site').replace(/[^\w.-]+/g, '-')}-${this.getFormattedDate()}.zip`;
+            this.downloadFile(new Blob([site.zip], { type: 'application/zip' }), name, 'application/zip');
+
+            const notes = [];
+            if (site.brokenLinks.length) {
+                notes.push(this.t('notify.siteBrokenLinks', {
+                    count: site.brokenLinks.length,
+                    links: site.brokenLinks.map(link => `${link.href} (${link.page})`).join(', ')
+                }));
+            }
+            if (site.skipped.length) {
+                notes.push(this.t('notify.siteSkipped', { files: site.skipped.join(', ') }));
+            }
+            const summary = this.t('notify.siteConverted', { count: site.pages.length, name });
+            this.showNotification(notes.length ? `⚠️ ${summary}; ${notes.join('; ')}` : `📦 ${summary}!`, notes.length ? 'warning' : 'success');
+        } catch (error) {
+            console.error('Folder conversion error:', error);
+            this.showNotification(this.t('notify.folderFailed'), 'error');
+        }
+    }
+
+    /**
+     * List the files in dropped folders, recursively
+     * @param {Array<FileSystemEntry|File>} dropped - Dropped entries, or plain files (which have no folder)
+     * @returns {Promise<Array<{path: string, file: File}>>} - Files with their path from the drop, e.g. "docs/guide/intro.md";
+     *     hidden files and folders and node_modules are left out
+     */
+    async readDroppedFiles(dropped) {
+        const found = [];
+        const visit = async (entry, path) => {
+            if (entry.name.startsWith('.') || entry.name === 'node_modules') return;
+
+            if (entry instanceof File) {
+                found.push({ path, file: entry });
+            } else if (entry.isFile) {
+                found.push({ path, file: await new Promise((resolve, reject) => entry.file(resolve, reject)) });
+            } else if (entry.isDirectory) {
+                // readEntries() returns the folder's contents in batches, then an empty list
+                const reader = entry.createReader();
+                for (;;) {
+                    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    if (!batch.length) break;
+                    for (const child of batch) {
+                        await visit(child, `${path}/${child.name}`);
+                    }
+                }
+            }
+        };
+
+        for (const entry of dropped) {
+            await visit(entry, entry.name);
+        }
+        return found;
+    }
+
+    handlePaste(e) {
+        const clipboard = e.clipboardData;
+        if (!clipboard) return;
+
+        const images = Array.from(clipboard.files || []).filter(file => /^image\//.test(file.type));
+        if (images.length) {
+            e.preventDefault();
+            this.insertImages(images);
+            return;
+        }
+
+        // Rich text (web pages, emails, documents) is pasted as Markdown; Ctrl+Shift+V pastes plain text
+        const html = clipboard.getData('text/html');
+        if (html && HtmlToMarkdown.isRichText(html)) {
+            const markdown = HtmlToMarkdown.convert(html).replace(/\n$/, '');
+            if (!markdown) return;
+
+            e.preventDefault();
+            const { selectionStart: start, selectionEnd: end, value } = this.markdownInput;
+            // Several blocks pasted in the middle of a line start on a new paragraph
+            const atLineStart = start === 0 || value[start - 1] === '\n';
+            const text = markdown.includes('\n') && !atLineStart ? `\n\n${markdown}` : markdown;
+            this.applyEditorEdit({ start, end, text, selectionStart: start + text.length, selectionEnd: start + text.length });
+        }
+    }
+
+    showNotification(message, type = 'info') {
+        // Remove existing notifications
+        const existingNotifications = document.querySelectorAll('.notification');
+        existingNotifications.forEach(notification => notification.remove());
+
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.textContent = message;
+
+        // Styles
+        Object.assign(notification.style, {
+            position: 'fixed',
+            top: '20px',
+            right: '20px',
+            padding: '15px 20px',
+            borderRadius: '8px',
+            color: '#fff',
+            fontWeight: '600',
+            fontSize: '0.9rem',
+            zIndex: '9999',
+            boxShadow: '0 4px 20px rgba(0,0,0,0.3)',
+            transform: 'translateX(400px)',
+            transition: 'all 0.3s ease',
+            maxWidth: '300px',
+            wordWrap: 'break-word'
+        });
+
+        // Type-specific colors
+        const colors = {
+            success: 'linear-gradient(45deg, #27ae60, #2ecc71)',
+            error: 'linear-gradient(45deg, #e74c3c, #c0392b)',
+            warning: 'linear-gradient(45deg, #f39c12, #e67e22)',
+            info: 'linear-gradient(45deg, #3498db, #2980b9)'
+        };
+        
+        notification.style.background = colors[type] || colors.info;
+
+        // Add to DOM
+        document.body.appendChild(notification);
+
+        // Animate in
+        setTimeout(() => {
+            notification.style.transform = 'translateX(0)';
+        }, 100);
+
+        // Auto remove
+        setTimeout(() => {
+            notification.style.transform = 'translateX(400px)';
+            setTimeout(() => {
+                if (notification.parentNode) {
+                    notification.remove();
+                }
+            }, 300);
+        }, 3000);
+    }
+
+    getFormattedDate() {
+        return this.core.getFormattedDate();
+    }
+
+    getFormattedDateTime() {
+        return this.core.getFormattedDateTime();
+    }
+
+    /**
+     * Translate a UI string into the selected language (see src/locales/)
+     * @param {string} key - String key, e.g. 'notify.htmlCopied'
+     * @param {Object} [params] - Values for {name} placeholders
+     * @returns {string}
+     */
+    t(key, params) {
+        return Locales.translate(this.core.locale.id, key, params);
+    }
+
+    // Translate a string that has a singular ("key.one") and a plural ("key.other") form
+    tn(key, count, params) {
+        return this.t(`${key}.${count === 1 ? 'one' : 'other'}`, Object.assign({ count }, params));
+    }
+
+    // Translate a string whose English text lives with its module (lint rules, commands, templates), not in the packs
+    tDefault(key, fallback, params) {
+        const text = this.t(key, params);
+        return text === key ? fallback : text;
+    }
+
+    /**
+     * Saved language, else the first of the browser's preferred languages there is a locale pack for
+     * @returns {string} - Locale id
+     */
+    loadLocale() {
+        try {
+            const saved = localStorage.getItem('markdownConverter.locale');
+            if (saved && Locales.has(saved)) return saved;
+        } catch (error) {
+            console.error('Failed to load language:', error);
+        }
+        return Locales.match(navigator.languages || [navigator.language]);
+    }
+
+    /**
+     * Switch the UI language and the Easy Mode keywords; English keywords keep working in every language
+     * @param {string} locale - Locale id, e.g. 'fr'
+     */
+    setLocale(locale) {
+        this.core.setLocale(locale);
+
+        try {
+            localStorage.setItem('markdownConverter.locale', this.core.locale.id);
+        } catch (error) {
+            console.error('Failed to save language:', error);
+        }
+
+        this.applyLocale();
+        this.convertMarkdown(); // Lines with the new keywords are now commands
+        if (document.querySelector('.help-reference')) {
+            this.showHelpModal();
+        }
+        this.showNotification(this.t('notify.languageChanged'), 'info');
+    }
+
+    renderLanguageSelect() {
+        if (!this.languageSelect) return;
+        this.languageSelect.innerHTML = Locales.list()
+            .map(locale => `<option value="${locale.id}">${this.escapeHtml(locale.name)}</option>`)
+            .join('');
+    }
+
+    /**
+     * Show the page in the selected language: elements with a data-i18n (text) or data-i18n-title
+     * attribute, the editor placeholder and the labels of buttons that show a state
+     */
+    applyLocale() {
+        document.documentElement.lang = this.core.locale.id;
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        document.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+        if (this.languageSelect) {
+            this.languageSelect.value = this.core.locale.id;
+        }
+
+        if (this.easyModeBtn) {
+            this.easyModeBtn.textContent = this.t(this.easyModeEnabled ? 'button.easyModeOn' : 'button.easyModeOff');
+            this.easyModeBtn.className = this.easyModeEnabled ? 'btn btn-success' : 'btn btn-secondary';
+        }
+        if (this.easyModeEnabled) {
+            this.updatePlaceholderForEasyMode();
+        } else {
+            this.updatePlaceholderForMarkdown();
         }
-        
-        th {
-            background: #f8f9fa;
-            font-weight: 600;
-            color: #2c3e50;
+        if (this.themePreviewBtn) {
+            this.themePreviewBtn.textContent = this.t(this.themePreviewEnabled ? 'button.exportViewOn' : 'button.exportView');
         }
+        this.updateToolbarSyntax();
+        this.renderSnippetMenu();
+        this.updateSanitizeButton();
+        this.updateCodeThemeButton();
+    }
+
+    /**
+     * Toggle Easy Mode on/off
+     */
+    toggleEasyMode() {
+        this.easyModeEnabled = !this.easyModeEnabled;
         
-        hr {
-            border: none;
-            height: 2px;
-            background: linear-gradient(45deg, #3498db, #2980b9);
-            margin: 30px 0;
-            border-radius: 1px;
+        // Update button text and styling
+        if (this.easyModeBtn) {
+            this.easyModeBtn.textContent = this.t(this.easyModeEnabled ? 'button.easyModeOn' : 'button.easyModeOff');
+            this.easyModeBtn.className = this.easyModeEnabled ? 'btn btn-success' : 'btn btn-secondary';
+        }
+        this.updateToolbarSyntax();
+
+        // Re-convert with new mode
+        this.convertMarkdown();
+
+        // Show notification
+        const message = this.easyModeEnabled 
+            ? this.t('notify.easyModeOn')
+            : this.t('notify.easyModeOff');
+        this.showNotification(message, this.easyModeEnabled ? 'success' : 'info');
+
+        // Update placeholder text
+        if (this.easyModeEnabled) {
+            this.updatePlaceholderForEasyMode();
+        } else {
+            this.updatePlaceholderForMarkdown();
+        }
+    }
+
+    /**
+     * Update placeholder text for Easy Mode
+     */
+    updatePlaceholderForEasyMode() {
+        this.markdownInput.placeholder = this.t('placeholder.easy');
+    }
+
+    /**
+     * Update placeholder text for standard Markdown
+     */
+    updatePlaceholderForMarkdown() {
+        this.markdownInput.placeholder = this.t('placeholder.markdown');
+    }
+
+    /**
+     * Toggle the HTML sanitizer on/off
+     */
+    toggleSanitize() {
+        this.sanitizeEnabled = !this.sanitizeEnabled;
+        this.updateSanitizeButton();
+
+        // Re-convert with new mode
+        this.convertMarkdown();
+
+        const message = this.sanitizeEnabled
+            ? this.t('notify.sanitizeOn')
+            : this.t('notify.sanitizeOff');
+        this.showNotification(message, this.sanitizeEnabled ? 'success' : 'warning');
+    }
+
+    updateSanitizeButton() {
+        if (this.sanitizeBtn) {
+            this.sanitizeBtn.textContent = this.t(this.sanitizeEnabled ? 'button.sanitizeOn' : 'button.sanitizeOff');
+            this.sanitizeBtn.className = this.sanitizeEnabled ? 'btn btn-success' : 'btn btn-danger';
+        }
+    }
+
+    /**
+     * Update the sanitizer indicator in the preview header
+     * @param {Array<Object>} report - Items removed by HtmlSanitizer
+     */
+    updateSanitizeReport(report) {
+        const previousCount = this.sanitizeReport.length;
+        this.sanitizeReport = report;
+
+        if (!this.sanitizeReportBtn) return;
+
+        if (!this.sanitizeEnabled) {
+            this.sanitizeReportBtn.textContent = this.t('sanitizeReport.off');
+            this.sanitizeReportBtn.title = this.t('sanitizeReport.offTitle');
+            this.sanitizeReportBtn.classList.add('has-removals');
+            return;
+        }
+
+        this.sanitizeReportBtn.textContent = report.length > 0 ? this.t('sanitizeReport.removed', { count: report.length }) : this.t('sanitizeReport.safe');
+        this.sanitizeReportBtn.title = report.length > 0
+            ? report.map(item => HtmlSanitizer.describe(item)).join('\n')
+            : this.t('sanitizeReport.safeTitle');
+        this.sanitizeReportBtn.classList.toggle('has-removals', report.length > 0);
+
+        // Only notify when something new gets stripped, not on every keystroke
+        if (report.length > previousCount) {
+            const item = HtmlSanitizer.describe(report[report.length - 1]);
+            this.showNotification(report.length > 1
+                ? this.t('notify.unsafeRemovedMore', { item, count: report.length - 1 })
+                : this.t('notify.unsafeRemoved', { item }), 'warning');
+        }
+    }
+
+    /**
+     * Load the saved sanitizer allowlist from localStorage
+     * @returns {Object|undefined} - Saved HtmlSanitizer options
+     */
+    loadSanitizerSettings() {
+        try {
+            const saved = localStorage.getItem('markdownConverter.sanitizer');
+            return saved ? JSON.parse(saved) : undefined;
+        } catch (error) {
+            console.error('Failed to load sanitizer settings:', error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Show what the sanitizer removed and let the user edit the allowlist
+     */
+    showSanitizerSettings() {
+        const options = this.core.sanitizer.options;
+        const attributeLines = Object.keys(options.allowedAttributes)
+            .map(tag => `${tag}: ${options.allowedAttributes[tag].join(', ')}`)
+            .join('\n');
+        const removedItems = this.sanitizeReport.length > 0
+            ? this.sanitizeReport.map(item => `<li>${this.escapeHtml(HtmlSanitizer.describe(item))}</li>`).join('')
+            : `<li>${this.t('sanitizer.nothingRemoved')}</li>`;
+
+        const modal = this.openModal('sanitizer-settings', this.t('sanitizer.title'), `
+            <div class="help-section">
+                <h4>${this.t('sanitizer.removed')}</h4>
+                <ul style="margin: 10px 0; padding-left: 20px;">${removedItems}</ul>
+            </div>
+
+            <div class="help-section settings-form">
+                <h4>${this.t('sanitizer.allowlist')}</h4>
+                <label for="sanitizerTags">${this.t('sanitizer.tags')}</label>
+                <textarea id="sanitizerTags" rows="4">${this.escapeHtml(options.allowedTags.join(', '))}</textarea>
+                <label for="sanitizerAttributes">${this.t('sanitizer.attributes')}</label>
+                <textarea id="sanitizerAttributes" rows="6">${this.escapeHtml(attributeLines)}</textarea>
+                <label for="sanitizerSchemes">${this.t('sanitizer.schemes')}</label>
+                <textarea id="sanitizerSchemes" rows="1">${this.escapeHtml(options.allowedSchemes.join(', '))}</textarea>
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" data-action="reset">${this.t('settings.resetDefaults')}</button>
+                    <button class="btn btn-primary" data-action="save">${this.t('sanitizer.save')}</button>
+                </div>
+            </div>
+        `);
+
+        const splitList = (value) => value.split(/[\s,]+/).map(item => item.trim()).filter(Boolean);
+
+        modal.querySelector('[data-action="save"]').addEventListener('click', () => {
+            const allowedAttributes = {};
+            modal.querySelector('#sanitizerAttributes').value.split('\n').forEach(line => {
+                const [tag, attributes] = line.split(':');
+                if (tag && tag.trim() && attributes !== undefined) {
+                    allowedAttributes[tag.trim().toLowerCase()] = splitList(attributes.toLowerCase());
+                }
+            });
+
+            this.applySanitizerSettings({
+                allowedTags: splitList(modal.querySelector('#sanitizerTags').value.toLowerCase()),
+                allowedAttributes,
+                allowedSchemes: splitList(modal.querySelector('#sanitizerSchemes').value.toLowerCase())
+            });
+            modal.remove();
+            this.showNotification(this.t('notify.allowlistSaved'), 'success');
+        });
+
+        modal.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            this.applySanitizerSettings(null);
+            modal.remove();
+            this.showNotification(this.t('notify.allowlistReset'), 'success');
+        });
+    }
+
+    /**
+     * Apply and persist a sanitizer allowlist
+     * @param {Object|null} settings - HtmlSanitizer options, or null for the defaults
+     */
+    applySanitizerSettings(settings) {
+        try {
+            if (settings) {
+                localStorage.setItem('markdownConverter.sanitizer', JSON.stringify(settings));
+            } else {
+                localStorage.removeItem('markdownConverter.sanitizer');
+            }
+        } catch (error) {
+            console.error('Failed to save sanitizer settings:', error);
+        }
+
+        this.core.configureSanitizer(settings || {});
+        this.convertMarkdown();
+    }
+
+    loadExportSettings() {
+        try {
+            const saved = localStorage.getItem('markdownConverter.exportSettings');
+            return saved ? JSON.parse(saved) : undefined;
+        } catch (error) {
+            console.error('Failed to load export settings:', error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Edit the export theme, custom CSS, footer, title and language of downloaded documents
+     */
+    showExportSettings() {
+        const settings = this.core.exportSettings;
+        const themes = ExportThemes.list();
+        const themeOptions = themes
+            .map(theme => `<option value="${theme.id}"${theme.id === settings.theme ? ' selected' : ''}>${this.escapeHtml(theme.name)} - ${this.escapeHtml(theme.description)}</option>`)
+            .join('');
+
+        const modal = this.openModal('export-settings', this.t('exportSettings.title'), `
+            <div class="help-section settings-form">
+                <h4>${this.t('exportSettings.look')}</h4>
+                <label for="exportTheme">${this.t('exportSettings.theme')}</label>
+                <select id="exportTheme">
+                    ${themeOptions}
+                    <option value="none"${settings.theme === 'none' ? ' selected' : ''}>${this.t('exportSettings.noTheme')}</option>
+                </select>
+                <label for="exportCustomCSS">${this.t('exportSettings.customCSS')}</label>
+                <textarea id="exportCustomCSS" rows="6" placeholder="body { max-width: 60em; }&#10;strong { color: inherit; }">${this.escapeHtml(settings.customCSS)}</textarea>
+                <div class="modal-actions">
+                    <input type="file" id="exportThemeFile" accept=".css,text/css" hidden>
+                    <button class="btn btn-secondary" data-action="upload">${this.t('exportSettings.loadCSS')}</button>
+                </div>
+            </div>
+
+            <div class="help-section settings-form">
+                <h4>${this.t('exportSettings.document')}</h4>
+                <label for="exportTitle">${this.t('exportSettings.documentTitle')}</label>
+                <input type="text" id="exportTitle" value="${this.escapeHtml(settings.title)}">
+                <label for="exportLang">${this.t('exportSettings.lang')}</label>
+                <input type="text" id="exportLang" value="${this.escapeHtml(settings.lang)}">
+                <label class="checkbox-label"><input type="checkbox" id="exportFooter"${settings.footer ? ' checked' : ''}> ${this.t('exportSettings.footer')}</label>
+                <label for="exportFooterText">${this.t('exportSettings.footerText')}</label>
+                <input type="text" id="exportFooterText" value="${this.escapeHtml(settings.footerText)}">
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" data-action="reset">${this.t('settings.resetDefaults')}</button>
+                    <button class="btn btn-info" data-action="preview">${this.t('exportSettings.savePreview')}</button>
+                    <button class="btn btn-primary" data-action="save">${this.t('settings.save')}</button>
+                </div>
+            </div>
+        `);
+
+        const fileInput = modal.querySelector('#exportThemeFile');
+        const collect = () => ({
+            theme: modal.querySelector('#exportTheme').value,
+            customCSS: modal.querySelector('#exportCustomCSS').value,
+            title: modal.querySelector('#exportTitle').value.trim() || MarkdownConverterCore.EXPORT_DEFAULTS.title,
+            lang: modal.querySelector('#exportLang').value.trim() || MarkdownConverterCore.EXPORT_DEFAULTS.lang,
+            footer: modal.querySelector('#exportFooter').checked,
+            footerText: modal.querySelector('#exportFooterText').value
+        });
+
+        modal.querySelector('[data-action="upload"]').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                modal.querySelector('#exportCustomCSS').value = event.target.result;
+                this.showNotification(this.t('notify.themeFileLoaded', { name: file.name }), 'info');
+            };
+            reader.readAsText(file);
+        });
+
+        modal.querySelector('[data-action="save"]').addEventListener('click', () => {
+            this.applyExportSettings(collect());
+            modal.remove();
+            this.showNotification(this.t('notify.exportThemeSaved'), 'success');
+        });
+
+        modal.querySelector('[data-action="preview"]').addEventListener('click', () => {
+            this.applyExportSettings(collect());
+            modal.remove();
+            this.toggleThemePreview(true);
+        });
+
+        modal.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            this.applyExportSettings(null);
+            modal.remove();
+            this.showNotification(this.t('notify.exportSettingsReset'), 'success');
+        });
+    }
+
+    /**
+     * Apply and persist export settings
+     * @param {Object|null} settings - Export settings, or null for the defaults
+     */
+    applyExportSettings(settings) {
+        try {
+            if (settings) {
+                localStorage.setItem('markdownConverter.exportSettings', JSON.stringify(settings));
+            } else {
+                localStorage.removeItem('markdownConverter.exportSettings');
+            }
+        } catch (error) {
+            console.error('Failed to save export settings:', error);
+        }
+
+        this.core.configureExport(settings || {});
+        if (this.themePreviewEnabled) {
+            this.renderThemePreview();
+        }
+    }
+
+    /**
+     * Switch the preview between the app's styling and the exported document's theme
+     * @param {boolean} [enabled] - Force a state; toggles when omitted
+     */
+    toggleThemePreview(enabled) {
+        this.themePreviewEnabled = enabled === undefined ? !this.themePreviewEnabled : enabled;
+
+        if (this.themePreviewBtn) {
+            this.themePreviewBtn.classList.toggle('active', this.themePreviewEnabled);
+            this.themePreviewBtn.textContent = this.t(this.themePreviewEnabled ? 'button.exportViewOn' : 'button.exportView');
+        }
+
+        this.convertMarkdown();
+        this.showNotification(this.themePreviewEnabled
+            ? this.t('notify.themePreviewOn')
+            : this.t('notify.themePreviewOff'), 'info');
+    }
+
+    /**
+     * Render the current document, as it will be exported, in a sandboxed frame inside the preview
+     */
+    renderThemePreview() {
+        let frame = this.htmlOutput.querySelector('iframe.theme-preview-frame');
+        if (!frame) {
+            frame = document.createElement('iframe');
+            frame.className = 'theme-preview-frame';
+            frame.title = this.t('exportSettings.previewFrame');
+            frame.setAttribute('sandbox', '');
+        }
+
+        frame.srcdoc = this.resolveStoredImages(this.createCompleteHTMLDocument(this.lastConvertedHTML), true);
+        if (frame.parentNode !== this.htmlOutput || this.htmlOutput.childNodes.length !== 1) {
+            this.htmlOutput.replaceChildren(frame);
+        }
+    }
+
+    /**
+     * Toggle help modal with command reference
+     */
+    toggleHelpModal() {
+        // Remove existing modal if present
+        if (this.closeModal('help-reference')) {
+            return;
+        }
+
+        this.showHelpModal();
+    }
+
+    /**
+     * Show the command reference, generated from the Easy Mode command registry
+     */
+    showHelpModal() {
+        const registry = this.core.easyCommands;
+        const sections = registry.listByCategory().map(group => {
+            // Commands without an example (such as "end code") are covered by another command's example;
+            // examples are shown with the selected language's keywords
+            const commands = group.commands.filter(command => command.example).map(command => {
+                const example = registry.localize(command.example);
+                return `
+                <div class="help-command" title="${this.escapeHtml(command.custom ? command.description : this.tDefault(`command.${command.name}`, command.description))}">
+                    <code>${this.escapeHtml(example)}</code> → <span class="help-preview">${this.core.renderEasyExample(example)}</span>
+                    ${command.custom ? `<button class="help-remove-btn" data-remove-command="${this.escapeHtml(command.name)}" title="${this.escapeHtml(this.t('help.removeCommand'))}">✕</button>` : ''}
+                </div>`;
+            }).join('');
+
+            // Category names carry their icon; a category without a translation is shown as it is
+            const category = this.tDefault(`help.category.${group.category}`, `⭐ ${group.category}`);
+            return `
+            <div class="help-section">
+                <h4>${this.escapeHtml(category)}</h4>${commands}
+            </div>`;
+        }).join('\n');
+
+        // Every localized keyword beside the English one it stands for
+        const keywords = Object.entries(this.core.locale.commands.keywords)
+            .concat(Object.entries(this.core.locale.commands.inline))
+            .map(([english, aliases]) => `
+                    <li>${[].concat(aliases).map(alias => `<code>${this.escapeHtml(alias)}:</code>`).join(' ')} = <code>${this.escapeHtml(english)}:</code></li>`)
+            .join('');
+        const keywordSection = keywords ? `
+            <div class="help-section">
+                <h4>${this.t('help.keywords', { language: this.core.locale.name })}</h4>
+                <p class="panel-info">${this.t('help.keywordsIntro')}</p>
+                <ul style="margin: 10px 0; padding-left: 20px;">${keywords}
+                </ul>
+            </div>
+` : '';
+
+        const modal = this.openModal('help-reference', this.t('help.title'), `${sections}
+${keywordSection}
+            <div class="help-section settings-form">
+                <h4>${this.t('help.addCommand')}</h4>
+                <label for="customCommandKeyword">${this.t('help.keywordLabel')}</label>
+                <input id="customCommandKeyword" type="text" placeholder="fixme">
+                <label for="customCommandTemplate">${this.t('help.templateLabel')}</label>
+                <input id="customCommandTemplate" type="text" placeholder="**FIXME:** {text}">
+                <label for="customCommandDescription">${this.t('help.descriptionLabel')}</label>
+                <input id="customCommandDescription" type="text" placeholder="Fix-me marker">
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" data-action="import">${this.t('help.import')}</button>
+                    <button class="btn btn-secondary" data-action="export">${this.t('help.export')}</button>
+                    <button class="btn btn-primary" data-action="add">${this.t('help.add')}</button>
+                </div>
+                <input type="file" accept=".json,application/json" data-action="import-file" style="display: none;">
+            </div>
+
+            <div class="help-section">
+                <h4>${this.t('help.tips')}</h4>
+                <ul style="margin: 10px 0; padding-left: 20px;">
+                    <li>${this.t('help.tipMix')}</li>
+                    <li>${this.t('help.tipCase')}</li>
+                    <li>${this.t('help.tipLines')}</li>
+                    <li>${this.t('help.tipCode')}</li>
+                    <li>${this.t('help.tipShare')}</li>
+                    <li>${this.t('help.tipInspector')}</li>
+                    <li>${this.t('help.tipLanguage')}</li>
+                </ul>
+            </div>
+        `);
+
+        modal.querySelectorAll('[data-remove-command]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.removeEasyCommand(button.dataset.removeCommand);
+                this.showHelpModal();
+            });
+        });
+
+        modal.querySelector('[data-action="add"]').addEventListener('click', () => {
+            const keyword = modal.querySelector('#customCommandKeyword').value.trim();
+            const template = modal.querySelector('#customCommandTemplate').value;
+
+            if (!keyword || !template.trim()) {
+                this.showNotification(this.t('notify.commandMissingFields'), 'warning');
+                return;
+            }
+
+            try {
+                this.registerEasyCommand({
+                    name: keyword.replace(/:$/, '').toLowerCase(),
+                    keyword,
+                    template,
+                    description: modal.querySelector('#customCommandDescription').value.trim() || undefined
+                });
+                this.showNotification(this.t('notify.commandAdded', { keyword }), 'success');
+                this.showHelpModal();
+            } catch (error) {
+                this.showNotification(`❌ ${error.message}`, 'error');
+            }
+        });
+
+        const fileInput = modal.querySelector('[data-action="import-file"]');
+        modal.querySelector('[data-action="import"]').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) {
+                this.importEasyCommands(fileInput.files[0]);
+            }
+        });
+
+        modal.querySelector('[data-action="export"]').addEventListener('click', () => {
+            this.exportEasyCommands();
+        });
+    }
+
+    /**
+     * Add or replace an Easy Mode command. JSON-safe definitions (with a template) are saved
+     * to localStorage; commands with a replacement function only last for this session.
+     * @param {Object} command - See MarkdownConverterCore.registerEasyCommand()
+     * @returns {Object} - The registered command
+     */
+    registerEasyCommand(command) {
+        const entry = this.core.registerEasyCommand(command);
+        this.saveCustomEasyCommands();
+        this.convertMarkdown();
+        return entry;
+    }
+
+    removeEasyCommand(name) {
+        if (this.core.unregisterEasyCommand(name)) {
+            this.saveCustomEasyCommands();
+            this.convertMarkdown();
+            this.showNotification(this.t('notify.commandRemoved', { name }), 'success');
+        }
+    }
+
+    /**
+     * Load user-defined Easy Mode commands from localStorage
+     * @returns {Array<Object>} - Command definitions
+     */
+    loadCustomEasyCommands() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('markdownConverter.easyCommands') || '[]');
+            // Drop anything that no longer compiles instead of failing at startup
+            return saved.filter(definition => {
+                try {
+                    EasyCommandRegistry.compileDefinition(definition);
+                    return true;
+                } catch (error) {
+                    console.error('Skipping invalid saved command:', error);
+                    return false;
+                }
+            });
+        } catch (error) {
+            console.error('Failed to load custom commands:', error);
+            return [];
+        }
+    }
+
+    saveCustomEasyCommands() {
+        try {
+            localStorage.setItem('markdownConverter.easyCommands', JSON.stringify(this.core.easyCommands.exportDefinitions()));
+        } catch (error) {
+            console.error('Failed to save custom commands:', error);
+        }
+    }
+
+    /**
+     * Download the user-defined commands as a JSON file for sharing
+     */
+    exportEasyCommands() {
+        const commands = this.core.easyCommands.exportDefinitions();
+        if (commands.length === 0) {
+            this.showNotification(this.t('notify.noCustomCommands'), 'warning');
+            return;
+        }
+
+        const json = JSON.stringify({ version: 1, commands }, null, 2);
+        this.downloadFile(json, `easy-commands-${this.getFormattedDate()}.json`, 'application/json;charset=utf-8');
+        this.showNotification(this.t('notify.commandsExported', { count: commands.length }), 'success');
+    }
+
+    /**
+     * Import commands from a JSON file produced by exportEasyCommands()
+     * @param {File} file - JSON file
+     */
+    importEasyCommands(file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const data = JSON.parse(event.target.result);
+                const definitions = Array.isArray(data) ? data : data.commands;
+                if (!Array.isArray(definitions)) {
+                    throw new Error('No "commands" list found in file');
+                }
+
+                // Check every entry first, so a file with a bad one imports nothing
+                definitions.forEach(definition => EasyCommandRegistry.compileDefinition(definition));
+                definitions.forEach(definition => this.core.registerEasyCommand(definition));
+                this.saveCustomEasyCommands();
+                this.convertMarkdown();
+                this.showNotification(this.t('notify.commandsImported', { count: definitions.length, name: file.name }), 'success');
+
+                if (document.querySelector('.help-reference')) {
+                    this.showHelpModal();
+                }
+            } catch (error) {
+                console.error('Import failed:', error);
+                this.showNotification(this.t('notify.commandsImportFailed', { message: error.message }), 'error');
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Name or description of a template: built-in ones in the selected language, saved ones as written
+     * @param {Object} template - From DocumentTemplates.list() or the saved templates
+     * @param {string} field - 'name' or 'description'
+     * @returns {string}
+     */
+    templateText(template, field) {
+        if (template.custom) return template[field];
+        return this.tDefault(`template.${template.id}${field === 'name' ? '' : '.description'}`, template[field]);
+    }
+
+    /**
+     * Pick a built-in or saved template to start the document from, or save the current text as a template
+     */
+    showTemplatePicker() {
+        const customTemplates = this.loadCustomTemplates();
+        const templates = DocumentTemplates.list().concat(customTemplates);
+        const item = template => `
+                <div class="version-item" data-template-id="${this.escapeHtml(template.id)}">
+                    <div class="version-info">
+                        <strong>${this.escapeHtml(this.templateText(template, 'name'))}</strong>
+                        <span>${this.escapeHtml(this.templateText(template, 'description') || this.tn(template.easyMode ? 'templates.linesEasyMode' : 'templates.lines', template.text.split('\n').length))}</span>
+                    </div>
+                    <div class="modal-actions">
+                        ${template.custom ? `<button class="btn btn-danger" data-action="delete">${this.t('templates.delete')}</button>` : ''}
+                        <button class="btn btn-success" data-action="use">${this.t('templates.use')}</button>
+                    </div>
+                </div>`;
+
+        const modal = this.openModal('template-picker', this.t('templates.title'), `
+            <div class="help-section">
+                <h4>${this.t('templates.builtIn')}</h4>
+                <div class="version-list">${DocumentTemplates.list().map(item).join('')}
+                </div>
+            </div>
+
+            <div class="help-section">
+                <h4>${this.t('templates.mine')}</h4>
+                ${customTemplates.length
+                    ? `<div class="version-list">${customTemplates.map(item).join('')}
+                </div>`
+                    : `<p class="panel-info">${this.t('templates.mineEmpty')}</p>`}
+            </div>
+
+            <div class="help-section settings-form">
+                <h4>${this.t('templates.saveHeading')}</h4>
+                <p class="panel-info">${this.t('templates.placeholderHelp')}</p>
+                <label for="templateName">${this.t('templates.name')}</label>
+                <input id="templateName" type="text" placeholder="${this.escapeHtml(this.t('templates.namePlaceholder'))}">
+                <label for="templateDescription">${this.t('templates.description')}</label>
+                <input id="templateDescription" type="text" placeholder="${this.escapeHtml(this.t('templates.descriptionPlaceholder'))}">
+                <div class="modal-actions">
+                    <button class="btn btn-primary" data-action="save">${this.t('templates.save')}</button>
+                </div>
+            </div>
+        `);
+
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const entry = e.target.closest('[data-template-id]');
+            if (!button || !entry) return;
+
+            const template = templates.find(candidate => candidate.id === entry.dataset.templateId);
+            if (!template) return;
+
+            if (button.dataset.action === 'use') {
+                this.showTemplateForm(template);
+            } else if (button.dataset.action === 'delete' && confirm(this.t('templates.confirmDelete', { name: template.name }))) {
+                this.saveCustomTemplates(customTemplates.filter(candidate => candidate.id !== template.id));
+                this.showTemplatePicker();
+            }
+        });
+
+        modal.querySelector('[data-action="save"]').addEventListener('click', () => {
+            try {
+                const template = DocumentTemplates.createTemplate({
+                    name: modal.querySelector('#templateName').value,
+                    description: modal.querySelector('#templateDescription').value,
+                    text: this.markdownInput.value,
+                    easyMode: this.easyModeEnabled
+                });
+                this.saveCustomTemplates(customTemplates.filter(candidate => candidate.id !== template.id).concat(template));
+                this.showNotification(this.t('notify.templateSaved', { name: template.name }), 'success');
+                this.showTemplatePicker();
+            } catch (error) {
+                this.showNotification(`⚠️ ${error.message}`, 'warning');
+            }
+        });
+    }
+
+    /**
+     * Ask for the values of a template's placeholders, then use it
+     * @param {Object} template - Built-in or saved template
+     */
+    showTemplateForm(template) {
+        const names = DocumentTemplates.placeholders(template.text);
+        if (names.length === 0) {
+            this.applyTemplate(template, {});
+            return;
+        }
+
+        // Dates default to today; other values to what was typed last time
+        const today = this.getFormattedDate();
+        const defaults = Object.assign({}, this.loadTemplateValues(), { date: today, year: today.slice(0, 4) });
+        const label = name => name.charAt(0).toUpperCase() + name.slice(1).replace(/[-_]+/g, ' ');
+        const fields = names.map(name => `
+                <label for="templateField-${this.escapeHtml(name)}">${this.escapeHtml(label(name))}</label>
+                <input id="templateField-${this.escapeHtml(name)}" type="text" data-placeholder="${this.escapeHtml(name)}" value="${this.escapeHtml(defaults[name] || '')}">`).join('');
+
+        const modal = this.openModal('template-picker', `📑 ${this.escapeHtml(this.templateText(template, 'name'))}`, `
+            <div class="help-section settings-form">
+                <h4>${this.t('templates.fillHeading')}</h4>${fields}
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" data-action="back">${this.t('templates.back')}</button>
+                    <button class="btn btn-primary" data-action="apply">${this.t('templates.apply')}</button>
+                </div>
+            </div>
+        `);
+
+        const inputs = Array.from(modal.querySelectorAll('[data-placeholder]'));
+        if (inputs[0]) inputs[0].focus();
+
+        modal.querySelector('[data-action="back"]').addEventListener('click', () => this.showTemplatePicker());
+        modal.querySelector('[data-action="apply"]').addEventListener('click', () => {
+            const values = {};
+            inputs.forEach(input => {
+                values[input.dataset.placeholder] = input.value.trim();
+            });
+            this.saveTemplateValues(values);
+            modal.remove();
+            this.applyTemplate(template, values);
+        });
+    }
+
+    /**
+     * Replace the editor text with a filled-in template; the text it replaces is kept in the version history
+     * @param {Object} template - Built-in or saved template
+     * @param {Object} values - Placeholder name → value
+     */
+    async applyTemplate(template, values) {
+        const previous = this.markdownInput.value;
+        if (previous.trim() && !confirm(this.t('templates.confirmReplace', { name: this.templateText(template, 'name') }))) {
+            return;
         }
-        
-        img {
-            max-width: 100%;
-            height: auto;
-            border-radius: 8px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+
+        if (previous.trim()) {
+            await this.saveVersion(previous, 'template');
         }
-        
-        @media (max-width: 768px) {
-            body { padding: 15px; }
-            h1 { font-size: 1.8rem; }
-            h2 { font-size: 1.5rem; }
+        this.replaceEditorContent(DocumentTemplates.fill(template.text, values));
+        this.markdownInput.setSelectionRange(0, 0);
+        this.markdownInput.scrollTop = 0;
+
+        // Easy Mode commands in a saved template only render with Easy Mode on
+        if (template.easyMode && !this.easyModeEnabled) {
+            this.toggleEasyMode();
+        } else {
+            this.convertMarkdown();
         }
-    </style>
-</head>
-<body>
-${htmlContent}
 
-<footer style="margin-top: 60px; padding-top: 20px; border-top: 1px solid #e1e8ed; text-align: center; color: #7f8c8d; font-size: 0.9rem;">
-    <p>Generated by Markdown to HTML Converter on ${this.getFormattedDateTime()}</p>
-</footer>
-</body>
-</html>`;
+        this.closeModal('template-picker');
+        this.showNotification(this.t('notify.templateStarted', { name: this.templateText(template, 'name') }), 'success');
     }
 
-    clearContent() {
-        if (this.markdownInput.value.trim() === '') {
-            this.showNotification('⚠️ Content is already empty!', 'warning');
-            return;
+    /**
+     * Load the templates saved by the user from localStorage
+     * @returns {Array<Object>} - Templates (see DocumentTemplates.createTemplate())
+     */
+    loadCustomTemplates() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('markdownConverter.templates') || '[]');
+            // Drop anything that is no longer a valid template instead of failing at startup
+            return saved.reduce((templates, template) => {
+                try {
+                    templates.push(DocumentTemplates.createTemplate(template));
+                } catch (error) {
+                    console.error('Skipping invalid saved template:', error);
+                }
+                return templates;
+            }, []);
+        } catch (error) {
+            console.error('Failed to load templates:', error);
+            return [];
         }
+    }
 
-        if (confirm('🗑️ Are you sure you want to clear all content?')) {
-            this.markdownInput.value = '';
-            this.htmlOutput.innerHTML = '<p style="color: #8b8ba7; font-style: italic;">Start typing Markdown to see the live preview...</p>';
-            this.lastConvertedHTML = '';
-            this.markdownInput.focus();
-            this.showNotification('🗑️ Content cleared!', 'success');
+    saveCustomTemplates(templates) {
+        try {
+            localStorage.setItem('markdownConverter.templates', JSON.stringify(templates));
+        } catch (error) {
+            console.error('Failed to save templates:', error);
+            this.showNotification(this.t('notify.templateSaveFailed'), 'error');
         }
     }
 
-    handleKeyboardShortcuts(e) {
-        // Ctrl/Cmd + S: Download
-        if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-            e.preventDefault();
-            this.downloadHTML();
+    // Placeholder values typed last time (author, project...), offered again in the template form
+    loadTemplateValues() {
+        try {
+            return JSON.parse(localStorage.getItem('markdownConverter.templateValues') || '{}');
+        } catch (error) {
+            console.error('Failed to load template values:', error);
+            return {};
         }
+    }
 
-        // Ctrl/Cmd + C: Copy (only when Ctrl+A was pressed before)
-        if ((e.ctrlKey || e.metaKey) && e.key === 'c' && this.markdownInput.selectionStart === 0 && this.markdownInput.selectionEnd === this.markdownInput.value.length) {
-            // Let default copy behavior happen, but also offer HTML copy
-            setTimeout(() => {
-                if (confirm('📋 Copy HTML instead of Markdown?')) {
-                    this.copyToClipboard();
-                }
-            }, 100);
+    saveTemplateValues(values) {
+        try {
+            const saved = Object.assign(this.loadTemplateValues(), values);
+            delete saved.date;
+            delete saved.year;
+            localStorage.setItem('markdownConverter.templateValues', JSON.stringify(saved));
+        } catch (error) {
+            console.error('Failed to save template values:', error);
         }
+    }
 
-        // Tab: Insert tab character (instead of focusing next element)
-        if (e.key === 'Tab') {
-            e.preventDefault();
-            const start = this.markdownInput.selectionStart;
-            const end = this.markdownInput.selectionEnd;
-            const value = this.markdownInput.value;
-            
-            this.markdownInput.value = value.substring(0, start) + '\t' + value.substring(end);
-            this.markdownInput.selectionStart = this.markdownInput.selectionEnd = start + 1;
-            
-            // Trigger conversion after tab insertion
-            this.convertMarkdown();
+    /**
+     * Open the document store and show the last edited document
+     */
+    async initDocumentLibrary() {
+        try {
+            await this.documentStore.open();
+
+            // Stored images first, so the document's preview can show them
+            try {
+                await this.imageLibrary.load();
+            } catch (error) {
+                console.error('Stored images failed to load:', error);
+            }
+
+            const documents = await this.documentStore.listDocuments();
+            let activeId = null;
+            try {
+                activeId = localStorage.getItem('markdownConverter.activeDocument');
+            } catch (error) {
+                console.error('Could not read the active document:', error);
+            }
+
+            let doc = documents.find(item => item.id === activeId) || documents[0];
+            if (!doc) {
+                // First visit: keep whatever is already in the editor
+                doc = await this.documentStore.createDocument({ name: this.t('library.untitled'), content: this.markdownInput.value });
+            }
+
+            this.loadDocument(doc);
+
+            if (!this.documentStore.isPersistent) {
+                this.showNotification(this.t('notify.storageUnavailable'), 'warning');
+            }
+        } catch (error) {
+            console.error('Document library failed to load:', error);
+            this.setAutosaveStatus(this.t('autosave.unavailable'));
+            if (error.code === 'blocked') {
+                this.showNotification(this.t('notify.storageBlocked'), 'warning');
+            }
         }
     }
 
-    handleFileDrop(e) {
-        const files = Array.from(e.dataTransfer.files);
-        const markdownFile = files.find(file => 
-            file.name.endsWith('.md') || 
-            file.name.endsWith('.markdown') || 
-            file.name.endsWith('.txt')
-        );
+    /**
+     * Show a library document in the editor
+     * @param {Object} doc - Stored document
+     */
+    loadDocument(doc) {
+        clearTimeout(this.autosaveTimer);
+        this.activeDocument = doc;
+        this.lastVersionAt = 0;
+        this.markdownInput.value = doc.content;
 
-        if (markdownFile) {
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                this.markdownInput.value = event.target.result;
-                this.convertMarkdown();
-                this.showNotification(`📄 File "${markdownFile.name}" loaded successfully!`, 'success');
-            };
-            reader.readAsText(markdownFile);
-        } else {
-            this.showNotification('❌ Please drop a .md, .markdown, or .txt file!', 'error');
+        try {
+            localStorage.setItem('markdownConverter.activeDocument', doc.id);
+        } catch (error) {
+            console.error('Could not remember the active document:', error);
         }
+
+        this.convertMarkdown();
+        this.renderDocumentList();
+        this.setAutosaveStatus(this.t('autosave.saved', { time: this.formatTimestamp(doc.updatedAt) }));
     }
 
-    showNotification(message, type = 'info') {
-        // Remove existing notifications
-        const existingNotifications = document.querySelectorAll('.notification');
-        existingNotifications.forEach(notification => notification.remove());
+    /**
+     * Save the active document shortly after the last edit
+     */
+    scheduleAutosave() {
+        if (!this.activeDocument || this.markdownInput.value === this.activeDocument.content) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.setAutosaveStatus(this.t('autosave.editing'));
+        this.autosaveTimer = setTimeout(() => {
+            this.saveActiveDocument();
+        }, 1000);
+    }
 
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.textContent = message;
+    /**
+     * Write the editor text to the active document. While editing, the previously saved text is
+     * added to the version history at most every five minutes.
+     */
+    async saveActiveDocument() {
+        clearTimeout(this.autosaveTimer);
 
-        // Styles
-        Object.assign(notification.style, {
-            position: 'fixed',
-            top: '20px',
-            right: '20px',
-            padding: '15px 20px',
-            borderRadius: '8px',
-            color: '#fff',
-            fontWeight: '600',
-            fontSize: '0.9rem',
-            zIndex: '9999',
-            boxShadow: '0 4px 20px rgba(0,0,0,0.3)',
-            transform: 'translateX(400px)',
-            transition: 'all 0.3s ease',
-            maxWidth: '300px',
-            wordWrap: 'break-word'
-        });
+        const doc = this.activeDocument;
+        const content = this.markdownInput.value;
+        if (!doc || content === doc.content) return;
 
-        // Type-specific colors
-        const colors = {
-            success: 'linear-gradient(45deg, #27ae60, #2ecc71)',
-            error: 'linear-gradient(45deg, #e74c3c, #c0392b)',
-            warning: 'linear-gradient(45deg, #f39c12, #e67e22)',
-            info: 'linear-gradient(45deg, #3498db, #2980b9)'
-        };
-        
-        notification.style.background = colors[type] || colors.info;
+        try {
+            if (doc.content.trim() && Date.now() - this.lastVersionAt > 5 * 60 * 1000) {
+                await this.saveVersion(doc.content, 'autosave');
+            }
 
-        // Add to DOM
-        document.body.appendChild(notification);
+            const saved = await this.documentStore.saveDocument(Object.assign({}, doc, { content }));
+            if (this.activeDocument && this.activeDocument.id === saved.id) {
+                this.activeDocument = saved;
+            }
 
-        // Animate in
-        setTimeout(() => {
-            notification.style.transform = 'translateX(0)';
-        }, 100);
+            this.setAutosaveStatus(this.t('autosave.saved', { time: this.formatTimestamp(saved.updatedAt) }));
+            this.renderDocumentList();
+        } catch (error) {
+            console.error('Autosave failed:', error);
+            this.setAutosaveStatus(this.t('autosave.failed'));
+        }
+    }
 
-        // Auto remove
-        setTimeout(() => {
-            notification.style.transform = 'translateX(400px)';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.remove();
-                }
-            }, 300);
-        }, 3000);
+    /**
+     * Add a snapshot to the active document's version history
+     * @param {string} content - Text to keep
+     * @param {string} reason - Why it was taken: 'autosave', 'clear', 'file-drop', 'easy-mode', 'template' or 'restore'
+     *     (shown in the history list through versionReason)
+     */
+    async saveVersion(content, reason) {
+        if (!this.activeDocument || !content.trim()) return;
+
+        try {
+            await this.documentStore.addVersion(this.activeDocument.id, content, reason);
+            this.lastVersionAt = Date.now();
+        } catch (error) {
+            console.error('Could not save version:', error);
+        }
     }
 
-    getFormattedDate() {
-        const now = new Date();
-        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    /**
+     * A version's reason (see saveVersion) in the selected language; versions saved before reasons
+     * were ids have their English text
+     * @param {string} reason - Stored reason, e.g. 'clear'
+     * @returns {string}
+     */
+    versionReason(reason) {
+        return this.tDefault(`history.reason.${reason}`, reason);
     }
 
-    getFormattedDateTime() {
-        const now = new Date();
-        return now.toLocaleString('en-US', {
-            year: 'numeric',
-            month: 'long',
+    setAutosaveStatus(text) {
+        if (this.autosaveStatus) {
+            this.autosaveStatus.textContent = text;
+        }
+    }
+
+    /**
+     * Short local date and time for library and history entries
+     * @param {number} timestamp - Milliseconds since the epoch
+     * @returns {string}
+     */
+    formatTimestamp(timestamp) {
+        return new Date(timestamp).toLocaleString(this.core.locale.dateLocale, {
+            month: 'short',
             day: 'numeric',
             hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit'
+            minute: '2-digit'
         });
     }
 
+    async renderDocumentList() {
+        if (!this.documentList) return;
+
+        try {
+            const documents = await this.documentStore.listDocuments();
+            const activeId = this.activeDocument ? this.activeDocument.id : null;
+
+            this.documentList.innerHTML = documents.map(doc => `
+                <li class="document-item${doc.id === activeId ? ' active' : ''}" data-document-id="${this.escapeHtml(doc.id)}">
+                    <button class="document-open" data-action="open" title="${this.t('library.open')}">
+                        <span class="document-name">${this.escapeHtml(doc.name)}</span>
+                        <span class="document-meta">${this.formatTimestamp(doc.updatedAt)}</span>
+                    </button>
+                    <div class="document-actions">
+                        <button data-action="rename" title="${this.t('library.rename')}">✏️</button>
+                        <button data-action="duplicate" title="${this.t('library.duplicate')}">📄</button>
+                        <button data-action="delete" title="${this.t('library.delete')}">🗑️</button>
+                    </div>
+                </li>
+            `).join('');
+        } catch (error) {
+            console.error('Could not list documents:', error);
+        }
+    }
+
     /**
-     * Toggle Easy Mode on/off
+     * Run a document list action
+     * @param {string} action - 'open', 'rename', 'duplicate' or 'delete'
+     * @param {string} id - Document id
      */
-    toggleEasyMode() {
-        this.easyModeEnabled = !this.easyModeEnabled;
-        
-        // Update button text and styling
-        if (this.easyModeBtn) {
-            this.easyModeBtn.textContent = this.easyModeEnabled ? '🎯 Easy Mode: ON' : '📝 Easy Mode: OFF';
-            this.easyModeBtn.className = this.easyModeEnabled ? 'btn btn-success' : 'btn btn-secondary';
-        }
+    async handleDocumentAction(action, id) {
+        try {
+            // Make sure the stored copy of the active document is current
+            await this.saveActiveDocument();
+
+            const doc = await this.documentStore.getDocument(id);
+            if (!doc) return;
+
+            switch (action) {
+                case 'open':
+                    if (!this.activeDocument || this.activeDocument.id !== id) {
+                        this.loadDocument(doc);
+                    }
+                    break;
+
+                case 'rename': {
+                    const name = prompt(this.t('library.renamePrompt'), doc.name);
+                    if (name === null || !name.trim()) return;
+
+                    const renamed = await this.documentStore.putDocument(Object.assign({}, doc, { name: name.trim() }));
+                    if (this.activeDocument && this.activeDocument.id === id) {
+                        this.activeDocument = renamed;
+                    }
+                    this.renderDocumentList();
+                    break;
+                }
 
-        // Re-convert with new mode
-        this.convertMarkdown();
+                case 'duplicate': {
+                    let copy = await this.documentStore.createDocument({ name: this.t('library.copyName', { name: doc.name }), content: doc.content });
+                    if (doc.lintRules) {
+                        copy = await this.documentStore.putDocument(Object.assign({}, copy, { lintRules: doc.lintRules }));
+                    }
+                    this.loadDocument(copy);
+                    this.showNotification(this.t('notify.documentCreated', { name: copy.name }), 'success');
+                    break;
+                }
 
-        // Show notification
-        const message = this.easyModeEnabled 
-            ? '🎯 Easy Mode ON! You can now use natural language commands.'
-            : '📝 Easy Mode OFF! Using standard Markdown syntax only.';
-        this.showNotification(message, this.easyModeEnabled ? 'success' : 'info');
+                case 'delete': {
+                    if (!confirm(this.t('library.confirmDelete', { name: doc.name }))) return;
+
+                    this.imageLibrary.forget(await this.documentStore.deleteDocument(id));
+                    if (this.activeDocument && this.activeDocument.id === id) {
+                        const remaining = await this.documentStore.listDocuments();
+                        this.loadDocument(remaining[0] || await this.documentStore.createDocument({ name: this.t('library.untitled') }));
+                    } else {
+                        this.renderDocumentList();
+                    }
+                    this.showNotification(this.t('notify.documentDeleted', { name: doc.name }), 'success');
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error(`Document ${action} failed:`, error);
+            this.showNotification(this.t('notify.libraryError'), 'error');
+        }
+    }
 
-        // Update placeholder text
-        if (this.easyModeEnabled) {
-            this.updatePlaceholderForEasyMode();
-        } else {
-            this.updatePlaceholderForMarkdown();
+    async createNewDocument() {
+        try {
+            const name = prompt(this.t('library.newPrompt'), this.t('library.untitled'));
+            if (name === null) return;
+
+            await this.saveActiveDocument();
+            const doc = await this.documentStore.createDocument({ name: name.trim() || this.t('library.untitled') });
+            this.loadDocument(doc);
+            this.markdownInput.focus();
+        } catch (error) {
+            console.error('Could not create document:', error);
+            this.showNotification(this.t('notify.newDocumentFailed'), 'error');
         }
     }
 
     /**
-     * Update placeholder text for Easy Mode
+     * Show the active document's saved versions with compare and restore actions
      */
-    updatePlaceholderForEasyMode() {
-        this.markdownInput.placeholder = `🎯 Easy Mode is ON! Try these natural commands:
+    async showHistoryModal() {
+        if (!this.activeDocument) {
+            this.showNotification(this.t('notify.libraryUnavailable'), 'warning');
+            return;
+        }
+
+        await this.saveActiveDocument();
+
+        let versions = [];
+        try {
+            versions = await this.documentStore.listVersions(this.activeDocument.id);
+        } catch (error) {
+            console.error('Could not load versions:', error);
+        }
+
+        const current = this.markdownInput.value;
+        const items = versions.map(version => {
+            const changes = TextDiff.summarize(TextDiff.diffLines(version.content, current));
+            const lines = TextDiff.splitLines(version.content).length;
+            const comparison = changes.added || changes.removed
+                ? this.t('history.comparison', { added: changes.added, removed: changes.removed })
+                : this.t('history.sameAsCurrent');
+
+            return `
+                <div class="version-item" data-version-id="${version.id}">
+                    <div class="version-info">
+                        <strong>${this.formatTimestamp(version.createdAt)}</strong>
+                        <span>${this.escapeHtml(this.versionReason(version.reason))} · ${this.tn('history.lines', lines)} · ${comparison}</span>
+                    </div>
+                    <div class="modal-actions">
+                        <button class="btn btn-secondary" data-action="compare">${this.t('history.compare')}</button>
+                        <button class="btn btn-success" data-action="restore">${this.t('history.restore')}</button>
+                    </div>
+                </div>`;
+        }).join('');
 
-Heading 1: My Portfolio
-Heading 2: About Me
-bold this: Welcome to my website
-italic this: This is emphasized text
-quote this: Never give up on your dreams
-link this: Visit GitHub | https://github.com
-list item: First feature
-list item: Second feature
-number item: Step one
-number item: Step two
-code this: console.log('Hello')
-break line
+        const body = versions.length ? `
+                    <div class="help-section">
+                        <h4>📄 ${this.escapeHtml(this.activeDocument.name)}</h4>
+                        <p class="panel-info">${this.t('history.intro')}</p>
+                        <div class="version-list">${items}
+                        </div>
+                        <div class="version-diff"></div>
+                    </div>` : `
+                    <div class="help-section">
+                        <h4>📄 ${this.escapeHtml(this.activeDocument.name)}</h4>
+                        <p class="panel-info">${this.t('history.empty')} ${this.t('history.intro')}</p>
+                    </div>`;
 
-Or use regular Markdown syntax - both work!
+        const modal = this.openModal('version-history', this.t('history.title'), body);
 
-## Traditional Markdown
-- **Bold text**
-- *Italic text*
-- [Links](https://example.com)`;
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const item = e.target.closest('[data-version-id]');
+            if (!button || !item) return;
+
+            const version = versions.find(entry => String(entry.id) === item.dataset.versionId);
+            if (!version) return;
+
+            if (button.dataset.action === 'compare') {
+                modal.querySelectorAll('.version-item').forEach(entry => entry.classList.toggle('selected', entry === item));
+                modal.querySelector('.version-diff').innerHTML = this.renderDiff(TextDiff.diffLines(version.content, this.markdownInput.value));
+            } else if (button.dataset.action === 'restore') {
+                this.restoreVersion(version);
+            }
+        });
     }
 
     /**
-     * Update placeholder text for standard Markdown
+     * Render a line diff, folding long runs of unchanged lines
+     * @param {Array<Object>} diff - Result of TextDiff.diffLines()
+     * @returns {string} - HTML
      */
-    updatePlaceholderForMarkdown() {
-        this.markdownInput.placeholder = `# Welcome to Markdown to HTML Converter
-
-Start typing your Markdown here...
-
-## Features:
-- **Real-time preview**
-- Copy to clipboard
-- Download as HTML file
-- Responsive design
+    renderDiff(diff) {
+        const context = 3;
+        const changed = diff.map(entry => entry.type !== 'same');
+        if (!changed.includes(true)) {
+            return `<p class="panel-info">${this.t('history.identical')}</p>`;
+        }
 
-### Example Code:
-\`\`\`javascript
-console.log('Hello, World!');
-\`\`\`
+        const lines = [];
+        let folded = 0;
+        diff.forEach((entry, index) => {
+            const nearChange = changed.slice(Math.max(0, index - context), index + context + 1).includes(true);
+            if (!nearChange) {
+                folded++;
+                return;
+            }
+            if (folded) {
+                lines.push(`<span class="diff-line diff-fold">${this.tn('history.unchangedLines', folded)}</span>`);
+                folded = 0;
+            }
 
-> This is a blockquote example
+            const marker = entry.type === 'added' ? '+' : entry.type === 'removed' ? '−' : ' ';
+            lines.push(`<span class="diff-line diff-${entry.type}">${marker} ${this.escapeHtml(entry.text)}</span>`);
+        });
+        if (folded) {
+            lines.push(`<span class="diff-line diff-fold">${this.tn('history.unchangedLines', folded)}</span>`);
+        }
 
-1. Ordered list item 1
-2. Ordered list item 2
+        return `<p class="panel-info"><span class="diff-removed">${this.t('history.onlyInVersion')}</span> · <span class="diff-added">${this.t('history.onlyInCurrent')}</span></p>
+                        <pre class="diff-view">${lines.join('\n')}</pre>`;
+    }
 
-- Unordered list item
-- Another item
+    /**
+     * Replace the editor text with a saved version (the current text is kept as a version first)
+     * @param {Object} version - Stored version
+     */
+    async restoreVersion(version) {
+        const current = this.markdownInput.value;
+        if (current !== version.content) {
+            await this.saveVersion(current, 'restore');
+        }
 
-[Link to GitHub](https://github.com)
+        this.replaceEditorContent(version.content);
+        this.convertMarkdown();
+        await this.saveActiveDocument();
 
-*Italic text* and **bold text**`;
+        this.closeModal('version-history');
+        this.showNotification(this.t('notify.versionRestored', { time: this.formatTimestamp(version.createdAt) }), 'success');
     }
 
     /**
-     * Toggle help modal with command reference
+     * Close a modal opened with openModal()
+     * @param {string} className - Modal class name
+     * @returns {boolean} - True if a modal was open
      */
-    toggleHelpModal() {
-        // Remove existing modal if present
-        const existingModal = document.querySelector('.help-modal');
+    closeModal(className) {
+        const existingModal = document.querySelector(`.${className}`);
         if (existingModal) {
             existingModal.remove();
-            return;
+            return true;
         }
+        return false;
+    }
+
+    /**
+     * Create a modal dialog with the shared help-modal look
+     * @param {string} className - Class used to find the modal again
+     * @param {string} title - Header text
+     * @param {string} bodyHTML - Markup for the modal body
+     * @returns {HTMLElement} - The modal overlay element
+     */
+    openModal(className, title, bodyHTML) {
+        this.closeModal(className);
 
-        // Create help modal
         const modal = document.createElement('div');
-        modal.className = 'help-modal';
-        
+        modal.className = `help-modal ${className}`;
+
         modal.innerHTML = `
             <div class="help-modal-content">
                 <div class="help-modal-header">
-                    <h3>🎯 Easy Mode Commands Reference</h3>
+                    <h3>${title}</h3>
                     <button class="help-close-btn" onclick="this.closest('.help-modal').remove()">✕</button>
                 </div>
                 <div class="help-modal-body">
-                    <div class="help-section">
-                        <h4>📝 Text Formatting</h4>
-                        <div class="help-command">
-                            <code>bold this: Your text</code> → <strong>Your text</strong>
-                        </div>
-                        <div class="help-command">
-                            <code>italic this: Your text</code> → <em>Your text</em>
-                        </div>
-                        <div class="help-command">
-                            <code>strike this: Your text</code> → <del>Your text</del>
-                        </div>
-                        <div class="help-command">
-                            <code>code this: console.log()</code> → <code>console.log()</code>
-                        </div>
-                    </div>
-                    
-                    <div class="help-section">
-                        <h4>📋 Headers & Structure</h4>
-                        <div class="help-command">
-                            <code>Heading 1: Title</code> → <h4 style="margin:5px 0">Title</h4>
-                        </div>
-                        <div class="help-command">
-                            <code>Heading 2: Subtitle</code> → <h5 style="margin:5px 0">Subtitle</h5>
-                        </div>
-                        <div class="help-command">
-                            <code>quote this: Wisdom</code> → <blockquote style="margin:5px 0;padding:5px 10px;border-left:3px solid #4ecdc4;background:rgba(78,205,196,0.1)">Wisdom</blockquote>
-                        </div>
-                        <div class="help-command">
-                            <code>break line</code> → Horizontal rule (---)
-                        </div>
-                    </div>
-                    
-                    <div class="help-section">
-                        <h4>🔗 Links & Lists</h4>
-                        <div class="help-command">
-                            <code>link this: GitHub | https://github.com</code> → <a href="#">GitHub</a>
-                        </div>
-                        <div class="help-command">
-                            <code>list item: Feature one</code> → • Feature one
-                        </div>
-                        <div class="help-command">
-                            <code>number item: Step one</code> → 1. Step one
-                        </div>
-                    </div>
-                    
-                    <div class="help-section">
-                        <h4>💡 Pro Tips</h4>
-                        <ul style="margin: 10px 0; padding-left: 20px;">
-                            <li>Mix natural commands with regular Markdown syntax</li>
-                            <li>Commands are case-insensitive</li>
-                            <li>One command per line works best</li>
-                            <li>Check browser console for conversion logs</li>
-                        </ul>
-                    </div>
+${bodyHTML}
                 </div>
             </div>
         `;
@@ -887,12 +3651,12 @@ console.log('Hello, World!');
                 modal.remove();
             }
         });
+
+        return modal;
     }
 
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return HtmlTokenizer.escapeHtml(text);
     }
 }
 
@@ -0,0 +1,136 @@
+// Markdown to HTML Converter - Code Highlighter
+// Token-level highlighting for fenced code blocks (highlight.js) plus light/dark colour themes
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('../libs/highlight.min.js'), require('./html-tokenizer.js'));
+    } else {
+        root.CodeHighlighter = factory(root.hljs, root.HtmlTokenizer);
+    }
+}(typeof self !== 'undefined' ? self : this, function (hljs, HtmlTokenizer) {
+    'use strict';
+
+    // Common fence names mapped to highlight.js language ids
+    const LANGUAGE_ALIASES = {
+        js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+        ts: 'typescript', tsx: 'typescript',
+        py: 'python', python3: 'python',
+        sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+        html: 'xml', htm: 'xml', xhtml: 'xml', svg: 'xml',
+        yml: 'yaml', md: 'markdown', postgres: 'sql', mysql: 'sql', sqlite: 'sql'
+    };
+
+    // Theme rules as [selector, declarations] so they can be scoped to the preview
+    const THEMES = {
+        light: [
+            ['pre.code-block', 'background: #f6f8fa; color: #24292e; border: 1px solid #e1e4e8;'],
+            ['pre.code-block code', 'background: none; color: inherit;'],
+            ['.hljs-doctag, .hljs-keyword, .hljs-meta .hljs-keyword, .hljs-template-tag, .hljs-template-variable, .hljs-type, .hljs-variable.language_', 'color: #d73a49;'],
+            ['.hljs-title, .hljs-title.class_, .hljs-title.class_.inherited__, .hljs-title.function_', 'color: #6f42c1;'],
+            ['.hljs-attr, .hljs-attribute, .hljs-literal, .hljs-meta, .hljs-number, .hljs-operator, .hljs-selector-attr, .hljs-selector-class, .hljs-selector-id, .hljs-variable', 'color: #005cc5;'],
+            ['.hljs-meta .hljs-string, .hljs-regexp, .hljs-string', 'color: #032f62;'],
+            ['.hljs-built_in, .hljs-symbol', 'color: #e36209;'],
+            ['.hljs-code, .hljs-comment, .hljs-formula', 'color: #6a737d;'],
+            ['.hljs-name, .hljs-quote, .hljs-selector-pseudo, .hljs-selector-tag', 'color: #22863a;'],
+            ['.hljs-subst', 'color: #24292e;'],
+            ['.hljs-section', 'color: #005cc5; font-weight: 700;'],
+            ['.hljs-bullet', 'color: #735c0f;'],
+            ['.hljs-emphasis', 'color: #24292e; font-style: italic;'],
+            ['.hljs-strong', 'color: #24292e; font-weight: 700;'],
+            ['.hljs-addition', 'color: #22863a; background-color: #f0fff4;'],
+            ['.hljs-deletion', 'color: #b31d28; background-color: #ffeef0;']
+        ],
+        dark: [
+            ['pre.code-block', 'background: #0d1117; color: #c9d1d9; border: 1px solid #30363d;'],
+            ['pre.code-block code', 'background: none; color: inherit;'],
+            ['.hljs-doctag, .hljs-keyword, .hljs-meta .hljs-keyword, .hljs-template-tag, .hljs-template-variable, .hljs-type, .hljs-variable.language_', 'color: #ff7b72;'],
+            ['.hljs-title, .hljs-title.class_, .hljs-title.class_.inherited__, .hljs-title.function_', 'color: #d2a8ff;'],
+            ['.hljs-attr, .hljs-attribute, .hljs-literal, .hljs-meta, .hljs-number, .hljs-operator, .hljs-selector-attr, .hljs-selector-class, .hljs-selector-id, .hljs-variable', 'color: #79c0ff;'],
+            ['.hljs-meta .hljs-string, .hljs-regexp, .hljs-string', 'color: #a5d6ff;'],
+            ['.hljs-built_in, .hljs-symbol', 'color: #ffa657;'],
+            ['.hljs-code, .hljs-comment, .hljs-formula', 'color: #8b949e;'],
+            ['.hljs-name, .hljs-quote, .hljs-selector-pseudo, .hljs-selector-tag', 'color: #7ee787;'],
+            ['.hljs-subst', 'color: #c9d1d9;'],
+            ['.hljs-section', 'color: #1f6feb; font-weight: 700;'],
+            ['.hljs-bullet', 'color: #f2cc60;'],
+            ['.hljs-emphasis', 'color: #c9d1d9; font-style: italic;'],
+            ['.hljs-strong', 'color: #c9d1d9; font-weight: 700;'],
+            ['.hljs-addition', 'color: #aff5b4; background-color: #033a16;'],
+            ['.hljs-deletion', 'color: #ffdcd7; background-color: #67060c;']
+        ]
+    };
+
+    class CodeHighlighter {
+        /**
+         * Resolve a fence info string ("js", "python title=x") to a highlight.js language id
+         * @param {string} info - Text after the opening ```
+         * @returns {string|null} - Supported language id, or null
+         */
+        static resolveLanguage(info) {
+            const name = String(info || '').trim().split(/\s+/)[0].toLowerCase();
+            if (!name || !hljs) return null;
+
+            const language = LANGUAGE_ALIASES[name] || name;
+            return hljs.getLanguage(language) ? language : null;
+        }
+
+        /**
+         * Highlight a code block
+         * @param {string} code - Raw code
+         * @param {string} info - Fence info string
+         * @returns {{html: string, language: string|null}} - Highlighted (escaped) HTML
+         */
+        static highlight(code, info) {
+            const language = CodeHighlighter.resolveLanguage(info);
+
+            if (language) {
+                try {
+                    return { html: hljs.highlight(code, { language, ignoreIllegals: true }).value, language };
+                } catch (error) {
+                    console.error('Highlighting failed:', error);
+                }
+            }
+
+            return { html: HtmlTokenizer.escapeHtml(code), language: null };
+        }
+
+        /**
+         * Render a fenced code block as <pre><code> markup
+         * @param {string} code - Raw code
+         * @param {string} info - Fence info string
+         * @returns {string} - HTML for the block
+         */
+        static renderBlock(code, info) {
+            const name = String(info || '').trim().split(/\s+/)[0];
+            const result = CodeHighlighter.highlight(code.replace(/\n$/, ''), info);
+            const classes = ['hljs'];
+            if (name) {
+                classes.push(`language-${HtmlTokenizer.escapeHtml(name)}`);
+            }
+
+            return `<pre class="code-block"><code class="${classes.join(' ')}">${result.html}\n</code></pre>\n`;
+        }
+
+        /**
+         * Get the CSS for a highlighting theme
+         * @param {string} theme - 'light' or 'dark'
+         * @param {string} [scope] - Selector prefix, e.g. '#htmlOutput' for the preview
+         * @returns {string} - Stylesheet text
+         */
+        static getThemeCSS(theme, scope = '') {
+            const rules = THEMES[theme] || THEMES.dark;
+            const prefix = scope ? `${scope} ` : '';
+
+            return rules.map(([selector, declarations]) => {
+                const scoped = selector.split(',').map(part => prefix + part.trim()).join(', ');
+                return `${scoped} { ${declarations} }`;
+            }).join('\n');
+        }
+
+        static get THEMES() {
+            return Object.keys(THEMES);
+        }
+    }
+
+    return CodeHighlighter;
+}));
@@ -0,0 +1,1093 @@
+// Markdown to HTML Converter - Conversion Core
+// DOM-free pipeline shared by the browser UI (script.js) and the md2html CLI
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(
+            require('../libs/marked.min.js'),
+            require('./html-tokenizer.js'),
+            require('./html-sanitizer.js'),
+            require('./code-highlighter.js'),
+            require('./math-renderer.js'),
+            require('./diagram-renderer.js'),
+            require('./gfm-extras.js'),
+            require('./easy-commands.js'),
+            require('./markdown-to-easy.js'),
+            require('./export-themes.js'),
+            require('./front-matter.js'),
+            require('./table-of-contents.js'),
+            require('./locales.js')
+        );
+    } else {
+        root.MarkdownConverterCore = factory(root.marked, root.HtmlTokenizer, root.HtmlSanitizer, root.CodeHighlighter, root.MathRenderer, root.DiagramRenderer, root.GfmExtras, root.EasyCommandRegistry, root.MarkdownToEasyConverter, root.ExportThemes, root.FrontMatter, root.TableOfContents, root.Locales);
+    }
+}(typeof self !== 'undefined' ? self : this, function (marked, HtmlTokenizer, HtmlSanitizer, CodeHighlighter, MathRenderer, DiagramRenderer, GfmExtras, EasyCommandRegistry, MarkdownToEasyConverter, ExportThemes, FrontMatter, TableOfContents, Locales) {
+    'use strict';
+
+    // Export options for createCompleteHTMLDocument(); {date} is replaced when the document is built
+    const EXPORT_DEFAULTS = {
+        theme: 'classic', // ExportThemes id, or 'none'
+        customCSS: '', // Appended after the theme, so its rules win
+        footer: true,
+        footerText: 'Generated by Markdown to HTML Converter on {date}',
+        title: 'Markdown Output - {date}',
+        lang: 'en'
+    };
+
+    // Footer rules shared by all export themes; colours follow the theme's text colour
+    const FOOTER_CSS = `footer.export-footer {
+    margin-top: 60px;
+    padding-top: 20px;
+    border-top: 1px solid rgba(127, 127, 127, 0.3);
+    text-align: center;
+    font-size: 0.9rem;
+    opacity: 0.7;
+}`;
+
+    // Table of contents box from the [[toc]] marker; works with every export theme
+    const TOC_CSS = `.table-of-contents {
+    margin: 20px 0;
+    padding: 12px 20px;
+    border-left: 3px solid rgba(127, 127, 127, 0.4);
+}
+
+.table-of-contents ul {
+    margin: 0;
+    padding-left: 20px;
+    list-style: none;
+}
+
+.table-of-contents > ul {
+    padding-left: 0;
+}`;
+
+    // Task lists, callouts, footnotes and definition lists; colours are translucent so they suit light and dark themes
+    const GFM_EXTRAS_CSS = `.task-list-item {
+    list-style: none;
+}
+
+.task-list-item-checkbox {
+    margin: 0 0.4em 0 -1.4em;
+    vertical-align: middle;
+}
+
+.callout {
+    margin: 20px 0;
+    padding: 12px 20px;
+    border-left: 4px solid #0969da;
+    background: rgba(9, 105, 218, 0.08);
+}
+
+.callout > :last-child {
+    margin-bottom: 0;
+}
+
+.callout-title {
+    margin: 0 0 6px 0;
+    font-weight: 600;
+    color: #0969da;
+}
+
+.callout-tip { border-left-color: #1a7f37; background: rgba(26, 127, 55, 0.08); }
+.callout-tip .callout-title { color: #1a7f37; }
+.callout-important { border-left-color: #8250df; background: rgba(130, 80, 223, 0.08); }
+.callout-important .callout-title { color: #8250df; }
+.callout-warning { border-left-color: #9a6700; background: rgba(191, 135, 0, 0.1); }
+.callout-warning .callout-title { color: #9a6700; }
+.callout-caution { border-left-color: #cf222e; background: rgba(207, 34, 46, 0.08); }
+.callout-caution .callout-title { color: #cf222e; }
+
+.footnote-ref a {
+    font-size: 0.8em;
+    text-decoration: none;
+}
+
+.footnotes {
+    margin-top: 40px;
+    padding-top: 10px;
+    border-top: 1px solid rgba(127, 127, 127, 0.3);
+    font-size: 0.9em;
+}
+
+.footnote-backref {
+    text-decoration: none;
+}
+
+dt {
+    margin-top: 12px;
+    font-weight: 600;
+}
+
+dd {
+    margin: 4px 0 0 24px;
+}`;
+
+    // Display formulas and mermaid diagrams; the SVG keeps its own size unless the page is narrower
+    const MATH_DIAGRAM_CSS = `.math-display {
+    margin: 16px 0;
+    overflow-x: auto;
+    text-align: center;
+}
+
+.diagram {
+    margin: 20px 0;
+    text-align: center;
+}
+
+.diagram svg {
+    max-width: 100%;
+    height: auto;
+}
+
+.diagram-error {
+    color: #c0392b;
+    font-size: 0.9em;
+}`;
+
+    // Extra rules for printing / saving as PDF from the browser print dialog
+    const PRINT_CSS = `@page { margin: 2cm; }
+
+@media print {
+    body { max-width: none; padding: 0; font-size: 11pt; }
+    h1, h2, h3, h4, h5, h6 { break-after: avoid; page-break-after: avoid; }
+    pre, blockquote, table, img, tr, .diagram, .math-display { break-inside: avoid; page-break-inside: avoid; }
+    pre.code-block, pre { white-space: pre-wrap; word-wrap: break-word; }
+    table, img { box-shadow: none; }
+    a { color: #000; border-bottom: none; text-decoration: underline; }
+    a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 0.85em; color: #555; }
+}`;
+
+    // Lines Easy Mode passes through unchanged
+    const MARKDOWN_PATTERNS = [
+        /^#{1,6}\s+/, // Headers
+        /^\*\*.*\*\*/, // Bold
+        /^\*.*\*/, // Italic
+        /^>\s+/, // Blockquotes
+        /^\[.*\]\(.*\)/, // Links
+        /^-{3,}$/, // Horizontal rules
+        /^`.*`/, // Inline code
+        /^```/, // Code blocks
+        /^[-*+]\s+/, // Unordered lists
+        /^\d+\.\s+/, // Ordered lists
+        /^~~.*~~/, // Strikethrough
+    ];
+
+    // Marks preview blocks with the input line they came from (scroll sync, click-to-source)
+    const SOURCE_LINE_ATTRIBUTE = 'data-source-line';
+    const SOURCE_LINE_PATTERN = / data-source-line="\d+"/g;
+
+    // Lines splitChunks() needs to recognize
+    const LIST_ITEM = /^\s*(?:[-*+]|\d{1,9}[.)])(?:[ \t]|$)/;
+
+    // Token fields that other parts of the document decide, collected for the block cache key
+    const DOCUMENT_FIELDS = ['tokens', 'items', 'header', 'rows', 'term', 'definitions', 'id', 'number', 'referenceId', 'references'];
+
+    // Blocks that can hold headings, whose ids depend on the headings before them
+    const CONTAINER_TYPES = ['blockquote', 'list', 'callout', 'footnotes'];
+    const NESTED_HEADING = /^[ \t>*+\-\d.)]*#{1,6}(?:[ \t]|$)|\n[ \t>]*(?:=+|-+)[ \t]*(?:\n|$)/m;
+
+    function countLines(text) {
+        return (text.match(/\n/g) || []).length;
+    }
+
+    // marked.walkTokens() one top-level token at a time, since it concatenates its results into one growing array
+    function walkTokens(instance, tokens) {
+        tokens.forEach(token => instance.walkTokens([token], instance.defaults.walkTokens));
+    }
+
+    // Input line of a Markdown line, through the Easy Mode line map when there is one
+    function inputLine(line, sourceLines) {
+        return sourceLines ? sourceLines[line - 1] || line : line;
+    }
+
+    /**
+     * Split Markdown at the blank lines that no block is likely to continue past, so each chunk can be lexed on its
+     * own. Lists, indented continuations, definition lists, fenced code, $$ math and raw HTML that spans
+     * blank lines stay in one chunk. This is a first guess: lexChunks() checks every split against marked.
+     * @param {string} source - Markdown with \n line endings
+     * @returns {Array<{text: string, line: number}>} - Chunks with their first line (1-based)
+     */
+    function splitChunks(source) {
+        const lines = source.split('\n');
+        const chunks = [];
+        let start = 0;
+        let offset = 0;
+        let chunkOffset = 0;
+        let closing = null; // What ends the open fence, math block or raw HTML block
+        let listFenceIndent = 0; // Indent of a fence inside a list item, which a less indented line also ends
+        let inList = false;
+
+        lines.forEach((line, index) => {
+            if (closing && listFenceIndent > 0 && line.trim() !== '' && /^ */.exec(line)[0].length < listFenceIndent) {
+                closing = null;
+                inList = false;
+            }
+            if (index > 0 && !closing && lines[index - 1].trim() === '' && startsChunk(line, lines[index + 1])) {
+                chunks.push({ text: source.slice(chunkOffset, offset), line: start + 1 });
+                start = index;
+                chunkOffset = offset;
+                inList = false;
+            }
+            offset += line.length + 1;
+
+            if (closing) {
+                if (closing.test(line)) closing = null;
+                return;
+            }
+            if (LIST_ITEM.test(line)) inList = true;
+
+            const fence = /^( {0,3})(`{3,}|~{3,})/.exec(line);
+            listFenceIndent = 0;
+            if (fence) {
+                closing = new RegExp(`^ {0,3}${fence[2][0]}{${fence[2].length},}\\s*$`);
+                if (inList && fence[1].length > 0) listFenceIndent = fence[1].length;
+            } else if (/^ {0,3}\$\$/.test(line) && !/\$\$/.test(line.trim().slice(2))) {
+                // Without a closing $$ line it isn't a math block
+                const mathEnd = /^ {0,3}\$\$ *$/;
+                if (lines.slice(index + 1).some(next => mathEnd.test(next))) closing = mathEnd;
+            } else if (/^ {0,3}<!--/.test(line) && !/-->/.test(line)) {
+                closing = /-->/;
+            } else if (/^ {0,3}<(pre|script|style|textarea)[\s>]/i.test(line)) {
+                const tag = /^ {0,3}<(pre|script|style|textarea)/i.exec(line)[1];
+                if (!new RegExp(`</${tag}>`, 'i').test(line)) closing = new RegExp(`</${tag}>`, 'i');
+            }
+        });
+
+        chunks.push({ text: source.slice(chunkOffset), line: start + 1 });
+        return chunks;
+    }
+
+    // Source of each block of a token list, without the blank lines marked keeps at the end of some blocks
+    function blockSources(tokens) {
+        return tokens.filter(token => token.type !== 'space' && token.raw).map(token => token.raw.replace(/\n+$/, ''));
+    }
+
+    // After a blank line: anything but indented text, a list item or a definition starts a new chunk
+    function startsChunk(line, nextLine) {
+        if (line.trim() === '' || /^[ \t]/.test(line)) return false;
+        if (LIST_ITEM.test(line) || /^:[ \t]/.test(line)) return false;
+        return !/^ {0,3}:[ \t]/.test(nextLine || '');
+    }
+
+    class MarkdownConverterCore {
+        /**
+         * @param {Object} [options]
+         * @param {boolean} [options.easyMode=true] - Apply Easy Mode commands before parsing
+         * @param {boolean} [options.sanitize=true] - Run the HTML sanitizer on the parsed output
+         * @param {Object} [options.sanitizer] - Allowlist overrides passed to HtmlSanitizer
+         * @param {string} [options.codeTheme='dark'] - Code highlighting theme ('light' or 'dark')
+         * @param {Array<Object>} [options.easyCommands] - User-defined Easy Mode command definitions
+         * @param {Object} [options.exportSettings] - Theme, custom CSS, footer, title and lang of exported documents
+         * @param {boolean} [options.sourceMap=false] - Also return previewHtml, whose top-level blocks carry a
+         *     data-source-line attribute with the input line they were rendered from
+         * @param {boolean} [options.incremental=false] - Keep the tokens and HTML of each block between conversions and
+         *     only parse the blocks that changed; convert() then also returns the blocks (see parseBlocks)
+         * @param {string} [options.locale='en'] - Locale pack for Easy Mode keywords and dates (see setLocale)
+         */
+        constructor(options = {}) {
+            this.options = Object.assign({ easyMode: true, sanitize: true, codeTheme: 'dark', sourceMap: false, incremental: false }, options);
+
+            // State
+            this.conversionLog = []; // Track converted lines for debugging
+            this.commandWarnings = []; // Lines that look like a mistyped Easy Mode command, with a suggested fix
+            this.rawMarkdown = ''; // Store the actual Markdown after transformation
+            this.sanitizeReport = []; // Items stripped by the sanitizer in the last conversion
+            this.frontMatter = {}; // YAML front matter of the last converted document
+            this.sourceLines = null; // Input line of each Markdown line after the Easy Mode pass (null = unchanged)
+            this.headings = []; // { level, text, id } of every heading in the last parsed document
+            this.slugger = TableOfContents.createSlugger();
+            this.scanCache = new Map(); // Chunk of Markdown → its tokens and link definitions lexed on their own
+            this.boundaryCache = new Map(); // End of a chunk + the next chunk → whether marked ends a block between them
+            this.tokenCache = new Map(); // Chunk of Markdown → its tokens lexed with the document's link definitions
+            this.htmlCache = new Map(); // Block key → its sanitized HTML, from the last incremental parse
+
+            this.sanitizer = new HtmlSanitizer(this.options.sanitizer);
+            this.configureExport(this.options.exportSettings);
+
+            // Easy Mode commands: built-ins plus any user-defined ones
+            this.easyCommands = new EasyCommandRegistry();
+            (this.options.easyCommands || []).forEach(definition => this.easyCommands.registerDefinition(definition));
+            this.setLocale(this.options.locale);
+
+            // Dedicated marked instance so the global defaults stay untouched
+            this.marked = marked ? new marked.Marked({
+                breaks: true,
+                gfm: true,
+                tables: true,
+                sanitize: false
+            }) : null;
+
+            if (this.marked) {
+                const core = this;
+                this.marked.use({
+                    // [[toc]] marker, filled in from the headings collected below; $…$ and $$…$$ math
+                    extensions: [TableOfContents.markedExtension(() => this.headings)].concat(MathRenderer.markedExtensions()),
+
+                    // Runs over the whole document before rendering, so a [[toc]] can list later headings
+                    walkTokens: (token) => {
+                        if (token.type !== 'heading') return;
+                        const text = TableOfContents.plainText(token.tokens);
+                        token.id = this.slugger.slug(text);
+                        this.headings.push({ level: token.depth, text, id: token.id });
+                    },
+
+                    renderer: {
+                        // Token-level highlighting for fenced code blocks; mermaid and flowchart fences become diagrams
+                        code: (token) => DiagramRenderer.isDiagram(token.lang)
+                            ? DiagramRenderer.placeholder(token.text, token.lang)
+                            : CodeHighlighter.renderBlock(token.text, token.lang),
+
+                        // GitHub-compatible anchors so TOC links work in the preview and in downloads
+                        heading(token) {
+                            const id = token.id ? ` id="${core.escapeHtml(token.id)}"` : '';
+                            return `<h${token.depth}${id}>${this.parser.parseInline(token.tokens)}</h${token.depth}>\n`;
+                        }
+                    }
+                });
+
+                // Footnotes, callouts, definition lists and task list checkboxes
+                this.marked.use(GfmExtras.markedExtension());
+            }
+        }
+
+        /**
+         * Run the full pipeline: front matter extraction, Easy Mode transformation, Markdown parsing, sanitizing, then math rendering
+         * @param {string} inputText - Raw user input
+         * @param {Object} [options] - Per-call overrides of the constructor options
+         * @returns {{markdown: string, html: string, previewHtml: string, blocks: ?Array, conversionLog: Array, commandWarnings: Array, sanitizeReport: Array, frontMatter: Object, headings: Array}}
+         *     - previewHtml is html with source line attributes when the sourceMap option is set, otherwise the same as html
+         *     - blocks is the HTML of each top-level block with its source line (incremental option only, otherwise null)
+         */
+        convert(inputText, options = {}) {
+            const settings = Object.assign({}, this.options, options);
+
+            // Front matter lines are blanked rather than removed so line numbers still match the input
+            const frontMatter = FrontMatter.parse(inputText || '');
+            this.frontMatter = frontMatter.data;
+            let markdownText = '\n'.repeat(frontMatter.lineCount) + frontMatter.body;
+
+            if (settings.easyMode) {
+                markdownText = this.transformEasySyntaxToMarkdown(markdownText);
+            } else {
+                this.conversionLog = [];
+                this.sourceLines = null;
+                this.commandWarnings = [];
+            }
+
+            if (settings.incremental) {
+                const parsed = this.parseBlocks(markdownText, { sanitize: settings.sanitize, sourceLines: this.sourceLines });
+                this.rawMarkdown = frontMatter.raw + markdownText.slice(frontMatter.lineCount);
+                this.sanitizeReport = parsed.removed;
+
+                const html = parsed.blocks.map(block => block.html).join('');
+                return {
+                    markdown: this.rawMarkdown,
+                    html,
+                    previewHtml: settings.sourceMap ? parsed.blocks.map(MarkdownConverterCore.addSourceLine).join('') : html,
+                    blocks: parsed.blocks,
+                    conversionLog: this.conversionLog,
+                    commandWarnings: this.commandWarnings,
+                    sanitizeReport: this.sanitizeReport,
+                    frontMatter: this.frontMatter,
+                    headings: this.headings
+                };
+            }
+
+            let html = this.parse(markdownText, { sourceMap: settings.sourceMap, sourceLines: this.sourceLines });
+
+            // Exported Markdown keeps the front matter block as written
+            markdownText = frontMatter.raw + markdownText.slice(frontMatter.lineCount);
+            this.rawMarkdown = markdownText;
+
+            this.sanitizeReport = [];
+            if (settings.sanitize) {
+                const sanitized = this.sanitizer.sanitize(html, { allowAttributes: settings.sourceMap ? [SOURCE_LINE_ATTRIBUTE] : [] });
+                html = sanitized.html;
+                this.sanitizeReport = sanitized.removed;
+            }
+
+            // Math is rendered from the TeX left by the parser, so the sanitizer never sees the MathML
+            html = MathRenderer.renderAll(html);
+
+            // Copied and exported HTML never carries the source line attributes
+            const previewHtml = html;
+            if (settings.sourceMap) {
+                html = MarkdownConverterCore.stripSourceLines(html);
+            }
+
+            return {
+                markdown: markdownText,
+                html,
+                previewHtml,
+                blocks: null,
+                conversionLog: this.conversionLog,
+                commandWarnings: this.commandWarnings,
+                sanitizeReport: this.sanitizeReport,
+                frontMatter: this.frontMatter,
+                headings: this.headings
+            };
+        }
+
+        /**
+         * Switch the code highlighting theme used by exported documents
+         * @param {string} theme - 'light' or 'dark'
+         */
+        setCodeTheme(theme) {
+            this.options.codeTheme = CodeHighlighter.THEMES.includes(theme) ? theme : 'dark';
+        }
+
+        /**
+         * Change how exported documents look
+         * @param {Object} [settings] - Overrides for the export defaults: theme, customCSS, footer, footerText, title, lang
+         */
+        configureExport(settings = {}) {
+            this.exportSettings = Object.assign({}, EXPORT_DEFAULTS, settings);
+        }
+
+        /**
+         * Change the sanitizer allowlist used by later conversions
+         * @param {Object} sanitizerOptions - See HtmlSanitizer.DEFAULTS
+         */
+        configureSanitizer(sanitizerOptions) {
+            this.options.sanitizer = sanitizerOptions;
+            this.sanitizer.configure(sanitizerOptions);
+            this.htmlCache = new Map();
+        }
+
+        /**
+         * Convert Markdown to an HTML fragment (headings are collected into this.headings)
+         * @param {string} markdownText - Markdown source
+         * @param {Object} [options]
+         * @param {boolean} [options.sourceMap=false] - Add a data-source-line attribute to each top-level block
+         * @param {Array<number>} [options.sourceLines] - Input line of each Markdown line (see transformLines)
+         * @returns {string} - HTML fragment
+         */
+        parse(markdownText, options = {}) {
+            if (!this.marked) {
+                throw new Error('marked.js library not loaded');
+            }
+            this.headings = [];
+            this.slugger = TableOfContents.createSlugger();
+
+            if (!options.sourceMap) {
+                return this.marked.parse(markdownText);
+            }
+
+            // Same steps as marked.parse(), but blocks are rendered one by one so each can be tagged
+            const source = String(markdownText || '').replace(/\r\n?/g, '\n');
+            let tokens = this.marked.lexer(source);
+            if (this.marked.defaults.hooks) {
+                tokens = this.marked.defaults.hooks.processAllTokens(tokens);
+            }
+            if (this.marked.defaults.walkTokens) {
+                walkTokens(this.marked, tokens);
+            }
+
+            let cursor = 0;
+            let line = 1;
+            return tokens.map(token => {
+                const html = this.marked.parser([token]);
+
+                // Link reference definitions produce no token, so find each block in the source
+                const offset = source.indexOf(token.raw, cursor);
+                if (offset === -1) return html;
+                line += countLines(source.slice(cursor, offset));
+                const startLine = line;
+                line += countLines(token.raw);
+                cursor = offset + token.raw.length;
+
+                if (token.type === 'html' || token.type === 'space' || !token.raw) return html;
+                return MarkdownConverterCore.addSourceLine({ html, line: inputLine(startLine, options.sourceLines) });
+            }).join('');
+        }
+
+        /**
+         * Convert Markdown to HTML one top-level block at a time, reusing the tokens and the sanitized HTML
+         * of everything that is unchanged since the last call. Gives the same HTML as the full pipeline in convert().
+         * @param {string} markdownText - Markdown source
+         * @param {Object} [options]
+         * @param {boolean} [options.sanitize=true] - Sanitize each block
+         * @param {Array<number>} [options.sourceLines] - Input line of each Markdown line (see transformLines)
+         * @returns {{blocks: Array<{html: string, line: ?number}>, removed: Array<Object>}} - HTML and source line
+         *     of each block (null for raw HTML blocks), and what the sanitizer removed
+         */
+        parseBlocks(markdownText, options = {}) {
+            if (!this.marked) {
+                throw new Error('marked.js library not loaded');
+            }
+            this.headings = [];
+            this.slugger = TableOfContents.createSlugger();
+
+            const sanitize = options.sanitize !== false;
+            const source = String(markdownText || '').replace(/\r\n?/g, '\n');
+            const chunks = this.lexChunks(splitChunks(source));
+
+            // Link reference definitions apply to the whole document; the first definition of a label wins
+            const links = {};
+            chunks.forEach(chunk => {
+                Object.keys(chunk.scan.links).forEach(label => {
+                    if (!(label in links)) links[label] = chunk.scan.links[label];
+                });
+            });
+            const signature = JSON.stringify(links);
+
+            // Without definitions the tokens of the chunk lexed on its own are the ones to use; with them, every chunk
+            // is lexed again knowing all of them. A chunk that appears twice gets its own tokens.
+            const tokenCache = new Map();
+            const used = new Set();
+            let tokens = [];
+            chunks.forEach(chunk => {
+                let entry = signature === '{}' && !used.has(chunk.scan) ? chunk.scan : null;
+                if (!entry) {
+                    const key = `${signature}\u0000${chunk.text}`;
+                    entry = tokenCache.has(key) ? null : this.tokenCache.get(key);
+                    if (!entry) {
+                        entry = this.lexChunk(chunk.text, links);
+                    }
+                    tokenCache.set(key, entry);
+                }
+                used.add(entry);
+                entry.tokens.forEach((token, index) => {
+                    token.sourceLine = chunk.line + entry.lines[index];
+                    tokens.push(token);
+                });
+            });
+            this.tokenCache = tokenCache;
+
+            // Document-wide steps still see every token: footnote numbers, heading ids, the [[toc]] list
+            if (this.marked.defaults.hooks) {
+                tokens = this.marked.defaults.hooks.processAllTokens(tokens);
+            }
+            if (this.marked.defaults.walkTokens) {
+                walkTokens(this.marked, tokens);
+            }
+
+            const htmlCache = new Map();
+            const blocks = [];
+            const removed = [];
+            const blockTokens = tokens.filter(token => token.type !== 'space');
+            for (let index = 0; index < blockTokens.length; index++) {
+                const token = blockTokens[index];
+                const key = this.blockKey(token, sanitize, signature);
+                let entry = htmlCache.get(key) || this.htmlCache.get(key);
+                if (!entry) {
+                    // Renderers may change the tokens they are given (marked adds task checkboxes to the text), so a
+                    // kept token is rendered from a copy
+                    const html = this.marked.parser([structuredClone(token)]);
+                    entry = { html, removed: [], open: false };
+                    if (sanitize) {
+                        const sanitized = this.sanitizer.sanitize(html);
+                        entry = { html: sanitized.html, removed: sanitized.removed, open: sanitized.open, source: html };
+                    }
+                    entry.html = MathRenderer.renderAll(entry.html);
+                }
+                htmlCache.set(key, entry);
+
+                const hasLine = token.type !== 'html' && token.raw && token.sourceLine;
+                const line = hasLine ? inputLine(token.sourceLine, options.sourceLines) : null;
+
+                // A block that leaves a comment or tag open takes in everything after it, as it does when the whole
+                // document is sanitized at once, so the rest is sanitized with it as one block
+                if (entry.open) {
+                    const rest = blockTokens.slice(index + 1).map(item => this.marked.parser([structuredClone(item)]));
+                    const sanitized = this.sanitizer.sanitize(entry.source + rest.join(''));
+                    removed.push(...sanitized.removed);
+                    blocks.push({ html: MathRenderer.renderAll(sanitized.html), line });
+                    break;
+                }
+
+                if (!entry.html) continue;
+                removed.push(...entry.removed);
+                blocks.push({ html: entry.html, line });
+            }
+            this.htmlCache = htmlCache;
+
+            return { blocks, removed };
+        }
+
+        /**
+         * Lex each chunk on its own, and merge a chunk into the one before it wherever marked would not end a block
+         * between them: the splitter misread an HTML block or a fence, a list item continues lazily, and so on.
+         * Lexing the chunks is then the same as lexing the whole document.
+         * @param {Array<{text: string, line: number}>} split - Chunks from splitChunks
+         * @returns {Array<{text: string, line: number, scan: Object}>} - Chunks with their tokens and link definitions (see lexChunk)
+         */
+        lexChunks(split) {
+            const scanCache = new Map();
+            const boundaryCache = new Map();
+            const scan = text => {
+                let entry = scanCache.get(text) || this.scanCache.get(text);
+                if (!entry) {
+                    entry = this.lexChunk(text, {});
+                }
+                scanCache.set(text, entry);
+                return entry;
+            };
+
+            // The split holds if the chunk's last block, lexed with the next chunk after it, still ends where it did
+            // and the next chunk's blocks are unchanged
+            const splitHolds = (chunk, next) => {
+                const tail = chunk.text.slice(chunk.scan.lastBlockOffset);
+                const key = `${tail}\u0000${next.text}`;
+                let holds = boundaryCache.has(key) ? boundaryCache.get(key) : this.boundaryCache.get(key);
+                if (holds === undefined) {
+                    const expected = blockSources(this.lexChunk(tail, {}).tokens).concat(blockSources(scan(next.text).tokens));
+                    const actual = blockSources(this.lexChunk(tail + next.text, {}).tokens);
+                    holds = expected.length === actual.length && expected.every((block, index) => block === actual[index]);
+                }
+                boundaryCache.set(key, holds);
+                return holds;
+            };
+
+            const chunks = [];
+            let index = 0;
+            while (index < split.length) {
+                const chunk = { text: split[index].text, line: split[index].line, scan: scan(split[index].text) };
+                let next = index + 1;
+                let step = 1;
+                while (next < split.length && !splitHolds(chunk, split[next])) {
+                    // Take in the next chunk, then twice as many each time, so a block left open to the end of a long
+                    // document (an unclosed fence or comment) costs a few lexes rather than one per chunk
+                    const end = Math.min(next + step, split.length);
+                    chunk.text += split.slice(next, end).map(item => item.text).join('');
+                    chunk.scan = scan(chunk.text);
+                    next = end;
+                    step *= 2;
+                }
+                chunks.push(chunk);
+                index = next;
+            }
+
+            this.scanCache = scanCache;
+            this.boundaryCache = boundaryCache;
+            return chunks;
+        }
+
+        /**
+         * @param {string} text - A chunk of Markdown (see splitChunks)
+         * @param {Object} links - Link reference definitions of the whole document
+         * @returns {{tokens: Array<Object>, lines: Array<number>, links: Object, lastBlockOffset: number}} - Top-level
+         *     tokens and the line each starts on (counted from 0), the link definitions marked found (including the
+         *     ones passed in), and where the last block starts in the text
+         */
+        lexChunk(text, links) {
+            const lexer = new marked.Lexer(this.marked.defaults);
+            Object.assign(lexer.tokens.links, links);
+            const tokens = lexer.lex(text);
+
+            const lines = [];
+            let cursor = 0;
+            let line = 0;
+            let lastBlockOffset = 0;
+            tokens.forEach(token => {
+                const offset = token.raw ? text.indexOf(token.raw, cursor) : -1;
+                if (offset !== -1) {
+                    line += countLines(text.slice(cursor, offset));
+                    cursor = offset + token.raw.length;
+                    if (token.type !== 'space') lastBlockOffset = offset;
+                }
+                lines.push(line);
+                if (offset !== -1) line += countLines(token.raw);
+            });
+
+            return { tokens, lines, links: Object.assign({}, lexer.tokens.links), lastBlockOffset };
+        }
+
+        /**
+         * Cache key of a block's HTML: its source plus what the rest of the document decides about it
+         * (heading ids, footnote numbers, reference link targets, the headings listed by [[toc]])
+         * @param {Object} token - Top-level token
+         * @param {boolean} sanitize
+         * @param {string} linkSignature - Link reference definitions of the document (see parseBlocks)
+         * @returns {string}
+         */
+        blockKey(token, sanitize, linkSignature) {
+            const parts = [sanitize ? 'sanitized' : 'raw', token.type, token.raw];
+            if (token.type === 'heading') {
+                parts.push(token.id);
+            } else if (token.type === 'tableOfContents') {
+                parts.push(JSON.stringify(this.headings));
+            } else if (token.type === 'footnotes') {
+                parts.push(JSON.stringify(token.items.map(item => [item.raw, item.number, item.references])));
+            }
+
+            // Only walk the tokens when something in the block can depend on the rest of the document
+            if (token.raw.indexOf('[') !== -1) parts.push(linkSignature);
+            if (token.raw.indexOf('[^') !== -1 || (CONTAINER_TYPES.includes(token.type) && NESTED_HEADING.test(token.raw))) {
+                parts.push(JSON.stringify(token, DOCUMENT_FIELDS));
+            }
+            return parts.join('\u0000');
+        }
+
+        /**
+         * Switch the language of Easy Mode keywords and formatted dates. English keywords keep working in
+         * every locale; the locale's own ones ("negrita:", "titre 1:") are added to them.
+         * @param {string} [locale='en'] - Locale pack id, e.g. 'fr' (unknown ids fall back to English)
+         */
+        setLocale(locale) {
+            this.locale = Locales.get(locale || Locales.DEFAULT_LOCALE);
+            this.easyCommands.setAliases(this.locale.commands);
+        }
+
+        /**
+         * Add or replace an Easy Mode command
+         * @param {Object} command - { name, pattern: RegExp, replacement, description, example } or a
+         *     JSON-safe definition { name, keyword, template, description, example }
+         * @returns {Object} - The registered command
+         */
+        registerEasyCommand(command) {
+            return typeof command.template === 'string'
+                ? this.easyCommands.registerDefinition(command)
+                : this.easyCommands.register(command);
+        }
+
+        unregisterEasyCommand(name) {
+            return this.easyCommands.unregister(name);
+        }
+
+        /**
+         * Render an Easy Mode example to sanitized HTML (used by the help reference)
+         * @param {string} example - Example input, e.g. "bold this: Your text"
+         * @returns {string} - HTML without the wrapping paragraph
+         */
+        renderEasyExample(example) {
+            const html = this.parse(this.transformLines(example).markdown);
+            return this.sanitizer.sanitize(html).html.trim().replace(/^<p>([\s\S]*)<\/p>$/, '$1');
+        }
+
+        /**
+         * Rewrite standard Markdown as Easy Mode commands (the reverse of transformEasySyntaxToMarkdown)
+         * @param {string} markdownText - Markdown source
+         * @returns {{text: string, changes: Array<Object>}} - Easy Mode text and the rewritten lines
+         */
+        convertMarkdownToEasy(markdownText) {
+            return MarkdownToEasyConverter.convert(markdownText);
+        }
+
+        /**
+         * Smart Markdown Input Parser
+         * Transforms natural language commands into valid Markdown syntax
+         * @param {string} inputText - Raw user input
+         * @returns {string} - Transformed Markdown text
+         */
+        transformEasySyntaxToMarkdown(inputText) {
+            const result = this.transformLines(inputText);
+            this.conversionLog = result.conversionLog; // Reset conversion log
+            this.sourceLines = result.sourceLines;
+            this.commandWarnings = result.commandWarnings;
+            return result.markdown;
+        }
+
+        /**
+         * Line-by-line Easy Mode pass. Keeps track of multi-line context: code blocks (whose lines
+         * are never rewritten), tables built from "table:"/"row:" lines and nested list items.
+         * @param {string} inputText - Raw user input
+         * @returns {{markdown: string, conversionLog: Array, sourceLines: Array<number>, commandWarnings: Array}} -
+         *     sourceLines maps each Markdown line to the input line it came from (a "table:" line, for example,
+         *     becomes two lines); commandWarnings lists lines that look like a mistyped command
+         */
+        transformLines(inputText) {
+            if (!inputText || inputText.trim() === '') return { markdown: inputText, conversionLog: [], sourceLines: [], commandWarnings: [] };
+
+            const lines = inputText.split('\n');
+            const transformedLines = [];
+            const conversionLog = [];
+            const sourceLines = []; // Input line number (1-based) of each output line
+            const commandWarnings = []; // Lines that look like a mistyped command
+            let fence = null; // Open code block: { easy: true } or { marker: '```' }
+            let inTable = false;
+            let listStack = []; // Open list levels: { sourceIndent, outputIndent, markerWidth }
+
+            const log = (index, original, transformed, command) => {
+                conversionLog.push({
+                    lineNumber: index + 1,
+                    original,
+                    transformed,
+                    command: command.name,
+                    description: command.description
+                });
+            };
+
+            // Output lines are emitted together with the input line they came from
+            const emit = (index, text) => {
+                transformedLines.push(text);
+                text.split('\n').forEach(() => sourceLines.push(index + 1));
+            };
+
+            // A table only ends at a blank line, so separate it from whatever follows
+            const closeTable = (index, line) => {
+                if (inTable && line.trim() !== '') {
+                    emit(index, '');
+                }
+                inTable = false;
+            };
+
+            lines.forEach((line, index) => {
+                // Inside a code block: copy lines verbatim until the block closes
+                if (fence) {
+                    if (fence.easy) {
+                        const match = this.easyCommands.apply(line.trim());
+                        if (match && match.command.block === 'code-end') {
+                            fence = null;
+                            emit(index, match.line);
+                            log(index, line, match.line, match.command);
+                            return;
+                        }
+                    } else if (new RegExp(`^\\s{0,3}${fence.marker[0]}{${fence.marker.length},}\\s*$`).test(line)) {
+                        fence = null;
+                    }
+                    emit(index, line);
+                    return;
+                }
+
+                // Regular Markdown code fence
+                const fenceMatch = /^\s{0,3}(`{3,}|~{3,})/.exec(line);
+                if (fenceMatch) {
+                    closeTable(index, line);
+                    listStack = [];
+                    fence = { marker: fenceMatch[1] };
+                    emit(index, line);
+                    return;
+                }
+
+                // Skip empty lines and lines that are already valid Markdown
+                if (line.trim() === '' || this.isAlreadyMarkdown(line)) {
+                    closeTable(index, line);
+                    if (line.trim() !== '') listStack = [];
+                    emit(index, line);
+                    return;
+                }
+
+                // Transform natural language patterns to Markdown (first matching command wins)
+                let match = this.easyCommands.apply(line);
+                const block = match ? match.command.block : null;
+
+                // "row:" only means something directly under a table
+                const underTable = inTable;
+                if (block === 'row' && !inTable) {
+                    match = null;
+                }
+                if (block !== 'row') {
+                    closeTable(index, line);
+                }
+                if (block !== 'list') {
+                    listStack = [];
+                }
+
+                if (!match) {
+                    const suggestion = block ? null : this.easyCommands.suggest(line, { inTable: underTable });
+                    if (suggestion) {
+                        commandWarnings.push({
+                            lineNumber: index + 1,
+                            original: line,
+                            keyword: suggestion.keyword,
+                            suggestion: suggestion.suggestion,
+                            exact: suggestion.exact,
+                            description: suggestion.command.description
+                        });
+                    }
+                    emit(index, line);
+                    return;
+                }
+
+                let transformedLine = match.line;
+                if (block === 'code-start') {
+                    fence = { easy: true };
+                } else if (block === 'table') {
+                    inTable = true;
+                } else if (block === 'list') {
+                    transformedLine = this.nestListItem(line, transformedLine, listStack);
+                }
+
+                // Log the transformation
+                log(index, line, transformedLine, match.command);
+                emit(index, transformedLine);
+            });
+
+            return { markdown: transformedLines.join('\n'), conversionLog, sourceLines, commandWarnings };
+        }
+
+        /**
+         * Indent a converted list item so its nesting follows the indentation of the source line
+         * @param {string} sourceLine - Original Easy Mode line (with its leading whitespace)
+         * @param {string} markdownLine - Converted item, e.g. "- text" or "1. text"
+         * @param {Array<Object>} listStack - Open list levels, updated in place
+         * @returns {string} - Item indented for valid GFM nesting
+         */
+        nestListItem(sourceLine, markdownLine, listStack) {
+            const sourceIndent = sourceLine.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+            while (listStack.length > 0 && listStack[listStack.length - 1].sourceIndent > sourceIndent) {
+                listStack.pop();
+            }
+
+            let outputIndent = 0;
+            const parent = listStack[listStack.length - 1];
+            if (parent && parent.sourceIndent === sourceIndent) {
+                // Sibling of the current item
+                outputIndent = parent.outputIndent;
+                listStack.pop();
+            } else if (parent) {
+                // Child: align with the parent's text, past its marker
+                outputIndent = parent.outputIndent + parent.markerWidth;
+            }
+
+            listStack.push({ sourceIndent, outputIndent, markerWidth: markdownLine.indexOf(' ') + 1 });
+            return ' '.repeat(outputIndent) + markdownLine;
+        }
+
+        /**
+         * Check if a line is already valid Markdown syntax
+         * @param {string} line - Line to check
+         * @returns {boolean} - True if already Markdown
+         */
+        isAlreadyMarkdown(line) {
+            const trimmed = line.trim();
+            return MARKDOWN_PATTERNS.some(pattern => pattern.test(trimmed));
+        }
+
+        getFormattedDate() {
+            const now = new Date();
+            return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+        }
+
+        // Date and time in the locale's format, e.g. "October 19, 2026 at 09:15:00 AM" or "19 octobre 2026 à 09:15:00"
+        getFormattedDateTime() {
+            const now = new Date();
+            return now.toLocaleString(this.locale.dateLocale, {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+        }
+
+        /**
+         * Stylesheet for exported documents: the export theme, code highlighting, then custom CSS
+         * @param {Object} [options] - Per-call overrides of the export settings
+         * @param {boolean} [options.print=false] - Add print layout rules (page margins, no shadows, visible link URLs)
+         * @returns {string} - CSS text
+         */
+        getDocumentCSS(options = {}) {
+            const settings = Object.assign({}, this.exportSettings, options);
+            const parts = [
+                ExportThemes.getCSS(settings.theme),
+                `/* Code highlighting (${this.options.codeTheme} theme) */\n${CodeHighlighter.getThemeCSS(this.options.codeTheme)}`,
+                TOC_CSS,
+                GFM_EXTRAS_CSS,
+                MATH_DIAGRAM_CSS,
+                settings.footer ? FOOTER_CSS : ''
+            ];
+
+            if (settings.print) {
+                parts.push(PRINT_CSS);
+            }
+            if (String(settings.customCSS || '').trim()) {
+                parts.push(`/* Custom CSS */\n${settings.customCSS.trim()}`);
+            }
+
+            return parts.filter(Boolean).join('\n\n') + '\n';
+        }
+
+        /**
+         * Wrap converted HTML in a standalone document
+         * @param {string} htmlContent - Converted HTML fragment
+         * @param {Object} [options] - Per-call overrides of the export settings, plus:
+         * @param {string} [options.stylesheetHref] - Link this stylesheet instead of inlining the CSS
+         * @param {boolean} [options.print=false] - Use the print layout (see getDocumentCSS)
+         * @param {Object} [options.metadata] - Front matter values (defaults to those of the last conversion)
+         * @returns {string} - Complete HTML document
+         */
+        createCompleteHTMLDocument(htmlContent, options = {}) {
+            const settings = Object.assign({}, this.exportSettings, options);
+            const metadata = settings.metadata || this.frontMatter || {};
+            const title = metadata.title
+                ? String(metadata.title)
+                : String(settings.title || EXPORT_DEFAULTS.title).replace(/\{date\}/g, this.getFormattedDate());
+            const lang = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(settings.lang || '') ? settings.lang : EXPORT_DEFAULTS.lang;
+
+            const styles = settings.stylesheetHref
+                ? `    <link rel="stylesheet" href="${this.escapeHtml(settings.stylesheetHref)}">`
+                : `    <style>
+${this.getDocumentCSS(settings).replace(/^(?=.)/gm, '        ')}    </style>`;
+
+            const footer = settings.footer ? `
+
+<footer class="export-footer">
+    <p>${this.escapeHtml(String(settings.footerText || '').replace(/\{date\}/g, this.getFormattedDateTime()))}</p>
+</footer>` : '';
+
+            return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHtml(title)}</title>
+${this.createMetaTags(metadata, title)}${styles}
+</head>
+<body>
+${htmlContent}${footer}
+</body>
+</html>`;
+        }
+
+        /**
+         * Description, author, keyword and Open Graph tags for a document's front matter
+         * @param {Object} metadata - Front matter values (title, author, date, description, tags)
+         * @param {string} title - Document title
+         * @returns {string} - <meta> lines (empty when there is no front matter)
+         */
+        createMetaTags(metadata, title) {
+            if (!metadata || Object.keys(metadata).length === 0) return '';
+
+            const tags = FrontMatter.toList(metadata.tags);
+            const text = value => (value === undefined || value === null ? '' : String(value).trim());
+            const entries = [
+                ['name', 'description', text(metadata.description)],
+                ['name', 'author', text(metadata.author)],
+                ['name', 'keywords', tags.join(', ')],
+                ['property', 'og:type', 'article'],
+                ['property', 'og:title', title],
+                ['property', 'og:description', text(metadata.description)],
+                ['property', 'article:author', text(metadata.author)],
+                ['property', 'article:published_time', text(metadata.date)]
+            ].concat(tags.map(tag => ['property', 'article:tag', tag]));
+
+            return entries
+                .filter(([, , content]) => content)
+                .map(([attribute, name, content]) => `    <meta ${attribute}="${name}" content="${this.escapeHtml(content)}">\n`)
+                .join('');
+        }
+
+        escapeHtml(text) {
+            return HtmlTokenizer.escapeHtml(text);
+        }
+
+        /**
+         * Remove the source line attributes added by the sourceMap option
+         * @param {string} html - Preview HTML
+         * @returns {string}
+         */
+        static stripSourceLines(html) {
+            return html.replace(SOURCE_LINE_PATTERN, '');
+        }
+
+        /**
+         * Tag a block's first element with its source line
+         * @param {{html: string, line: ?number}} block
+         * @returns {string}
+         */
+        static addSourceLine(block) {
+            if (!block.line) return block.html;
+            return block.html.replace(/^<([a-zA-Z][\w-]*)/, `<$1 ${SOURCE_LINE_ATTRIBUTE}="${block.line}"`);
+        }
+
+        static get EXPORT_DEFAULTS() {
+            return Object.assign({}, EXPORT_DEFAULTS);
+        }
+    }
+
+    return MarkdownConverterCore;
+}));
@@ -0,0 +1,183 @@
+// Markdown to HTML Converter - CSS Inliner
+// Copies stylesheet rules onto style attributes, for pasting formatted documents into email and docs editors
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CssInliner = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // States a pasted document is never in, and generated content that style attributes can't express
+    const UNSUPPORTED_SELECTOR = /::|:(?:hover|focus|focus-within|focus-visible|active|visited|target|before|after|first-line|first-letter)\b/i;
+
+    // Rules for the page itself apply to the element holding the document
+    const PAGE_SELECTOR = /(^|[\s>+~(])(?:html|body|:root)(?=$|[\s>+~.#:[)])/gi;
+    const ROOT_ATTRIBUTE = 'data-css-inliner-root';
+
+    class CssInliner {
+        /**
+         * Split a stylesheet into style rules, one per selector; at-rules (@media, @page...) are skipped
+         * @param {string} css
+         * @returns {Array<{selector: string, specificity: Array<number>, declarations: Array<{property: string, value: string, important: boolean}>, order: number}>}
+         */
+        static parseRules(css) {
+            const source = String(css || '').replace(/\/\*[\s\S]*?\*\//g, '');
+            const rules = [];
+            let position = 0;
+
+            while (position < source.length) {
+                const open = source.indexOf('{', position);
+                const semicolon = source.indexOf(';', position);
+                if (open === -1) break;
+
+                // Statement at-rules such as @import end at a semicolon
+                if (semicolon !== -1 && semicolon < open && /^\s*@/.test(source.slice(position, semicolon))) {
+                    position = semicolon + 1;
+                    continue;
+                }
+
+                const prelude = source.slice(position, open).trim();
+                const close = findBlockEnd(source, open);
+                const body = source.slice(open + 1, close);
+                position = close + 1;
+
+                if (prelude.startsWith('@')) continue;
+
+                const declarations = parseDeclarations(body);
+                if (declarations.length === 0) continue;
+
+                splitSelectors(prelude).forEach(selector => {
+                    rules.push({ selector, specificity: CssInliner.specificity(selector), declarations, order: rules.length });
+                });
+            }
+
+            return rules;
+        }
+
+        /**
+         * Write the stylesheet's rules into the style attributes of an element and its descendants.
+         * Rules for html and body apply to the element itself; existing style attributes win.
+         * @param {Element} element - Element holding the document
+         * @param {string} css - Stylesheet
+         * @returns {number} - Number of elements that received styles
+         */
+        static inline(element, css) {
+            const rules = CssInliner.parseRules(css)
+                .filter(rule => !UNSUPPORTED_SELECTOR.test(rule.selector))
+                .map(rule => Object.assign({}, rule, { selector: rule.selector.replace(PAGE_SELECTOR, `$1[${ROOT_ATTRIBUTE}]`) }))
+                .sort(compareRules);
+
+            element.setAttribute(ROOT_ATTRIBUTE, '');
+            const elements = [element].concat(Array.from(element.querySelectorAll('*')));
+            let styled = 0;
+
+            elements.forEach(target => {
+                const styles = new Map();
+                const important = new Set();
+
+                rules.forEach(rule => {
+                    if (!matches(target, rule.selector)) return;
+                    rule.declarations.forEach(declaration => {
+                        if (important.has(declaration.property) && !declaration.important) return;
+                        styles.delete(declaration.property); // Keep the declaration order of the winning rule
+                        styles.set(declaration.property, declaration.value);
+                        if (declaration.important) important.add(declaration.property);
+                    });
+                });
+
+                if (styles.size === 0) return;
+                parseDeclarations(target.getAttribute('style') || '').forEach(declaration => {
+                    styles.delete(declaration.property);
+                    styles.set(declaration.property, declaration.value);
+                });
+
+                target.setAttribute('style', Array.from(styles, ([property, value]) => `${property}: ${value}`).join('; '));
+                styled++;
+            });
+
+            element.removeAttribute(ROOT_ATTRIBUTE);
+            return styled;
+        }
+
+        /**
+         * Selector specificity as [ids, classes/attributes/pseudo-classes, types]
+         * @param {string} selector - A single selector
+         * @returns {Array<number>}
+         */
+        static specificity(selector) {
+            const text = String(selector)
+                .replace(/"[^"]*"|'[^']*'/g, '')
+                .replace(/:not\(([^)]*)\)/g, ' $1'); // :not() counts as its argument
+            const ids = (text.match(/#[\w-]+/g) || []).length;
+            const classes = (text.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)[\w-]+(?:\([^)]*\))?/g) || []).length;
+            const types = (text.replace(/#[\w-]+|\.[\w-]+|\[[^\]]*\]|:+[\w-]+(?:\([^)]*\))?/g, ' ').match(/(^|[\s>+~])[a-z][\w-]*/gi) || []).length;
+            return [ids, classes, types];
+        }
+    }
+
+    function compareRules(a, b) {
+        for (let index = 0; index < 3; index++) {
+            if (a.specificity[index] !== b.specificity[index]) return a.specificity[index] - b.specificity[index];
+        }
+        return a.order - b.order;
+    }
+
+    function matches(element, selector) {
+        try {
+            return element.matches(selector);
+        } catch (error) {
+            return false; // Selectors the browser doesn't understand match nothing
+        }
+    }
+
+    function findBlockEnd(source, open) {
+        let depth = 0;
+        for (let index = open; index < source.length; index++) {
+            if (source[index] === '{') depth++;
+            if (source[index] === '}' && --depth === 0) return index;
+        }
+        return source.length;
+    }
+
+    function parseDeclarations(body) {
+        const declarations = [];
+        const pattern = /([\w-]+)\s*:\s*((?:[^;"']|"[^"]*"|'[^']*')+)/g;
+        let match;
+
+        while ((match = pattern.exec(body)) !== null) {
+            const value = match[2].trim();
+            const important = /!\s*important$/i.test(value);
+            declarations.push({
+                property: match[1].toLowerCase(),
+                value: important ? value.replace(/\s*!\s*important$/i, '') : value,
+                important
+            });
+        }
+        return declarations;
+    }
+
+    // Split "h1, h2, a:not(.x, .y)" on the commas between selectors only
+    function splitSelectors(prelude) {
+        const selectors = [];
+        let depth = 0;
+        let current = '';
+
+        for (const character of prelude) {
+            if (character === '(' || character === '[') depth++;
+            if (character === ')' || character === ']') depth--;
+            if (character === ',' && depth === 0) {
+                selectors.push(current.trim());
+                current = '';
+            } else {
+                current += character;
+            }
+        }
+        selectors.push(current.trim());
+        return selectors.filter(Boolean);
+    }
+
+    return CssInliner;
+}));
@@ -0,0 +1,169 @@
+// Markdown to HTML Converter - Diagram Renderer
+// ```mermaid and ```flowchart fences: placeholders from the parser, turned into inline SVG by mermaid in the browser
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(root, require('./html-tokenizer.js'));
+    } else {
+        root.DiagramRenderer = factory(root, root.HtmlTokenizer);
+    }
+}(typeof self !== 'undefined' ? self : this, function (root, HtmlTokenizer) {
+    'use strict';
+
+    // Fence names rendered as diagrams; a flowchart fence may leave out the "flowchart TD" line
+    const DIAGRAM_LANGUAGES = ['mermaid', 'flowchart'];
+    const FLOWCHART_HEADER = /^\s*(?:%%[^\n]*\n\s*)*(?:flowchart|graph)\b/;
+
+    const PLACEHOLDER_PATTERN = /<div((?: [\w-]+="[^"]*")*?) class="diagram"([^>]*)><pre class="diagram-source">([^<]*)<\/pre><\/div>/g;
+
+    // Plain SVG text instead of HTML labels in <foreignObject>, so diagrams survive email and docs editors
+    const MERMAID_CONFIG = {
+        startOnLoad: false,
+        securityLevel: 'strict',
+        theme: 'default',
+        htmlLabels: false,
+        flowchart: { htmlLabels: false }
+    };
+
+    class DiagramRenderer {
+        /**
+         * @param {Object} [options]
+         * @param {string} [options.scriptUrl='libs/mermaid.min.js'] - Loaded on the first diagram, not with the page
+         */
+        constructor(options = {}) {
+            this.scriptUrl = options.scriptUrl || 'libs/mermaid.min.js';
+            this.cache = new Map(); // diagram source → markup that replaces the placeholder's content
+            this.loading = null;
+            this.nextId = 1;
+        }
+
+        /**
+         * @param {string} lang - Fence info string
+         * @returns {boolean} - True for fences rendered as diagrams
+         */
+        static isDiagram(lang) {
+            return DIAGRAM_LANGUAGES.includes(String(lang || '').trim().split(/\s+/)[0].toLowerCase());
+        }
+
+        /**
+         * Markup the parser emits for a diagram fence; the source stays readable where mermaid isn't available (CLI)
+         * @param {string} code - Fence content
+         * @param {string} lang - 'mermaid' or 'flowchart'
+         * @returns {string}
+         */
+        static placeholder(code, lang) {
+            let source = code.replace(/\n$/, '');
+            if (String(lang).trim().toLowerCase().startsWith('flowchart') && !FLOWCHART_HEADER.test(source)) {
+                source = `flowchart TD\n${source}`;
+            }
+            return `<div class="diagram"><pre class="diagram-source">${HtmlTokenizer.escapeHtml(source)}</pre></div>\n`;
+        }
+
+        /**
+         * @param {string} html
+         * @returns {boolean} - True if the HTML still has diagrams waiting to be rendered
+         */
+        static hasPlaceholders(html) {
+            return String(html).indexOf('<pre class="diagram-source">') !== -1;
+        }
+
+        /**
+         * Fill in the diagrams that have been rendered before; the rest keep their placeholder
+         * @param {string} html
+         * @returns {string}
+         */
+        renderCached(html) {
+            if (!DiagramRenderer.hasPlaceholders(html)) return html;
+
+            return html.replace(PLACEHOLDER_PATTERN, (match, before, after, escapedSource) => {
+                const markup = this.cache.get(HtmlTokenizer.decodeEntities(escapedSource));
+                return markup === undefined ? match : `<div${before} class="diagram"${after}>${markup}</div>`;
+            });
+        }
+
+        /**
+         * Render every diagram in an HTML fragment to inline SVG
+         * @param {string} html
+         * @returns {Promise<string>}
+         */
+        async renderAll(html) {
+            const sources = [];
+            html.replace(PLACEHOLDER_PATTERN, (match, before, after, escapedSource) => {
+                sources.push(HtmlTokenizer.decodeEntities(escapedSource));
+                return match;
+            });
+
+            // mermaid keeps state between renders, so diagrams are rendered one at a time
+            for (const source of sources) {
+                await this.render(source);
+            }
+            return this.renderCached(html);
+        }
+
+        /**
+         * @param {string} source - Mermaid diagram definition
+         * @returns {Promise<?string>} - SVG markup, the source with an error message if the diagram is invalid,
+         *     or null if mermaid could not be loaded
+         */
+        async render(source) {
+            if (this.cache.has(source)) return this.cache.get(source);
+
+            let mermaid;
+            try {
+                mermaid = await this.load();
+            } catch (error) {
+                console.error('Failed to load mermaid:', error);
+                return null;
+            }
+
+            let markup;
+            try {
+                const { svg } = await mermaid.render(`diagram-${this.nextId++}`, source);
+                markup = svg;
+            } catch (error) {
+                console.error('Diagram rendering failed:', error);
+                const message = String(error && error.message || error).split('\n')[0];
+                markup = `<pre class="diagram-source">${HtmlTokenizer.escapeHtml(source)}</pre><p class="diagram-error">⚠️ ${HtmlTokenizer.escapeHtml(message)}</p>`;
+            }
+
+            this.cache.set(source, markup);
+            return markup;
+        }
+
+        /**
+         * Load mermaid from libs/ on first use
+         * @returns {Promise<Object>}
+         */
+        load() {
+            if (!this.loading) {
+                this.loading = new Promise((resolve, reject) => {
+                    if (root.mermaid) {
+                        resolve(root.mermaid);
+                        return;
+                    }
+                    if (typeof document === 'undefined') {
+                        reject(new Error('Diagrams can only be rendered in the browser'));
+                        return;
+                    }
+
+                    const script = document.createElement('script');
+                    script.src = this.scriptUrl;
+                    script.onload = () => root.mermaid ? resolve(root.mermaid) : reject(new Error('mermaid did not load'));
+                    script.onerror = () => reject(new Error(`Could not load ${this.scriptUrl}`));
+                    document.head.appendChild(script);
+                }).then(mermaid => {
+                    mermaid.initialize(MERMAID_CONFIG);
+                    return mermaid;
+                });
+
+                // Let a later diagram try again after a failed load
+                this.loading.catch(() => {
+                    this.loading = null;
+                });
+            }
+            return this.loading;
+        }
+    }
+
+    return DiagramRenderer;
+}));
@@ -0,0 +1,276 @@
+// Markdown to HTML Converter - Document Statistics
+// Word counts, reading time, section lengths and readability of the rendered HTML
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./html-tokenizer.js'));
+    } else {
+        root.DocumentStats = factory(root.HtmlTokenizer);
+    }
+}(typeof self !== 'undefined' ? self : this, function (HtmlTokenizer) {
+    'use strict';
+
+    // Elements that start a new run of text (a sentence never continues across them)
+    const BLOCK_TAGS = [
+        'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+        'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+        'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+    ];
+
+    // Content the reader doesn't read as prose: formulas, diagrams, scripts
+    const SKIPPED_TAGS = ['math', 'svg', 'script', 'style', 'template', 'noscript'];
+
+    // Generated markup that isn't part of the author's text
+    const SKIPPED_CLASSES = ['table-of-contents', 'diagram', 'callout-title', 'footnote-ref', 'footnote-backref'];
+
+    const CJK_CHARACTER = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]/g;
+    const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+    const SENTENCE_BREAK = /(?<=[.!?…]+['"”’)\]]*)\s+(?=\S)|(?<=[。！？])/u;
+
+    // Average silent reading speeds
+    const WORDS_PER_MINUTE = 200;
+    const CJK_CHARACTERS_PER_MINUTE = 500;
+
+    // Flesch Reading Ease and its adaptations: base - sentenceWeight * words/sentence - syllableWeight * syllables/word
+    const READABILITY_FORMULAS = {
+        en: { name: 'Flesch Reading Ease', base: 206.835, sentenceWeight: 1.015, syllableWeight: 84.6 },
+        es: { name: 'Szigriszt-Pazos', base: 206.835, sentenceWeight: 1, syllableWeight: 62.3 },
+        fr: { name: 'Kandel-Moles', base: 207, sentenceWeight: 1.015, syllableWeight: 73.6 }
+    };
+
+    const LONGEST_SENTENCES = 3;
+
+    class DocumentStats {
+        /**
+         * Measure the text of rendered HTML
+         * @param {string} html - Converted document HTML
+         * @param {Object} [options] - Analysis options
+         * @param {string} [options.lang='en'] - Document language; picks the readability formula
+         * @returns {Object} - Counts, reading time, sections, readability and the longest sentences
+         */
+        static analyze(html, options = {}) {
+            const blocks = DocumentStats.extractBlocks(html);
+            const stats = {
+                words: 0,
+                characters: 0,
+                charactersNoSpaces: 0,
+                readingMinutes: 0,
+                sentences: 0,
+                sections: [],
+                readability: null,
+                longestSentences: [],
+                links: blocks.links,
+                images: blocks.images,
+                codeBlocks: blocks.codeBlocks
+            };
+
+            let latinWords = 0;
+            let cjkCharacters = 0;
+            const sentences = [];
+            const intro = { level: 0, text: '', id: '', words: 0 };
+            const open = [];
+
+            blocks.items.forEach(block => {
+                const counts = DocumentStats.countWords(block.text);
+                latinWords += counts.latin;
+                cjkCharacters += counts.cjk;
+                stats.characters += block.text.length;
+                stats.charactersNoSpaces += block.text.replace(/\s/g, '').length;
+
+                if (block.kind === 'heading') {
+                    while (open.length > 0 && open[open.length - 1].level >= block.level) open.pop();
+                    const section = { level: block.level, text: block.text, id: block.id, words: 0 };
+                    stats.sections.push(section);
+                    open.push(section);
+                    return;
+                }
+
+                const words = counts.latin + counts.cjk;
+                if (open.length === 0) {
+                    intro.words += words;
+                } else {
+                    open.forEach(section => {
+                        section.words += words;
+                    });
+                }
+
+                if (block.kind === 'prose') {
+                    DocumentStats.splitSentences(block.text).forEach(text => sentences.push(text));
+                }
+            });
+
+            if (intro.words > 0) stats.sections.unshift(intro);
+
+            stats.words = latinWords + cjkCharacters;
+            stats.readingMinutes = latinWords / WORDS_PER_MINUTE + cjkCharacters / CJK_CHARACTERS_PER_MINUTE;
+            stats.sentences = sentences.length;
+            stats.readability = DocumentStats.readability(sentences, options.lang);
+            stats.longestSentences = sentences
+                .map(text => {
+                    const counts = DocumentStats.countWords(text);
+                    return { text, words: counts.latin + counts.cjk };
+                })
+                .sort((a, b) => b.words - a.words)
+                .slice(0, LONGEST_SENTENCES);
+
+            return stats;
+        }
+
+        /**
+         * Collect the visible text of the HTML as blocks, and count links, images and code blocks on the way
+         * @param {string} html - Rendered HTML
+         * @returns {{items: Array<{kind: string, text: string, level?: number, id?: string}>, links: number, images: number, codeBlocks: number}}
+         */
+        static extractBlocks(html) {
+            const result = { items: [], links: 0, images: 0, codeBlocks: 0 };
+            const stack = [];
+            let text = '';
+            let skipped = 0;
+            let heading = null;
+            let preformatted = 0;
+            let table = 0;
+
+            const flush = () => {
+                const content = preformatted ? text.trim() : text.replace(/\s+/g, ' ').trim();
+                text = '';
+                if (!content) return;
+
+                if (heading) {
+                    result.items.push({ kind: 'heading', text: content, level: heading.level, id: heading.id });
+                } else {
+                    result.items.push({ kind: preformatted ? 'code' : table ? 'table' : 'prose', text: content });
+                }
+            };
+
+            HtmlTokenizer.tokenize(html).forEach(token => {
+                if (token.type === 'text') {
+                    if (!skipped) text += HtmlTokenizer.decodeEntities(token.text);
+                    return;
+                }
+
+                if (token.type === 'start') {
+                    const tag = token.tagName;
+                    const attribute = name => {
+                        const found = token.attributes.find(item => item.name === name);
+                        return found ? found.value : '';
+                    };
+                    const classes = attribute('class').split(/\s+/);
+                    const skip = SKIPPED_TAGS.includes(tag) || classes.some(name => SKIPPED_CLASSES.includes(name));
+
+                    if (!skipped && !skip) {
+                        if (tag === 'a' && attribute('href')) result.links++;
+                        if (tag === 'img') result.images++;
+                        if (tag === 'pre') result.codeBlocks++;
+                    }
+
+                    if (BLOCK_TAGS.includes(tag)) flush();
+                    if (tag === 'br') text += '\n';
+                    if (token.selfClosing) return;
+
+                    stack.push({ tag, skip });
+                    if (skip) skipped++;
+                    if (/^h[1-6]$/.test(tag) && !skipped) heading = { level: Number(tag[1]), id: attribute('id') };
+                    if (tag === 'pre') preformatted++;
+                    if (tag === 'table') table++;
+                    return;
+                }
+
+                if (token.type === 'end') {
+                    const index = stack.map(entry => entry.tag).lastIndexOf(token.tagName);
+                    if (index === -1) return;
+                    if (BLOCK_TAGS.includes(token.tagName)) flush();
+
+                    stack.splice(index).forEach(entry => {
+                        if (entry.skip) skipped--;
+                        if (/^h[1-6]$/.test(entry.tag)) heading = null;
+                        if (entry.tag === 'pre') preformatted--;
+                        if (entry.tag === 'table') table--;
+                    });
+                }
+            });
+
+            flush();
+            return result;
+        }
+
+        /**
+         * Count words; in Chinese, Japanese and Korean text every character counts as a word
+         * @param {string} text - Plain text
+         * @returns {{latin: number, cjk: number}} - Words of space-separated scripts and CJK characters
+         */
+        static countWords(text) {
+            const cjk = (text.match(CJK_CHARACTER) || []).length;
+            const latin = (text.replace(CJK_CHARACTER, ' ').match(WORD) || []).length;
+            return { latin, cjk };
+        }
+
+        /**
+         * Split a paragraph into sentences
+         * @param {string} text - Text of one block
+         * @returns {Array<string>} - Sentences with at least one word
+         */
+        static splitSentences(text) {
+            return text.split(SENTENCE_BREAK)
+                .map(sentence => sentence.trim())
+                .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+        }
+
+        /**
+         * Reading ease score (0 = very difficult, 100 = very easy) of a list of sentences
+         * @param {Array<string>} sentences - Sentences of the document's prose
+         * @param {string} [lang='en'] - Language code; only the primary subtag is used
+         * @returns {{score: number, formula: string, wordsPerSentence: number, syllablesPerWord: number}|null}
+         *          - null when there is no prose or no formula for the language
+         */
+        static readability(sentences, lang = 'en') {
+            const language = String(lang || 'en').toLowerCase().split(/[-_]/)[0];
+            const formula = READABILITY_FORMULAS[language];
+            if (!formula || sentences.length === 0) return null;
+
+            let words = 0;
+            let syllables = 0;
+            sentences.forEach(sentence => {
+                (sentence.match(WORD) || []).forEach(word => {
+                    words++;
+                    syllables += DocumentStats.countSyllables(word, language);
+                });
+            });
+            if (words === 0) return null;
+
+            const wordsPerSentence = words / sentences.length;
+            const syllablesPerWord = syllables / words;
+            const score = formula.base - formula.sentenceWeight * wordsPerSentence - formula.syllableWeight * syllablesPerWord;
+
+            return {
+                score: Math.round(Math.min(Math.max(score, 0), 100)),
+                formula: formula.name,
+                wordsPerSentence: Math.round(wordsPerSentence * 10) / 10,
+                syllablesPerWord: Math.round(syllablesPerWord * 100) / 100
+            };
+        }
+
+        /**
+         * Estimate the syllables of a word from its vowel groups
+         * @param {string} word - A single word
+         * @param {string} language - Primary language subtag
+         * @returns {number} - At least 1
+         */
+        static countSyllables(word, language) {
+            let letters = word.toLowerCase().replace(/[^\p{L}]/gu, '');
+            if (!letters) return 1;
+
+            // Silent final e: "make", "rate" (but "table" keeps its syllable)
+            if (language === 'en' && letters.length > 2 && /[^aeiouy]e$/.test(letters) && !/[^aeiouy]le$/.test(letters)) {
+                letters = letters.slice(0, -1);
+            }
+            if (language === 'fr' && letters.length > 3) {
+                letters = letters.replace(/[^aeiouyàâéèêëîïôûùü]es?$/, match => match[0]);
+            }
+
+            const groups = letters.match(/[aeiouyàáâäæèéêëìíîïòóôöœùúûüÿ]+/g);
+            return groups ? groups.length : 1;
+        }
+    }
+
+    return DocumentStats;
+}));
@@ -0,0 +1,331 @@
+// Markdown to HTML Converter - Document Store
+// IndexedDB persistence for the document library, each document's version history and pasted images
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DocumentStore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DB_VERSION = 2;
+    const DOCUMENTS = 'documents';
+    const VERSIONS = 'versions';
+    const IMAGES = 'images';
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function createMemoryStore() {
+        return { documents: new Map(), versions: new Map(), images: new Map(), nextVersionId: 1 };
+    }
+
+    function createBlockedError() {
+        const error = new Error('The document library is still open in another tab; close the other tabs of this page and reload');
+        error.code = 'blocked';
+        return error;
+    }
+
+    function createId() {
+        return `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    class DocumentStore {
+        /**
+         * @param {Object} [options]
+         * @param {string} [options.dbName='markdownConverter'] - IndexedDB database name
+         * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (defaults to the global one)
+         * @param {number} [options.maxVersions=50] - Versions kept per document; older ones are pruned
+         */
+        constructor(options = {}) {
+            this.dbName = options.dbName || 'markdownConverter';
+            this.indexedDB = options.indexedDB !== undefined
+                ? options.indexedDB
+                : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+            this.maxVersions = options.maxVersions || 50;
+            this.db = null;
+
+            // Used when IndexedDB is unavailable (private browsing, file:// in some browsers);
+            // documents then only last for the session
+            this.memory = null;
+        }
+
+        /**
+         * Open (and if needed create) the database
+         * @returns {Promise<DocumentStore>}
+         */
+        async open() {
+            if (this.db || this.memory) return this;
+
+            if (!this.indexedDB) {
+                this.memory = createMemoryStore();
+                return this;
+            }
+
+            const request = this.indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(DOCUMENTS)) {
+                    db.createObjectStore(DOCUMENTS, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(VERSIONS)) {
+                    const versions = db.createObjectStore(VERSIONS, { keyPath: 'id', autoIncrement: true });
+                    versions.createIndex('documentId', 'documentId', { unique: false });
+                }
+                // Added in version 2
+                if (!db.objectStoreNames.contains(IMAGES)) {
+                    db.createObjectStore(IMAGES, { keyPath: 'name' });
+                }
+            };
+
+            // Another tab still has the database open at an older version and did not close it
+            const blocked = new Promise((resolve, reject) => {
+                request.onblocked = () => {
+                    request.onsuccess = () => request.result.close();
+                    reject(createBlockedError());
+                };
+            });
+
+            let db;
+            try {
+                db = await Promise.race([promisify(request), blocked]);
+            } catch (error) {
+                if (error.code === 'blocked') throw error;
+                console.error('IndexedDB unavailable, documents will not persist:', error);
+                this.memory = createMemoryStore();
+                return this;
+            }
+
+            // Let a newer version of the page, opened in another tab, upgrade the database
+            db.onversionchange = () => {
+                db.close();
+                if (this.db === db) this.db = null;
+            };
+            this.db = db;
+            return this;
+        }
+
+        /**
+         * @returns {boolean} - True if documents survive a page reload
+         */
+        get isPersistent() {
+            return !!this.db;
+        }
+
+        /**
+         * All documents, most recently edited first
+         * @returns {Promise<Array<Object>>}
+         */
+        async listDocuments() {
+            const documents = this.memory
+                ? Array.from(this.memory.documents.values())
+                : await this.run(DOCUMENTS, 'readonly', store => store.getAll());
+            return documents.sort((a, b) => b.updatedAt - a.updatedAt);
+        }
+
+        async getDocument(id) {
+            if (this.memory) return this.memory.documents.get(id) || null;
+            return (await this.run(DOCUMENTS, 'readonly', store => store.get(id))) || null;
+        }
+
+        /**
+         * Create a new document
+         * @param {Object} [fields]
+         * @param {string} [fields.name='Untitled document']
+         * @param {string} [fields.content='']
+         * @returns {Promise<Object>} - The stored document {id, name, content, createdAt, updatedAt}
+         */
+        async createDocument(fields = {}) {
+            const now = Date.now();
+            const document = {
+                id: createId(),
+                name: fields.name || 'Untitled document',
+                content: fields.content || '',
+                createdAt: now,
+                updatedAt: now
+            };
+            return this.putDocument(document);
+        }
+
+        /**
+         * Store changes to a document and bump its updatedAt
+         * @param {Object} document - Document with an id
+         * @returns {Promise<Object>}
+         */
+        async saveDocument(document) {
+            return this.putDocument(Object.assign({}, document, { updatedAt: Date.now() }));
+        }
+
+        async putDocument(document) {
+            if (this.memory) {
+                this.memory.documents.set(document.id, Object.assign({}, document));
+            } else {
+                await this.run(DOCUMENTS, 'readwrite', store => store.put(document));
+            }
+            return document;
+        }
+
+        /**
+         * Delete a document together with its version history and the images no other document uses
+         * @param {string} id - Document id
+         * @returns {Promise<Array<string>>} - Names of the deleted images
+         */
+        async deleteDocument(id) {
+            const versions = await this.listVersions(id);
+
+            if (this.memory) {
+                this.memory.documents.delete(id);
+                versions.forEach(version => this.memory.versions.delete(version.id));
+            } else {
+                await this.run([DOCUMENTS, VERSIONS], 'readwrite', (documents, versionStore) => {
+                    versions.forEach(version => versionStore.delete(version.id));
+                    return documents.delete(id);
+                });
+            }
+
+            return this.deleteUnusedImages();
+        }
+
+        /**
+         * Save a snapshot of a document's text
+         * @param {string} documentId - Document the version belongs to
+         * @param {string} content - Text to keep
+         * @param {string} [reason='Snapshot'] - Why it was taken, e.g. 'Before clear'
+         * @returns {Promise<Object>} - The stored version {id, documentId, content, reason, createdAt}
+         */
+        async addVersion(documentId, content, reason = 'Snapshot') {
+            const version = { documentId, content, reason, createdAt: Date.now() };
+
+            if (this.memory) {
+                version.id = this.memory.nextVersionId++;
+                this.memory.versions.set(version.id, version);
+            } else {
+                version.id = await this.run(VERSIONS, 'readwrite', store => store.add(version));
+            }
+
+            await this.pruneVersions(documentId);
+            return version;
+        }
+
+        /**
+         * Versions of a document, newest first
+         * @param {string} documentId
+         * @returns {Promise<Array<Object>>}
+         */
+        async listVersions(documentId) {
+            const versions = this.memory
+                ? Array.from(this.memory.versions.values()).filter(version => version.documentId === documentId)
+                : await this.run(VERSIONS, 'readonly', store => store.index('documentId').getAll(documentId));
+            return versions.sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+        }
+
+        async getVersion(id) {
+            if (this.memory) return this.memory.versions.get(id) || null;
+            return (await this.run(VERSIONS, 'readonly', store => store.get(id))) || null;
+        }
+
+        async pruneVersions(documentId) {
+            const stale = (await this.listVersions(documentId)).slice(this.maxVersions);
+            if (stale.length === 0) return;
+
+            if (this.memory) {
+                stale.forEach(version => this.memory.versions.delete(version.id));
+                return;
+            }
+            await this.run(VERSIONS, 'readwrite', store => {
+                stale.forEach(version => store.delete(version.id));
+            });
+        }
+
+        /**
+         * Store an image pasted or dropped into the editor. Images are shared by all documents,
+         * which refer to them by name.
+         * @param {Object} image - {name, type, size, dataUri}
+         * @returns {Promise<Object>} - The stored image, with createdAt
+         */
+        async putImage(image) {
+            const stored = Object.assign({ createdAt: Date.now() }, image);
+            if (this.memory) {
+                this.memory.images.set(stored.name, stored);
+            } else {
+                await this.run(IMAGES, 'readwrite', store => store.put(stored));
+            }
+            return stored;
+        }
+
+        async getImage(name) {
+            if (this.memory) return this.memory.images.get(name) || null;
+            return (await this.run(IMAGES, 'readonly', store => store.get(name))) || null;
+        }
+
+        /**
+         * @returns {Promise<Array<Object>>} - All stored images
+         */
+        async listImages() {
+            if (this.memory) return Array.from(this.memory.images.values());
+            return this.run(IMAGES, 'readonly', store => store.getAll());
+        }
+
+        /**
+         * Delete the images that no document or saved version mentions by name
+         * @returns {Promise<Array<string>>} - Names of the deleted images
+         */
+        async deleteUnusedImages() {
+            const images = await this.listImages();
+            if (images.length === 0) return [];
+
+            const [documents, versions] = this.memory
+                ? [Array.from(this.memory.documents.values()), Array.from(this.memory.versions.values())]
+                : await Promise.all([
+                    this.run(DOCUMENTS, 'readonly', store => store.getAll()),
+                    this.run(VERSIONS, 'readonly', store => store.getAll())
+                ]);
+            const texts = documents.concat(versions).map(item => item.content || '');
+            const unused = images
+                .map(image => image.name)
+                .filter(name => !texts.some(text => text.includes(name)));
+            if (unused.length === 0) return [];
+
+            if (this.memory) {
+                unused.forEach(name => this.memory.images.delete(name));
+            } else {
+                await this.run(IMAGES, 'readwrite', store => {
+                    unused.forEach(name => store.delete(name));
+                });
+            }
+            return unused;
+        }
+
+        /**
+         * Run requests in one transaction and resolve with the last request's result once it commits
+         * @param {string|Array<string>} storeNames - Object stores to open
+         * @param {string} mode - 'readonly' or 'readwrite'
+         * @param {Function} callback - Receives the object stores; may return an IDBRequest
+         * @returns {Promise<*>}
+         */
+        run(storeNames, mode, callback) {
+            const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+            if (!this.db) {
+                return Promise.reject(new Error('The document library was closed for a newer version of the page; reload to continue'));
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(names, mode);
+                const request = callback(...names.map(name => transaction.objectStore(name)));
+
+                transaction.oncomplete = () => resolve(request ? request.result : undefined);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+            });
+        }
+    }
+
+    return DocumentStore;
+}));
@@ -0,0 +1,379 @@
+// Markdown to HTML Converter - Document Templates
+// Built-in document templates with {{placeholder}} variables, and the snippets of the editor's Insert menu
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DocumentTemplates = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // {{name}}: a letter, then letters, digits, _ or -; spaces inside the braces are allowed
+    const PLACEHOLDER = /\{\{\s*([a-z][\w-]*)\s*\}\}/gi;
+
+    // Front matter block at the start of a template
+    const FRONT_MATTER = /^---[ \t]*\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/;
+
+    const TEMPLATES = [
+        {
+            id: 'release-notes',
+            name: 'Release Notes',
+            description: 'Highlights, features, fixes and upgrade notes for a version',
+            text: `---
+title: {{project}} {{version}} Release Notes
+author: {{author}}
+date: {{date}}
+---
+
+# {{project}} {{version}}
+
+Released on {{date}}.
+
+## Highlights
+
+-
+
+## New Features
+
+-
+
+## Bug Fixes
+
+-
+
+## Breaking Changes
+
+None.
+
+## Upgrading
+
+1.
+`
+        },
+        {
+            id: 'adr',
+            name: 'Architecture Decision Record',
+            description: 'Context, decision and consequences of a design choice (ADR)',
+            text: `---
+title: "ADR {{number}}: {{title}}"
+author: {{author}}
+date: {{date}}
+---
+
+# ADR {{number}}: {{title}}
+
+- **Status:** Proposed
+- **Date:** {{date}}
+- **Deciders:** {{author}}
+
+## Context
+
+What problem are we solving, and what forces (technical, business, team) are at play?
+
+## Decision
+
+What we decided to do, stated in full sentences: "We will ..."
+
+## Alternatives Considered
+
+| Option | Pros | Cons |
+| --- | --- | --- |
+|  |  |  |
+
+## Consequences
+
+What becomes easier or harder because of this decision, and what we need to follow up on.
+`
+        },
+        {
+            id: 'meeting-minutes',
+            name: 'Meeting Minutes',
+            description: 'Attendees, agenda, decisions and action items',
+            text: `---
+title: {{meeting}} - {{date}}
+author: {{author}}
+date: {{date}}
+---
+
+# {{meeting}}
+
+**Date:** {{date}}
+**Note taker:** {{author}}
+**Attendees:**
+
+## Agenda
+
+1.
+
+## Notes
+
+## Decisions
+
+-
+
+## Action Items
+
+- [ ] Task (owner, due date)
+`
+        },
+        {
+            id: 'readme',
+            name: 'README',
+            description: 'Project overview, installation, usage and license',
+            text: `# {{project}}
+
+{{description}}
+
+[[toc]]
+
+## Installation
+
+\`\`\`bash
+git clone https://github.com/{{author}}/{{project}}.git
+\`\`\`
+
+## Usage
+
+## Contributing
+
+Pull requests are welcome. For larger changes, please open an issue first to discuss what you would like to change.
+
+## License
+
+Copyright {{year}} {{author}}. Released under the MIT License.
+`
+        }
+    ];
+
+    // Insert menu entries: the Markdown, the Easy Mode version (Markdown is used where there is no command),
+    // and the text selected after inserting, ready to be typed over
+    const SNIPPETS = [
+        {
+            id: 'table',
+            name: 'Table',
+            description: 'Header row and one row of cells',
+            markdown: '| Column 1 | Column 2 |\n| --- | --- |\n| Cell | Cell |',
+            easy: 'table: Column 1 | Column 2\nrow: Cell | Cell',
+            select: 'Column 1'
+        },
+        {
+            id: 'code-block',
+            name: 'Code block',
+            description: 'Fenced code with a language',
+            markdown: '```javascript\nconsole.log(\'Hello\');\n```',
+            easy: 'code block: javascript\nconsole.log(\'Hello\');\nend code',
+            select: 'javascript'
+        },
+        {
+            id: 'note',
+            name: 'Note callout',
+            description: 'Highlighted note box',
+            markdown: '> [!NOTE]\n> Note text',
+            easy: 'note this: Note text',
+            select: 'Note text'
+        },
+        {
+            id: 'warning',
+            name: 'Warning callout',
+            description: 'Highlighted warning box',
+            markdown: '> [!WARNING]\n> Warning text',
+            easy: 'warning this: Warning text',
+            select: 'Warning text'
+        },
+        {
+            id: 'tasks',
+            name: 'Task list',
+            description: 'Checkboxes you can tick in the preview',
+            markdown: '- [ ] First task\n- [ ] Second task',
+            easy: 'todo: First task\ntodo: Second task',
+            select: 'First task'
+        },
+        {
+            id: 'image',
+            name: 'Image',
+            description: 'Alt text and image address',
+            markdown: '![Alt text](image.png)',
+            easy: 'image this: Alt text | image.png',
+            select: 'Alt text'
+        },
+        {
+            id: 'footnote',
+            name: 'Footnote',
+            description: 'Reference and its note',
+            markdown: 'Text with a footnote.[^1]\n\n[^1]: Footnote text.',
+            select: 'Footnote text.'
+        },
+        {
+            id: 'definition-list',
+            name: 'Definition list',
+            description: 'Terms and their definitions',
+            markdown: 'Term\n: Definition of the term',
+            select: 'Term'
+        },
+        {
+            id: 'math',
+            name: 'Math block',
+            description: 'LaTeX formula on its own line',
+            markdown: '$$\nE = mc^2\n$$',
+            select: 'E = mc^2'
+        },
+        {
+            id: 'diagram',
+            name: 'Diagram',
+            description: 'Mermaid flowchart',
+            markdown: '```mermaid\nflowchart LR\n    A[Start] --> B[Finish]\n```',
+            easy: 'code block: mermaid\nflowchart LR\n    A[Start] --> B[Finish]\nend code',
+            select: 'A[Start] --> B[Finish]'
+        },
+        {
+            id: 'toc',
+            name: 'Table of contents',
+            description: 'Outline of the document\'s headings',
+            markdown: '[[toc]]',
+            easy: 'table of contents'
+        }
+    ];
+
+    function replacePlaceholders(text, values, escape) {
+        return text.replace(PLACEHOLDER, (match, name) => (
+            Object.prototype.hasOwnProperty.call(values, name) ? escape(String(values[name])) : match
+        ));
+    }
+
+    function quoteYaml(value) {
+        return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+    }
+
+    // True if a plain YAML value would be read as something else (a list, a quoted string, a comment...)
+    function needsQuotes(value) {
+        return /^[-?:,[\]{}#&*!|>'"%@`\s]|:(?:\s|$)|\s#|\s$|\n/.test(value) || /^(?:true|false)$/i.test(value);
+    }
+
+    /**
+     * Fill the placeholders of one front matter line so the value still reads back as typed
+     * @param {string} line - "key: value" or "- item" line
+     * @param {Object} values - Placeholder name → value
+     * @returns {string}
+     */
+    function fillYamlLine(line, values) {
+        const pair = /^(\s*(?:-\s+|[A-Za-z_][\w.-]*\s*:\s+))(.*?)(\r?)$/.exec(line);
+        if (!pair || pair[2].search(PLACEHOLDER) === -1) {
+            return replacePlaceholders(line, values, value => value);
+        }
+
+        const [, key, value, end] = pair;
+        if (/^".*"$/.test(value)) {
+            return key + replacePlaceholders(value, values, text => quoteYaml(text).slice(1, -1)) + end;
+        }
+        if (/^'.*'$/.test(value)) {
+            return key + replacePlaceholders(value, values, text => text.replace(/'/g, "''").replace(/\r?\n/g, ' ')) + end;
+        }
+
+        // Lists and other structured values are left to the template; a plain value is quoted if a
+        // filled-in value would change how it reads (placeholders left unfilled don't count)
+        const filled = replacePlaceholders(value, values, text => text);
+        const quote = !needsQuotes(value.replace(PLACEHOLDER, 'x')) && needsQuotes(filled.replace(PLACEHOLDER, 'x'));
+        return key + (quote ? quoteYaml(filled) : filled) + end;
+    }
+
+    class DocumentTemplates {
+        /**
+         * Built-in templates
+         * @returns {Array<{id: string, name: string, description: string, text: string}>}
+         */
+        static list() {
+            return TEMPLATES.map(template => Object.assign({}, template));
+        }
+
+        /**
+         * Look up a built-in template
+         * @param {string} id - Template id, e.g. 'adr'
+         * @returns {?Object} - The template, or null if the id is unknown
+         */
+        static get(id) {
+            const template = TEMPLATES.find(item => item.id === id);
+            return template ? Object.assign({}, template) : null;
+        }
+
+        /**
+         * Placeholder names used in a template, in order of first use
+         * @param {string} text - Template text
+         * @returns {Array<string>} - e.g. ['project', 'version', 'author', 'date']
+         */
+        static placeholders(text) {
+            const names = [];
+            String(text || '').replace(PLACEHOLDER, (match, name) => {
+                if (!names.includes(name)) names.push(name);
+                return match;
+            });
+            return names;
+        }
+
+        /**
+         * Replace placeholders with values. In the front matter, values are quoted or escaped as YAML
+         * needs, e.g. a title containing ": " or a quote.
+         * @param {string} text - Template text
+         * @param {Object} values - Placeholder name → value; placeholders without a value are left as they are
+         * @returns {string}
+         */
+        static fill(text, values) {
+            const source = String(text || '');
+            const frontMatter = FRONT_MATTER.exec(source);
+            const head = frontMatter ? frontMatter[0].split('\n').map(line => fillYamlLine(line, values)).join('\n') : '';
+            const body = source.slice(frontMatter ? frontMatter[0].length : 0);
+            return head + replacePlaceholders(body, values, value => value);
+        }
+
+        /**
+         * Check and tidy a user template before it is saved
+         * @param {Object} template
+         * @param {string} template.name - Shown in the template picker
+         * @param {string} template.text - Template text (Markdown or Easy Mode commands)
+         * @param {string} [template.description]
+         * @param {boolean} [template.easyMode=false] - The text uses Easy Mode commands
+         * @returns {{id: string, name: string, description: string, text: string, easyMode: boolean, custom: true}}
+         */
+        static createTemplate(template) {
+            const name = String((template && template.name) || '').trim();
+            if (!name) {
+                throw new Error('Templates need a name');
+            }
+            if (!String(template.text || '').trim()) {
+                throw new Error(`Template "${name}" is empty`);
+            }
+
+            return {
+                id: `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template'}`,
+                name,
+                description: String(template.description || '').trim(),
+                text: String(template.text),
+                easyMode: Boolean(template.easyMode),
+                custom: true
+            };
+        }
+
+        /**
+         * Snippets of the Insert menu
+         * @returns {Array<{id: string, name: string, description: string}>}
+         */
+        static listSnippets() {
+            return SNIPPETS.map(snippet => ({ id: snippet.id, name: snippet.name, description: snippet.description }));
+        }
+
+        /**
+         * A snippet's text in the editor's syntax
+         * @param {string} id - Snippet id, e.g. 'table'
+         * @param {boolean} easyMode - Use Easy Mode commands where there is one for the block
+         * @returns {?{text: string, select: string}} - Text, and the part of it to select after inserting (may be empty)
+         */
+        static getSnippet(id, easyMode) {
+            const snippet = SNIPPETS.find(item => item.id === id);
+            if (!snippet) return null;
+            return { text: easyMode && snippet.easy ? snippet.easy : snippet.markdown, select: snippet.select || '' };
+        }
+    }
+
+    return DocumentTemplates;
+}));
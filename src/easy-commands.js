@@ -0,0 +1,661 @@
+// Markdown to HTML Converter - Easy Mode Command Registry
+// Built-in and user-defined natural language commands that translate to Markdown
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.EasyCommandRegistry = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Help modal sections, in display order
+    const CATEGORIES = ['Text Formatting', 'Headers & Structure', 'Links & Lists', 'Blocks', 'Inline Commands', 'Custom Commands'];
+
+    const BUILT_IN_COMMANDS = [
+        // Headings (must come first to avoid conflicts)
+        {
+            name: 'heading',
+            pattern: /^heading\s*([1-6]):\s*(.+)$/i,
+            replacement: (match, level, text) => '#'.repeat(parseInt(level)) + ' ' + text.trim(),
+            description: 'Heading conversion',
+            example: 'Heading 2: Subtitle',
+            keywords: ['heading 1', 'heading 2', 'heading 3', 'heading 4', 'heading 5', 'heading 6'],
+            category: 'Headers & Structure'
+        },
+
+        // Bold text
+        {
+            name: 'bold',
+            pattern: /^bold\s*this:\s*(.+)$/i,
+            replacement: (match, text) => '**' + text.trim() + '**',
+            description: 'Bold text conversion',
+            example: 'bold this: Your text',
+            category: 'Text Formatting'
+        },
+
+        // Italic text
+        {
+            name: 'italic',
+            pattern: /^italic\s*this:\s*(.+)$/i,
+            replacement: (match, text) => '*' + text.trim() + '*',
+            description: 'Italic text conversion',
+            example: 'italic this: Your text',
+            category: 'Text Formatting'
+        },
+
+        // Blockquote
+        {
+            name: 'quote',
+            pattern: /^quote\s*this:\s*(.+)$/i,
+            replacement: (match, text) => '> ' + text.trim(),
+            description: 'Blockquote conversion',
+            example: 'quote this: Wisdom',
+            category: 'Headers & Structure'
+        },
+
+        // Links with URL
+        {
+            name: 'link',
+            pattern: /^link\s*this:\s*(.+?)\s*\|\s*(.+)$/i,
+            replacement: (match, text, url) => '[' + text.trim() + '](' + url.trim() + ')',
+            description: 'Link with URL conversion',
+            example: 'link this: GitHub | https://github.com',
+            category: 'Links & Lists'
+        },
+
+        // Simple links (just text, auto-detect URL)
+        {
+            name: 'autolink',
+            pattern: /^link\s*this:\s*(https?:\/\/\S+)$/i,
+            replacement: (match, url) => '[' + url + '](' + url + ')',
+            description: 'Auto-link conversion',
+            example: 'link this: https://example.com',
+            category: 'Links & Lists'
+        },
+
+        // Images: alt text, then the image URL or the name of a pasted image
+        {
+            name: 'image',
+            pattern: /^image\s*this:\s*([^|]*?)\s*\|\s*(\S+)$/i,
+            replacement: (match, alt, url) => '![' + alt.trim() + '](' + url.trim() + ')',
+            description: 'Image conversion',
+            example: 'image this: Company logo | logo.png',
+            category: 'Links & Lists'
+        },
+
+        // Horizontal rule / line break
+        {
+            name: 'horizontal-rule',
+            pattern: /^(break\s*line|new\s*line|horizontal\s*rule|line\s*break)$/i,
+            replacement: () => '---',
+            description: 'Horizontal rule conversion',
+            example: 'break line',
+            category: 'Headers & Structure'
+        },
+
+        // Table of contents, filled in from the document's headings
+        {
+            name: 'table-of-contents',
+            pattern: /^table\s*of\s*contents:?$/i,
+            replacement: () => '[[toc]]',
+            description: 'Table of contents conversion',
+            example: 'table of contents',
+            category: 'Headers & Structure'
+        },
+
+        // Code inline
+        {
+            name: 'code',
+            pattern: /^code\s*this:\s*(.+)$/i,
+            replacement: (match, text) => '`' + text.trim() + '`',
+            description: 'Inline code conversion',
+            example: 'code this: console.log()',
+            category: 'Text Formatting'
+        },
+
+        // Unordered list item (indent with spaces or tabs to nest)
+        {
+            name: 'list-item',
+            pattern: /^\s*list\s*item:\s*(.+)$/i,
+            replacement: (match, text) => '- ' + text.trim(),
+            description: 'List item conversion',
+            example: 'list item: Feature one\n  list item: Nested detail',
+            category: 'Links & Lists',
+            block: 'list'
+        },
+
+        // Numbered list item
+        {
+            name: 'number-item',
+            pattern: /^\s*number\s*item:\s*(.+)$/i,
+            replacement: (match, text) => '1. ' + text.trim(),
+            description: 'Numbered list conversion',
+            example: 'number item: Step one',
+            category: 'Links & Lists',
+            block: 'list'
+        },
+
+        // Task list item; "todo done:" is checked
+        {
+            name: 'todo',
+            pattern: /^(\s*)todo(\s*done)?:\s*(.+)$/i,
+            replacement: (match, indent, done, text) => (done ? '- [x] ' : '- [ ] ') + text.trim(),
+            description: 'Task list item conversion',
+            example: 'todo: Write the release notes\ntodo done: Tag the release',
+            keywords: ['todo', 'todo done'],
+            category: 'Links & Lists',
+            block: 'list'
+        },
+
+        // Callouts; the blank line keeps the next line out of the quote
+        {
+            name: 'note',
+            pattern: /^note\s*this:\s*(.+)$/i,
+            replacement: (match, text) => '> [!NOTE]\n> ' + text.trim() + '\n',
+            description: 'Note callout conversion',
+            example: 'note this: Backups run every night',
+            category: 'Blocks'
+        },
+
+        {
+            name: 'warning',
+            pattern: /^warning\s*this:\s*(.+)$/i,
+            replacement: (match, text) => '> [!WARNING]\n> ' + text.trim() + '\n',
+            description: 'Warning callout conversion',
+            example: 'warning this: This cannot be undone',
+            category: 'Blocks'
+        },
+
+        // Fenced code block; lines up to "end code" are kept verbatim
+        {
+            name: 'code-block',
+            pattern: /^code\s*block:?\s*([\w+#.-]*)\s*$/i,
+            replacement: (match, language) => '```' + language,
+            description: 'Code block start conversion',
+            example: 'code block: python\nprint("Hello")\nend code',
+            category: 'Blocks',
+            block: 'code-start'
+        },
+
+        {
+            name: 'end-code',
+            pattern: /^end\s*code$/i,
+            replacement: () => '```',
+            description: 'Code block end conversion',
+            category: 'Blocks',
+            block: 'code-end'
+        },
+
+        // Table header; following "row:" lines become table rows
+        {
+            name: 'table',
+            pattern: /^table:\s*(.+)$/i,
+            replacement: (match, cells) => {
+                const headers = splitCells(cells);
+                return toTableRow(headers) + '\n' + toTableRow(headers.map(() => '---'));
+            },
+            description: 'Table header conversion',
+            example: 'table: Name | Age\nrow: Alice | 30\nrow: Bob | 25',
+            category: 'Blocks',
+            block: 'table'
+        },
+
+        {
+            name: 'table-row',
+            pattern: /^row:\s*(.+)$/i,
+            replacement: (match, cells) => toTableRow(splitCells(cells)),
+            description: 'Table row conversion',
+            keywords: ['row'],
+            category: 'Blocks',
+            block: 'row'
+        },
+
+        // Strikethrough
+        {
+            name: 'strike',
+            pattern: /^strike\s*this:\s*(.+)$/i,
+            replacement: (match, text) => '~~' + text.trim() + '~~',
+            description: 'Strikethrough conversion',
+            example: 'strike this: Your text',
+            category: 'Text Formatting'
+        },
+
+        // Inline patterns within regular text; the text ends at a comma, including the
+        // ideographic (、) and full-width (，) ones written after localized keywords
+        {
+            name: 'make-bold',
+            pattern: /\bmake\s*bold:\s*([^,、，\n]+)/gi,
+            replacement: (match, text) => '**' + text.trim() + '**',
+            description: 'Inline bold conversion',
+            example: 'Say make bold: hello, then continue',
+            category: 'Inline Commands'
+        },
+
+        {
+            name: 'make-italic',
+            pattern: /\bmake\s*italic:\s*([^,、，\n]+)/gi,
+            replacement: (match, text) => '*' + text.trim() + '*',
+            description: 'Inline italic conversion',
+            example: 'Say make italic: hello, then continue',
+            category: 'Inline Commands'
+        }
+    ];
+
+    // "word word:" at the start of a line, as typed by someone reaching for a command (in any language)
+    const TYPED_KEYWORD = /^(\s*)(\p{L}[\p{L}\p{N} ]{0,29}?)\s*[:：](.*)$/u;
+
+    // Scripts written without spaces between words, where an inline keyword can follow any character
+    const UNSPACED_SCRIPT = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+    /**
+     * Levenshtein distance between two short strings
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    function editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    function trailingNumber(text) {
+        const match = /(\d+)$/.exec(text);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    function splitCells(text) {
+        return text.split('|').map(cell => cell.trim());
+    }
+
+    function toTableRow(cells) {
+        return '| ' + cells.join(' | ') + ' |';
+    }
+
+    /**
+     * Pattern source for a keyword: words may be separated by any amount of whitespace (or none),
+     * and a {n} word matches the digit of a heading level
+     */
+    function keywordSource(keyword) {
+        return keyword.trim().split(/\s+/)
+            .map(word => (word === '{n}' ? '(\\d)' : word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+            .join('\\s*');
+    }
+
+    /**
+     * Compile a map of English keyword → localized keywords into rewrite rules, longest keyword first
+     * so "tarea hecha" wins over "tarea". The first keyword listed for a command is the one shown to users.
+     */
+    function compileAliases(map, toPattern) {
+        const rules = [];
+        Object.keys(map || {}).forEach(english => {
+            [].concat(map[english]).filter(Boolean).forEach((alias, index) => {
+                rules.push({ english, alias: alias.toLowerCase(), primary: index === 0, pattern: toPattern(alias) });
+            });
+        });
+        return rules.sort((a, b) => b.alias.length - a.alias.length);
+    }
+
+    // "heading {n}" with the digit that was typed
+    function withLevel(english, level) {
+        return level === undefined ? english : english.replace('{n}', level);
+    }
+
+    class EasyCommandRegistry {
+        /**
+         * @param {Object} [options]
+         * @param {boolean} [options.builtIns=true] - Register the built-in commands
+         */
+        constructor(options = {}) {
+            this.commands = [];
+            this.ordered = null; // list(), rebuilt after a change since it runs for every input line
+            this.aliases = { keywords: [], inline: [] }; // Localized keywords, see setAliases()
+
+            if (options.builtIns !== false) {
+                BUILT_IN_COMMANDS.forEach(command => this.register(command));
+            }
+        }
+
+        /**
+         * Register (or replace) a command
+         * @param {Object} command
+         * @param {string} command.name - Unique command name
+         * @param {RegExp} command.pattern - Pattern matched against a single input line
+         * @param {Function|string} command.replacement - String.replace() replacement
+         * @param {string} [command.description] - Shown in the conversion log
+         * @param {string} [command.example] - Sample input shown in the help modal
+         * @param {string} [command.category] - Help modal section
+         * @param {string} [command.block] - Role in a multi-line block ('list', 'code-start', 'code-end',
+         *     'table' or 'row'); the converter core uses it for nesting, fences and table context
+         * @param {Array<string>} [command.keywords] - Words typed before the colon, used to suggest fixes for
+         *     typos (defaults to the start of the example)
+         * @returns {Object} - The registered command
+         */
+        register(command) {
+            if (!command || !command.name) {
+                throw new Error('Easy Mode commands need a name');
+            }
+            if (!(command.pattern instanceof RegExp)) {
+                throw new Error(`Easy Mode command "${command.name}" needs a RegExp pattern`);
+            }
+            if (typeof command.replacement !== 'function' && typeof command.replacement !== 'string') {
+                throw new Error(`Easy Mode command "${command.name}" needs a replacement`);
+            }
+
+            const entry = Object.assign({
+                description: `${command.name} conversion`,
+                example: '',
+                category: 'Custom Commands',
+                custom: false
+            }, command);
+
+            const existing = this.commands.findIndex(item => item.name === entry.name);
+            if (existing === -1) {
+                this.commands.push(entry);
+            } else {
+                this.commands[existing] = entry;
+            }
+            this.ordered = null;
+
+            return entry;
+        }
+
+        /**
+         * Register a user-defined command from its JSON-safe definition
+         * @param {Object} definition
+         * @param {string} definition.name - Unique command name
+         * @param {string} [definition.keyword] - Line prefix, e.g. "fixme" matches "fixme: text"
+         * @param {string} [definition.pattern] - Regular expression source (alternative to keyword)
+         * @param {string} definition.template - Markdown output; {text} (or $1, $2...) inserts captured text
+         * @returns {Object} - The registered command
+         */
+        registerDefinition(definition) {
+            return this.register(EasyCommandRegistry.compileDefinition(definition));
+        }
+
+        unregister(name) {
+            const before = this.commands.length;
+            this.commands = this.commands.filter(command => command.name !== name);
+            this.ordered = null;
+            return this.commands.length !== before;
+        }
+
+        get(name) {
+            return this.commands.find(command => command.name === name) || null;
+        }
+
+        /**
+         * Commands in matching order; user-defined commands take precedence over built-ins
+         * @returns {Array<Object>}
+         */
+        list() {
+            if (!this.ordered) {
+                this.ordered = this.commands.filter(command => command.custom).concat(this.commands.filter(command => !command.custom));
+            }
+            return this.ordered;
+        }
+
+        /**
+         * Group commands by help section
+         * @returns {Array<{category: string, commands: Array<Object>}>}
+         */
+        listByCategory() {
+            const categories = CATEGORIES.slice();
+            this.commands.forEach(command => {
+                if (!categories.includes(command.category)) categories.push(command.category);
+            });
+
+            return categories
+                .map(category => ({ category, commands: this.commands.filter(command => command.category === category) }))
+                .filter(group => group.commands.length > 0);
+        }
+
+        /**
+         * Accept keywords in another language: each localized keyword is read as the English one
+         * before the commands are matched, so "negrita: texto" works like "bold this: texto".
+         * A full-width colon (：) after a localized keyword works too.
+         * @param {Object} [aliases] - Keywords of a locale pack; none (the default) for English only
+         * @param {Object} [aliases.keywords] - English keyword → localized keyword(s) typed at the start of a
+         *     line, e.g. { 'bold this': ['negrita'], 'heading {n}': ['título {n}'] }
+         * @param {Object} [aliases.inline] - English keyword → localized keyword(s) of inline commands,
+         *     which can appear anywhere in a line, e.g. { 'make bold': ['en negrita'] }
+         */
+        setAliases(aliases = {}) {
+            this.aliases = {
+                keywords: compileAliases(aliases.keywords, alias => new RegExp(`^(\\s*)${keywordSource(alias)}\\s*([:：]|$)`, 'i')),
+                inline: compileAliases(aliases.inline, alias => new RegExp(
+                    `${UNSPACED_SCRIPT.test(alias) ? '()' : '(^|[\\s\\p{P}])'}${keywordSource(alias)}\\s*[:：]`, 'giu'))
+            };
+        }
+
+        /**
+         * Rewrite localized keywords in a line as English ones (see setAliases())
+         * @param {string} line - Input line
+         * @returns {string} - The line as the English commands expect it
+         */
+        translate(line) {
+            let translated = line;
+            for (const rule of this.aliases.keywords) {
+                const match = rule.pattern.exec(translated);
+                if (match) {
+                    const colon = match[match.length - 1] ? ':' : '';
+                    const level = match.length > 3 ? match[2] : undefined;
+                    translated = match[1] + withLevel(rule.english, level) + colon + translated.slice(match[0].length);
+                    break;
+                }
+            }
+            this.aliases.inline.forEach(rule => {
+                translated = translated.replace(rule.pattern, (match, before) => `${before}${rule.english}:`);
+            });
+            return translated;
+        }
+
+        /**
+         * Write English keywords with the locale's own ones (the reverse of translate()),
+         * e.g. "bold this: Important text" → "negrita: Important text"
+         * @param {string} text - Lines with English keywords, such as a command's example
+         * @returns {string} - The text, with keywords that have no localized form unchanged
+         */
+        localize(text) {
+            const keywords = this.aliases.keywords.filter(rule => rule.primary);
+            const inline = this.aliases.inline.filter(rule => rule.primary);
+
+            return text.split('\n').map(line => {
+                const rule = keywords.find(item => new RegExp(`^\\s*${keywordSource(item.english)}(?=\\s*:|$)`, 'i').test(line));
+                if (rule) {
+                    const match = new RegExp(`^(\\s*)${keywordSource(rule.english)}`, 'i').exec(line);
+                    line = match[1] + withLevel(rule.alias, match[2]) + line.slice(match[0].length);
+                }
+                inline.forEach(item => {
+                    line = line.replace(new RegExp(`\\b${keywordSource(item.english)}:`, 'gi'), `${item.alias}:`);
+                });
+                return line;
+            }).join('\n');
+        }
+
+        /**
+         * Localized keywords of a command, in the form suggest() compares typed keywords with
+         * @param {string} keyword - English keyword, e.g. 'heading 2'
+         * @returns {Array<string>}
+         */
+        aliasesOf(keyword) {
+            return this.aliases.keywords
+                .filter(rule => rule.english === keyword || withLevel(rule.english, trailingNumber(keyword)) === keyword)
+                .map(rule => withLevel(rule.alias, rule.english.includes('{n}') ? trailingNumber(keyword) : undefined));
+        }
+
+        /**
+         * Apply the first matching command to a line
+         * @param {string} line - Input line, with English or localized keywords
+         * @returns {{line: string, command: Object}|null} - Transformed line, or null if nothing matched
+         */
+        apply(line) {
+            line = this.translate(line);
+            for (const command of this.list()) {
+                command.pattern.lastIndex = 0;
+                if (command.pattern.test(line)) {
+                    command.pattern.lastIndex = 0;
+                    return { line: line.replace(command.pattern, command.replacement), command };
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Find the command a line was probably meant to be, for lines no command matched,
+         * e.g. "bold ths: text" (a typo) or "link this: GitHub" (right keyword, wrong format)
+         * @param {string} line - Input line
+         * @param {Object} [context] - Where the line is
+         * @param {boolean} [context.inTable=false] - The line follows a table, the only place "row:" is meant
+         * @returns {{keyword: string, suggestion: string, exact: boolean, command: Object}|null} - The closest
+         *     keyword and a corrected line (the command's example when the keyword was already right), or null
+         */
+        suggest(line, context = {}) {
+            const typed = TYPED_KEYWORD.exec(this.translate(line));
+            if (!typed) return null;
+
+            const [, indent, rawKeyword, rest] = typed;
+            const keyword = rawKeyword.trim().toLowerCase().replace(/\s+/g, ' ');
+            let best = null;
+
+            this.list().forEach(command => {
+                // Outside a table "Now:" or "How:" is just text, not a mistyped "row:"
+                if (command.block === 'row' && !context.inTable) return;
+
+                const keywords = EasyCommandRegistry.keywordsOf(command);
+                keywords.concat(...keywords.map(english => this.aliasesOf(english))).forEach(candidate => {
+                    const distance = editDistance(keyword, candidate);
+                    // "heading 7" is closer to "heading 6" than to "heading 1"
+                    const typedNumber = trailingNumber(keyword);
+                    const candidateNumber = trailingNumber(candidate);
+                    const gap = typedNumber !== null && candidateNumber !== null ? Math.abs(typedNumber - candidateNumber) : 0;
+
+                    if (!best || distance < best.distance || (distance === best.distance && gap < best.gap)) {
+                        best = { distance, gap, keyword: candidate, command };
+                    }
+                });
+            });
+
+            if (!best || best.distance > (best.keyword.length >= 8 ? 2 : 1)) return null;
+
+            // Someone typing a localized keyword gets the example in their language
+            const example = (best.command.example || '').split('\n')[0];
+            const localized = !EasyCommandRegistry.keywordsOf(best.command).includes(best.keyword)
+                || this.aliases.keywords.some(rule => rule.pattern.test(line));
+            const exact = best.distance === 0;
+            return {
+                keyword: best.keyword,
+                suggestion: exact
+                    ? (localized ? this.localize(example) : example)
+                    : `${indent}${best.keyword}: ${rest.trim()}`,
+                exact,
+                command: best.command
+            };
+        }
+
+        /**
+         * Keywords a command is typed with, e.g. ['bold this'] for "bold this: Your text"
+         * @param {Object} command - Registered command
+         * @returns {Array<string>} - Lower-case keywords (none for inline commands, which can appear anywhere)
+         */
+        static keywordsOf(command) {
+            if (Array.isArray(command.keywords)) return command.keywords;
+            if (command.pattern.global) return [];
+
+            const match = /^([^:\n]+):/.exec(command.example || '');
+            return match ? [match[1].trim().toLowerCase().replace(/\s+/g, ' ')] : [];
+        }
+
+        /**
+         * JSON-safe definitions of all user-defined commands
+         * @returns {Array<Object>}
+         */
+        exportDefinitions() {
+            return this.commands.filter(command => command.custom).map(command => command.definition);
+        }
+
+        /**
+         * Turn a JSON-safe definition into a registrable command
+         * @param {Object} definition - See registerDefinition()
+         * @returns {Object} - Command with a compiled pattern and replacement
+         */
+        static compileDefinition(definition) {
+            if (!definition || typeof definition !== 'object') {
+                throw new Error('Invalid command definition');
+            }
+
+            const name = String(definition.name || definition.keyword || '').trim();
+            const template = definition.template;
+            if (!name) {
+                throw new Error('Custom commands need a name or keyword');
+            }
+            if (typeof template !== 'string' || template === '') {
+                throw new Error(`Custom command "${name}" needs a template`);
+            }
+            // Replacing a built-in would also delete it when the custom command is removed
+            if (BUILT_IN_COMMANDS.some(command => command.name === name)) {
+                throw new Error(`"${name}" is the name of a built-in command; choose another name`);
+            }
+
+            let pattern;
+            if (definition.pattern) {
+                try {
+                    pattern = new RegExp(definition.pattern, 'i');
+                } catch (error) {
+                    throw new Error(`Custom command "${name}" has an invalid pattern: ${error.message}`);
+                }
+            } else if (definition.keyword) {
+                const keyword = String(definition.keyword).trim().replace(/:$/, '')
+                    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                    .replace(/\s+/g, '\\s*');
+                pattern = new RegExp(`^${keyword}:\\s*(.+)$`, 'i');
+            } else {
+                throw new Error(`Custom command "${name}" needs a keyword or pattern`);
+            }
+
+            const clean = {
+                name,
+                keyword: definition.keyword || undefined,
+                pattern: definition.pattern || undefined,
+                template,
+                description: definition.description || `${name} (custom command)`,
+                example: definition.example || (definition.keyword ? `${String(definition.keyword).replace(/:$/, '')}: Your text` : '')
+            };
+
+            return {
+                name,
+                pattern,
+                replacement: (...args) => {
+                    // args are (match, ...groups, offset, input); the offset is the first number
+                    const groups = args.slice(1, args.findIndex((arg, index) => index > 0 && typeof arg === 'number'));
+                    return template
+                        .replace(/\{text\}/g, () => String(groups[0] || '').trim())
+                        .replace(/\$(\d)/g, (token, index) => String(groups[index - 1] || '').trim());
+                },
+                description: clean.description,
+                example: clean.example,
+                category: 'Custom Commands',
+                custom: true,
+                definition: JSON.parse(JSON.stringify(clean))
+            };
+        }
+
+        static get CATEGORIES() {
+            return CATEGORIES.slice();
+        }
+    }
+
+    return EasyCommandRegistry;
+}));
@@ -0,0 +1,449 @@
+// Markdown to HTML Converter - Editor Commands
+// Toolbar and keyboard formatting for the editor text, written as Markdown or as Easy Mode commands
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.EditorCommands = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Inline styles: Markdown markers and the matching Easy Mode line command
+    const INLINE_STYLES = {
+        bold: { marker: '**', easy: 'bold this', placeholder: 'bold text' },
+        italic: { marker: '*', easy: 'italic this', placeholder: 'italic text' },
+        strike: { marker: '~~', easy: 'strike this', placeholder: 'struck text' },
+        code: { marker: '`', easy: 'code this', placeholder: 'code' }
+    };
+
+    // Line prefixes toggled on every selected line
+    const LINE_STYLES = {
+        quote: { markdown: /^>[ \t]?/, easy: 'quote this' },
+        bullet: { markdown: /^[-*+][ \t]+/, easy: 'list item' },
+        number: { markdown: /^\d+[.)][ \t]+/, easy: 'number item' }
+    };
+
+    const INDENT = '\t';
+    const MARKDOWN_LIST_ITEM = /^([ \t]*)(?:([-*+])|(\d+)([.)]))([ \t]+)(\[[ xX]\][ \t]+)?/;
+    const EASY_LIST_ITEM = /^([ \t]*)(list\s*item|number\s*item):[ \t]*/i;
+    const EASY_COMMAND = /^[a-z][a-z0-9 ]*:\s/i;
+    const MARKDOWN_HEADING = /^( {0,3})(#{1,6})(?:[ \t]+|$)/;
+    const EASY_HEADING = /^heading\s*([1-6]):[ \t]*/i;
+    const URL_PATTERN = /^(?:https?:\/\/|mailto:|www\.)\S+$/i;
+
+    /**
+     * Every command takes the editor state and returns an edit, or null when there is nothing to do.
+     * An edit replaces value.slice(start, end) with text and then selects selectionStart..selectionEnd,
+     * so the editor can apply it as a single (undoable) insertion.
+     *
+     * @typedef {{value: string, start: number, end: number}} EditorState
+     * @typedef {{start: number, end: number, text: string, selectionStart: number, selectionEnd: number}} EditorEdit
+     */
+    class EditorCommands {
+        /**
+         * Bold, italic, strikethrough or inline code. In Easy Mode a caret (or a selection covering
+         * the line) turns the whole line into a command such as "bold this: text"; partial selections
+         * are wrapped in Markdown, which Easy Mode passes through unchanged.
+         * @param {EditorState} state
+         * @param {string} style - 'bold', 'italic', 'strike' or 'code'
+         * @param {boolean} easyMode
+         * @returns {?EditorEdit}
+         */
+        static inline(state, style, easyMode) {
+            const syntax = INLINE_STYLES[style];
+            if (!syntax) return null;
+
+            if (easyMode) {
+                const edit = toggleEasyLine(state, syntax.easy, syntax.placeholder);
+                if (edit) return edit;
+            }
+            return toggleMarker(state, syntax.marker, syntax.placeholder);
+        }
+
+        /**
+         * Link the selection (or insert a placeholder link) and select the part still to be typed
+         * @param {EditorState} state
+         * @param {boolean} easyMode - Write "link this: text | url" when the caret or selection covers a line
+         * @returns {?EditorEdit}
+         */
+        static link(state, easyMode) {
+            const { value, start, end } = state;
+            const selected = value.slice(start, end);
+            if (selected.includes('\n')) return null;
+
+            const isUrl = URL_PATTERN.test(selected.trim());
+            const label = isUrl ? 'link text' : (selected.trim() || 'link text');
+            const url = isUrl ? selected.trim() : 'https://';
+            const line = lineRange(value, start, end);
+            const lineText = value.slice(line.start, line.end);
+
+            if (easyMode && isWholeLine(lineText, selected) && !EASY_COMMAND.test(lineText.trim())) {
+                const indent = leadingWhitespace(lineText);
+                const before = `${indent}link this: ${isUrl ? label : (lineText.trim() || label)} | `;
+                const text = before + url;
+                // Select whatever is still a placeholder: the URL, or the label when a URL was given
+                return isUrl
+                    ? selectWithin(line, text, indent.length + 'link this: '.length, label.length)
+                    : selectWithin(line, text, before.length, url.length);
+            }
+
+            const text = `[${label}](${url})`;
+            return isUrl
+                ? selectWithin({ start, end }, text, 1, label.length)
+                : selectWithin({ start, end }, text, label.length + 3, url.length);
+        }
+
+        /**
+         * Fence the selected lines as a code block, or insert an empty one around the caret
+         * @param {EditorState} state
+         * @param {boolean} easyMode - Use "code block:" ... "end code" instead of ```
+         * @returns {EditorEdit}
+         */
+        static codeBlock(state, easyMode) {
+            const { value } = state;
+            const range = lineRange(value, state.start, state.end);
+            const body = value.slice(range.start, range.end);
+            const open = easyMode ? 'code block:' : '```';
+            const close = easyMode ? 'end code' : '```';
+
+            const text = `${open}\n${body}\n${close}`;
+            // Leave the caret after the opening fence, ready for a language name
+            return selectWithin(range, text, open.length, 0);
+        }
+
+        /**
+         * Toggle a line style (quote, bulleted or numbered list) on every selected line
+         * @param {EditorState} state
+         * @param {string} style - 'quote', 'bullet' or 'number'
+         * @param {boolean} easyMode
+         * @returns {?EditorEdit}
+         */
+        static lineStyle(state, style, easyMode) {
+            const syntax = LINE_STYLES[style];
+            if (!syntax) return null;
+
+            const range = lineRange(state.value, state.start, state.end);
+            const lines = state.value.slice(range.start, range.end).split('\n');
+            const pattern = easyMode ? easyPattern(syntax.easy) : syntax.markdown;
+            const styled = lines.filter(line => line.trim());
+            const remove = styled.length > 0 && styled.every(line => pattern.test(line.trimStart()));
+
+            let number = 0;
+            const text = lines.map(line => {
+                if (!line.trim()) return line;
+                const indent = leadingWhitespace(line);
+                let content = line.slice(indent.length);
+
+                if (remove) return indent + content.replace(pattern, '');
+
+                // Switching between list kinds replaces the old marker
+                Object.keys(LINE_STYLES).forEach(key => {
+                    if (key !== 'quote') {
+                        content = content.replace(easyMode ? easyPattern(LINE_STYLES[key].easy) : LINE_STYLES[key].markdown, '');
+                    }
+                });
+                number++;
+                const prefix = easyMode
+                    ? `${syntax.easy}: `
+                    : { quote: '> ', bullet: '- ', number: `${number}. ` }[style];
+                return indent + prefix + content;
+            }).join('\n');
+
+            return selectLines(state, range, text);
+        }
+
+        /**
+         * Cycle the current line through heading levels 1-3 and back to plain text
+         * @param {EditorState} state
+         * @param {boolean} easyMode - Write "heading 2: text" instead of "## text"
+         * @returns {EditorEdit}
+         */
+        static heading(state, easyMode) {
+            const { value } = state;
+            const range = lineRange(value, state.start, state.start);
+            const line = value.slice(range.start, range.end);
+            const indent = leadingWhitespace(line);
+            let content = line.slice(indent.length);
+            let level = 0;
+
+            const markdown = MARKDOWN_HEADING.exec(line);
+            const easy = EASY_HEADING.exec(content);
+            if (markdown) {
+                level = markdown[2].length;
+                content = line.slice(markdown[0].length);
+            } else if (easy) {
+                level = parseInt(easy[1], 10);
+                content = content.slice(easy[0].length);
+            }
+
+            const next = level >= 3 ? 0 : level + 1;
+            const placeholder = content.trim() ? '' : 'Heading';
+            const prefix = next === 0 ? '' : (easyMode ? `heading ${next}: ` : `${'#'.repeat(next)} `);
+            const text = (markdown ? '' : indent) + prefix + (content || (next ? placeholder : ''));
+
+            return placeholder && next
+                ? selectWithin(range, text, text.length - placeholder.length, placeholder.length)
+                : selectWithin(range, text, text.length, 0);
+        }
+
+        /**
+         * Insert a horizontal rule on its own line below the caret
+         * @param {EditorState} state
+         * @param {boolean} easyMode - Write "break line" instead of ---
+         * @returns {EditorEdit}
+         */
+        static horizontalRule(state, easyMode) {
+            const { value } = state;
+            const range = lineRange(value, state.end, state.end);
+            const rule = easyMode ? 'break line' : '---';
+
+            if (!value.slice(range.start, range.end).trim()) {
+                return selectWithin(range, rule, rule.length, 0);
+            }
+            // A blank line keeps "text\n---" from turning the paragraph into a heading
+            const text = `\n\n${rule}\n`;
+            return selectWithin({ start: range.end, end: range.end }, text, text.length, 0);
+        }
+
+        /**
+         * Tab: indent the selected lines, nest a list item, or insert a tab at the caret
+         * @param {EditorState} state
+         * @returns {EditorEdit}
+         */
+        static indent(state) {
+            const { value, start, end } = state;
+            const range = lineRange(value, start, end);
+            const block = value.slice(range.start, range.end);
+            const isListItem = MARKDOWN_LIST_ITEM.test(block) || EASY_LIST_ITEM.test(block);
+
+            if (!block.includes('\n') && !(start === end && isListItem)) {
+                return selectWithin({ start, end }, INDENT, INDENT.length, 0);
+            }
+
+            const text = block.split('\n').map(line => (line ? INDENT + line : line)).join('\n');
+            return selectLines(state, range, text);
+        }
+
+        /**
+         * Shift+Tab: remove one level of indentation (a tab or up to four spaces) from the selected lines
+         * @param {EditorState} state
+         * @returns {?EditorEdit}
+         */
+        static outdent(state) {
+            const range = lineRange(state.value, state.start, state.end);
+            const block = state.value.slice(range.start, range.end);
+            const text = block.split('\n').map(line => line.replace(/^(?:\t| {1,4})/, '')).join('\n');
+
+            return text === block ? null : selectLines(state, range, text);
+        }
+
+        /**
+         * Enter inside a list item: start the next item (numbered lists count up, task items stay
+         * unchecked). Enter on an empty item ends the list instead.
+         * @param {EditorState} state
+         * @param {boolean} easyMode - Also continue "list item:" and "number item:" lines
+         * @returns {?EditorEdit} - null when Enter should behave normally
+         */
+        static continueList(state, easyMode) {
+            const { value, start, end } = state;
+            if (start !== end) return null;
+
+            const range = lineRange(value, start, start);
+            const line = value.slice(range.start, range.end);
+            const markdown = MARKDOWN_LIST_ITEM.exec(line);
+            const easy = !markdown && easyMode ? EASY_LIST_ITEM.exec(line) : null;
+            const match = markdown || easy;
+
+            // The caret has to be past the marker, and code blocks are left alone
+            if (!match || start - range.start < match[0].length || isInsideCodeBlock(value, range.start, easyMode)) {
+                return null;
+            }
+
+            if (!line.slice(match[0].length).trim()) {
+                return selectWithin(range, '', 0, 0);
+            }
+
+            let marker;
+            if (easy) {
+                marker = `${easy[2].toLowerCase().replace(/\s+/, ' ')}: `;
+            } else if (markdown[3]) {
+                marker = `${parseInt(markdown[3], 10) + 1}${markdown[4]}${markdown[5]}`;
+            } else {
+                marker = markdown[2] + markdown[5];
+            }
+            if (markdown && markdown[6]) marker += '[ ] ';
+
+            const text = `\n${match[1]}${marker}`;
+            return selectWithin({ start, end }, text, text.length, 0);
+        }
+
+        /**
+         * Insert a block (table, callout, code block...) on its own lines below the caret, with blank
+         * lines around it so it doesn't run into the text before or after
+         * @param {EditorState} state
+         * @param {string} block - Text of the block
+         * @param {string} [select] - Part of the block to select afterwards; the caret goes after the block without it
+         * @returns {EditorEdit}
+         */
+        static insertBlock(state, block, select) {
+            const { value } = state;
+            const range = lineRange(value, state.end, state.end);
+            const blank = text => !text.trim();
+            const nextLine = range.end < value.length ? value.slice(range.end + 1).split('\n')[0] : null;
+            const after = nextLine !== null && !blank(nextLine) ? '\n' : '';
+
+            let target;
+            let before;
+            if (blank(value.slice(range.start, range.end))) {
+                // An empty line is used for the block
+                const previousLine = range.start > 0 ? value.slice(0, range.start - 1).split('\n').pop() : null;
+                target = range;
+                before = previousLine !== null && !blank(previousLine) ? '\n' : '';
+            } else {
+                target = { start: range.end, end: range.end };
+                before = '\n\n';
+            }
+
+            const text = before + block + after;
+            const offset = select ? block.indexOf(select) : -1;
+            return offset === -1
+                ? selectWithin(target, text, before.length + block.length, 0)
+                : selectWithin(target, text, before.length + offset, select.length);
+        }
+    }
+
+    /**
+     * Start and end of the full lines touched by a selection (end excludes the final newline)
+     */
+    function lineRange(value, start, end) {
+        // A selection ending right after a newline does not include the next line
+        const last = end > start && value[end - 1] === '\n' ? end - 1 : end;
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        const lineEnd = value.indexOf('\n', last);
+        return { start: lineStart, end: lineEnd === -1 ? value.length : lineEnd };
+    }
+
+    function leadingWhitespace(text) {
+        return /^[ \t]*/.exec(text)[0];
+    }
+
+    function isWholeLine(lineText, selected) {
+        return !selected || selected.trim() === lineText.trim();
+    }
+
+    function easyPattern(keyword) {
+        return new RegExp(`^${keyword.replace(/ /g, '\\s*')}:[ \\t]*`, 'i');
+    }
+
+    /**
+     * Edit replacing range with text, selecting length characters from offset within text
+     */
+    function selectWithin(range, text, offset, length) {
+        return {
+            start: range.start,
+            end: range.end,
+            text,
+            selectionStart: range.start + offset,
+            selectionEnd: range.start + offset + length
+        };
+    }
+
+    /**
+     * Edit replacing whole lines: a caret keeps its place in the line's text, a selection grows to cover the new lines
+     */
+    function selectLines(state, range, text) {
+        if (state.start === state.end) {
+            const oldLength = state.value.slice(range.start, range.end).split('\n')[0].length;
+            const newLength = text.split('\n')[0].length;
+            const caret = Math.min(Math.max(state.start + newLength - oldLength, range.start), range.start + newLength);
+            return { start: range.start, end: range.end, text, selectionStart: caret, selectionEnd: caret };
+        }
+        return selectWithin(range, text, 0, text.length);
+    }
+
+    /**
+     * Easy Mode line command: add "keyword: " in front of the line, or take it away again
+     */
+    function toggleEasyLine(state, keyword, placeholder) {
+        const { value, start, end } = state;
+        const range = lineRange(value, start, end);
+        const lineText = value.slice(range.start, range.end);
+        const selected = value.slice(start, end);
+        if (lineText.includes('\n') || !isWholeLine(lineText, selected)) return null;
+
+        const indent = leadingWhitespace(lineText);
+        const content = lineText.slice(indent.length);
+        const existing = easyPattern(keyword).exec(content);
+
+        if (existing) {
+            const text = indent + content.slice(existing[0].length);
+            return selectWithin(range, text, indent.length, text.length - indent.length);
+        }
+        // Lines that already hold another command are wrapped in Markdown instead
+        if (EASY_COMMAND.test(content)) return null;
+
+        const prefix = `${indent}${keyword}: `;
+        const body = content.trimEnd() || placeholder;
+        return selectWithin(range, prefix + body, prefix.length, body.length);
+    }
+
+    /**
+     * Wrap the selection in a Markdown marker, or unwrap it when it is already wrapped
+     */
+    function toggleMarker(state, marker, placeholder) {
+        const { value, start, end } = state;
+        const size = marker.length;
+
+        // Markers just outside the selection: **|text|**
+        const before = value.slice(start - size, start);
+        const after = value.slice(end, end + size);
+        // A single * next to another * belongs to bold, not italic
+        const partOfLonger = marker === '*' && (value[start - size - 1] === '*') !== (value[end + size] === '*');
+        if (start >= size && before === marker && after === marker && !partOfLonger) {
+            const text = value.slice(start, end);
+            return selectWithin({ start: start - size, end: end + size }, text, 0, text.length);
+        }
+
+        // Markers inside the selection: |**text**|
+        const selected = value.slice(start, end);
+        if (selected.length >= size * 2 && selected.startsWith(marker) && selected.endsWith(marker)) {
+            const text = selected.slice(size, -size);
+            return selectWithin({ start, end }, text, 0, text.length);
+        }
+
+        // Whitespace picked up by a double-click stays outside the markers
+        const leading = leadingWhitespace(selected);
+        const trimmed = selected.slice(leading.length).trimEnd();
+        const trailing = selected.slice(leading.length + trimmed.length);
+        const content = trimmed || placeholder;
+        const text = `${leading}${marker}${content}${marker}${trailing}`;
+        return selectWithin({ start, end }, text, leading.length + size, content.length);
+    }
+
+    /**
+     * Whether a position lies between an opening and closing code fence
+     */
+    function isInsideCodeBlock(value, position, easyMode) {
+        let fence = null;
+        value.slice(0, position).split('\n').forEach(line => {
+            const trimmed = line.trim();
+            if (fence) {
+                if (fence === 'easy' ? /^end\s*code$/i.test(trimmed) : trimmed.startsWith(fence) && !trimmed.slice(fence.length).trim()) {
+                    fence = null;
+                }
+                return;
+            }
+            const markdown = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+            if (markdown) {
+                fence = markdown[1];
+            } else if (easyMode && /^code\s*block:?\s*[\w+#.-]*$/i.test(trimmed)) {
+                fence = 'easy';
+            }
+        });
+        return fence !== null;
+    }
+
+    return EditorCommands;
+}));
@@ -0,0 +1,187 @@
+// Markdown to HTML Converter - Export Formats
+// DOM-free helpers for the export menu: plain text rendering and image embedding
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./html-tokenizer.js'));
+    } else {
+        root.ExportFormats = factory(root.HtmlTokenizer);
+    }
+}(typeof self !== 'undefined' ? self : this, function (HtmlTokenizer) {
+    'use strict';
+
+    // Elements that start on a new line in plain text; the value is the number of line breaks around them
+    const BLOCK_TAGS = {
+        p: 2, h1: 2, h2: 2, h3: 2, h4: 2, h5: 2, h6: 2, pre: 2, blockquote: 2, table: 2, figure: 2, details: 2, dl: 2,
+        div: 1, section: 1, tr: 1, summary: 1, figcaption: 1, dt: 1, dd: 1, footer: 1, header: 1
+    };
+
+    class ExportFormats {
+        /**
+         * Render converted HTML as readable plain text
+         * @param {string} html - HTML fragment
+         * @returns {string} - Plain text with list markers, table cells separated by " | " and links kept as text
+         */
+        static toPlainText(html) {
+            let output = '';
+            let preDepth = 0;
+            let cellIndex = 0;
+            const lists = [];
+
+            const breakLines = (count) => {
+                if (!output) return;
+                output = output.replace(/[ \t]+$/, '');
+                const existing = /\n*$/.exec(output)[0].length;
+                if (existing < count) output += '\n'.repeat(count - existing);
+            };
+            const atWordStart = () => !output || /[ \n]$/.test(output);
+
+            HtmlTokenizer.tokenize(html).forEach(token => {
+                switch (token.type) {
+                    case 'text': {
+                        const text = HtmlTokenizer.decodeEntities(token.text);
+                        if (preDepth > 0) {
+                            output += text;
+                        } else {
+                            const collapsed = text.replace(/\s+/g, ' ');
+                            output += atWordStart() ? collapsed.replace(/^ /, '') : collapsed;
+                        }
+                        break;
+                    }
+
+                    case 'start': {
+                        const tag = token.tagName;
+                        const attribute = name => (token.attributes.find(item => item.name === name) || {}).value;
+
+                        if (tag === 'ul' || tag === 'ol') {
+                            breakLines(lists.length ? 1 : 2);
+                            lists.push({ ordered: tag === 'ol', counter: parseInt(attribute('start'), 10) || 1 });
+                        } else if (tag === 'li') {
+                            breakLines(1);
+                            const list = lists[lists.length - 1];
+                            const indent = '  '.repeat(Math.max(lists.length - 1, 0));
+                            output += indent + (list && list.ordered ? `${list.counter++}. ` : '- ');
+                        } else if (tag === 'br') {
+                            output += '\n';
+                        } else if (tag === 'hr') {
+                            breakLines(2);
+                            output += '----------';
+                            breakLines(2);
+                        } else if (tag === 'img') {
+                            output += attribute('alt') || '';
+                        } else if (tag === 'input' && attribute('type') === 'checkbox') {
+                            output += token.attributes.some(item => item.name === 'checked') ? '[x] ' : '[ ] ';
+                        } else if (tag === 'td' || tag === 'th') {
+                            if (cellIndex++ > 0) output = output.replace(/[ \t]+$/, '') + ' | ';
+                        } else if (BLOCK_TAGS[tag]) {
+                            breakLines(BLOCK_TAGS[tag]);
+                        }
+
+                        if (tag === 'tr') cellIndex = 0;
+                        if (tag === 'pre') preDepth++;
+                        break;
+                    }
+
+                    case 'end': {
+                        const tag = token.tagName;
+                        if (tag === 'ul' || tag === 'ol') {
+                            lists.pop();
+                            breakLines(lists.length ? 1 : 2);
+                        } else if (tag === 'li') {
+                            breakLines(1);
+                        } else if (BLOCK_TAGS[tag]) {
+                            breakLines(BLOCK_TAGS[tag]);
+                        }
+
+                        if (tag === 'pre') preDepth = Math.max(preDepth - 1, 0);
+                        break;
+                    }
+                }
+            });
+
+            return output
+                .replace(/[ \t]+$/gm, '')
+                .replace(/\n{3,}/g, '\n\n')
+                .trim() + '\n';
+        }
+
+        /**
+         * Replace image URLs with data URIs so a document works offline
+         * @param {string} html - HTML fragment or document
+         * @param {Function} loadImage - async (src) => data URI, or null if the image can't be loaded
+         * @returns {Promise<{html: string, embedded: number, failed: Array<string>}>}
+         */
+        static async embedImages(html, loadImage) {
+            const sources = ExportFormats.listImageSources(html).filter(src => !/^data:/i.test(src));
+
+            const dataUris = new Map();
+            const failed = [];
+            await Promise.all(sources.map(async src => {
+                try {
+                    const dataUri = await loadImage(src);
+                    if (dataUri) {
+                        dataUris.set(src, dataUri);
+                        return;
+                    }
+                } catch (error) {
+                    console.error(`Could not embed image ${src}:`, error);
+                }
+                failed.push(src);
+            }));
+
+            const result = ExportFormats.replaceImageSources(html, src => dataUris.get(src) || null);
+            return { html: result.html, embedded: result.replaced, failed };
+        }
+
+        /**
+         * @param {string} html - HTML fragment or document
+         * @returns {Array<string>} - Distinct src values of the <img> tags, in document order
+         */
+        static listImageSources(html) {
+            const sources = new Set();
+            HtmlTokenizer.tokenize(html).forEach(token => {
+                const src = ExportFormats.imageSource(token);
+                if (src) sources.add(src);
+            });
+            return Array.from(sources);
+        }
+
+        /**
+         * Point <img> tags somewhere else
+         * @param {string} html - HTML fragment or document
+         * @param {Function} replace - (src) => new src, or null to keep the tag as it is
+         * @returns {{html: string, replaced: number}}
+         */
+        static replaceImageSources(html, replace) {
+            let replaced = 0;
+            const output = HtmlTokenizer.tokenize(html).map(token => {
+                const src = ExportFormats.imageSource(token);
+                const replacement = src ? replace(src) : null;
+                if (!replacement) {
+                    return token.raw !== undefined ? token.raw : token.text;
+                }
+
+                replaced++;
+                const attributes = token.attributes.map(attribute => {
+                    const value = attribute.name === 'src' ? replacement : attribute.value;
+                    return ` ${attribute.name}="${ExportFormats.escapeAttribute(value)}"`;
+                });
+                return `<img${attributes.join('')}>`;
+            });
+
+            return { html: output.join(''), replaced };
+        }
+
+        static imageSource(token) {
+            if (token.type !== 'start' || token.tagName !== 'img') return null;
+            const src = token.attributes.find(attribute => attribute.name === 'src');
+            return src && src.value ? src.value : null;
+        }
+
+        static escapeAttribute(value) {
+            return HtmlTokenizer.escapeHtml(value);
+        }
+    }
+
+    return ExportFormats;
+}));
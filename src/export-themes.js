@@ -0,0 +1,361 @@
+// Markdown to HTML Converter - Export Themes
+// Built-in stylesheets for exported documents
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ExportThemes = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const THEMES = [
+        {
+            id: 'classic',
+            name: 'Classic',
+            description: 'The original converter look with coloured accents',
+            css: `body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', sans-serif;
+    line-height: 1.6;
+    color: #333;
+    max-width: 800px;
+    margin: 0 auto;
+    padding: 20px;
+    background: #fff;
+}
+
+h1, h2, h3, h4, h5, h6 {
+    color: #2c3e50;
+    margin-top: 24px;
+    margin-bottom: 16px;
+    font-weight: 600;
+}
+
+h1 { font-size: 2rem; border-bottom: 2px solid #3498db; padding-bottom: 10px; }
+h2 { font-size: 1.7rem; border-bottom: 1px solid #bdc3c7; padding-bottom: 8px; }
+h3 { font-size: 1.4rem; }
+h4 { font-size: 1.2rem; }
+h5 { font-size: 1.1rem; }
+h6 { font-size: 1rem; }
+
+p { margin: 16px 0; }
+
+ul, ol { margin: 16px 0; padding-left: 24px; }
+li { margin: 4px 0; }
+
+blockquote {
+    border-left: 4px solid #3498db;
+    margin: 20px 0;
+    padding: 16px 20px;
+    background: #f8f9fa;
+    border-radius: 0 6px 6px 0;
+    font-style: italic;
+}
+
+code {
+    background: #f1f2f6;
+    padding: 2px 6px;
+    border-radius: 4px;
+    font-family: 'SF Mono', 'Monaco', 'Inconsolata', 'Fira Code', monospace;
+    font-size: 0.9em;
+    color: #e74c3c;
+}
+
+pre {
+    background: #2d3748;
+    color: #e2e8f0;
+    padding: 20px;
+    border-radius: 8px;
+    overflow-x: auto;
+    margin: 20px 0;
+}
+
+pre code {
+    background: none;
+    padding: 0;
+    color: inherit;
+    font-size: 0.9rem;
+}
+
+a {
+    color: #3498db;
+    text-decoration: none;
+    border-bottom: 1px solid transparent;
+    transition: border-color 0.3s ease;
+}
+
+a:hover { border-bottom-color: #3498db; }
+
+strong { color: #e74c3c; font-weight: 600; }
+em { color: #27ae60; font-style: italic; }
+
+table {
+    width: 100%;
+    border-collapse: collapse;
+    margin: 20px 0;
+    background: #fff;
+    border-radius: 8px;
+    overflow: hidden;
+    box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+}
+
+th, td {
+    padding: 12px 16px;
+    text-align: left;
+    border-bottom: 1px solid #e1e8ed;
+}
+
+th {
+    background: #f8f9fa;
+    font-weight: 600;
+    color: #2c3e50;
+}
+
+hr {
+    border: none;
+    height: 2px;
+    background: linear-gradient(45deg, #3498db, #2980b9);
+    margin: 30px 0;
+    border-radius: 1px;
+}
+
+img {
+    max-width: 100%;
+    height: auto;
+    border-radius: 8px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+}
+
+@media (max-width: 768px) {
+    body { padding: 15px; }
+    h1 { font-size: 1.8rem; }
+    h2 { font-size: 1.5rem; }
+}`
+        },
+        {
+            id: 'github',
+            name: 'GitHub',
+            description: 'Clean README style with neutral colours',
+            css: `body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Noto Sans', Helvetica, Arial, sans-serif;
+    font-size: 16px;
+    line-height: 1.5;
+    color: #1f2328;
+    max-width: 980px;
+    margin: 0 auto;
+    padding: 45px;
+    background: #fff;
+    word-wrap: break-word;
+}
+
+h1, h2, h3, h4, h5, h6 { margin-top: 24px; margin-bottom: 16px; font-weight: 600; line-height: 1.25; }
+h1 { font-size: 2em; padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+h2 { font-size: 1.5em; padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+h3 { font-size: 1.25em; }
+h4 { font-size: 1em; }
+h5 { font-size: 0.875em; }
+h6 { font-size: 0.85em; color: #59636e; }
+
+p, blockquote, ul, ol, dl, table, pre { margin-top: 0; margin-bottom: 16px; }
+ul, ol { padding-left: 2em; }
+li + li { margin-top: 0.25em; }
+
+blockquote { padding: 0 1em; color: #59636e; border-left: 0.25em solid #d1d9e0; }
+
+code {
+    padding: 0.2em 0.4em;
+    font-family: ui-monospace, SFMono-Regular, 'SF Mono', Menlo, Consolas, monospace;
+    font-size: 85%;
+    background: rgba(129, 139, 152, 0.12);
+    border-radius: 6px;
+}
+
+pre { padding: 16px; overflow: auto; font-size: 85%; line-height: 1.45; background: #f6f8fa; border-radius: 6px; }
+pre code { padding: 0; background: none; font-size: 100%; }
+
+a { color: #0969da; text-decoration: none; }
+a:hover { text-decoration: underline; }
+
+table { border-collapse: collapse; display: block; width: max-content; max-width: 100%; overflow: auto; }
+th, td { padding: 6px 13px; border: 1px solid #d1d9e0; }
+th { font-weight: 600; }
+tr:nth-child(2n) { background: #f6f8fa; }
+
+hr { height: 0.25em; padding: 0; margin: 24px 0; background: #d1d9e0; border: 0; }
+img { max-width: 100%; box-sizing: content-box; }
+
+@media (max-width: 768px) {
+    body { padding: 15px; }
+}`
+        },
+        {
+            id: 'academic',
+            name: 'Academic',
+            description: 'Serif typography for papers and long-form reading',
+            css: `body {
+    font-family: 'Iowan Old Style', 'Palatino Linotype', Palatino, Georgia, 'Times New Roman', serif;
+    font-size: 18px;
+    line-height: 1.7;
+    color: #222;
+    max-width: 42em;
+    margin: 0 auto;
+    padding: 60px 30px;
+    background: #fffdf8;
+    text-rendering: optimizeLegibility;
+}
+
+h1, h2, h3, h4, h5, h6 { font-weight: normal; line-height: 1.3; margin: 1.8em 0 0.6em; }
+h1 { font-size: 2.2em; text-align: center; margin-top: 0; }
+h2 { font-size: 1.5em; font-variant: small-caps; letter-spacing: 0.03em; }
+h3 { font-size: 1.25em; font-style: italic; }
+h4, h5, h6 { font-size: 1em; font-weight: bold; }
+
+p { margin: 0 0 1em; text-align: justify; hyphens: auto; }
+p + p { text-indent: 1.5em; }
+
+ul, ol { margin: 0 0 1em; padding-left: 1.8em; }
+
+blockquote { margin: 1.5em 2em; font-size: 0.95em; color: #444; }
+
+code { font-family: 'SF Mono', Menlo, Consolas, monospace; font-size: 0.8em; }
+pre { padding: 1em; overflow-x: auto; font-size: 0.9em; line-height: 1.4; border-radius: 4px; }
+pre code { font-size: 0.85em; }
+
+a { color: #7a1f1f; }
+
+table { border-collapse: collapse; margin: 1.5em auto; font-size: 0.9em; }
+thead { border-top: 2px solid #222; border-bottom: 1px solid #222; }
+tbody { border-bottom: 2px solid #222; }
+th, td { padding: 0.4em 1em; text-align: left; }
+
+hr { border: none; text-align: center; margin: 2em 0; }
+hr::after { content: '\\2042'; font-size: 1.2em; color: #666; }
+
+img { max-width: 100%; display: block; margin: 1.5em auto; }
+
+@media (max-width: 768px) {
+    body { font-size: 16px; padding: 30px 15px; }
+    p { text-align: left; }
+}`
+        },
+        {
+            id: 'minimal',
+            name: 'Minimal',
+            description: 'Plain black on white with very little decoration',
+            css: `body {
+    font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+    line-height: 1.6;
+    color: #111;
+    max-width: 700px;
+    margin: 0 auto;
+    padding: 40px 20px;
+    background: #fff;
+}
+
+h1, h2, h3, h4, h5, h6 { line-height: 1.25; margin: 1.5em 0 0.5em; }
+p, ul, ol, pre, table, blockquote { margin: 0 0 1em; }
+
+blockquote { padding-left: 1em; border-left: 3px solid #ddd; color: #555; }
+
+code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 0.9em; }
+pre { padding: 1em; overflow-x: auto; border-radius: 4px; }
+
+a { color: inherit; }
+
+table { border-collapse: collapse; }
+th, td { padding: 0.3em 0.8em; border-bottom: 1px solid #ddd; text-align: left; }
+
+hr { border: none; border-top: 1px solid #ddd; margin: 2em 0; }
+img { max-width: 100%; }`
+        },
+        {
+            id: 'dark',
+            name: 'Dark',
+            description: 'Light text on a dark background',
+            css: `body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', sans-serif;
+    line-height: 1.6;
+    color: #e6e6fa;
+    max-width: 800px;
+    margin: 0 auto;
+    padding: 20px;
+    background: #1e1e2e;
+}
+
+h1, h2, h3, h4, h5, h6 { color: #fff; margin-top: 24px; margin-bottom: 16px; font-weight: 600; }
+h1 { font-size: 2rem; border-bottom: 1px solid #3a3a4d; padding-bottom: 10px; }
+h2 { font-size: 1.6rem; border-bottom: 1px solid #3a3a4d; padding-bottom: 8px; }
+h3 { font-size: 1.3rem; }
+
+p { margin: 16px 0; }
+ul, ol { margin: 16px 0; padding-left: 24px; }
+li { margin: 4px 0; }
+
+blockquote { margin: 20px 0; padding: 12px 20px; border-left: 4px solid #4ecdc4; background: #2d2d3a; color: #b8b8d1; }
+
+code {
+    background: #2d2d3a;
+    padding: 2px 6px;
+    border-radius: 4px;
+    font-family: 'SF Mono', 'Monaco', 'Inconsolata', 'Fira Code', monospace;
+    font-size: 0.9em;
+    color: #4ecdc4;
+}
+
+pre { padding: 20px; border-radius: 8px; overflow-x: auto; margin: 20px 0; }
+pre code { background: none; padding: 0; color: inherit; }
+
+a { color: #4ecdc4; }
+strong { color: #fff; }
+
+table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+th, td { padding: 10px 14px; text-align: left; border-bottom: 1px solid #3a3a4d; }
+th { background: #2d2d3a; color: #fff; }
+
+hr { border: none; height: 1px; background: #3a3a4d; margin: 30px 0; }
+img { max-width: 100%; height: auto; border-radius: 8px; }
+
+@media (max-width: 768px) {
+    body { padding: 15px; }
+}`
+        }
+    ];
+
+    // Theme used when nothing (or an unknown id) is configured
+    const DEFAULT_THEME = 'classic';
+
+    class ExportThemes {
+        /**
+         * Built-in themes
+         * @returns {Array<{id: string, name: string, description: string, css: string}>}
+         */
+        static list() {
+            return THEMES.map(theme => Object.assign({}, theme));
+        }
+
+        /**
+         * Look up a built-in theme
+         * @param {string} id - Theme id, e.g. 'github'
+         * @returns {Object} - The theme, or the default theme if the id is unknown
+         */
+        static get(id) {
+            return Object.assign({}, THEMES.find(theme => theme.id === id) || THEMES.find(theme => theme.id === DEFAULT_THEME));
+        }
+
+        /**
+         * Stylesheet of a theme
+         * @param {string} id - Theme id, or 'none' for no built-in styles (custom CSS only)
+         * @returns {string} - CSS text
+         */
+        static getCSS(id) {
+            return id === 'none' ? '' : ExportThemes.get(id).css;
+        }
+
+        static get DEFAULT_THEME() {
+            return DEFAULT_THEME;
+        }
+    }
+
+    return ExportThemes;
+}));
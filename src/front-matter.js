@@ -0,0 +1,163 @@
+// Markdown to HTML Converter - Front Matter
+// Parses the YAML front matter block (title, author, date, description, tags...) at the top of a document
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FrontMatter = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // "---" on the first line, then everything up to a closing "---" or "..."
+    const BLOCK_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+    class FrontMatter {
+        /**
+         * Split a document into its front matter and body
+         * @param {string} text - Document source
+         * @returns {{data: Object, body: string, raw: string, lineCount: number}} - Parsed values, the text after
+         *     the block, the block itself and how many lines it spans (0 and {} when there is no front matter)
+         */
+        static parse(text) {
+            const source = String(text || '');
+            const none = { data: {}, body: source, raw: '', lineCount: 0 };
+
+            const match = BLOCK_PATTERN.exec(source);
+            if (!match) return none;
+
+            // A leading horizontal rule followed by ordinary text is not front matter
+            const data = FrontMatter.parseYaml(match[1] || '');
+            if (!data) return none;
+
+            const raw = match[0];
+            return {
+                data,
+                body: source.slice(raw.length),
+                raw,
+                lineCount: raw.replace(/\r?\n$/, '').split('\n').length
+            };
+        }
+
+        /**
+         * Parse the small YAML subset used in front matter: "key: value" pairs, quoted strings,
+         * [inline, lists], "- item" lists and | or > block text
+         * @param {string} yaml - Text between the --- lines
+         * @returns {Object|null} - Parsed values, or null if the text isn't a YAML mapping
+         */
+        static parseYaml(yaml) {
+            const data = {};
+            const lines = yaml.split(/\r?\n/);
+            let currentKey = null;
+            let block = null;
+
+            const finishBlock = () => {
+                if (!block) return;
+                const text = block.folded
+                    ? block.lines.join('\n').replace(/([^\n])\n(?!\n)/g, '$1 ')
+                    : block.lines.join('\n');
+                data[block.key] = text.replace(/\n+$/, '');
+                block = null;
+            };
+
+            for (const line of lines) {
+                if (block) {
+                    if (!line.trim() || /^\s/.test(line)) {
+                        block.indent = block.indent === null && line.trim() ? /^\s*/.exec(line)[0].length : block.indent;
+                        block.lines.push(line.slice(block.indent || 0));
+                        continue;
+                    }
+                    finishBlock();
+                }
+
+                if (!line.trim() || /^\s*#/.test(line)) continue;
+
+                const item = /^\s*-\s+(.*)$/.exec(line);
+                if (item && currentKey) {
+                    if (!Array.isArray(data[currentKey])) data[currentKey] = [];
+                    data[currentKey].push(FrontMatter.parseValue(item[1]));
+                    continue;
+                }
+
+                const pair = /^([A-Za-z_][\w.-]*)\s*:(?:\s+(.*))?\s*$/.exec(line);
+                if (!pair) return null;
+
+                currentKey = pair[1];
+                const value = (pair[2] || '').trim();
+
+                if (/^[|>][+-]?$/.test(value)) {
+                    block = { key: currentKey, folded: value[0] === '>', lines: [], indent: null };
+                } else {
+                    data[currentKey] = value === '' ? '' : FrontMatter.parseValue(value);
+                }
+            }
+            finishBlock();
+
+            return data;
+        }
+
+        /**
+         * Parse a scalar or [inline, list] value
+         * @param {string} value - Raw value text
+         * @returns {string|boolean|Array}
+         */
+        static parseValue(value) {
+            const text = value.trim();
+
+            if (/^\[.*\]$/.test(text)) {
+                const inner = text.slice(1, -1).trim();
+                return inner ? FrontMatter.splitInlineList(inner).map(item => FrontMatter.parseValue(item)) : [];
+            }
+
+            const quoted = /^"((?:[^"\\]|\\.)*)"$/.exec(text) || /^'((?:[^']|'')*)'$/.exec(text);
+            if (quoted) {
+                return text[0] === '"'
+                    ? quoted[1].replace(/\\(["\\nt])/g, (match, char) => ({ n: '\n', t: '\t' }[char] || char))
+                    : quoted[1].replace(/''/g, "'");
+            }
+
+            // Unquoted values may end in a comment
+            const plain = text.replace(/\s+#.*$/, '');
+            if (/^(true|false)$/i.test(plain)) return plain.toLowerCase() === 'true';
+            return plain;
+        }
+
+        static splitInlineList(text) {
+            const items = [];
+            let current = '';
+            let quote = null;
+
+            for (const char of text) {
+                if (quote) {
+                    if (char === quote) quote = null;
+                    current += char;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                    current += char;
+                } else if (char === ',') {
+                    items.push(current);
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            items.push(current);
+
+            return items.map(item => item.trim()).filter(Boolean);
+        }
+
+        /**
+         * Read a value as a list ("a, b" strings are split on commas)
+         * @param {*} value - Front matter value such as tags
+         * @returns {Array<string>}
+         */
+        static toList(value) {
+            if (Array.isArray(value)) return value.map(String).filter(Boolean);
+            if (value === undefined || value === null || value === '') return [];
+            return String(value).split(',').map(item => item.trim()).filter(Boolean);
+        }
+    }
+
+    return FrontMatter;
+}));
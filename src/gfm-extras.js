@@ -0,0 +1,297 @@
+// Markdown to HTML Converter - GFM Extras
+// marked extensions for footnotes, callouts (> [!NOTE]) and definition lists, plus task list checkboxes
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('../libs/marked.min.js'), require('./html-tokenizer.js'));
+    } else {
+        root.GfmExtras = factory(root.marked, root.HtmlTokenizer);
+    }
+}(typeof self !== 'undefined' ? self : this, function (marked, HtmlTokenizer) {
+    'use strict';
+
+    // GitHub's alert types, with the title shown above the callout
+    const CALLOUT_TYPES = {
+        note: 'ℹ️ Note',
+        tip: '💡 Tip',
+        important: '❗ Important',
+        warning: '⚠️ Warning',
+        caution: '🛑 Caution'
+    };
+
+    const CALLOUT = /^ {0,3}> ?\[!(note|tip|important|warning|caution)\][ \t]*(?:\n|$)((?: {0,3}>[^\n]*(?:\n|$))*)/i;
+    const FOOTNOTE_DEFINITION = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?:[ \t]*\n)*(?: {2,}|\t)[^\n]*)*)(?:\n+|$)/;
+    const FOOTNOTE_REFERENCE = /^\[\^([^\]\s]+)\](?!:)/;
+
+    // Definition list: a term line, then one or more ": definition" lines
+    const DEFINITION_LINE = /^ {0,3}:[ \t]+(?=\S)/;
+    const NOT_A_TERM = /^ {0,3}(?:[:#>|]|[-*+][ \t]|\d{1,9}[.)][ \t]|`{3}|~{3})/;
+
+    // A list item starting with [ ] or [x], in Markdown (also inside quotes) or as an Easy Mode todo
+    const TASK_LINE = /^((?: {0,3}>)*\s*(?:[-*+]|\d{1,9}[.)])[ \t]+\[)([ xX])(\](?=[ \t]))/;
+    const EASY_TODO_LINE = /^(\s*todo)(\s*done)?(\s*:)/i;
+
+    // Object keys that hold child tokens: lists, tables, definition lists and extension tokens
+    const CHILD_KEYS = ['tokens', 'items', 'header', 'rows', 'term', 'definitions'];
+
+    class GfmExtras {
+        /**
+         * Options for marked.use(): the extensions, footnote numbering and task list rendering
+         * @returns {Object}
+         */
+        static markedExtension() {
+            return {
+                extensions: [calloutExtension(), footnoteDefinitionExtension(), footnoteReferenceExtension(), footnotesExtension(), definitionListExtension()],
+                hooks: {
+                    processAllTokens: GfmExtras.collectFootnotes
+                },
+                renderer: {
+                    // Enabled by the preview so a click can toggle the item in the source
+                    checkbox: ({ checked }) => `<input type="checkbox" class="task-list-item-checkbox"${checked ? ' checked=""' : ''} disabled="">`,
+
+                    listitem(item) {
+                        const html = marked.Renderer.prototype.listitem.call(this, item);
+                        return item.task ? html.replace(/^<li>/, '<li class="task-list-item">') : html;
+                    }
+                }
+            };
+        }
+
+        /**
+         * Move footnote definitions to a list at the end of the document, numbered in order of first reference.
+         * References to undefined footnotes are left as text.
+         * @param {Array<Object>} tokens - Top-level tokens from the lexer
+         * @returns {Array<Object>}
+         */
+        static collectFootnotes(tokens) {
+            const definitions = new Map();
+            const body = tokens.filter(token => {
+                if (token.type !== 'footnoteDefinition') return true;
+                if (!definitions.has(token.label)) definitions.set(token.label, token);
+                return false;
+            });
+
+            // Tokens can be reused between conversions (incremental rendering), so numbering starts over each time
+            definitions.forEach(definition => {
+                definition.number = 0;
+                definition.references = 0;
+            });
+
+            const notes = [];
+            visitTokens(body, token => {
+                if (token.type !== 'footnoteReference') return;
+                token.number = 0;
+                if (!definitions.has(token.label)) return;
+
+                const definition = definitions.get(token.label);
+                if (!definition.number) {
+                    definition.number = notes.push(definition);
+                }
+                definition.references++;
+                token.number = definition.number;
+                token.id = definition.id;
+                token.referenceId = definition.references === 1 ? `fnref-${definition.id}` : `fnref-${definition.id}-${definition.references}`;
+            });
+
+            if (notes.length > 0) {
+                body.push({ type: 'footnotes', raw: '', items: notes });
+            }
+            return body;
+        }
+
+        /**
+         * Line numbers (0-based) of the task list items in Markdown, in document order; the nth
+         * checkbox in the rendered output belongs to the nth line
+         * @param {string} markdownText
+         * @returns {Array<number>}
+         */
+        static findTaskLines(markdownText) {
+            const taskLines = [];
+            let fence = null;
+
+            String(markdownText || '').split('\n').forEach((line, index) => {
+                const fenceMatch = /^\s{0,3}(`{3,}|~{3,})/.exec(line);
+                if (fence) {
+                    if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && line.trim() === fenceMatch[1]) fence = null;
+                    return;
+                }
+                if (fenceMatch) {
+                    fence = fenceMatch[1];
+                    return;
+                }
+                if (TASK_LINE.test(line)) taskLines.push(index);
+            });
+
+            return taskLines;
+        }
+
+        /**
+         * Check or uncheck the task on a source line: "- [ ]" ↔ "- [x]", or "todo:" ↔ "todo done:" in Easy Mode
+         * @param {string} line - Editor line
+         * @returns {?string} - The toggled line, or null if the line holds no task
+         */
+        static toggleTaskLine(line) {
+            if (TASK_LINE.test(line)) {
+                return line.replace(TASK_LINE, (match, before, mark, after) => `${before}${mark === ' ' ? 'x' : ' '}${after}`);
+            }
+            if (EASY_TODO_LINE.test(line)) {
+                return line.replace(EASY_TODO_LINE, (match, keyword, done, colon) => `${keyword}${done ? '' : ' done'}${colon}`);
+            }
+            return null;
+        }
+    }
+
+    function calloutExtension() {
+        return {
+            name: 'callout',
+            level: 'block',
+            start: (src) => {
+                const match = /^ {0,3}> ?\[!/m.exec(src);
+                return match ? match.index : undefined;
+            },
+            tokenizer(src) {
+                const match = CALLOUT.exec(src);
+                if (!match) return undefined;
+                const text = match[2].replace(/^ {0,3}> ?/gm, '');
+                return { type: 'callout', raw: match[0], kind: match[1].toLowerCase(), tokens: this.lexer.blockTokens(text, []) };
+            },
+            renderer(token) {
+                return `<div class="callout callout-${token.kind}">\n<p class="callout-title">${CALLOUT_TYPES[token.kind]}</p>\n${this.parser.parse(token.tokens)}</div>\n`;
+            }
+        };
+    }
+
+    function footnoteDefinitionExtension() {
+        return {
+            name: 'footnoteDefinition',
+            level: 'block',
+            start: (src) => {
+                const match = /^ {0,3}\[\^[^\]\s]+\]:/m.exec(src);
+                return match ? match.index : undefined;
+            },
+            tokenizer(src) {
+                const match = FOOTNOTE_DEFINITION.exec(src);
+                if (!match) return undefined;
+                const text = match[2].replace(/^(?: {1,4}|\t)/gm, '');
+                return {
+                    type: 'footnoteDefinition',
+                    raw: match[0],
+                    label: match[1].toLowerCase(),
+                    id: footnoteId(match[1]),
+                    tokens: this.lexer.blockTokens(text, [])
+                };
+            },
+            // Rendered in the footnotes list instead (see collectFootnotes)
+            renderer: () => ''
+        };
+    }
+
+    function footnoteReferenceExtension() {
+        return {
+            name: 'footnoteReference',
+            level: 'inline',
+            start: (src) => {
+                const index = src.indexOf('[^');
+                return index === -1 ? undefined : index;
+            },
+            tokenizer(src) {
+                const match = FOOTNOTE_REFERENCE.exec(src);
+                if (!match) return undefined;
+                return { type: 'footnoteReference', raw: match[0], label: match[1].toLowerCase() };
+            },
+            renderer(token) {
+                if (!token.number) return HtmlTokenizer.escapeHtml(token.raw);
+                return `<sup class="footnote-ref"><a href="#fn-${token.id}" id="${token.referenceId}">${token.number}</a></sup>`;
+            }
+        };
+    }
+
+    function footnotesExtension() {
+        return {
+            name: 'footnotes',
+            renderer(token) {
+                const items = token.items.map(note => {
+                    const backReferences = Array.from({ length: note.references }, (value, index) => {
+                        const id = index === 0 ? `fnref-${note.id}` : `fnref-${note.id}-${index + 1}`;
+                        return ` <a href="#${id}" class="footnote-backref" title="Back to reference ${note.number}">↩</a>`;
+                    }).join('');
+
+                    const html = this.parser.parse(note.tokens);
+                    const content = /<\/p>\n?$/.test(html) ? html.replace(/<\/p>\n?$/, `${backReferences}</p>\n`) : `${html}${backReferences}\n`;
+                    return `<li id="fn-${note.id}">\n${content}</li>\n`;
+                }).join('');
+
+                return `<section class="footnotes">\n<ol>\n${items}</ol>\n</section>\n`;
+            }
+        };
+    }
+
+    function definitionListExtension() {
+        return {
+            name: 'definitionList',
+            level: 'block',
+            tokenizer(src) {
+                if (!/^[^\n]+\n {0,3}:[ \t]/.test(src)) return undefined;
+
+                const lines = src.split('\n');
+                const isTerm = (index) => lines[index] !== undefined && lines[index].trim() !== '' && !NOT_A_TERM.test(lines[index]) &&
+                    DEFINITION_LINE.test(lines[index + 1] || '');
+
+                const entries = [];
+                let index = 0;
+                while (isTerm(index)) {
+                    const entry = { term: lines[index].trim(), definitions: [] };
+                    index++;
+
+                    while (index < lines.length && DEFINITION_LINE.test(lines[index])) {
+                        let definition = lines[index].replace(DEFINITION_LINE, '');
+                        index++;
+                        // Indented lines continue the definition
+                        while (index < lines.length && /^(?: {2,}|\t)\S/.test(lines[index])) {
+                            definition += '\n' + lines[index].trim();
+                            index++;
+                        }
+                        entry.definitions.push(definition);
+                    }
+                    entries.push(entry);
+
+                    // A blank line may separate entries of the same list
+                    if (lines[index] === '' && isTerm(index + 1)) index++;
+                }
+                if (entries.length === 0) return undefined;
+
+                return {
+                    type: 'definitionList',
+                    raw: lines.slice(0, index).join('\n') + (index < lines.length ? '\n' : ''),
+                    items: entries.map(entry => ({
+                        term: this.lexer.inline(entry.term),
+                        definitions: entry.definitions.map(definition => this.lexer.inline(definition))
+                    }))
+                };
+            },
+            renderer(token) {
+                const items = token.items.map(item => {
+                    const definitions = item.definitions.map(definition => `<dd>${this.parser.parseInline(definition)}</dd>\n`).join('');
+                    return `<dt>${this.parser.parseInline(item.term)}</dt>\n${definitions}`;
+                }).join('');
+                return `<dl>\n${items}</dl>\n`;
+            }
+        };
+    }
+
+    // Walk tokens in document order, including list items, table cells and extension children
+    function visitTokens(value, visit) {
+        if (Array.isArray(value)) {
+            value.forEach(item => visitTokens(item, visit));
+        } else if (value && typeof value === 'object') {
+            if (typeof value.type === 'string') visit(value);
+            CHILD_KEYS.forEach(key => visitTokens(value[key], visit));
+        }
+    }
+
+    function footnoteId(label) {
+        return String(label).toLowerCase().replace(/[^\w-]+/g, '-');
+    }
+
+    return GfmExtras;
+}));
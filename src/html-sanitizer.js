@@ -0,0 +1,206 @@
+// Markdown to HTML Converter - HTML Sanitizer
+// Allowlist-based sanitizer applied to converted HTML before it is previewed, copied or downloaded
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./html-tokenizer.js'));
+    } else {
+        root.HtmlSanitizer = factory(root.HtmlTokenizer);
+    }
+}(typeof self !== 'undefined' ? self : this, function (HtmlTokenizer) {
+    'use strict';
+
+    const DEFAULTS = {
+        allowedTags: [
+            'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'col', 'colgroup', 'dd', 'del', 'details',
+            'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i',
+            'img', 'input', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 's', 'section', 'small', 'span',
+            'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+        ],
+        allowedAttributes: {
+            '*': ['class', 'id', 'title', 'lang', 'dir'],
+            a: ['href', 'name', 'target', 'rel'],
+            img: ['src', 'alt', 'width', 'height'],
+            input: ['type', 'checked', 'disabled'],
+            ol: ['start', 'type'],
+            td: ['align', 'colspan', 'rowspan'],
+            th: ['align', 'colspan', 'rowspan', 'scope'],
+            details: ['open']
+        },
+        allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+        // data: URIs are only accepted for these image types on <img src>
+        allowedDataImageTypes: ['png', 'jpeg', 'jpg', 'gif', 'webp'],
+        // Disallowed elements whose content is dropped as well (everything else is unwrapped)
+        dropContentTags: ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'select', 'title', 'frame', 'frameset', 'applet']
+    };
+
+    const URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href'];
+
+    class HtmlSanitizer {
+        /**
+         * @param {Object} [options] - Overrides for HtmlSanitizer.DEFAULTS
+         */
+        constructor(options = {}) {
+            this.configure(options);
+        }
+
+        /**
+         * Replace the allowlist configuration (unspecified keys fall back to the defaults)
+         * @param {Object} options - allowedTags, allowedAttributes, allowedSchemes, allowedDataImageTypes, dropContentTags
+         */
+        configure(options = {}) {
+            this.options = Object.assign({}, DEFAULTS, options);
+            this.allowedTags = new Set(this.options.allowedTags.map(tag => tag.toLowerCase()));
+            this.allowedSchemes = new Set(this.options.allowedSchemes.map(scheme => scheme.toLowerCase().replace(/:$/, '')));
+            this.dropContentTags = new Set(this.options.dropContentTags.map(tag => tag.toLowerCase()));
+        }
+
+        /**
+         * Sanitize an HTML fragment
+         * @param {string} html - Untrusted HTML
+         * @param {Object} [options]
+         * @param {Array<string>} [options.allowAttributes] - Extra attributes to keep on every element for this call
+         * @returns {{html: string, removed: Array<Object>, open: boolean}} - Clean HTML, a report of what was stripped,
+         *     and whether the fragment ends inside something (a comment, a dropped element, a tag) that would take in
+         *     whatever HTML follows it
+         */
+        sanitize(html, options = {}) {
+            const extraAttributes = options.allowAttributes || [];
+            const tokens = HtmlTokenizer.tokenize(html);
+            const removed = [];
+            const output = [];
+            let dropDepth = 0;
+            let dropTag = null;
+
+            tokens.forEach(token => {
+                // Skip everything inside a dropped element such as <script>
+                if (dropDepth > 0) {
+                    if (token.type === 'start' && token.tagName === dropTag && !token.selfClosing) dropDepth++;
+                    if (token.type === 'end' && token.tagName === dropTag) dropDepth--;
+                    return;
+                }
+
+                switch (token.type) {
+                    case 'text':
+                        output.push(token.text.replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+                        break;
+
+                    case 'rawtext':
+                        // Content of an allowed raw text element; escape it so it stays text
+                        output.push(HtmlTokenizer.escapeHtml(token.text));
+                        break;
+
+                    case 'comment':
+                    case 'doctype':
+                        break;
+
+                    case 'start':
+                        if (!this.allowedTags.has(token.tagName)) {
+                            removed.push({ type: 'element', tag: token.tagName, value: token.raw, reason: 'Tag not allowed' });
+                            if (this.dropContentTags.has(token.tagName) && !token.selfClosing) {
+                                dropDepth = 1;
+                                dropTag = token.tagName;
+                            }
+                            break;
+                        }
+                        output.push(this.serializeStartTag(token, removed, extraAttributes));
+                        break;
+
+                    case 'end':
+                        if (this.allowedTags.has(token.tagName) && !HtmlTokenizer.isVoidTag(token.tagName)) {
+                            output.push(`</${token.tagName}>`);
+                        }
+                        break;
+                }
+            });
+
+            const last = tokens[tokens.length - 1];
+            const open = dropDepth > 0 || Boolean(last && (last.unterminated || (last.type === 'text' && /<[a-zA-Z!\/?]/.test(last.text))));
+            return { html: output.join(''), removed, open };
+        }
+
+        serializeStartTag(token, removed, extraAttributes = []) {
+            const tag = token.tagName;
+            const allowedForTag = (this.options.allowedAttributes[tag] || [])
+                .concat(this.options.allowedAttributes['*'] || [], extraAttributes);
+            const attributes = [];
+
+            // Only checkbox inputs (GFM task lists) are meaningful in a document
+            if (tag === 'input') {
+                const type = token.attributes.find(attribute => attribute.name === 'type');
+                if (!type || type.value.toLowerCase() !== 'checkbox') {
+                    removed.push({ type: 'element', tag, value: token.raw, reason: 'Only checkbox inputs are allowed' });
+                    return '';
+                }
+            }
+
+            token.attributes.forEach(attribute => {
+                if (!allowedForTag.includes(attribute.name)) {
+                    removed.push({
+                        type: 'attribute',
+                        tag,
+                        name: attribute.name,
+                        value: attribute.value,
+                        reason: attribute.name.startsWith('on') ? 'Event handler attribute' : 'Attribute not allowed'
+                    });
+                    return;
+                }
+
+                if (URL_ATTRIBUTES.includes(attribute.name) && !this.isSafeUrl(attribute.value, tag, attribute.name)) {
+                    removed.push({ type: 'url', tag, name: attribute.name, value: attribute.value, reason: 'URL scheme not allowed' });
+                    return;
+                }
+
+                attributes.push(` ${attribute.name}="${HtmlTokenizer.escapeHtml(attribute.value)}"`);
+            });
+
+            return `<${tag}${attributes.join('')}>`;
+        }
+
+        /**
+         * Check a URL attribute value against the scheme allowlist
+         * @param {string} url - Decoded attribute value
+         * @param {string} tag - Element the attribute belongs to
+         * @param {string} attributeName - Attribute name
+         * @returns {boolean} - True if the URL may be kept
+         */
+        isSafeUrl(url, tag, attributeName) {
+            // Browsers ignore whitespace and control characters inside the scheme
+            const normalized = String(url).replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+            const scheme = /^([a-z][a-z0-9+.-]*):/.exec(normalized);
+
+            // Relative URLs, fragments and query strings have no scheme
+            if (!scheme) {
+                return true;
+            }
+
+            if (scheme[1] === 'data') {
+                const type = /^data:image\/([a-z0-9.+-]+)[;,]/.exec(normalized);
+                return tag === 'img' && attributeName === 'src' && !!type && this.options.allowedDataImageTypes.includes(type[1]);
+            }
+
+            return this.allowedSchemes.has(scheme[1]);
+        }
+
+        /**
+         * Describe a removed item in one short line, for notifications and logs
+         * @param {Object} item - Entry from the removed report
+         * @returns {string}
+         */
+        static describe(item) {
+            if (item.type === 'element') {
+                return `<${item.tag}> element (${item.reason.toLowerCase()})`;
+            }
+            if (item.type === 'url') {
+                return `${item.name}="${item.value}" on <${item.tag}> (${item.reason.toLowerCase()})`;
+            }
+            return `${item.name} attribute on <${item.tag}> (${item.reason.toLowerCase()})`;
+        }
+
+        static get DEFAULTS() {
+            return JSON.parse(JSON.stringify(DEFAULTS));
+        }
+    }
+
+    return HtmlSanitizer;
+}));
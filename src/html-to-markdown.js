@@ -0,0 +1,429 @@
+// Markdown to HTML Converter - HTML to Markdown
+// Turns pasted rich text and HTML files (web pages, emails, Word and Google Docs) into Markdown
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./html-tokenizer.js'));
+    } else {
+        root.HtmlToMarkdown = factory(root.HtmlTokenizer);
+    }
+}(typeof self !== 'undefined' ? self : this, function (HtmlTokenizer) {
+    'use strict';
+
+    // Elements that start a new block; everything else is rendered inline
+    const BLOCK_TAGS = [
+        'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+        'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+        'html', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th',
+        'thead', 'tr', 'ul'
+    ];
+
+    // Elements whose content is never shown
+    const SKIPPED_TAGS = ['head', 'script', 'style', 'title', 'meta', 'link', 'noscript', 'template', 'iframe', 'object', 'svg', 'select', 'button'];
+
+    // Inline elements kept as HTML, since Markdown has no syntax for them (the sanitizer allows all of these)
+    const HTML_INLINE_TAGS = ['kbd', 'mark', 'sub', 'sup', 'u', 'ins'];
+
+    // A start tag implicitly closes these open elements (a new <li> ends the previous one, and so on)
+    const IMPLICIT_CLOSE = {
+        li: ['li'],
+        dt: ['dt', 'dd'],
+        dd: ['dt', 'dd'],
+        tr: ['tr', 'td', 'th'],
+        td: ['td', 'th'],
+        th: ['td', 'th'],
+        tbody: ['thead', 'tbody', 'tr', 'td', 'th'],
+        tfoot: ['thead', 'tbody', 'tr', 'td', 'th'],
+        p: ['p']
+    };
+
+    // Tags that show the HTML is formatted content rather than plain text in styled <div>s and <span>s
+    const RICH_TAGS = /<(h[1-6]|ul|ol|li|table|a|strong|b|em|i|s|del|strike|pre|code|blockquote|img|hr)[\s>\/]/i;
+
+    class HtmlToMarkdown {
+        /**
+         * Convert HTML to Markdown
+         * @param {string} html - HTML fragment or complete document
+         * @returns {string} - Markdown text ending in a newline (empty when there is no content)
+         */
+        static convert(html) {
+            const markdown = renderBlocks(HtmlToMarkdown.parse(html).children).join('\n\n');
+            const text = markdown.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+            return text ? text + '\n' : '';
+        }
+
+        /**
+         * Whether HTML from the clipboard carries formatting worth converting. Code editors and
+         * terminals put plain text in styled <div>s and <span>s, which is better pasted as text.
+         * @param {string} html
+         * @returns {boolean}
+         */
+        static isRichText(html) {
+            return RICH_TAGS.test(String(html || '')) || /mso-list|font-weight:\s*(?:bold|[6-9]00)|font-style:\s*italic/i.test(html);
+        }
+
+        /**
+         * Build an element tree from HTML, forgiving the usual mistakes (unclosed <p> and <li>, stray end tags)
+         * @param {string} html
+         * @returns {{tag: string, attributes: Object, children: Array}} - Root node; text nodes are {text}
+         */
+        static parse(html) {
+            const root = { tag: '#root', attributes: {}, children: [] };
+            const stack = [root];
+            const current = () => stack[stack.length - 1];
+
+            HtmlTokenizer.tokenize(html).forEach(token => {
+                if (token.type === 'text' || token.type === 'rawtext') {
+                    current().children.push({ text: token.type === 'text' ? HtmlTokenizer.decodeEntities(token.text) : token.text });
+                } else if (token.type === 'start') {
+                    const closes = IMPLICIT_CLOSE[token.tagName] || (BLOCK_TAGS.includes(token.tagName) ? ['p'] : []);
+                    const boundary = ['ul', 'ol', 'table', 'dl', 'blockquote', 'td', 'th', 'li'];
+                    for (let index = stack.length - 1; index > 0; index--) {
+                        if (closes.includes(stack[index].tag)) {
+                            stack.length = index;
+                            break;
+                        }
+                        if (boundary.includes(stack[index].tag)) break;
+                    }
+
+                    const attributes = {};
+                    token.attributes.forEach(attribute => {
+                        attributes[attribute.name] = attribute.value;
+                    });
+                    const node = { tag: token.tagName, attributes, children: [] };
+                    current().children.push(node);
+                    if (!token.selfClosing) stack.push(node);
+                } else if (token.type === 'end') {
+                    for (let index = stack.length - 1; index > 0; index--) {
+                        if (stack[index].tag === token.tagName) {
+                            stack.length = index;
+                            break;
+                        }
+                    }
+                }
+            });
+
+            return root;
+        }
+    }
+
+    /**
+     * Render child nodes as Markdown blocks; runs of inline content become paragraphs
+     * @param {Array} nodes
+     * @returns {Array<string>}
+     */
+    function renderBlocks(nodes) {
+        const blocks = [];
+        let inline = [];
+        let wordList = false; // The last block is a Word list item, so the next one joins the same list
+
+        const flush = () => {
+            const text = renderParagraph(inline);
+            if (text) {
+                blocks.push(text);
+                wordList = false;
+            }
+            inline = [];
+        };
+
+        nodes.forEach(node => {
+            if (node.text !== undefined || !isBlock(node)) {
+                inline.push(node);
+                return;
+            }
+            flush();
+            const block = renderBlock(node);
+            if (isWordListParagraph(node) && wordList) {
+                blocks[blocks.length - 1] += '\n' + block;
+            } else if (Array.isArray(block)) {
+                blocks.push(...block);
+            } else if (block) {
+                blocks.push(block);
+            }
+            if (block && (!Array.isArray(block) || block.length)) wordList = isWordListParagraph(node);
+        });
+        flush();
+
+        return blocks;
+    }
+
+    // Inline elements wrapping blocks (Google Docs puts the whole document in a <b>) count as blocks
+    function isBlock(node) {
+        return BLOCK_TAGS.includes(node.tag) || SKIPPED_TAGS.includes(node.tag) || isWordListParagraph(node) ||
+            node.children.some(child => child.text === undefined && isBlock(child));
+    }
+
+    function renderBlock(node) {
+        const tag = node.tag;
+        if (SKIPPED_TAGS.includes(tag)) return null;
+
+        if (/^h[1-6]$/.test(tag)) {
+            const text = renderInline(node.children).replace(/\s*\n\s*/g, ' ').trim();
+            return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : null;
+        }
+
+        switch (tag) {
+            case 'hr':
+                return '---';
+            case 'pre':
+                return renderCodeBlock(node);
+            case 'blockquote': {
+                const body = renderBlocks(node.children).join('\n\n');
+                return body ? body.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n') : null;
+            }
+            case 'ul':
+            case 'ol':
+                return renderList(node);
+            case 'table':
+                return renderTable(node);
+            case 'dt': {
+                const term = renderInline(node.children).trim();
+                return term ? `**${term}**` : null;
+            }
+            default:
+                if (isWordListParagraph(node)) return renderWordListItem(node);
+                return renderBlocks(node.children);
+        }
+    }
+
+    function renderParagraph(nodes) {
+        const text = renderInline(nodes)
+            .split('\n')
+            .map(line => line.trim().replace(/ {2,}/g, ' '))
+            .join('\n')
+            .replace(/\n{2,}/g, '\n')
+            .trim();
+        return text ? escapeLineStart(text) : '';
+    }
+
+    /**
+     * Render inline content (text, emphasis, links, images, inline code)
+     * @param {Array} nodes
+     * @returns {string}
+     */
+    function renderInline(nodes) {
+        return nodes.map(node => {
+            if (node.text !== undefined) return escapeText(node.text.replace(/\s+/g, ' '));
+            if (SKIPPED_TAGS.includes(node.tag)) return '';
+
+            const content = () => renderInline(node.children);
+            switch (node.tag) {
+                case 'br':
+                    return '\n';
+                case 'strong':
+                case 'b':
+                    // Google Docs wraps whole documents in <b style="font-weight:normal">
+                    return /font-weight:\s*(?:normal|[1-4]00)/i.test(node.attributes.style || '') ? content() : wrap(content(), '**');
+                case 'em':
+                case 'i':
+                case 'cite':
+                case 'dfn':
+                    return wrap(content(), '*');
+                case 's':
+                case 'del':
+                case 'strike':
+                    return wrap(content(), '~~');
+                case 'code':
+                case 'tt':
+                case 'samp':
+                    return renderInlineCode(textContent(node));
+                case 'a':
+                    return renderLink(node, content());
+                case 'img':
+                    return renderImage(node);
+                case 'input':
+                    return node.attributes.type === 'checkbox' ? ('checked' in node.attributes ? '[x] ' : '[ ] ') : '';
+                case 'span':
+                    if (/mso-list:\s*ignore/i.test(node.attributes.style || '')) return '';
+                    return renderStyledSpan(node, content());
+                default:
+                    if (HTML_INLINE_TAGS.includes(node.tag)) {
+                        const inner = content();
+                        return inner.trim() ? `<${node.tag}>${inner}</${node.tag}>` : inner;
+                    }
+                    // Blocks inside a table cell or heading run on with a space
+                    return isBlock(node) ? ` ${content()} ` : content();
+            }
+        }).join('');
+    }
+
+    // Rich text editors (Google Docs, Outlook) format with inline styles instead of tags
+    function renderStyledSpan(node, content) {
+        const style = node.attributes.style || '';
+        let text = content;
+        if (/text-decoration[^;]*line-through/i.test(style)) text = wrap(text, '~~');
+        if (/font-style:\s*italic/i.test(style)) text = wrap(text, '*');
+        if (/font-weight:\s*(?:bold|[6-9]00)/i.test(style)) text = wrap(text, '**');
+        return text;
+    }
+
+    /**
+     * Wrap text in an emphasis marker, keeping surrounding spaces outside (** text ** is not bold)
+     */
+    function wrap(text, marker) {
+        const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+        if (!match[2]) return text;
+        return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+    }
+
+    function renderInlineCode(text) {
+        const code = text.replace(/\s*\n\s*/g, ' ');
+        if (!code.trim()) return code;
+        const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        const padding = /^`|`$/.test(code) ? ' ' : '';
+        return `${fence}${padding}${code}${padding}${fence}`;
+    }
+
+    function renderLink(node, content) {
+        const href = (node.attributes.href || '').trim();
+        const text = content.trim();
+        if (!href || /^javascript:/i.test(href)) return content;
+        if (!text) return '';
+
+        const title = node.attributes.title ? ` "${node.attributes.title.replace(/"/g, '\\"')}"` : '';
+        return `[${text}](${formatUrl(href)}${title})`;
+    }
+
+    function renderImage(node) {
+        const src = (node.attributes.src || '').trim();
+        if (!src) return '';
+        const alt = escapeText(node.attributes.alt || '').replace(/\s+/g, ' ').trim();
+        const title = node.attributes.title ? ` "${node.attributes.title.replace(/"/g, '\\"')}"` : '';
+        return `![${alt}](${formatUrl(src)}${title})`;
+    }
+
+    // URLs with spaces or parentheses need angle brackets
+    function formatUrl(url) {
+        return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+    }
+
+    function renderCodeBlock(node) {
+        const code = node.children.find(child => child.tag === 'code');
+        const language = codeLanguage(node) || (code ? codeLanguage(code) : '');
+        const text = textContent(node).replace(/\n$/, '');
+
+        const longest = Math.max(2, ...(text.match(/^`{3,}/gm) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        return `${fence}${language}\n${text}\n${fence}`;
+    }
+
+    // "language-js" (marked, highlight.js), "lang-js" (Prism) or "highlight-source-js" (GitHub)
+    function codeLanguage(node) {
+        const classes = `${node.attributes.class || ''} ${node.attributes['data-lang'] ? `language-${node.attributes['data-lang']}` : ''}`;
+        const match = /(?:^|\s)(?:language-|lang-|highlight-source-)([\w+#.-]+)/i.exec(classes);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    function renderList(node) {
+        const ordered = node.tag === 'ol';
+        let number = ordered ? parseInt(node.attributes.start, 10) || 1 : 0;
+        let markerWidth = 2;
+        const items = [];
+
+        node.children.forEach(child => {
+            // Content outside <li> (invalid, but common) is attached to the previous item
+            if (child.tag !== 'li') {
+                if (child.tag === 'ul' || child.tag === 'ol') {
+                    const nested = renderList(child);
+                    if (nested && items.length) {
+                        items[items.length - 1] += '\n' + indent(nested, markerWidth);
+                    } else if (nested) {
+                        items.push(nested);
+                    }
+                }
+                return;
+            }
+
+            const marker = ordered ? `${number++}. ` : '- ';
+            const body = renderBlocks(child.children);
+            // Paragraphs inside one item are separated by a blank line; nested lists follow directly
+            const text = body.reduce((output, block, index) => {
+                if (index === 0) return block;
+                const separator = /^(?:[-*+]|\d+\.) /.test(block) ? '\n' : '\n\n';
+                return output + separator + block;
+            }, '');
+            items.push(marker + indent(text, marker.length).trimStart());
+            markerWidth = marker.length;
+        });
+
+        return items.length ? items.join('\n') : null;
+    }
+
+    function indent(text, width) {
+        const padding = ' '.repeat(width);
+        return text.split('\n').map(line => (line ? padding + line : line)).join('\n');
+    }
+
+    function renderTable(node) {
+        const rows = [];
+        const collectRows = parent => parent.children.forEach(child => {
+            if (child.tag === 'tr') {
+                rows.push(child.children.filter(cell => cell.tag === 'td' || cell.tag === 'th'));
+            } else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) {
+                collectRows(child);
+            }
+        });
+        collectRows(node);
+        if (rows.length === 0) return null;
+
+        const columns = Math.max(...rows.map(row => row.length));
+        if (columns === 0) return null;
+
+        const cellText = cell => renderInline(cell.children).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+        const line = cells => `| ${Array.from({ length: columns }, (item, index) => cells[index] || '').join(' | ')} |`;
+        const alignment = cell => {
+            const align = (cell && (cell.attributes.align || (/text-align:\s*(\w+)/i.exec(cell.attributes.style || '') || [])[1])) || '';
+            return { left: ':---', center: ':---:', right: '---:' }[align.toLowerCase()] || '---';
+        };
+
+        const [header, ...body] = rows;
+        return [
+            line(header.map(cellText)),
+            line(Array.from({ length: columns }, (item, index) => alignment(header[index]))),
+            ...body.map(row => line(row.map(cellText)))
+        ].join('\n');
+    }
+
+    // Word and Outlook write list items as <p class="MsoListParagraph" style="mso-list:l0 level1 lfo1">
+    function isWordListParagraph(node) {
+        return node.tag === 'p' && /mso-list:\s*l\d+\s+level\d/i.test(node.attributes.style || '');
+    }
+
+    function renderWordListItem(node) {
+        const level = parseInt(/level(\d+)/i.exec(node.attributes.style)[1], 10);
+        const marker = textContent(findNode(node, child => /mso-list:\s*ignore/i.test((child.attributes || {}).style || '')) || { children: [] }).trim();
+        const numbered = /^[\da-z]{1,3}[.)]$/i.test(marker);
+        const text = renderInline(node.children).replace(/\s+/g, ' ').trim();
+        return `${'   '.repeat(level - 1)}${numbered ? '1.' : '-'} ${text}`;
+    }
+
+    function findNode(node, predicate) {
+        for (const child of node.children || []) {
+            if (child.text === undefined && predicate(child)) return child;
+            const found = findNode(child, predicate);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    function textContent(node) {
+        if (node.text !== undefined) return node.text;
+        if (node.tag === 'br') return '\n';
+        return (node.children || []).map(textContent).join('');
+    }
+
+    // Characters that would otherwise be read as Markdown formatting
+    function escapeText(text) {
+        return text
+            .replace(/[\\`*[\]]/g, '\\$&')
+            .replace(/(^|[^\w\\])_|_(?=[^\w]|$)/g, (match, before) => (before !== undefined ? `${before}\\_` : '\\_'));
+    }
+
+    // A paragraph that starts like a heading, quote or list item is escaped so it stays a paragraph
+    function escapeLineStart(text) {
+        return text.replace(/^(#{1,6}(?=\s)|>|[-+](?=\s)|\d+(?=[.)]\s))/gm, (match) => (/^\d/.test(match) ? `${match}\\` : `\\${match}`));
+    }
+
+    return HtmlToMarkdown;
+}));
@@ -0,0 +1,156 @@
+// Markdown to HTML Converter - HTML Tokenizer
+// Small, DOM-free HTML tokenizer so HTML can be inspected in the browser and in Node alike
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HtmlTokenizer = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Elements whose content is raw text up to the matching end tag
+    const RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript'];
+
+    // Elements that never have an end tag
+    const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+    const NAMED_ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', colon: ':', tab: '\t', newline: '\n'
+    };
+
+    class HtmlTokenizer {
+        /**
+         * Split HTML into a flat list of tokens
+         * @param {string} html - HTML source
+         * @returns {Array<Object>} - Tokens of type text, start, end, comment or doctype. A comment or raw text
+         *     token that runs to the end of the HTML because it is never closed has unterminated: true.
+         */
+        static tokenize(html) {
+            const tokens = [];
+            const source = String(html || '');
+            let position = 0;
+
+            const pushText = (text) => {
+                if (!text) return;
+                const last = tokens[tokens.length - 1];
+                if (last && last.type === 'text') {
+                    last.text += text;
+                } else {
+                    tokens.push({ type: 'text', text });
+                }
+            };
+
+            while (position < source.length) {
+                const tagStart = source.indexOf('<', position);
+                if (tagStart === -1) {
+                    pushText(source.slice(position));
+                    break;
+                }
+                pushText(source.slice(position, tagStart));
+
+                const rest = source.slice(tagStart);
+                let match;
+
+                if (rest.startsWith('<!--')) {
+                    const end = source.indexOf('-->', tagStart + 4);
+                    const stop = end === -1 ? source.length : end + 3;
+                    tokens.push({ type: 'comment', raw: source.slice(tagStart, stop), unterminated: end === -1 });
+                    position = stop;
+                } else if ((match = /^<!([^>]*)>/.exec(rest))) {
+                    tokens.push({ type: 'doctype', raw: match[0] });
+                    position = tagStart + match[0].length;
+                } else if ((match = /^<\/([a-zA-Z][\w:-]*)[^>]*>/.exec(rest))) {
+                    tokens.push({ type: 'end', tagName: match[1].toLowerCase(), raw: match[0] });
+                    position = tagStart + match[0].length;
+                } else if ((match = /^<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?|\s*\/(?!>))*)\s*(\/?)>/.exec(rest))) {
+                    const tagName = match[1].toLowerCase();
+                    tokens.push({
+                        type: 'start',
+                        tagName,
+                        attributes: HtmlTokenizer.parseAttributes(match[2]),
+                        selfClosing: match[3] === '/' || VOID_TAGS.includes(tagName),
+                        raw: match[0]
+                    });
+                    position = tagStart + match[0].length;
+
+                    // Raw text elements swallow everything up to their end tag
+                    if (RAW_TEXT_TAGS.includes(tagName)) {
+                        const closing = new RegExp(`</${tagName}\\s*>`, 'i').exec(source.slice(position));
+                        const contentEnd = closing ? position + closing.index : source.length;
+                        tokens.push({ type: 'rawtext', text: source.slice(position, contentEnd), unterminated: !closing });
+                        position = contentEnd;
+                        if (closing) {
+                            tokens.push({ type: 'end', tagName, raw: closing[0] });
+                            position += closing[0].length;
+                        }
+                    }
+                } else {
+                    // A lone "<" is just text
+                    pushText('<');
+                    position = tagStart + 1;
+                }
+            }
+
+            return tokens;
+        }
+
+        /**
+         * Parse the attribute portion of a start tag
+         * @param {string} source - Text between the tag name and the closing ">"
+         * @returns {Array<{name: string, value: string}>} - Attributes with decoded values
+         */
+        static parseAttributes(source) {
+            const attributes = [];
+            const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+            let match;
+
+            while ((match = pattern.exec(source || '')) !== null) {
+                const rawValue = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+                attributes.push({
+                    name: match[1].toLowerCase(),
+                    value: rawValue === undefined ? '' : HtmlTokenizer.decodeEntities(rawValue)
+                });
+            }
+
+            return attributes;
+        }
+
+        /**
+         * Decode named and numeric character references
+         * @param {string} text - Text that may contain entities
+         * @returns {string} - Decoded text
+         */
+        static decodeEntities(text) {
+            return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (entity, body) => {
+                if (body[0] === '#') {
+                    const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+                    return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+                }
+                const named = NAMED_ENTITIES[body.toLowerCase()];
+                return named !== undefined ? named : entity;
+            });
+        }
+
+        /**
+         * Escape text for HTML content or a quoted attribute value (the reverse of decodeEntities())
+         * @param {string} text - Plain text
+         * @returns {string} - Text with &, <, >, " and ' escaped
+         */
+        static escapeHtml(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+
+        static isVoidTag(tagName) {
+            return VOID_TAGS.includes(tagName);
+        }
+    }
+
+    return HtmlTokenizer;
+}));
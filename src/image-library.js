@@ -0,0 +1,163 @@
+// Markdown to HTML Converter - Image Library
+// Images pasted or dropped into the editor: stored in the document store and looked up by the file name documents use
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ImageLibrary = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Images above this size still work, but make saving, previews and downloads slow
+    const LARGE_IMAGE_BYTES = 1024 * 1024;
+
+    const EXTENSIONS = {
+        'image/png': 'png',
+        'image/jpeg': 'jpg',
+        'image/gif': 'gif',
+        'image/webp': 'webp',
+        'image/svg+xml': 'svg',
+        'image/avif': 'avif',
+        'image/bmp': 'bmp'
+    };
+
+    class ImageLibrary {
+        /**
+         * @param {Object} store - DocumentStore (putImage, listImages)
+         */
+        constructor(store) {
+            this.store = store;
+            this.images = new Map(); // name → {name, type, size, dataUri, createdAt}
+            this.objectUrls = new Map(); // name → blob: URL used by the live preview
+        }
+
+        /**
+         * Read the stored images into memory so documents can be rendered without waiting
+         * @returns {Promise<ImageLibrary>}
+         */
+        async load() {
+            const images = await this.store.listImages();
+            images.forEach(image => this.images.set(image.name, image));
+            return this;
+        }
+
+        get size() {
+            return this.images.size;
+        }
+
+        /**
+         * Store an image under a new, unique file name
+         * @param {Object} file
+         * @param {string} file.fileName - Original file name ('image.png' for most clipboard images)
+         * @param {string} file.type - MIME type
+         * @param {number} file.size - Size in bytes
+         * @param {string} file.dataUri - Image content as a data: URI
+         * @returns {Promise<Object>} - The stored image; reference it as ![alt](image.name)
+         */
+        async add(file) {
+            const name = this.createName(file.fileName, file.type);
+            const image = await this.store.putImage({ name, type: file.type, size: file.size, dataUri: file.dataUri });
+            this.images.set(name, image);
+            return image;
+        }
+
+        /**
+         * @param {string} src - Image URL as written in the document
+         * @returns {?string} - data: URI of a stored image, or null if src is not one
+         */
+        getDataUri(src) {
+            const image = this.images.get(src);
+            return image ? image.dataUri : null;
+        }
+
+        /**
+         * Short URL for showing a stored image in the page; falls back to the data: URI
+         * @param {string} src - Image URL as written in the document
+         * @returns {?string}
+         */
+        getPreviewUrl(src) {
+            const image = this.images.get(src);
+            if (!image) return null;
+            if (typeof URL === 'undefined' || typeof URL.createObjectURL !== 'function') return image.dataUri;
+
+            if (!this.objectUrls.has(src)) {
+                this.objectUrls.set(src, URL.createObjectURL(ImageLibrary.dataUriToBlob(image.dataUri)));
+            }
+            return this.objectUrls.get(src);
+        }
+
+        /**
+         * Drop images that were deleted from the store
+         * @param {Array<string>} names - Image names
+         */
+        forget(names) {
+            names.forEach(name => {
+                this.images.delete(name);
+                if (this.objectUrls.has(name)) {
+                    URL.revokeObjectURL(this.objectUrls.get(name));
+                    this.objectUrls.delete(name);
+                }
+            });
+        }
+
+        /**
+         * File name for a new image: the original name, made URL-safe, plus a random suffix
+         * @param {string} fileName - Original file name
+         * @param {string} type - MIME type, used for the extension
+         * @returns {string} - e.g. "screenshot-k3j9x2.png"
+         */
+        createName(fileName, type) {
+            const original = String(fileName || '').replace(/\.[a-z0-9]+$/i, '');
+            const base = original.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'image';
+            const extension = EXTENSIONS[type] || (/\.([a-z0-9]+)$/i.exec(fileName || '') || [, 'png'])[1].toLowerCase();
+
+            let name;
+            do {
+                name = `${base}-${Math.random().toString(36).slice(2, 8)}.${extension}`;
+            } while (this.images.has(name));
+            return name;
+        }
+
+        /**
+         * @param {number} bytes - Image size
+         * @returns {boolean} - True if the image is big enough to warn about
+         */
+        static isLarge(bytes) {
+            return bytes > LARGE_IMAGE_BYTES;
+        }
+
+        /**
+         * @param {number} bytes
+         * @returns {string} - e.g. "850 KB" or "3.2 MB"
+         */
+        static formatSize(bytes) {
+            if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+
+        /**
+         * @param {string} dataUri - data: URI (base64 or URL-encoded)
+         * @returns {Blob}
+         */
+        static dataUriToBlob(dataUri) {
+            const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(dataUri);
+            if (!match) throw new Error('Not a data: URI');
+
+            const type = match[1] || 'application/octet-stream';
+            if (!/;base64/i.test(match[2])) {
+                return new Blob([decodeURIComponent(match[3])], { type });
+            }
+
+            const binary = atob(match[3]);
+            const bytes = new Uint8Array(binary.length);
+            for (let index = 0; index < binary.length; index++) {
+                bytes[index] = binary.charCodeAt(index);
+            }
+            return new Blob([bytes], { type });
+        }
+    }
+
+    return ImageLibrary;
+}));
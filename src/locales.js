@@ -0,0 +1,98 @@
+// Markdown to HTML Converter - Locales
+// Registry of locale packs: translated UI strings, localized Easy Mode keywords and the date format
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        const Locales = factory();
+        ['en', 'es', 'fr', 'ja'].forEach(id => Locales.register(require(`./locales/${id}.js`)));
+        module.exports = Locales;
+    } else {
+        // The packs in src/locales/ register themselves when their scripts load
+        root.Locales = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Strings missing from a pack fall back to this one
+    const DEFAULT_LOCALE = 'en';
+
+    const packs = new Map();
+
+    class Locales {
+        /**
+         * Add (or replace) a locale pack
+         * @param {Object} pack
+         * @param {string} pack.id - Language code, e.g. 'fr'
+         * @param {string} pack.name - Language name in that language, shown in the language switcher
+         * @param {string} pack.dateLocale - Locale used to format dates, e.g. 'fr-FR'
+         * @param {Object} pack.strings - UI string key → text; {name} inserts a parameter
+         * @param {Object} [pack.commands] - Easy Mode keywords, see EasyCommandRegistry.setAliases()
+         */
+        static register(pack) {
+            if (!pack || !pack.id || !pack.strings) {
+                throw new Error('Locale packs need an id and strings');
+            }
+            packs.set(pack.id, Object.assign({ name: pack.id, dateLocale: pack.id, commands: { keywords: {}, inline: {} } }, pack));
+        }
+
+        /**
+         * Registered locales, for the language switcher
+         * @returns {Array<{id: string, name: string}>}
+         */
+        static list() {
+            return Array.from(packs.values()).map(pack => ({ id: pack.id, name: pack.name }));
+        }
+
+        static has(id) {
+            return packs.has(id);
+        }
+
+        /**
+         * Look up a locale pack
+         * @param {string} id - Language code
+         * @returns {Object} - The pack, or the default (English) pack if the id is unknown
+         */
+        static get(id) {
+            return packs.get(id) || packs.get(DEFAULT_LOCALE);
+        }
+
+        /**
+         * Translate a UI string
+         * @param {string} id - Language code
+         * @param {string} key - String key, e.g. 'notify.copied'
+         * @param {Object} [params] - Values for {name} placeholders
+         * @returns {string} - The text in that language, else in English, else the key itself
+         */
+        static translate(id, key, params) {
+            const pack = packs.get(id);
+            const fallback = packs.get(DEFAULT_LOCALE);
+            let text = pack && Object.prototype.hasOwnProperty.call(pack.strings, key) ? pack.strings[key] : undefined;
+            if (text === undefined && fallback) text = fallback.strings[key];
+            if (text === undefined) return key;
+
+            return params
+                ? text.replace(/\{(\w+)\}/g, (match, name) => (Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match))
+                : text;
+        }
+
+        /**
+         * Pick the locale for a list of preferred languages, such as navigator.languages
+         * @param {Array<string>} languages - e.g. ['fr-CA', 'en-US']
+         * @returns {string} - First registered language (by full code, then by its first part), else 'en'
+         */
+        static match(languages) {
+            for (const language of languages || []) {
+                const code = String(language || '').toLowerCase();
+                if (packs.has(code)) return code;
+                if (packs.has(code.split('-')[0])) return code.split('-')[0];
+            }
+            return DEFAULT_LOCALE;
+        }
+
+        static get DEFAULT_LOCALE() {
+            return DEFAULT_LOCALE;
+        }
+    }
+
+    return Locales;
+}));
@@ -0,0 +1,431 @@
+// Markdown to HTML Converter - English locale
+// UI strings every other pack falls back to; English Easy Mode keywords are built in, so there are no aliases
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Locales.register(factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    return {
+        id: 'en',
+        name: 'English',
+        dateLocale: 'en-US',
+        commands: { keywords: {}, inline: {} },
+        strings: {
+            // Page chrome (data-i18n attributes in index.html)
+            'header.title': '🎯 Markdown to HTML Converter',
+            'header.subtitle': 'Instantly convert Markdown to HTML with live preview',
+            'language.label': 'Language',
+            'button.help': '❓ Help',
+            'button.exportTheme': '🎨 Export Theme',
+            'button.copy': '📋 Copy ▾',
+            'button.copied': '✅ Copied!',
+            'button.download': '⬇️ Download HTML',
+            'button.downloaded': '✅ Downloaded!',
+            'button.export': '📦 Export ▾',
+            'button.templates': '📑 Templates',
+            'button.toEasyMode': '🔁 To Easy Mode',
+            'button.clear': '🗑️ Clear',
+            'copy.html': '📋 HTML code',
+            'copy.htmlHint': 'The converted markup, for web pages and CMSs',
+            'copy.formatted': '✉️ Formatted',
+            'copy.formattedHint': 'For email and docs editors, styled with the export theme',
+            'copy.markdown': '📝 Markdown',
+            'copy.markdownHint': 'Easy Mode commands expanded',
+            'export.fragment': '🧩 HTML fragment',
+            'export.fragmentHint': 'Just the converted markup',
+            'export.linked': '🔗 HTML + stylesheet',
+            'export.linkedHint': 'Page with a separate .css file',
+            'export.standalone': '📦 Self-contained HTML',
+            'export.standaloneHint': 'Images embedded, works offline',
+            'export.print': '🖨️ Print / PDF',
+            'export.printHint': 'Print layout via the print dialog',
+            'export.text': '📄 Plain text',
+            'export.textHint': 'No markup',
+            'export.markdown': '📤 Markdown',
+            'export.markdownHint': 'Easy Mode commands expanded',
+            'sidebar.documents': '📚 Documents',
+            'sidebar.new': '＋ New',
+            'sidebar.newTitle': 'Create a new document',
+            'sidebar.history': '🕘 History',
+            'sidebar.historyTitle': 'Browse and restore earlier versions',
+            'panel.input': '📝 Markdown Input',
+            'panel.inputInfo': 'Type your Markdown here',
+            'panel.inspectorTitle': 'Show how each Easy Mode line was converted',
+            'panel.lintTitle': 'Show style and correctness problems',
+            'panel.statsTitle': 'Show document statistics and readability',
+            'panel.preview': '🌐 HTML Preview',
+            'panel.scrollSync': '🔗 Sync scroll',
+            'panel.scrollSyncTitle': 'Scroll the editor and preview together',
+            'panel.outline': '🧭 Outline',
+            'panel.outlineTitle': 'Show or hide the document outline',
+            'panel.exportViewTitle': 'Show the preview with the export theme applied',
+            'toolbar.label': 'Formatting',
+            'toolbar.heading': 'Heading (click again for a smaller one)',
+            'toolbar.bold': 'Bold (Ctrl+B)',
+            'toolbar.italic': 'Italic (Ctrl+I)',
+            'toolbar.strike': 'Strikethrough',
+            'toolbar.link': 'Link (Ctrl+K)',
+            'toolbar.code': 'Inline code',
+            'toolbar.codeBlock': 'Code block (Ctrl+Shift+C)',
+            'toolbar.quote': 'Quote',
+            'toolbar.bullet': 'Bulleted list',
+            'toolbar.number': 'Numbered list',
+            'toolbar.rule': 'Horizontal rule',
+            'toolbar.outdent': 'Outdent (Shift+Tab)',
+            'toolbar.indent': 'Indent (Tab)',
+            'toolbar.insert': '＋ Insert ▾',
+            'toolbar.insertTitle': 'Insert a table, callout, code block...',
+            'toolbar.easySyntax': 'Easy Mode syntax',
+            'toolbar.markdownSyntax': 'Markdown syntax',
+            'footer.builtWith': 'Built with ❤️ using',
+
+            // Buttons whose label shows a state
+            'button.easyModeOn': '🎯 Easy Mode: ON',
+            'button.easyModeOff': '📝 Easy Mode: OFF',
+            'button.sanitizeOn': '🛡️ Sanitize: ON',
+            'button.sanitizeOff': '⚠️ Sanitize: OFF',
+            'button.codeDark': '🌙 Code: Dark',
+            'button.codeLight': '☀️ Code: Light',
+            'button.inspector': '🔍 Inspector',
+            'button.lint': '🧹 Lint',
+            'button.stats': '📊 Stats',
+            'button.exportView': '🎨 Export view',
+            'button.exportViewOn': '🎨 Export view: ON',
+            'sanitizeReport.off': '⚠️ Sanitizer off',
+            'sanitizeReport.offTitle': 'Raw HTML is not being filtered',
+            'sanitizeReport.removed': '🛡️ {count} removed',
+            'sanitizeReport.safe': '🛡️ Safe',
+            'sanitizeReport.safeTitle': 'Nothing was removed by the sanitizer',
+            'autosave.loading': '💾 Loading...',
+            'autosave.unavailable': '❌ Autosave unavailable',
+            'autosave.saved': '💾 Saved {time}',
+            'autosave.editing': '✏️ Editing...',
+            'autosave.failed': '❌ Autosave failed',
+
+            // Conversion inspector
+            'inspector.easyModeOff': 'Easy Mode is OFF - every line is read as plain Markdown.',
+            'inspector.empty': 'No Easy Mode commands yet. Try <code>heading 1: Title</code> or <code>bold this: text</code>.',
+            'inspector.wrongFormat': 'Looks like <strong>{keyword}:</strong> but doesn\'t match its format. Example: {example}',
+            'inspector.didYouMean': 'Did you mean {suggestion}?',
+            'inspector.fix': '✔️ Fix',
+            'inspector.converted.one': '{count} line converted',
+            'inspector.converted.other': '{count} lines converted',
+            'inspector.typos.one': '{count} possible typo',
+            'inspector.typos.other': '{count} possible typos',
+            'stats.words.one': '{count} word',
+            'stats.words.other': '{count} words',
+            'stats.characters.one': '{count} character',
+            'stats.characters.other': '{count} characters',
+            'stats.charactersNoSpaces.one': '{count} character without spaces',
+            'stats.charactersNoSpaces.other': '{count} characters without spaces',
+            'stats.lines.one': '{count} line',
+            'stats.lines.other': '{count} lines',
+            'stats.readingTime.one': '{count} min read',
+            'stats.readingTime.other': '{count} min read',
+            'stats.readingTimeShort': '< 1 min read',
+            'stats.empty': 'Nothing to measure yet - the statistics follow the preview.',
+            'stats.readability': '📖 Readability',
+            'stats.readabilityDetail': '{formula}: {words} words per sentence, {syllables} syllables per word',
+            'stats.readabilityUnsupported': 'No readability formula for the document language. Set it in the export settings.',
+            'stats.readabilityNoProse': 'Write a few sentences to get a readability score.',
+            'stats.band.veryEasy': 'Very easy',
+            'stats.band.easy': 'Easy',
+            'stats.band.fairlyEasy': 'Fairly easy',
+            'stats.band.standard': 'Standard',
+            'stats.band.fairlyDifficult': 'Fairly difficult',
+            'stats.band.difficult': 'Difficult',
+            'stats.band.veryDifficult': 'Very difficult',
+            'stats.sentences.one': '{count} sentence',
+            'stats.sentences.other': '{count} sentences',
+            'stats.links.one': '{count} link',
+            'stats.links.other': '{count} links',
+            'stats.images.one': '{count} image',
+            'stats.images.other': '{count} images',
+            'stats.codeBlocks.one': '{count} code block',
+            'stats.codeBlocks.other': '{count} code blocks',
+            'stats.sections': '📑 Words per section',
+            'stats.noSections': 'No headings yet.',
+            'stats.intro': 'Before the first heading',
+            'stats.sectionTitle': 'Show this section in the preview',
+            'stats.longestSentences': '📏 Longest sentences',
+
+            // Outline, inspector and lint panel
+            'outline.empty': 'No headings yet',
+            'panel.selectLine': 'Click to select this line',
+            'inspector.fixTitle': 'Replace the line with the suggestion',
+            'lint.problems.one': '{count} problem',
+            'lint.problems.other': '{count} problems',
+            'lint.noProblems': 'No problems found',
+            'lint.fix': '✔️ Fix',
+            'lint.fixTitle': 'Apply the suggested fix',
+            'lint.fixAll': '✔️ Fix all ({count})',
+            'lint.rules': '⚙️ Rules',
+            'lint.rulesTitle': 'Choose the rules for this document',
+            'lint.markerTitle': 'Line {line}: {messages}',
+
+            // Settings modals
+            'settings.save': '💾 Save',
+            'settings.resetDefaults': '↩️ Reset Defaults',
+            'lintSettings.title': '🧹 Lint Rules',
+            'lintSettings.rulesFor': '📄 Rules for "{name}"',
+            'lintSettings.rulesForThis': '📄 Rules for this document',
+            'lintSettings.makeDefault': 'Also use these rules for documents without their own',
+            'lintSettings.allOn': '↩️ All Rules On',
+            'sanitizer.title': '🛡️ HTML Sanitizer',
+            'sanitizer.removed': '🧹 Removed From This Document',
+            'sanitizer.nothingRemoved': 'Nothing was removed from the current document.',
+            'sanitizer.allowlist': '✅ Allowlist',
+            'sanitizer.tags': 'Allowed tags (comma separated)',
+            'sanitizer.attributes': 'Allowed attributes (one "tag: attr, attr" per line, * for all tags)',
+            'sanitizer.schemes': 'Allowed URL schemes (comma separated)',
+            'sanitizer.save': '💾 Save Allowlist',
+            'exportSettings.title': '🎨 Export Theme',
+            'exportSettings.look': '🖌️ Look',
+            'exportSettings.theme': 'Theme',
+            'exportSettings.noTheme': 'None - only my custom CSS',
+            'exportSettings.customCSS': 'Custom CSS (added after the theme, so its rules win)',
+            'exportSettings.loadCSS': '📂 Load CSS File',
+            'exportSettings.document': '📄 Document',
+            'exportSettings.documentTitle': 'Title ({date} inserts today\'s date)',
+            'exportSettings.lang': 'Language (lang attribute, e.g. en, fr, pt-BR)',
+            'exportSettings.footer': 'Add a footer',
+            'exportSettings.footerText': 'Footer text ({date} inserts the export date and time)',
+            'exportSettings.savePreview': '👁️ Save &amp; Preview',
+            'exportSettings.previewFrame': 'Export theme preview',
+
+            // Templates
+            'templates.title': '📑 Templates',
+            'templates.builtIn': '📦 Built-in',
+            'templates.mine': '⭐ My Templates',
+            'templates.mineEmpty': 'Templates you save are listed here.',
+            'templates.saveHeading': '💾 Save the Current Text as a Template',
+            'templates.placeholderHelp': 'Write {{date}}, {{author}} or any other {{name}} where a value should be filled in when the template is used.',
+            'templates.name': 'Name',
+            'templates.namePlaceholder': 'Weekly report',
+            'templates.description': 'Description (optional)',
+            'templates.descriptionPlaceholder': 'Status update for the team',
+            'templates.save': '💾 Save Template',
+            'templates.delete': '🗑️ Delete',
+            'templates.use': '📑 Use',
+            'templates.lines.one': '{count} line',
+            'templates.lines.other': '{count} lines',
+            'templates.linesEasyMode.one': '{count} line, Easy Mode',
+            'templates.linesEasyMode.other': '{count} lines, Easy Mode',
+            'templates.confirmDelete': '🗑️ Delete the template "{name}"?',
+            'templates.fillHeading': '✏️ Fill In the Template',
+            'templates.back': '← Templates',
+            'templates.apply': '📑 Use Template',
+            'templates.confirmReplace': '📑 Replace the current text with "{name}"? You can bring it back from 🕘 History.',
+
+            // Document library and version history
+            'library.untitled': 'Untitled document',
+            'library.open': 'Open',
+            'library.rename': 'Rename',
+            'library.duplicate': 'Duplicate',
+            'library.delete': 'Delete',
+            'library.renamePrompt': '✏️ Rename document:',
+            'library.copyName': '{name} (copy)',
+            'library.confirmDelete': '🗑️ Delete "{name}" and its version history?',
+            'library.newPrompt': '📄 Name for the new document:',
+            'history.title': '🕘 Version History',
+            'history.intro': 'Snapshots are taken while you edit and before Clear, file drops and restores.',
+            'history.empty': 'No earlier versions yet.',
+            'history.comparison': '+{added} / −{removed} lines vs. current',
+            'history.sameAsCurrent': 'same as current',
+            'history.lines.one': '{count} line',
+            'history.lines.other': '{count} lines',
+            'history.compare': '🔍 Compare',
+            'history.restore': '↩️ Restore',
+            'history.identical': 'This version is identical to the current text.',
+            'history.unchangedLines.one': '… {count} unchanged line',
+            'history.unchangedLines.other': '… {count} unchanged lines',
+            'history.onlyInVersion': '− only in this version',
+            'history.onlyInCurrent': '+ only in the current text',
+            'history.reason.autosave': 'Autosave',
+            'history.reason.clear': 'Before clear',
+            'history.reason.file-drop': 'Before file drop',
+            'history.reason.restore': 'Before restore',
+            'history.reason.template': 'Before template',
+            'history.reason.easy-mode': 'Before Easy Mode conversion',
+
+            // Clearing, the empty preview and folder sites
+            'confirm.clear': '🗑️ Are you sure you want to clear all content?',
+            'preview.empty': 'Start typing Markdown to see the live preview...',
+            'site.title': 'Documents',
+
+            // Error messages in the preview
+            'error.markedMissing': '❌ Error: marked.js library not loaded. Please check your internet connection.',
+            'error.conversion': '❌ Conversion Error: {message}',
+
+            // Editor placeholders
+            'placeholder.markdown': `# Welcome to Markdown to HTML Converter
+
+Start typing your Markdown here...
+
+## Features:
+- **Real-time preview**
+- Copy to clipboard
+- Download as HTML file
+- Responsive design
+
+### Example Code:
+\`\`\`javascript
+console.log('Hello, World!');
+\`\`\`
+
+> This is a blockquote example
+
+1. Ordered list item 1
+2. Ordered list item 2
+
+- Unordered list item
+- Another item
+
+[Link to GitHub](https://github.com)
+
+*Italic text* and **bold text**`,
+            'placeholder.easy': `🎯 Easy Mode is ON! Try these natural commands:
+
+Heading 1: My Portfolio
+Heading 2: About Me
+bold this: Welcome to my website
+italic this: This is emphasized text
+quote this: Never give up on your dreams
+link this: Visit GitHub | https://github.com
+list item: First feature
+list item: Second feature
+number item: Step one
+number item: Step two
+code this: console.log('Hello')
+break line
+
+table: Name | Age
+row: Alice | 30
+
+code block: javascript
+console.log('Hello, World!');
+end code
+
+Or use regular Markdown syntax - both work!
+
+## Traditional Markdown
+- **Bold text**
+- *Italic text*
+- [Links](https://example.com)`,
+
+            // Help modal
+            'help.title': '🎯 Easy Mode Commands Reference',
+            'help.category.Text Formatting': '📝 Text Formatting',
+            'help.category.Headers & Structure': '📋 Headers & Structure',
+            'help.category.Links & Lists': '🔗 Links & Lists',
+            'help.category.Blocks': '🧱 Blocks',
+            'help.category.Inline Commands': '✍️ Inline Commands',
+            'help.category.Custom Commands': '⭐ Custom Commands',
+            'help.removeCommand': 'Remove this command',
+            'help.addCommand': '➕ Add Your Own Command',
+            'help.keywordLabel': 'Keyword (typed before the colon)',
+            'help.templateLabel': 'Markdown output ({text} is replaced with what follows the colon)',
+            'help.descriptionLabel': 'Description (optional)',
+            'help.import': '📂 Import JSON',
+            'help.export': '💾 Export JSON',
+            'help.add': '➕ Add Command',
+            'help.keywords': '🌐 Keywords in {language}',
+            'help.keywordsIntro': 'Type these instead of the English keywords - both work:',
+            'help.tips': '💡 Pro Tips',
+            'help.tipMix': 'Mix natural commands with regular Markdown syntax',
+            'help.tipCase': 'Commands are case-insensitive',
+            'help.tipLines': 'One command per line works best; indent list items to nest them',
+            'help.tipCode': 'Lines inside a code block are never changed',
+            'help.tipShare': 'Export your commands as JSON to share them with your team',
+            'help.tipInspector': 'Open 🔍 Inspector (above the editor) to see how each line was converted and fix typos such as <code>bold ths:</code>',
+            'help.tipLanguage': 'Pick a language next to the buttons at the top: its keywords work alongside the English ones',
+
+            // Notifications
+            'notify.ready': '🚀 Markdown Converter Ready! Easy Mode is ON - try natural language commands!',
+            'notify.easyModeOn': '🎯 Easy Mode ON! You can now use natural language commands.',
+            'notify.easyModeOff': '📝 Easy Mode OFF! Using standard Markdown syntax only.',
+            'notify.sanitizeOn': '🛡️ Sanitizer ON! Unsafe HTML is removed from the preview and exports.',
+            'notify.sanitizeOff': '⚠️ Sanitizer OFF! Raw HTML, including scripts, is kept as-is.',
+            'notify.unsafeRemoved': '🛡️ Removed unsafe HTML: {item}',
+            'notify.unsafeRemovedMore': '🛡️ Removed unsafe HTML: {item} (+{count} more)',
+            'notify.codeThemeDark': '🎨 Code theme: Dark (preview and downloads)',
+            'notify.codeThemeLight': '🎨 Code theme: Light (preview and downloads)',
+            'notify.themePreviewOn': '🎨 Previewing the export theme - this is how downloads will look.',
+            'notify.themePreviewOff': '🎨 Back to the live preview.',
+            'notify.languageChanged': '🌐 Language: English',
+            'notify.lintFixedLine': '✔️ Fixed line {line}',
+            'notify.lintFixes': '✔️ Applied {count} fixes - Ctrl+Z to undo',
+            'notify.lintRulesSaveFailed': '❌ Could not save the lint rules',
+            'notify.lintRulesSaved': '🧹 Lint rules saved for this document',
+            'notify.lineChanged': '✔️ Line {line} changed to "{text}"',
+            'notify.nothingToCopy': '⚠️ No content to copy!',
+            'notify.htmlCopied': '📋 HTML copied to clipboard!',
+            'notify.formattedCopied': '✉️ Formatted text copied - paste it into an email or document!',
+            'notify.formattedCopyFailed': '❌ Copy failed. Please select the preview and copy it manually.',
+            'notify.markdownCopied': '📝 Markdown copied to clipboard!',
+            'notify.copyFailed': '❌ Copy failed. Please select and copy manually.',
+            'notify.nothingToDownload': '⚠️ No content to download!',
+            'notify.htmlDownloaded': '⬇️ HTML file downloaded successfully!',
+            'notify.downloadFailed': '❌ Download failed. Please try again.',
+            'notify.nothingToExport': '⚠️ No content to export!',
+            'notify.fragmentDownloaded': '🧩 HTML fragment downloaded!',
+            'notify.linkedDownloaded': '🔗 Downloaded {html}, {css} - keep them in the same folder.',
+            'notify.linkedDownloadedImages.one': '🔗 Downloaded {html}, {css} and {count} image file - keep them in the same folder.',
+            'notify.linkedDownloadedImages.other': '🔗 Downloaded {html}, {css} and {count} image files - keep them in the same folder.',
+            'notify.embeddingImages': '📦 Embedding images...',
+            'notify.embedFailed': '⚠️ Downloaded, but {count} image(s) could not be embedded (the image host may block it).',
+            'notify.standaloneDownloaded': '📦 Self-contained HTML downloaded ({count} image(s) embedded)!',
+            'notify.textDownloaded': '📄 Plain text downloaded!',
+            'notify.markdownDownloaded': '📤 Markdown file downloaded successfully!',
+            'notify.exportFailed': '❌ Export failed. Please try again.',
+            'notify.printHint': '🖨️ Choose "Save as PDF" in the print dialog to create a PDF.',
+            'notify.imageStoreFailed': '❌ The image could not be stored. Please try again.',
+            'notify.largeImage': '⚠️ Large image: {names}. It works, but makes saving and downloads slow - consider resizing it.',
+            'notify.imagesAdded.one': '🖼️ Image added and stored in this browser',
+            'notify.imagesAdded.other': '🖼️ {count} images added and stored in this browser',
+            'notify.nothingToConvert': '⚠️ Nothing to convert!',
+            'notify.noEasyConversions': 'ℹ️ No Markdown found that has an Easy Mode command.',
+            'notify.convertedToEasy.one': '🔁 Converted {count} line to Easy Mode commands!',
+            'notify.convertedToEasy.other': '🔁 Converted {count} lines to Easy Mode commands!',
+            'notify.alreadyEmpty': '⚠️ Content is already empty!',
+            'notify.cleared': '🗑️ Content cleared! Use 🕘 History to bring it back.',
+            'notify.fileLoaded': '📄 File "{name}" loaded successfully!',
+            'notify.htmlImported': '🌐 "{name}" imported as Markdown!',
+            'notify.unsupportedDrop': '❌ Please drop a .md, .markdown, .txt or .html file, or an image!',
+            'notify.noMarkdownInFolder': '❌ No .md or .markdown files found in the dropped folder!',
+            'notify.convertingFiles': '⏳ Converting {count} files...',
+            'notify.siteConverted': '{count} pages converted into "{name}"',
+            'notify.siteBrokenLinks': '{count} link(s) to missing files: {links}',
+            'notify.siteSkipped': 'skipped {files}',
+            'notify.folderFailed': '❌ Failed to convert the dropped files.',
+            'notify.allowlistSaved': '🛡️ Sanitizer allowlist saved!',
+            'notify.allowlistReset': '🛡️ Sanitizer allowlist reset to defaults!',
+            'notify.themeFileLoaded': '📂 Loaded "{name}" - save to use it.',
+            'notify.exportThemeSaved': '🎨 Export theme saved!',
+            'notify.exportSettingsReset': '🎨 Export settings reset to defaults!',
+            'notify.commandMissingFields': '⚠️ Please enter a keyword and a Markdown output!',
+            'notify.commandAdded': '⭐ Command "{keyword}:" added!',
+            'notify.commandRemoved': '🗑️ Command "{name}" removed!',
+            'notify.noCustomCommands': '⚠️ No custom commands to export!',
+            'notify.commandsExported': '💾 Exported {count} custom command(s)!',
+            'notify.commandsImported': '📂 Imported {count} command(s) from "{name}"!',
+            'notify.commandsImportFailed': '❌ Could not import commands: {message}',
+            'notify.templateSaved': '⭐ Template "{name}" saved!',
+            'notify.templateStarted': '📑 Started from the "{name}" template!',
+            'notify.templateSaveFailed': '❌ Could not save the template (storage full?).',
+            'notify.storageUnavailable': '⚠️ Browser storage is unavailable - documents will not survive a reload.',
+            'notify.storageBlocked': '⚠️ This page is open in another tab with an older version - close the other tabs and reload to use the document library.',
+            'notify.documentCreated': '📄 Created "{name}"',
+            'notify.documentDeleted': '🗑️ Deleted "{name}"',
+            'notify.libraryError': '❌ Something went wrong with the document library.',
+            'notify.newDocumentFailed': '❌ Could not create a new document.',
+            'notify.libraryUnavailable': '⚠️ The document library is not available.',
+            'notify.versionRestored': '↩️ Restored the version from {time}'
+        }
+    };
+}));
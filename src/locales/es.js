@@ -0,0 +1,530 @@
+// Markdown to HTML Converter - Spanish locale
+// Spanish UI strings and Easy Mode keywords ("negrita: texto", "título 1: Inicio")
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Locales.register(factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    return {
+        id: 'es',
+        name: 'Español',
+        dateLocale: 'es-ES',
+        commands: {
+            keywords: {
+                'heading {n}': ['título {n}', 'titulo {n}', 'encabezado {n}'],
+                'bold this': ['negrita'],
+                'italic this': ['cursiva'],
+                'strike this': ['tachado'],
+                'code this': ['código', 'codigo'],
+                'quote this': ['cita'],
+                'link this': ['enlace'],
+                'image this': ['imagen'],
+                'list item': ['elemento de lista', 'viñeta'],
+                'number item': ['elemento numerado'],
+                'todo': ['tarea', 'pendiente'],
+                'todo done': ['tarea hecha'],
+                'note this': ['nota'],
+                'warning this': ['advertencia', 'aviso'],
+                'code block': ['bloque de código', 'bloque de codigo'],
+                'end code': ['fin de código', 'fin de codigo'],
+                'table': ['tabla'],
+                'row': ['fila'],
+                'table of contents': ['índice', 'indice'],
+                'break line': ['línea horizontal', 'linea horizontal', 'separador']
+            },
+            inline: {
+                'make bold': ['en negrita'],
+                'make italic': ['en cursiva']
+            }
+        },
+        strings: {
+            'header.title': '🎯 Conversor de Markdown a HTML',
+            'header.subtitle': 'Convierte Markdown en HTML al instante, con vista previa en vivo',
+            'language.label': 'Idioma',
+            'button.help': '❓ Ayuda',
+            'button.exportTheme': '🎨 Tema de exportación',
+            'button.copy': '📋 Copiar ▾',
+            'button.copied': '✅ ¡Copiado!',
+            'button.download': '⬇️ Descargar HTML',
+            'button.downloaded': '✅ ¡Descargado!',
+            'button.export': '📦 Exportar ▾',
+            'button.templates': '📑 Plantillas',
+            'button.toEasyMode': '🔁 A Modo Fácil',
+            'button.clear': '🗑️ Borrar',
+            'copy.html': '📋 Código HTML',
+            'copy.htmlHint': 'El marcado convertido, para páginas web y CMS',
+            'copy.formatted': '✉️ Con formato',
+            'copy.formattedHint': 'Para correo y editores de documentos, con el tema de exportación',
+            'copy.markdown': '📝 Markdown',
+            'copy.markdownHint': 'Con los comandos del Modo Fácil expandidos',
+            'export.fragment': '🧩 Fragmento HTML',
+            'export.fragmentHint': 'Solo el marcado convertido',
+            'export.linked': '🔗 HTML + hoja de estilos',
+            'export.linkedHint': 'Página con un archivo .css aparte',
+            'export.standalone': '📦 HTML autónomo',
+            'export.standaloneHint': 'Imágenes incrustadas, funciona sin conexión',
+            'export.print': '🖨️ Imprimir / PDF',
+            'export.printHint': 'Diseño de impresión mediante el diálogo de impresión',
+            'export.text': '📄 Texto sin formato',
+            'export.textHint': 'Sin marcado',
+            'export.markdown': '📤 Markdown',
+            'export.markdownHint': 'Con los comandos del Modo Fácil expandidos',
+            'sidebar.documents': '📚 Documentos',
+            'sidebar.new': '＋ Nuevo',
+            'sidebar.newTitle': 'Crear un documento nuevo',
+            'sidebar.history': '🕘 Historial',
+            'sidebar.historyTitle': 'Ver y restaurar versiones anteriores',
+            'panel.input': '📝 Entrada Markdown',
+            'panel.inputInfo': 'Escribe tu Markdown aquí',
+            'panel.inspectorTitle': 'Muestra cómo se convirtió cada línea del Modo Fácil',
+            'panel.lintTitle': 'Muestra problemas de estilo y de corrección',
+            'panel.statsTitle': 'Muestra las estadísticas y la legibilidad del documento',
+            'panel.preview': '🌐 Vista previa HTML',
+            'panel.scrollSync': '🔗 Desplazamiento sincronizado',
+            'panel.scrollSyncTitle': 'Desplaza el editor y la vista previa a la vez',
+            'panel.outline': '🧭 Esquema',
+            'panel.outlineTitle': 'Muestra u oculta el esquema del documento',
+            'panel.exportViewTitle': 'Muestra la vista previa con el tema de exportación aplicado',
+            'toolbar.label': 'Formato',
+            'toolbar.heading': 'Título (haz clic otra vez para uno más pequeño)',
+            'toolbar.bold': 'Negrita (Ctrl+B)',
+            'toolbar.italic': 'Cursiva (Ctrl+I)',
+            'toolbar.strike': 'Tachado',
+            'toolbar.link': 'Enlace (Ctrl+K)',
+            'toolbar.code': 'Código en línea',
+            'toolbar.codeBlock': 'Bloque de código (Ctrl+Shift+C)',
+            'toolbar.quote': 'Cita',
+            'toolbar.bullet': 'Lista con viñetas',
+            'toolbar.number': 'Lista numerada',
+            'toolbar.rule': 'Línea horizontal',
+            'toolbar.outdent': 'Reducir sangría (Shift+Tab)',
+            'toolbar.indent': 'Aumentar sangría (Tab)',
+            'toolbar.insert': '＋ Insertar ▾',
+            'toolbar.insertTitle': 'Inserta una tabla, un aviso, un bloque de código...',
+            'toolbar.easySyntax': 'Sintaxis del Modo Fácil',
+            'toolbar.markdownSyntax': 'Sintaxis Markdown',
+            'footer.builtWith': 'Hecho con ❤️ usando',
+
+            'button.easyModeOn': '🎯 Modo Fácil: SÍ',
+            'button.easyModeOff': '📝 Modo Fácil: NO',
+            'button.sanitizeOn': '🛡️ Limpiar HTML: SÍ',
+            'button.sanitizeOff': '⚠️ Limpiar HTML: NO',
+            'button.codeDark': '🌙 Código: Oscuro',
+            'button.codeLight': '☀️ Código: Claro',
+            'button.inspector': '🔍 Inspector',
+            'button.lint': '🧹 Revisión',
+            'button.stats': '📊 Estadísticas',
+            'button.exportView': '🎨 Vista de exportación',
+            'button.exportViewOn': '🎨 Vista de exportación: SÍ',
+            'sanitizeReport.off': '⚠️ Limpieza desactivada',
+            'sanitizeReport.offTitle': 'El HTML sin procesar no se está filtrando',
+            'sanitizeReport.removed': '🛡️ {count} eliminados',
+            'sanitizeReport.safe': '🛡️ Seguro',
+            'sanitizeReport.safeTitle': 'El limpiador no eliminó nada',
+            'autosave.loading': '💾 Cargando...',
+            'autosave.unavailable': '❌ Autoguardado no disponible',
+            'autosave.saved': '💾 Guardado {time}',
+            'autosave.editing': '✏️ Editando...',
+            'autosave.failed': '❌ Error de autoguardado',
+
+            'inspector.easyModeOff': 'El Modo Fácil está desactivado: cada línea se lee como Markdown normal.',
+            'inspector.empty': 'Aún no hay comandos del Modo Fácil. Prueba <code>título 1: Título</code> o <code>negrita: texto</code>.',
+            'inspector.wrongFormat': 'Parece <strong>{keyword}:</strong>, pero no sigue su formato. Ejemplo: {example}',
+            'inspector.didYouMean': '¿Quisiste decir {suggestion}?',
+            'inspector.fix': '✔️ Corregir',
+            'inspector.converted.one': '{count} línea convertida',
+            'inspector.converted.other': '{count} líneas convertidas',
+            'inspector.typos.one': '{count} posible errata',
+            'inspector.typos.other': '{count} posibles erratas',
+            'stats.words.one': '{count} palabra',
+            'stats.words.other': '{count} palabras',
+            'stats.characters.one': '{count} carácter',
+            'stats.characters.other': '{count} caracteres',
+            'stats.charactersNoSpaces.one': '{count} carácter sin espacios',
+            'stats.charactersNoSpaces.other': '{count} caracteres sin espacios',
+            'stats.lines.one': '{count} línea',
+            'stats.lines.other': '{count} líneas',
+            'stats.readingTime.one': '{count} min de lectura',
+            'stats.readingTime.other': '{count} min de lectura',
+            'stats.readingTimeShort': '< 1 min de lectura',
+            'stats.empty': 'Todavía no hay nada que medir: las estadísticas siguen a la vista previa.',
+            'stats.readability': '📖 Legibilidad',
+            'stats.readabilityDetail': '{formula}: {words} palabras por frase, {syllables} sílabas por palabra',
+            'stats.readabilityUnsupported': 'No hay fórmula de legibilidad para el idioma del documento. Cámbialo en los ajustes de exportación.',
+            'stats.readabilityNoProse': 'Escribe unas frases para obtener una puntuación de legibilidad.',
+            'stats.band.veryEasy': 'Muy fácil',
+            'stats.band.easy': 'Fácil',
+            'stats.band.fairlyEasy': 'Bastante fácil',
+            'stats.band.standard': 'Normal',
+            'stats.band.fairlyDifficult': 'Bastante difícil',
+            'stats.band.difficult': 'Difícil',
+            'stats.band.veryDifficult': 'Muy difícil',
+            'stats.sentences.one': '{count} frase',
+            'stats.sentences.other': '{count} frases',
+            'stats.links.one': '{count} enlace',
+            'stats.links.other': '{count} enlaces',
+            'stats.images.one': '{count} imagen',
+            'stats.images.other': '{count} imágenes',
+            'stats.codeBlocks.one': '{count} bloque de código',
+            'stats.codeBlocks.other': '{count} bloques de código',
+            'stats.sections': '📑 Palabras por sección',
+            'stats.noSections': 'Todavía no hay encabezados.',
+            'stats.intro': 'Antes del primer encabezado',
+            'stats.sectionTitle': 'Mostrar esta sección en la vista previa',
+            'stats.longestSentences': '📏 Frases más largas',
+
+            // Outline, inspector and lint panel
+            'outline.empty': 'Todavía no hay encabezados',
+            'panel.selectLine': 'Haz clic para seleccionar esta línea',
+            'inspector.fixTitle': 'Reemplazar la línea por la sugerencia',
+            'lint.problems.one': '{count} problema',
+            'lint.problems.other': '{count} problemas',
+            'lint.noProblems': 'No se encontraron problemas',
+            'lint.fix': '✔️ Corregir',
+            'lint.fixTitle': 'Aplicar la corrección sugerida',
+            'lint.fixAll': '✔️ Corregir todo ({count})',
+            'lint.rules': '⚙️ Reglas',
+            'lint.rulesTitle': 'Elegir las reglas de este documento',
+            'lint.markerTitle': 'Línea {line}: {messages}',
+            'lint.rule.heading-increment': 'Niveles de encabezado',
+            'lint.rule.heading-increment.description': 'Los niveles de encabezado bajan de uno en uno (nada de H2 seguido de H4)',
+            'lint.rule.no-duplicate-headings': 'Encabezados repetidos',
+            'lint.rule.no-duplicate-headings.description': 'Cada texto de encabezado se usa una sola vez',
+            'lint.rule.no-empty-links': 'Enlaces vacíos',
+            'lint.rule.no-empty-links.description': 'Los enlaces tienen destino, no () ni (#)',
+            'lint.rule.image-alt-text': 'Texto alternativo',
+            'lint.rule.image-alt-text.description': 'Las imágenes se describen con texto alternativo: ![descripción](imagen.png)',
+            'lint.rule.unclosed-fence': 'Bloques de código sin cerrar',
+            'lint.rule.unclosed-fence.description': 'Todo bloque de código se vuelve a cerrar',
+            'lint.rule.no-trailing-whitespace': 'Espacios al final',
+            'lint.rule.no-trailing-whitespace.description': 'Las líneas no terminan en espacios ni tabulaciones (dos espacios, un salto de línea de Markdown, están bien)',
+            'lint.rule.list-marker-style': 'Viñetas de lista',
+            'lint.rule.list-marker-style.description': 'Las listas usan una sola viñeta (-, * o +) en todo el documento',
+            'lint.message.trailingWhitespace': 'La línea termina en espacios o tabulaciones',
+            'lint.message.headingJump': 'El encabezado salta de H{from} a H{to}; usa H{level}',
+            'lint.message.duplicateHeading': 'Encabezado repetido «{text}» (usado por primera vez en la línea {line})',
+            'lint.message.listMarker': 'La viñeta «{marker}» no coincide con «{expected}» de la línea {line}',
+            'lint.message.missingAlt': 'La imagen no tiene texto alternativo',
+            'lint.message.emptyLink': 'El enlace «{label}» no tiene destino',
+            'lint.message.emptyLinkNoText': 'Un enlace sin texto no tiene destino',
+            'lint.message.unclosedFence': 'El bloque de código abierto en la línea {line} nunca se cierra',
+
+            // Settings modals
+            'settings.save': '💾 Guardar',
+            'settings.resetDefaults': '↩️ Restablecer valores',
+            'lintSettings.title': '🧹 Reglas de revisión',
+            'lintSettings.rulesFor': '📄 Reglas de «{name}»',
+            'lintSettings.rulesForThis': '📄 Reglas de este documento',
+            'lintSettings.makeDefault': 'Usar también estas reglas en los documentos que no tienen las suyas',
+            'lintSettings.allOn': '↩️ Activar todas',
+            'sanitizer.title': '🛡️ Limpieza de HTML',
+            'sanitizer.removed': '🧹 Eliminado de este documento',
+            'sanitizer.nothingRemoved': 'No se eliminó nada del documento actual.',
+            'sanitizer.allowlist': '✅ Lista permitida',
+            'sanitizer.tags': 'Etiquetas permitidas (separadas por comas)',
+            'sanitizer.attributes': 'Atributos permitidos (un «etiqueta: atr, atr» por línea, * para todas las etiquetas)',
+            'sanitizer.schemes': 'Esquemas de URL permitidos (separados por comas)',
+            'sanitizer.save': '💾 Guardar lista permitida',
+            'exportSettings.title': '🎨 Tema de exportación',
+            'exportSettings.look': '🖌️ Aspecto',
+            'exportSettings.theme': 'Tema',
+            'exportSettings.noTheme': 'Ninguno - solo mi CSS personalizado',
+            'exportSettings.customCSS': 'CSS personalizado (se añade después del tema, así que sus reglas prevalecen)',
+            'exportSettings.loadCSS': '📂 Cargar archivo CSS',
+            'exportSettings.document': '📄 Documento',
+            'exportSettings.documentTitle': 'Título ({date} inserta la fecha de hoy)',
+            'exportSettings.lang': 'Idioma (atributo lang, p. ej. en, fr, pt-BR)',
+            'exportSettings.footer': 'Añadir un pie de página',
+            'exportSettings.footerText': 'Texto del pie ({date} inserta la fecha y hora de exportación)',
+            'exportSettings.savePreview': '👁️ Guardar y previsualizar',
+            'exportSettings.previewFrame': 'Vista previa del tema de exportación',
+
+            // Templates
+            'templates.title': '📑 Plantillas',
+            'templates.builtIn': '📦 Incluidas',
+            'templates.mine': '⭐ Mis plantillas',
+            'templates.mineEmpty': 'Las plantillas que guardes aparecerán aquí.',
+            'templates.saveHeading': '💾 Guardar el texto actual como plantilla',
+            'templates.placeholderHelp': 'Escribe {{date}}, {{author}} o cualquier otro {{nombre}} donde haya que completar un valor al usar la plantilla.',
+            'templates.name': 'Nombre',
+            'templates.namePlaceholder': 'Informe semanal',
+            'templates.description': 'Descripción (opcional)',
+            'templates.descriptionPlaceholder': 'Novedades para el equipo',
+            'templates.save': '💾 Guardar plantilla',
+            'templates.delete': '🗑️ Eliminar',
+            'templates.use': '📑 Usar',
+            'templates.lines.one': '{count} línea',
+            'templates.lines.other': '{count} líneas',
+            'templates.linesEasyMode.one': '{count} línea, Modo Fácil',
+            'templates.linesEasyMode.other': '{count} líneas, Modo Fácil',
+            'templates.confirmDelete': '🗑️ ¿Eliminar la plantilla «{name}»?',
+            'templates.fillHeading': '✏️ Completar la plantilla',
+            'templates.back': '← Plantillas',
+            'templates.apply': '📑 Usar plantilla',
+            'templates.confirmReplace': '📑 ¿Reemplazar el texto actual por «{name}»? Puedes recuperarlo desde 🕘 Historial.',
+
+            // Document library and version history
+            'library.untitled': 'Documento sin título',
+            'library.open': 'Abrir',
+            'library.rename': 'Cambiar nombre',
+            'library.duplicate': 'Duplicar',
+            'library.delete': 'Eliminar',
+            'library.renamePrompt': '✏️ Nuevo nombre del documento:',
+            'library.copyName': '{name} (copia)',
+            'library.confirmDelete': '🗑️ ¿Eliminar «{name}» y su historial de versiones?',
+            'library.newPrompt': '📄 Nombre del nuevo documento:',
+            'history.title': '🕘 Historial de versiones',
+            'history.intro': 'Se guardan instantáneas mientras editas y antes de Borrar, soltar archivos y restaurar.',
+            'history.empty': 'Todavía no hay versiones anteriores.',
+            'history.comparison': '+{added} / −{removed} líneas respecto a la actual',
+            'history.sameAsCurrent': 'igual que la actual',
+            'history.lines.one': '{count} línea',
+            'history.lines.other': '{count} líneas',
+            'history.compare': '🔍 Comparar',
+            'history.restore': '↩️ Restaurar',
+            'history.identical': 'Esta versión es idéntica al texto actual.',
+            'history.unchangedLines.one': '… {count} línea sin cambios',
+            'history.unchangedLines.other': '… {count} líneas sin cambios',
+            'history.onlyInVersion': '− solo en esta versión',
+            'history.onlyInCurrent': '+ solo en el texto actual',
+            'history.reason.autosave': 'Guardado automático',
+            'history.reason.clear': 'Antes de borrar',
+            'history.reason.file-drop': 'Antes de soltar un archivo',
+            'history.reason.restore': 'Antes de restaurar',
+            'history.reason.template': 'Antes de la plantilla',
+            'history.reason.easy-mode': 'Antes de convertir al Modo Fácil',
+
+            // Clearing, the empty preview and folder sites
+            'confirm.clear': '🗑️ ¿Seguro que quieres borrar todo el contenido?',
+            'preview.empty': 'Empieza a escribir Markdown para ver la vista previa...',
+            'site.title': 'Documentos',
+
+            // Error messages in the preview
+            'error.markedMissing': '❌ Error: no se cargó la biblioteca marked.js. Comprueba tu conexión a Internet.',
+            'error.conversion': '❌ Error de conversión: {message}',
+
+            // Easy Mode command descriptions (help modal and inspector), by command name
+            'command.heading': 'Conversión de encabezado',
+            'command.bold': 'Conversión a negrita',
+            'command.italic': 'Conversión a cursiva',
+            'command.quote': 'Conversión a cita',
+            'command.link': 'Conversión de enlace con URL',
+            'command.autolink': 'Conversión de enlace automático',
+            'command.image': 'Conversión de imagen',
+            'command.horizontal-rule': 'Conversión de línea horizontal',
+            'command.table-of-contents': 'Conversión de índice',
+            'command.code': 'Conversión a código en línea',
+            'command.list-item': 'Conversión de elemento de lista',
+            'command.number-item': 'Conversión de lista numerada',
+            'command.todo': 'Conversión de tarea',
+            'command.note': 'Conversión de nota destacada',
+            'command.warning': 'Conversión de advertencia destacada',
+            'command.code-block': 'Inicio de bloque de código',
+            'command.end-code': 'Fin de bloque de código',
+            'command.table': 'Conversión de encabezado de tabla',
+            'command.table-row': 'Conversión de fila de tabla',
+            'command.strike': 'Conversión a tachado',
+            'command.make-bold': 'Negrita en línea',
+            'command.make-italic': 'Cursiva en línea',
+
+            // Built-in templates and Insert menu snippets, by id
+            'template.release-notes': 'Notas de la versión',
+            'template.release-notes.description': 'Novedades, funciones, correcciones y notas de actualización de una versión',
+            'template.adr': 'Registro de decisión de arquitectura',
+            'template.adr.description': 'Contexto, decisión y consecuencias de una decisión de diseño (ADR)',
+            'template.meeting-minutes': 'Acta de reunión',
+            'template.meeting-minutes.description': 'Asistentes, orden del día, decisiones y tareas',
+            'template.readme': 'README',
+            'template.readme.description': 'Descripción del proyecto, instalación, uso y licencia',
+            'snippet.table': 'Tabla',
+            'snippet.table.description': 'Fila de encabezado y una fila de celdas',
+            'snippet.code-block': 'Bloque de código',
+            'snippet.code-block.description': 'Código delimitado con un lenguaje',
+            'snippet.note': 'Nota destacada',
+            'snippet.note.description': 'Recuadro de nota resaltado',
+            'snippet.warning': 'Advertencia destacada',
+            'snippet.warning.description': 'Recuadro de advertencia resaltado',
+            'snippet.tasks': 'Lista de tareas',
+            'snippet.tasks.description': 'Casillas que se marcan en la vista previa',
+            'snippet.image': 'Imagen',
+            'snippet.image.description': 'Texto alternativo y dirección de la imagen',
+            'snippet.footnote': 'Nota al pie',
+            'snippet.footnote.description': 'Referencia y su nota',
+            'snippet.definition-list': 'Lista de definiciones',
+            'snippet.definition-list.description': 'Términos y sus definiciones',
+            'snippet.math': 'Bloque matemático',
+            'snippet.math.description': 'Fórmula LaTeX en su propia línea',
+            'snippet.diagram': 'Diagrama',
+            'snippet.diagram.description': 'Diagrama de flujo Mermaid',
+            'snippet.toc': 'Índice',
+            'snippet.toc.description': 'Esquema de los encabezados del documento',
+
+            'placeholder.markdown': `# Bienvenido al Conversor de Markdown a HTML
+
+Empieza a escribir tu Markdown aquí...
+
+## Funciones:
+- **Vista previa en tiempo real**
+- Copiar al portapapeles
+- Descargar como archivo HTML
+- Diseño adaptable
+
+### Código de ejemplo:
+\`\`\`javascript
+console.log('¡Hola, mundo!');
+\`\`\`
+
+> Esto es un ejemplo de cita
+
+1. Elemento de lista ordenada 1
+2. Elemento de lista ordenada 2
+
+- Elemento de lista sin orden
+- Otro elemento
+
+[Enlace a GitHub](https://github.com)
+
+*Texto en cursiva* y **texto en negrita**`,
+            'placeholder.easy': `🎯 ¡El Modo Fácil está activado! Prueba estos comandos:
+
+título 1: Mi portafolio
+título 2: Sobre mí
+negrita: Bienvenido a mi sitio web
+cursiva: Este texto está resaltado
+cita: Nunca abandones tus sueños
+enlace: Visita GitHub | https://github.com
+elemento de lista: Primera función
+elemento de lista: Segunda función
+elemento numerado: Paso uno
+elemento numerado: Paso dos
+código: console.log('Hola')
+línea horizontal
+
+tabla: Nombre | Edad
+fila: Alicia | 30
+
+bloque de código: javascript
+console.log('¡Hola, mundo!');
+fin de código
+
+Los comandos en inglés (bold this:, heading 1:) y el Markdown normal también funcionan.
+
+## Markdown tradicional
+- **Texto en negrita**
+- *Texto en cursiva*
+- [Enlaces](https://example.com)`,
+
+            'help.title': '🎯 Referencia de comandos del Modo Fácil',
+            'help.category.Text Formatting': '📝 Formato de texto',
+            'help.category.Headers & Structure': '📋 Títulos y estructura',
+            'help.category.Links & Lists': '🔗 Enlaces y listas',
+            'help.category.Blocks': '🧱 Bloques',
+            'help.category.Inline Commands': '✍️ Comandos en línea',
+            'help.category.Custom Commands': '⭐ Comandos personalizados',
+            'help.removeCommand': 'Eliminar este comando',
+            'help.addCommand': '➕ Añade tu propio comando',
+            'help.keywordLabel': 'Palabra clave (se escribe antes de los dos puntos)',
+            'help.templateLabel': 'Resultado en Markdown ({text} se sustituye por lo que sigue a los dos puntos)',
+            'help.descriptionLabel': 'Descripción (opcional)',
+            'help.import': '📂 Importar JSON',
+            'help.export': '💾 Exportar JSON',
+            'help.add': '➕ Añadir comando',
+            'help.keywords': '🌐 Palabras clave en {language}',
+            'help.keywordsIntro': 'Escríbelas en lugar de las palabras clave en inglés; ambas funcionan:',
+            'help.tips': '💡 Consejos',
+            'help.tipMix': 'Combina comandos naturales con la sintaxis Markdown normal',
+            'help.tipCase': 'Los comandos no distinguen mayúsculas de minúsculas',
+            'help.tipLines': 'Lo mejor es un comando por línea; sangra los elementos de lista para anidarlos',
+            'help.tipCode': 'Las líneas dentro de un bloque de código nunca se modifican',
+            'help.tipShare': 'Exporta tus comandos como JSON para compartirlos con tu equipo',
+            'help.tipInspector': 'Abre 🔍 Inspector (encima del editor) para ver cómo se convirtió cada línea y corregir erratas como <code>negrtia:</code>',
+            'help.tipLanguage': 'Elige un idioma junto a los botones de arriba: sus palabras clave funcionan junto a las inglesas',
+
+            'notify.ready': '🚀 ¡Conversor listo! El Modo Fácil está activado: prueba los comandos en lenguaje natural.',
+            'notify.easyModeOn': '🎯 ¡Modo Fácil activado! Ya puedes usar comandos en lenguaje natural.',
+            'notify.easyModeOff': '📝 ¡Modo Fácil desactivado! Solo se usa la sintaxis Markdown estándar.',
+            'notify.sanitizeOn': '🛡️ ¡Limpieza activada! El HTML inseguro se elimina de la vista previa y de las exportaciones.',
+            'notify.sanitizeOff': '⚠️ ¡Limpieza desactivada! El HTML sin procesar, incluidos los scripts, se mantiene tal cual.',
+            'notify.unsafeRemoved': '🛡️ HTML inseguro eliminado: {item}',
+            'notify.unsafeRemovedMore': '🛡️ HTML inseguro eliminado: {item} (+{count} más)',
+            'notify.codeThemeDark': '🎨 Tema de código: Oscuro (vista previa y descargas)',
+            'notify.codeThemeLight': '🎨 Tema de código: Claro (vista previa y descargas)',
+            'notify.themePreviewOn': '🎨 Vista previa del tema de exportación: así se verán las descargas.',
+            'notify.themePreviewOff': '🎨 De vuelta a la vista previa en vivo.',
+            'notify.languageChanged': '🌐 Idioma: Español',
+            'notify.lintFixedLine': '✔️ Línea {line} corregida',
+            'notify.lintFixes': '✔️ {count} correcciones aplicadas - Ctrl+Z para deshacer',
+            'notify.lintRulesSaveFailed': '❌ No se pudieron guardar las reglas de revisión',
+            'notify.lintRulesSaved': '🧹 Reglas de revisión guardadas para este documento',
+            'notify.lineChanged': '✔️ Línea {line} cambiada a "{text}"',
+            'notify.nothingToCopy': '⚠️ ¡No hay contenido para copiar!',
+            'notify.htmlCopied': '📋 ¡HTML copiado al portapapeles!',
+            'notify.formattedCopied': '✉️ Texto con formato copiado: ¡pégalo en un correo o documento!',
+            'notify.formattedCopyFailed': '❌ No se pudo copiar. Selecciona la vista previa y cópiala a mano.',
+            'notify.markdownCopied': '📝 ¡Markdown copiado al portapapeles!',
+            'notify.copyFailed': '❌ No se pudo copiar. Selecciona y copia a mano.',
+            'notify.nothingToDownload': '⚠️ ¡No hay contenido para descargar!',
+            'notify.htmlDownloaded': '⬇️ ¡Archivo HTML descargado!',
+            'notify.downloadFailed': '❌ La descarga falló. Inténtalo de nuevo.',
+            'notify.nothingToExport': '⚠️ ¡No hay contenido para exportar!',
+            'notify.fragmentDownloaded': '🧩 ¡Fragmento HTML descargado!',
+            'notify.linkedDownloaded': '🔗 Descargados {html} y {css}: guárdalos en la misma carpeta.',
+            'notify.linkedDownloadedImages.one': '🔗 Descargados {html}, {css} y {count} imagen: guárdalos en la misma carpeta.',
+            'notify.linkedDownloadedImages.other': '🔗 Descargados {html}, {css} y {count} imágenes: guárdalos en la misma carpeta.',
+            'notify.embeddingImages': '📦 Incrustando imágenes...',
+            'notify.embedFailed': '⚠️ Descargado, pero no se pudieron incrustar {count} imagen(es) (puede que el servidor lo impida).',
+            'notify.standaloneDownloaded': '📦 ¡HTML autónomo descargado ({count} imagen(es) incrustadas)!',
+            'notify.textDownloaded': '📄 ¡Texto sin formato descargado!',
+            'notify.markdownDownloaded': '📤 ¡Archivo Markdown descargado!',
+            'notify.exportFailed': '❌ La exportación falló. Inténtalo de nuevo.',
+            'notify.printHint': '🖨️ Elige "Guardar como PDF" en el diálogo de impresión para crear un PDF.',
+            'notify.imageStoreFailed': '❌ No se pudo guardar la imagen. Inténtalo de nuevo.',
+            'notify.largeImage': '⚠️ Imagen grande: {names}. Funciona, pero ralentiza el guardado y las descargas; considera reducirla.',
+            'notify.imagesAdded.one': '🖼️ Imagen añadida y guardada en este navegador',
+            'notify.imagesAdded.other': '🖼️ {count} imágenes añadidas y guardadas en este navegador',
+            'notify.nothingToConvert': '⚠️ ¡No hay nada que convertir!',
+            'notify.noEasyConversions': 'ℹ️ No hay Markdown que tenga un comando del Modo Fácil.',
+            'notify.convertedToEasy.one': '🔁 ¡{count} línea convertida a comandos del Modo Fácil!',
+            'notify.convertedToEasy.other': '🔁 ¡{count} líneas convertidas a comandos del Modo Fácil!',
+            'notify.alreadyEmpty': '⚠️ ¡El contenido ya está vacío!',
+            'notify.cleared': '🗑️ ¡Contenido borrado! Usa 🕘 Historial para recuperarlo.',
+            'notify.fileLoaded': '📄 ¡Archivo "{name}" cargado!',
+            'notify.htmlImported': '🌐 ¡"{name}" importado como Markdown!',
+            'notify.unsupportedDrop': '❌ ¡Suelta un archivo .md, .markdown, .txt o .html, o una imagen!',
+            'notify.noMarkdownInFolder': '❌ ¡No hay archivos .md ni .markdown en la carpeta soltada!',
+            'notify.convertingFiles': '⏳ Convirtiendo {count} archivos...',
+            'notify.siteConverted': '{count} páginas convertidas en "{name}"',
+            'notify.siteBrokenLinks': '{count} enlace(s) a archivos que faltan: {links}',
+            'notify.siteSkipped': 'omitidos {files}',
+            'notify.folderFailed': '❌ No se pudieron convertir los archivos soltados.',
+            'notify.allowlistSaved': '🛡️ ¡Lista de permitidos guardada!',
+            'notify.allowlistReset': '🛡️ ¡Lista de permitidos restablecida!',
+            'notify.themeFileLoaded': '📂 "{name}" cargado: guárdalo para usarlo.',
+            'notify.exportThemeSaved': '🎨 ¡Tema de exportación guardado!',
+            'notify.exportSettingsReset': '🎨 ¡Ajustes de exportación restablecidos!',
+            'notify.commandMissingFields': '⚠️ ¡Escribe una palabra clave y un resultado en Markdown!',
+            'notify.commandAdded': '⭐ ¡Comando "{keyword}:" añadido!',
+            'notify.commandRemoved': '🗑️ ¡Comando "{name}" eliminado!',
+            'notify.noCustomCommands': '⚠️ ¡No hay comandos personalizados para exportar!',
+            'notify.commandsExported': '💾 ¡{count} comando(s) personalizado(s) exportado(s)!',
+            'notify.commandsImported': '📂 ¡{count} comando(s) importado(s) de "{name}"!',
+            'notify.commandsImportFailed': '❌ No se pudieron importar los comandos: {message}',
+            'notify.templateSaved': '⭐ ¡Plantilla "{name}" guardada!',
+            'notify.templateStarted': '📑 ¡Documento creado con la plantilla "{name}"!',
+            'notify.templateSaveFailed': '❌ No se pudo guardar la plantilla (¿almacenamiento lleno?).',
+            'notify.storageUnavailable': '⚠️ El almacenamiento del navegador no está disponible: los documentos no sobrevivirán a una recarga.',
+            'notify.storageBlocked': '⚠️ Esta página está abierta en otra pestaña con una versión anterior: cierra las otras pestañas y recarga para usar la biblioteca de documentos.',
+            'notify.documentCreated': '📄 "{name}" creado',
+            'notify.documentDeleted': '🗑️ "{name}" eliminado',
+            'notify.libraryError': '❌ Algo salió mal en la biblioteca de documentos.',
+            'notify.newDocumentFailed': '❌ No se pudo crear un documento nuevo.',
+            'notify.libraryUnavailable': '⚠️ La biblioteca de documentos no está disponible.',
+            'notify.versionRestored': '↩️ Restaurada la versión del {time}'
+        }
+    };
+}));
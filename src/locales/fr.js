@@ -0,0 +1,530 @@
+// Markdown to HTML Converter - French locale
+// French UI strings and Easy Mode keywords ("gras : texte", "titre 1 : Accueil")
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Locales.register(factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    return {
+        id: 'fr',
+        name: 'Français',
+        dateLocale: 'fr-FR',
+        commands: {
+            keywords: {
+                'heading {n}': ['titre {n}'],
+                'bold this': ['gras'],
+                'italic this': ['italique'],
+                'strike this': ['barré', 'barre'],
+                'code this': ['code'],
+                'quote this': ['citation'],
+                'link this': ['lien'],
+                'image this': ['image'],
+                'list item': ['élément de liste', 'puce'],
+                'number item': ['élément numéroté'],
+                'todo': ['tâche', 'tache'],
+                'todo done': ['tâche faite', 'tache faite'],
+                'note this': ['note'],
+                'warning this': ['avertissement', 'attention'],
+                'code block': ['bloc de code'],
+                'end code': ['fin du code', 'fin de code'],
+                'table': ['tableau'],
+                'row': ['ligne'],
+                'table of contents': ['table des matières', 'sommaire'],
+                'break line': ['ligne horizontale', 'séparateur']
+            },
+            inline: {
+                'make bold': ['mettre en gras', 'en gras'],
+                'make italic': ['mettre en italique', 'en italique']
+            }
+        },
+        strings: {
+            'header.title': '🎯 Convertisseur Markdown vers HTML',
+            'header.subtitle': 'Convertissez instantanément du Markdown en HTML avec un aperçu en direct',
+            'language.label': 'Langue',
+            'button.help': '❓ Aide',
+            'button.exportTheme': '🎨 Thème d\'export',
+            'button.copy': '📋 Copier ▾',
+            'button.copied': '✅ Copié !',
+            'button.download': '⬇️ Télécharger le HTML',
+            'button.downloaded': '✅ Téléchargé !',
+            'button.export': '📦 Exporter ▾',
+            'button.templates': '📑 Modèles',
+            'button.toEasyMode': '🔁 Vers le Mode Facile',
+            'button.clear': '🗑️ Effacer',
+            'copy.html': '📋 Code HTML',
+            'copy.htmlHint': 'Le balisage converti, pour les pages web et les CMS',
+            'copy.formatted': '✉️ Mis en forme',
+            'copy.formattedHint': 'Pour les e-mails et les traitements de texte, avec le thème d\'export',
+            'copy.markdown': '📝 Markdown',
+            'copy.markdownHint': 'Commandes du Mode Facile développées',
+            'export.fragment': '🧩 Fragment HTML',
+            'export.fragmentHint': 'Uniquement le balisage converti',
+            'export.linked': '🔗 HTML + feuille de style',
+            'export.linkedHint': 'Page avec un fichier .css séparé',
+            'export.standalone': '📦 HTML autonome',
+            'export.standaloneHint': 'Images intégrées, fonctionne hors ligne',
+            'export.print': '🖨️ Imprimer / PDF',
+            'export.printHint': 'Mise en page d\'impression via la boîte de dialogue',
+            'export.text': '📄 Texte brut',
+            'export.textHint': 'Sans balisage',
+            'export.markdown': '📤 Markdown',
+            'export.markdownHint': 'Commandes du Mode Facile développées',
+            'sidebar.documents': '📚 Documents',
+            'sidebar.new': '＋ Nouveau',
+            'sidebar.newTitle': 'Créer un nouveau document',
+            'sidebar.history': '🕘 Historique',
+            'sidebar.historyTitle': 'Parcourir et restaurer les versions précédentes',
+            'panel.input': '📝 Saisie Markdown',
+            'panel.inputInfo': 'Tapez votre Markdown ici',
+            'panel.inspectorTitle': 'Montrer comment chaque ligne du Mode Facile a été convertie',
+            'panel.lintTitle': 'Montrer les problèmes de style et d\'exactitude',
+            'panel.statsTitle': 'Montrer les statistiques et la lisibilité du document',
+            'panel.preview': '🌐 Aperçu HTML',
+            'panel.scrollSync': '🔗 Défilement lié',
+            'panel.scrollSyncTitle': 'Faire défiler l\'éditeur et l\'aperçu ensemble',
+            'panel.outline': '🧭 Plan',
+            'panel.outlineTitle': 'Afficher ou masquer le plan du document',
+            'panel.exportViewTitle': 'Afficher l\'aperçu avec le thème d\'export appliqué',
+            'toolbar.label': 'Mise en forme',
+            'toolbar.heading': 'Titre (cliquez à nouveau pour un niveau plus petit)',
+            'toolbar.bold': 'Gras (Ctrl+B)',
+            'toolbar.italic': 'Italique (Ctrl+I)',
+            'toolbar.strike': 'Barré',
+            'toolbar.link': 'Lien (Ctrl+K)',
+            'toolbar.code': 'Code en ligne',
+            'toolbar.codeBlock': 'Bloc de code (Ctrl+Shift+C)',
+            'toolbar.quote': 'Citation',
+            'toolbar.bullet': 'Liste à puces',
+            'toolbar.number': 'Liste numérotée',
+            'toolbar.rule': 'Ligne horizontale',
+            'toolbar.outdent': 'Diminuer le retrait (Shift+Tab)',
+            'toolbar.indent': 'Augmenter le retrait (Tab)',
+            'toolbar.insert': '＋ Insérer ▾',
+            'toolbar.insertTitle': 'Insérer un tableau, un encadré, un bloc de code...',
+            'toolbar.easySyntax': 'Syntaxe du Mode Facile',
+            'toolbar.markdownSyntax': 'Syntaxe Markdown',
+            'footer.builtWith': 'Fait avec ❤️ grâce à',
+
+            'button.easyModeOn': '🎯 Mode Facile : OUI',
+            'button.easyModeOff': '📝 Mode Facile : NON',
+            'button.sanitizeOn': '🛡️ Nettoyage : OUI',
+            'button.sanitizeOff': '⚠️ Nettoyage : NON',
+            'button.codeDark': '🌙 Code : Sombre',
+            'button.codeLight': '☀️ Code : Clair',
+            'button.inspector': '🔍 Inspecteur',
+            'button.lint': '🧹 Vérification',
+            'button.stats': '📊 Statistiques',
+            'button.exportView': '🎨 Vue export',
+            'button.exportViewOn': '🎨 Vue export : OUI',
+            'sanitizeReport.off': '⚠️ Nettoyage désactivé',
+            'sanitizeReport.offTitle': 'Le HTML brut n\'est pas filtré',
+            'sanitizeReport.removed': '🛡️ {count} supprimé(s)',
+            'sanitizeReport.safe': '🛡️ Sûr',
+            'sanitizeReport.safeTitle': 'Le nettoyage n\'a rien supprimé',
+            'autosave.loading': '💾 Chargement...',
+            'autosave.unavailable': '❌ Enregistrement auto indisponible',
+            'autosave.saved': '💾 Enregistré {time}',
+            'autosave.editing': '✏️ Modification...',
+            'autosave.failed': '❌ Échec de l\'enregistrement auto',
+
+            'inspector.easyModeOff': 'Le Mode Facile est désactivé : chaque ligne est lue comme du Markdown normal.',
+            'inspector.empty': 'Pas encore de commande du Mode Facile. Essayez <code>titre 1 : Titre</code> ou <code>gras : texte</code>.',
+            'inspector.wrongFormat': 'Ressemble à <strong>{keyword} :</strong> mais ne respecte pas son format. Exemple : {example}',
+            'inspector.didYouMean': 'Vouliez-vous dire {suggestion} ?',
+            'inspector.fix': '✔️ Corriger',
+            'inspector.converted.one': '{count} ligne convertie',
+            'inspector.converted.other': '{count} lignes converties',
+            'inspector.typos.one': '{count} faute de frappe possible',
+            'inspector.typos.other': '{count} fautes de frappe possibles',
+            'stats.words.one': '{count} mot',
+            'stats.words.other': '{count} mots',
+            'stats.characters.one': '{count} caractère',
+            'stats.characters.other': '{count} caractères',
+            'stats.charactersNoSpaces.one': '{count} caractère hors espaces',
+            'stats.charactersNoSpaces.other': '{count} caractères hors espaces',
+            'stats.lines.one': '{count} ligne',
+            'stats.lines.other': '{count} lignes',
+            'stats.readingTime.one': '{count} min de lecture',
+            'stats.readingTime.other': '{count} min de lecture',
+            'stats.readingTimeShort': '< 1 min de lecture',
+            'stats.empty': 'Rien à mesurer pour l\'instant : les statistiques suivent l\'aperçu.',
+            'stats.readability': '📖 Lisibilité',
+            'stats.readabilityDetail': '{formula} : {words} mots par phrase, {syllables} syllabes par mot',
+            'stats.readabilityUnsupported': 'Aucune formule de lisibilité pour la langue du document. Changez-la dans les paramètres d\'export.',
+            'stats.readabilityNoProse': 'Écrivez quelques phrases pour obtenir un score de lisibilité.',
+            'stats.band.veryEasy': 'Très facile',
+            'stats.band.easy': 'Facile',
+            'stats.band.fairlyEasy': 'Assez facile',
+            'stats.band.standard': 'Standard',
+            'stats.band.fairlyDifficult': 'Assez difficile',
+            'stats.band.difficult': 'Difficile',
+            'stats.band.veryDifficult': 'Très difficile',
+            'stats.sentences.one': '{count} phrase',
+            'stats.sentences.other': '{count} phrases',
+            'stats.links.one': '{count} lien',
+            'stats.links.other': '{count} liens',
+            'stats.images.one': '{count} image',
+            'stats.images.other': '{count} images',
+            'stats.codeBlocks.one': '{count} bloc de code',
+            'stats.codeBlocks.other': '{count} blocs de code',
+            'stats.sections': '📑 Mots par section',
+            'stats.noSections': 'Pas encore de titres.',
+            'stats.intro': 'Avant le premier titre',
+            'stats.sectionTitle': 'Afficher cette section dans l\'aperçu',
+            'stats.longestSentences': '📏 Phrases les plus longues',
+
+            // Outline, inspector and lint panel
+            'outline.empty': 'Pas encore de titres',
+            'panel.selectLine': 'Cliquer pour sélectionner cette ligne',
+            'inspector.fixTitle': 'Remplacer la ligne par la suggestion',
+            'lint.problems.one': '{count} problème',
+            'lint.problems.other': '{count} problèmes',
+            'lint.noProblems': 'Aucun problème trouvé',
+            'lint.fix': '✔️ Corriger',
+            'lint.fixTitle': 'Appliquer la correction proposée',
+            'lint.fixAll': '✔️ Tout corriger ({count})',
+            'lint.rules': '⚙️ Règles',
+            'lint.rulesTitle': 'Choisir les règles de ce document',
+            'lint.markerTitle': 'Ligne {line} : {messages}',
+            'lint.rule.heading-increment': 'Niveaux de titre',
+            'lint.rule.heading-increment.description': 'Les niveaux de titre ne descendent que d\'un cran à la fois (pas de H2 suivi d\'un H4)',
+            'lint.rule.no-duplicate-headings': 'Titres en double',
+            'lint.rule.no-duplicate-headings.description': 'Chaque texte de titre n\'est utilisé qu\'une fois',
+            'lint.rule.no-empty-links': 'Liens vides',
+            'lint.rule.no-empty-links.description': 'Les liens ont une cible, pas () ni (#)',
+            'lint.rule.image-alt-text': 'Texte alternatif',
+            'lint.rule.image-alt-text.description': 'Les images sont décrites par un texte alternatif : ![description](image.png)',
+            'lint.rule.unclosed-fence': 'Blocs de code non fermés',
+            'lint.rule.unclosed-fence.description': 'Chaque bloc de code est refermé',
+            'lint.rule.no-trailing-whitespace': 'Espaces en fin de ligne',
+            'lint.rule.no-trailing-whitespace.description': 'Les lignes ne finissent pas par des espaces ou tabulations (deux espaces, un saut de ligne Markdown, sont permis)',
+            'lint.rule.list-marker-style': 'Puces de liste',
+            'lint.rule.list-marker-style.description': 'Les listes utilisent une seule puce (-, * ou +) dans tout le document',
+            'lint.message.trailingWhitespace': 'La ligne finit par des espaces ou tabulations',
+            'lint.message.headingJump': 'Le titre passe de H{from} à H{to} ; utilisez H{level}',
+            'lint.message.duplicateHeading': 'Titre en double « {text} » (déjà utilisé ligne {line})',
+            'lint.message.listMarker': 'La puce « {marker} » diffère de « {expected} » utilisée ligne {line}',
+            'lint.message.missingAlt': 'L\'image n\'a pas de texte alternatif',
+            'lint.message.emptyLink': 'Le lien « {label} » n\'a pas de cible',
+            'lint.message.emptyLinkNoText': 'Un lien sans texte n\'a pas de cible',
+            'lint.message.unclosedFence': 'Le bloc de code ouvert ligne {line} n\'est jamais fermé',
+
+            // Settings modals
+            'settings.save': '💾 Enregistrer',
+            'settings.resetDefaults': '↩️ Valeurs par défaut',
+            'lintSettings.title': '🧹 Règles de vérification',
+            'lintSettings.rulesFor': '📄 Règles pour « {name} »',
+            'lintSettings.rulesForThis': '📄 Règles pour ce document',
+            'lintSettings.makeDefault': 'Utiliser aussi ces règles pour les documents qui n\'ont pas les leurs',
+            'lintSettings.allOn': '↩️ Toutes les règles',
+            'sanitizer.title': '🛡️ Nettoyage HTML',
+            'sanitizer.removed': '🧹 Retiré de ce document',
+            'sanitizer.nothingRemoved': 'Rien n\'a été retiré du document actuel.',
+            'sanitizer.allowlist': '✅ Liste autorisée',
+            'sanitizer.tags': 'Balises autorisées (séparées par des virgules)',
+            'sanitizer.attributes': 'Attributs autorisés (un « balise: attr, attr » par ligne, * pour toutes les balises)',
+            'sanitizer.schemes': 'Schémas d\'URL autorisés (séparés par des virgules)',
+            'sanitizer.save': '💾 Enregistrer la liste',
+            'exportSettings.title': '🎨 Thème d\'export',
+            'exportSettings.look': '🖌️ Apparence',
+            'exportSettings.theme': 'Thème',
+            'exportSettings.noTheme': 'Aucun - seulement mon CSS',
+            'exportSettings.customCSS': 'CSS personnalisé (ajouté après le thème, ses règles l\'emportent)',
+            'exportSettings.loadCSS': '📂 Charger un fichier CSS',
+            'exportSettings.document': '📄 Document',
+            'exportSettings.documentTitle': 'Titre ({date} insère la date du jour)',
+            'exportSettings.lang': 'Langue (attribut lang, p. ex. en, fr, pt-BR)',
+            'exportSettings.footer': 'Ajouter un pied de page',
+            'exportSettings.footerText': 'Texte du pied de page ({date} insère la date et l\'heure de l\'export)',
+            'exportSettings.savePreview': '👁️ Enregistrer et prévisualiser',
+            'exportSettings.previewFrame': 'Aperçu du thème d\'export',
+
+            // Templates
+            'templates.title': '📑 Modèles',
+            'templates.builtIn': '📦 Intégrés',
+            'templates.mine': '⭐ Mes modèles',
+            'templates.mineEmpty': 'Les modèles que vous enregistrez apparaissent ici.',
+            'templates.saveHeading': '💾 Enregistrer le texte actuel comme modèle',
+            'templates.placeholderHelp': 'Écrivez {{date}}, {{author}} ou tout autre {{nom}} là où une valeur doit être saisie à l\'utilisation du modèle.',
+            'templates.name': 'Nom',
+            'templates.namePlaceholder': 'Rapport hebdomadaire',
+            'templates.description': 'Description (facultative)',
+            'templates.descriptionPlaceholder': 'Point d\'avancement pour l\'équipe',
+            'templates.save': '💾 Enregistrer le modèle',
+            'templates.delete': '🗑️ Supprimer',
+            'templates.use': '📑 Utiliser',
+            'templates.lines.one': '{count} ligne',
+            'templates.lines.other': '{count} lignes',
+            'templates.linesEasyMode.one': '{count} ligne, Mode Facile',
+            'templates.linesEasyMode.other': '{count} lignes, Mode Facile',
+            'templates.confirmDelete': '🗑️ Supprimer le modèle « {name} » ?',
+            'templates.fillHeading': '✏️ Remplir le modèle',
+            'templates.back': '← Modèles',
+            'templates.apply': '📑 Utiliser le modèle',
+            'templates.confirmReplace': '📑 Remplacer le texte actuel par « {name} » ? Vous pourrez le récupérer dans 🕘 Historique.',
+
+            // Document library and version history
+            'library.untitled': 'Document sans titre',
+            'library.open': 'Ouvrir',
+            'library.rename': 'Renommer',
+            'library.duplicate': 'Dupliquer',
+            'library.delete': 'Supprimer',
+            'library.renamePrompt': '✏️ Renommer le document :',
+            'library.copyName': '{name} (copie)',
+            'library.confirmDelete': '🗑️ Supprimer « {name} » et son historique de versions ?',
+            'library.newPrompt': '📄 Nom du nouveau document :',
+            'history.title': '🕘 Historique des versions',
+            'history.intro': 'Des instantanés sont pris pendant la saisie et avant Effacer, le dépôt de fichiers et les restaurations.',
+            'history.empty': 'Pas encore de versions antérieures.',
+            'history.comparison': '+{added} / −{removed} lignes par rapport à l\'actuel',
+            'history.sameAsCurrent': 'identique à l\'actuel',
+            'history.lines.one': '{count} ligne',
+            'history.lines.other': '{count} lignes',
+            'history.compare': '🔍 Comparer',
+            'history.restore': '↩️ Restaurer',
+            'history.identical': 'Cette version est identique au texte actuel.',
+            'history.unchangedLines.one': '… {count} ligne inchangée',
+            'history.unchangedLines.other': '… {count} lignes inchangées',
+            'history.onlyInVersion': '− seulement dans cette version',
+            'history.onlyInCurrent': '+ seulement dans le texte actuel',
+            'history.reason.autosave': 'Enregistrement automatique',
+            'history.reason.clear': 'Avant effacement',
+            'history.reason.file-drop': 'Avant dépôt de fichier',
+            'history.reason.restore': 'Avant restauration',
+            'history.reason.template': 'Avant modèle',
+            'history.reason.easy-mode': 'Avant conversion en Mode Facile',
+
+            // Clearing, the empty preview and folder sites
+            'confirm.clear': '🗑️ Voulez-vous vraiment effacer tout le contenu ?',
+            'preview.empty': 'Commencez à écrire du Markdown pour voir l\'aperçu en direct...',
+            'site.title': 'Documents',
+
+            // Error messages in the preview
+            'error.markedMissing': '❌ Erreur : la bibliothèque marked.js n\'est pas chargée. Vérifiez votre connexion Internet.',
+            'error.conversion': '❌ Erreur de conversion : {message}',
+
+            // Easy Mode command descriptions (help modal and inspector), by command name
+            'command.heading': 'Conversion en titre',
+            'command.bold': 'Conversion en gras',
+            'command.italic': 'Conversion en italique',
+            'command.quote': 'Conversion en citation',
+            'command.link': 'Conversion en lien avec URL',
+            'command.autolink': 'Conversion en lien automatique',
+            'command.image': 'Conversion en image',
+            'command.horizontal-rule': 'Conversion en ligne horizontale',
+            'command.table-of-contents': 'Conversion en table des matières',
+            'command.code': 'Conversion en code en ligne',
+            'command.list-item': 'Conversion en élément de liste',
+            'command.number-item': 'Conversion en liste numérotée',
+            'command.todo': 'Conversion en tâche',
+            'command.note': 'Conversion en encadré note',
+            'command.warning': 'Conversion en encadré avertissement',
+            'command.code-block': 'Début de bloc de code',
+            'command.end-code': 'Fin de bloc de code',
+            'command.table': 'Conversion en en-tête de tableau',
+            'command.table-row': 'Conversion en ligne de tableau',
+            'command.strike': 'Conversion en barré',
+            'command.make-bold': 'Gras en ligne',
+            'command.make-italic': 'Italique en ligne',
+
+            // Built-in templates and Insert menu snippets, by id
+            'template.release-notes': 'Notes de version',
+            'template.release-notes.description': 'Points forts, nouveautés, corrections et notes de mise à jour d\'une version',
+            'template.adr': 'Enregistrement de décision d\'architecture',
+            'template.adr.description': 'Contexte, décision et conséquences d\'un choix de conception (ADR)',
+            'template.meeting-minutes': 'Compte rendu de réunion',
+            'template.meeting-minutes.description': 'Participants, ordre du jour, décisions et actions',
+            'template.readme': 'README',
+            'template.readme.description': 'Présentation du projet, installation, utilisation et licence',
+            'snippet.table': 'Tableau',
+            'snippet.table.description': 'Ligne d\'en-tête et une ligne de cellules',
+            'snippet.code-block': 'Bloc de code',
+            'snippet.code-block.description': 'Code délimité avec un langage',
+            'snippet.note': 'Encadré note',
+            'snippet.note.description': 'Encadré de note mis en évidence',
+            'snippet.warning': 'Encadré avertissement',
+            'snippet.warning.description': 'Encadré d\'avertissement mis en évidence',
+            'snippet.tasks': 'Liste de tâches',
+            'snippet.tasks.description': 'Cases à cocher dans l\'aperçu',
+            'snippet.image': 'Image',
+            'snippet.image.description': 'Texte alternatif et adresse de l\'image',
+            'snippet.footnote': 'Note de bas de page',
+            'snippet.footnote.description': 'Appel et sa note',
+            'snippet.definition-list': 'Liste de définitions',
+            'snippet.definition-list.description': 'Termes et leurs définitions',
+            'snippet.math': 'Bloc mathématique',
+            'snippet.math.description': 'Formule LaTeX sur sa propre ligne',
+            'snippet.diagram': 'Diagramme',
+            'snippet.diagram.description': 'Organigramme Mermaid',
+            'snippet.toc': 'Table des matières',
+            'snippet.toc.description': 'Plan des titres du document',
+
+            'placeholder.markdown': `# Bienvenue dans le Convertisseur Markdown vers HTML
+
+Commencez à taper votre Markdown ici...
+
+## Fonctionnalités :
+- **Aperçu en temps réel**
+- Copie dans le presse-papiers
+- Téléchargement en fichier HTML
+- Design adaptatif
+
+### Exemple de code :
+\`\`\`javascript
+console.log('Bonjour, le monde !');
+\`\`\`
+
+> Ceci est un exemple de citation
+
+1. Élément de liste ordonnée 1
+2. Élément de liste ordonnée 2
+
+- Élément de liste non ordonnée
+- Un autre élément
+
+[Lien vers GitHub](https://github.com)
+
+*Texte en italique* et **texte en gras**`,
+            'placeholder.easy': `🎯 Le Mode Facile est activé ! Essayez ces commandes :
+
+titre 1 : Mon portfolio
+titre 2 : À propos de moi
+gras : Bienvenue sur mon site
+italique : Ce texte est mis en valeur
+citation : N'abandonnez jamais vos rêves
+lien : Visitez GitHub | https://github.com
+élément de liste : Première fonctionnalité
+élément de liste : Deuxième fonctionnalité
+élément numéroté : Étape un
+élément numéroté : Étape deux
+code : console.log('Bonjour')
+ligne horizontale
+
+tableau : Nom | Âge
+ligne : Alice | 30
+
+bloc de code : javascript
+console.log('Bonjour, le monde !');
+fin du code
+
+Les commandes anglaises (bold this:, heading 1:) et le Markdown normal fonctionnent aussi.
+
+## Markdown classique
+- **Texte en gras**
+- *Texte en italique*
+- [Liens](https://example.com)`,
+
+            'help.title': '🎯 Référence des commandes du Mode Facile',
+            'help.category.Text Formatting': '📝 Mise en forme du texte',
+            'help.category.Headers & Structure': '📋 Titres et structure',
+            'help.category.Links & Lists': '🔗 Liens et listes',
+            'help.category.Blocks': '🧱 Blocs',
+            'help.category.Inline Commands': '✍️ Commandes en ligne',
+            'help.category.Custom Commands': '⭐ Commandes personnalisées',
+            'help.removeCommand': 'Supprimer cette commande',
+            'help.addCommand': '➕ Ajoutez votre propre commande',
+            'help.keywordLabel': 'Mot-clé (tapé avant les deux-points)',
+            'help.templateLabel': 'Résultat en Markdown ({text} est remplacé par ce qui suit les deux-points)',
+            'help.descriptionLabel': 'Description (facultative)',
+            'help.import': '📂 Importer du JSON',
+            'help.export': '💾 Exporter en JSON',
+            'help.add': '➕ Ajouter la commande',
+            'help.keywords': '🌐 Mots-clés en {language}',
+            'help.keywordsIntro': 'Tapez-les à la place des mots-clés anglais ; les deux fonctionnent :',
+            'help.tips': '💡 Astuces',
+            'help.tipMix': 'Mélangez les commandes naturelles et la syntaxe Markdown normale',
+            'help.tipCase': 'Les commandes ne tiennent pas compte de la casse',
+            'help.tipLines': 'Une commande par ligne fonctionne le mieux ; indentez les éléments de liste pour les imbriquer',
+            'help.tipCode': 'Les lignes d\'un bloc de code ne sont jamais modifiées',
+            'help.tipShare': 'Exportez vos commandes en JSON pour les partager avec votre équipe',
+            'help.tipInspector': 'Ouvrez 🔍 Inspecteur (au-dessus de l\'éditeur) pour voir comment chaque ligne a été convertie et corriger les fautes comme <code>grsa :</code>',
+            'help.tipLanguage': 'Choisissez une langue à côté des boutons en haut : ses mots-clés fonctionnent en plus des mots-clés anglais',
+
+            'notify.ready': '🚀 Convertisseur prêt ! Le Mode Facile est activé : essayez les commandes en langage naturel !',
+            'notify.easyModeOn': '🎯 Mode Facile activé ! Vous pouvez utiliser des commandes en langage naturel.',
+            'notify.easyModeOff': '📝 Mode Facile désactivé ! Seule la syntaxe Markdown standard est utilisée.',
+            'notify.sanitizeOn': '🛡️ Nettoyage activé ! Le HTML dangereux est retiré de l\'aperçu et des exports.',
+            'notify.sanitizeOff': '⚠️ Nettoyage désactivé ! Le HTML brut, scripts compris, est conservé tel quel.',
+            'notify.unsafeRemoved': '🛡️ HTML dangereux supprimé : {item}',
+            'notify.unsafeRemovedMore': '🛡️ HTML dangereux supprimé : {item} (+{count} autres)',
+            'notify.codeThemeDark': '🎨 Thème du code : Sombre (aperçu et téléchargements)',
+            'notify.codeThemeLight': '🎨 Thème du code : Clair (aperçu et téléchargements)',
+            'notify.themePreviewOn': '🎨 Aperçu du thème d\'export : voici à quoi ressembleront les téléchargements.',
+            'notify.themePreviewOff': '🎨 Retour à l\'aperçu en direct.',
+            'notify.languageChanged': '🌐 Langue : Français',
+            'notify.lintFixedLine': '✔️ Ligne {line} corrigée',
+            'notify.lintFixes': '✔️ {count} corrections appliquées - Ctrl+Z pour annuler',
+            'notify.lintRulesSaveFailed': '❌ Impossible d\'enregistrer les règles de vérification',
+            'notify.lintRulesSaved': '🧹 Règles de vérification enregistrées pour ce document',
+            'notify.lineChanged': '✔️ Ligne {line} remplacée par "{text}"',
+            'notify.nothingToCopy': '⚠️ Rien à copier !',
+            'notify.htmlCopied': '📋 HTML copié dans le presse-papiers !',
+            'notify.formattedCopied': '✉️ Texte mis en forme copié : collez-le dans un e-mail ou un document !',
+            'notify.formattedCopyFailed': '❌ La copie a échoué. Sélectionnez l\'aperçu et copiez-le manuellement.',
+            'notify.markdownCopied': '📝 Markdown copié dans le presse-papiers !',
+            'notify.copyFailed': '❌ La copie a échoué. Sélectionnez et copiez manuellement.',
+            'notify.nothingToDownload': '⚠️ Rien à télécharger !',
+            'notify.htmlDownloaded': '⬇️ Fichier HTML téléchargé !',
+            'notify.downloadFailed': '❌ Le téléchargement a échoué. Veuillez réessayer.',
+            'notify.nothingToExport': '⚠️ Rien à exporter !',
+            'notify.fragmentDownloaded': '🧩 Fragment HTML téléchargé !',
+            'notify.linkedDownloaded': '🔗 {html} et {css} téléchargés : gardez-les dans le même dossier.',
+            'notify.linkedDownloadedImages.one': '🔗 {html}, {css} et {count} image téléchargés : gardez-les dans le même dossier.',
+            'notify.linkedDownloadedImages.other': '🔗 {html}, {css} et {count} images téléchargés : gardez-les dans le même dossier.',
+            'notify.embeddingImages': '📦 Intégration des images...',
+            'notify.embedFailed': '⚠️ Téléchargé, mais {count} image(s) n\'ont pas pu être intégrées (l\'hébergeur les bloque peut-être).',
+            'notify.standaloneDownloaded': '📦 HTML autonome téléchargé ({count} image(s) intégrée(s)) !',
+            'notify.textDownloaded': '📄 Texte brut téléchargé !',
+            'notify.markdownDownloaded': '📤 Fichier Markdown téléchargé !',
+            'notify.exportFailed': '❌ L\'export a échoué. Veuillez réessayer.',
+            'notify.printHint': '🖨️ Choisissez « Enregistrer au format PDF » dans la boîte d\'impression pour créer un PDF.',
+            'notify.imageStoreFailed': '❌ L\'image n\'a pas pu être enregistrée. Veuillez réessayer.',
+            'notify.largeImage': '⚠️ Image volumineuse : {names}. Elle fonctionne, mais ralentit l\'enregistrement et les téléchargements ; pensez à la redimensionner.',
+            'notify.imagesAdded.one': '🖼️ Image ajoutée et enregistrée dans ce navigateur',
+            'notify.imagesAdded.other': '🖼️ {count} images ajoutées et enregistrées dans ce navigateur',
+            'notify.nothingToConvert': '⚠️ Rien à convertir !',
+            'notify.noEasyConversions': 'ℹ️ Aucun Markdown n\'a de commande équivalente dans le Mode Facile.',
+            'notify.convertedToEasy.one': '🔁 {count} ligne convertie en commandes du Mode Facile !',
+            'notify.convertedToEasy.other': '🔁 {count} lignes converties en commandes du Mode Facile !',
+            'notify.alreadyEmpty': '⚠️ Le contenu est déjà vide !',
+            'notify.cleared': '🗑️ Contenu effacé ! Utilisez 🕘 Historique pour le récupérer.',
+            'notify.fileLoaded': '📄 Fichier "{name}" chargé !',
+            'notify.htmlImported': '🌐 "{name}" importé en Markdown !',
+            'notify.unsupportedDrop': '❌ Déposez un fichier .md, .markdown, .txt ou .html, ou une image !',
+            'notify.noMarkdownInFolder': '❌ Aucun fichier .md ou .markdown dans le dossier déposé !',
+            'notify.convertingFiles': '⏳ Conversion de {count} fichiers...',
+            'notify.siteConverted': '{count} pages converties dans "{name}"',
+            'notify.siteBrokenLinks': '{count} lien(s) vers des fichiers manquants : {links}',
+            'notify.siteSkipped': 'ignorés : {files}',
+            'notify.folderFailed': '❌ Impossible de convertir les fichiers déposés.',
+            'notify.allowlistSaved': '🛡️ Liste d\'autorisation enregistrée !',
+            'notify.allowlistReset': '🛡️ Liste d\'autorisation réinitialisée !',
+            'notify.themeFileLoaded': '📂 "{name}" chargé : enregistrez pour l\'utiliser.',
+            'notify.exportThemeSaved': '🎨 Thème d\'export enregistré !',
+            'notify.exportSettingsReset': '🎨 Réglages d\'export réinitialisés !',
+            'notify.commandMissingFields': '⚠️ Saisissez un mot-clé et un résultat en Markdown !',
+            'notify.commandAdded': '⭐ Commande "{keyword}:" ajoutée !',
+            'notify.commandRemoved': '🗑️ Commande "{name}" supprimée !',
+            'notify.noCustomCommands': '⚠️ Aucune commande personnalisée à exporter !',
+            'notify.commandsExported': '💾 {count} commande(s) personnalisée(s) exportée(s) !',
+            'notify.commandsImported': '📂 {count} commande(s) importée(s) depuis "{name}" !',
+            'notify.commandsImportFailed': '❌ Impossible d\'importer les commandes : {message}',
+            'notify.templateSaved': '⭐ Modèle "{name}" enregistré !',
+            'notify.templateStarted': '📑 Document créé à partir du modèle "{name}" !',
+            'notify.templateSaveFailed': '❌ Impossible d\'enregistrer le modèle (stockage plein ?).',
+            'notify.storageUnavailable': '⚠️ Le stockage du navigateur est indisponible : les documents seront perdus au rechargement.',
+            'notify.storageBlocked': '⚠️ Cette page est ouverte dans un autre onglet avec une version plus ancienne : fermez les autres onglets et rechargez pour utiliser la bibliothèque de documents.',
+            'notify.documentCreated': '📄 "{name}" créé',
+            'notify.documentDeleted': '🗑️ "{name}" supprimé',
+            'notify.libraryError': '❌ Un problème est survenu dans la bibliothèque de documents.',
+            'notify.newDocumentFailed': '❌ Impossible de créer un nouveau document.',
+            'notify.libraryUnavailable': '⚠️ La bibliothèque de documents n\'est pas disponible.',
+            'notify.versionRestored': '↩️ Version du {time} restaurée'
+        }
+    };
+}));
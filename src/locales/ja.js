@@ -0,0 +1,530 @@
+// Markdown to HTML Converter - Japanese locale
+// Japanese UI strings and Easy Mode keywords ("太字：テキスト", "見出し1：ホーム")
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Locales.register(factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    return {
+        id: 'ja',
+        name: '日本語',
+        dateLocale: 'ja-JP',
+        commands: {
+            keywords: {
+                'heading {n}': ['見出し {n}'],
+                'bold this': ['太字'],
+                'italic this': ['斜体'],
+                'strike this': ['取り消し線'],
+                'code this': ['コード'],
+                'quote this': ['引用'],
+                'link this': ['リンク'],
+                'image this': ['画像'],
+                'list item': ['リスト'],
+                'number item': ['番号リスト'],
+                'todo': ['タスク'],
+                'todo done': ['完了タスク'],
+                'note this': ['メモ'],
+                'warning this': ['警告'],
+                'code block': ['コードブロック'],
+                'end code': ['コード終わり'],
+                'table': ['表'],
+                'row': ['行'],
+                'table of contents': ['目次'],
+                'break line': ['区切り線']
+            },
+            inline: {
+                'make bold': ['太字にする'],
+                'make italic': ['斜体にする']
+            }
+        },
+        strings: {
+            'header.title': '🎯 Markdown → HTML 変換ツール',
+            'header.subtitle': 'Markdown をライブプレビュー付きで瞬時に HTML に変換',
+            'language.label': '言語',
+            'button.help': '❓ ヘルプ',
+            'button.exportTheme': '🎨 エクスポートテーマ',
+            'button.copy': '📋 コピー ▾',
+            'button.copied': '✅ コピーしました',
+            'button.download': '⬇️ HTML をダウンロード',
+            'button.downloaded': '✅ ダウンロードしました',
+            'button.export': '📦 エクスポート ▾',
+            'button.templates': '📑 テンプレート',
+            'button.toEasyMode': '🔁 かんたんモードへ',
+            'button.clear': '🗑️ クリア',
+            'copy.html': '📋 HTML コード',
+            'copy.htmlHint': '変換したマークアップ（Web ページや CMS 用）',
+            'copy.formatted': '✉️ 書式付き',
+            'copy.formattedHint': 'メールや文書エディター用（エクスポートテーマを適用）',
+            'copy.markdown': '📝 Markdown',
+            'copy.markdownHint': 'かんたんモードのコマンドを展開',
+            'export.fragment': '🧩 HTML 断片',
+            'export.fragmentHint': '変換したマークアップのみ',
+            'export.linked': '🔗 HTML + スタイルシート',
+            'export.linkedHint': '.css ファイルを別にしたページ',
+            'export.standalone': '📦 単一ファイル HTML',
+            'export.standaloneHint': '画像を埋め込み、オフラインでも表示',
+            'export.print': '🖨️ 印刷 / PDF',
+            'export.printHint': '印刷ダイアログで印刷用レイアウト',
+            'export.text': '📄 プレーンテキスト',
+            'export.textHint': 'マークアップなし',
+            'export.markdown': '📤 Markdown',
+            'export.markdownHint': 'かんたんモードのコマンドを展開',
+            'sidebar.documents': '📚 ドキュメント',
+            'sidebar.new': '＋ 新規',
+            'sidebar.newTitle': '新しいドキュメントを作成',
+            'sidebar.history': '🕘 履歴',
+            'sidebar.historyTitle': '以前のバージョンを表示・復元',
+            'panel.input': '📝 Markdown 入力',
+            'panel.inputInfo': 'ここに Markdown を入力',
+            'panel.inspectorTitle': 'かんたんモードの各行がどう変換されたかを表示',
+            'panel.lintTitle': 'スタイルや正しさの問題を表示',
+            'panel.statsTitle': '文書の統計と読みやすさを表示',
+            'panel.preview': '🌐 HTML プレビュー',
+            'panel.scrollSync': '🔗 スクロール同期',
+            'panel.scrollSyncTitle': 'エディターとプレビューを一緒にスクロール',
+            'panel.outline': '🧭 アウトライン',
+            'panel.outlineTitle': 'ドキュメントのアウトラインを表示／非表示',
+            'panel.exportViewTitle': 'エクスポートテーマを適用したプレビューを表示',
+            'toolbar.label': '書式',
+            'toolbar.heading': '見出し（もう一度クリックで小さく）',
+            'toolbar.bold': '太字 (Ctrl+B)',
+            'toolbar.italic': '斜体 (Ctrl+I)',
+            'toolbar.strike': '取り消し線',
+            'toolbar.link': 'リンク (Ctrl+K)',
+            'toolbar.code': 'インラインコード',
+            'toolbar.codeBlock': 'コードブロック (Ctrl+Shift+C)',
+            'toolbar.quote': '引用',
+            'toolbar.bullet': '箇条書き',
+            'toolbar.number': '番号付きリスト',
+            'toolbar.rule': '区切り線',
+            'toolbar.outdent': 'インデントを減らす (Shift+Tab)',
+            'toolbar.indent': 'インデントを増やす (Tab)',
+            'toolbar.insert': '＋ 挿入 ▾',
+            'toolbar.insertTitle': '表、コールアウト、コードブロックなどを挿入',
+            'toolbar.easySyntax': 'かんたんモードの構文',
+            'toolbar.markdownSyntax': 'Markdown 構文',
+            'footer.builtWith': '❤️ を込めて作成・使用ライブラリ:',
+
+            'button.easyModeOn': '🎯 かんたんモード: オン',
+            'button.easyModeOff': '📝 かんたんモード: オフ',
+            'button.sanitizeOn': '🛡️ サニタイズ: オン',
+            'button.sanitizeOff': '⚠️ サニタイズ: オフ',
+            'button.codeDark': '🌙 コード: ダーク',
+            'button.codeLight': '☀️ コード: ライト',
+            'button.inspector': '🔍 インスペクター',
+            'button.lint': '🧹 チェック',
+            'button.stats': '📊 統計',
+            'button.exportView': '🎨 エクスポート表示',
+            'button.exportViewOn': '🎨 エクスポート表示: オン',
+            'sanitizeReport.off': '⚠️ サニタイズ無効',
+            'sanitizeReport.offTitle': '生の HTML はフィルタリングされていません',
+            'sanitizeReport.removed': '🛡️ {count} 件削除',
+            'sanitizeReport.safe': '🛡️ 安全',
+            'sanitizeReport.safeTitle': 'サニタイザーは何も削除していません',
+            'autosave.loading': '💾 読み込み中...',
+            'autosave.unavailable': '❌ 自動保存は利用できません',
+            'autosave.saved': '💾 保存済み {time}',
+            'autosave.editing': '✏️ 編集中...',
+            'autosave.failed': '❌ 自動保存に失敗しました',
+
+            'inspector.easyModeOff': 'かんたんモードはオフです。すべての行を通常の Markdown として読み込みます。',
+            'inspector.empty': 'かんたんモードのコマンドはまだありません。<code>見出し1：タイトル</code> や <code>太字：テキスト</code> を試してください。',
+            'inspector.wrongFormat': '<strong>{keyword}:</strong> のようですが、形式が違います。例: {example}',
+            'inspector.didYouMean': 'もしかして {suggestion} ですか？',
+            'inspector.fix': '✔️ 修正',
+            'inspector.converted.one': '{count} 行を変換',
+            'inspector.converted.other': '{count} 行を変換',
+            'inspector.typos.one': '入力ミスの可能性 {count} 件',
+            'inspector.typos.other': '入力ミスの可能性 {count} 件',
+            'stats.words.one': '{count} 語',
+            'stats.words.other': '{count} 語',
+            'stats.characters.one': '{count} 文字',
+            'stats.characters.other': '{count} 文字',
+            'stats.charactersNoSpaces.one': '空白を除いて {count} 文字',
+            'stats.charactersNoSpaces.other': '空白を除いて {count} 文字',
+            'stats.lines.one': '{count} 行',
+            'stats.lines.other': '{count} 行',
+            'stats.readingTime.one': '約 {count} 分で読めます',
+            'stats.readingTime.other': '約 {count} 分で読めます',
+            'stats.readingTimeShort': '1 分未満で読めます',
+            'stats.empty': 'まだ計測する内容がありません。統計はプレビューに合わせて更新されます。',
+            'stats.readability': '📖 読みやすさ',
+            'stats.readabilityDetail': '{formula}: 1 文あたり {words} 語、1 語あたり {syllables} 音節',
+            'stats.readabilityUnsupported': '文書の言語に対応する読みやすさの式がありません。エクスポート設定で言語を変更できます。',
+            'stats.readabilityNoProse': '読みやすさのスコアを出すには文をいくつか書いてください。',
+            'stats.band.veryEasy': 'とても易しい',
+            'stats.band.easy': '易しい',
+            'stats.band.fairlyEasy': 'やや易しい',
+            'stats.band.standard': '標準',
+            'stats.band.fairlyDifficult': 'やや難しい',
+            'stats.band.difficult': '難しい',
+            'stats.band.veryDifficult': 'とても難しい',
+            'stats.sentences.one': '{count} 文',
+            'stats.sentences.other': '{count} 文',
+            'stats.links.one': 'リンク {count} 件',
+            'stats.links.other': 'リンク {count} 件',
+            'stats.images.one': '画像 {count} 件',
+            'stats.images.other': '画像 {count} 件',
+            'stats.codeBlocks.one': 'コードブロック {count} 件',
+            'stats.codeBlocks.other': 'コードブロック {count} 件',
+            'stats.sections': '📑 セクションごとの語数',
+            'stats.noSections': 'まだ見出しがありません。',
+            'stats.intro': '最初の見出しより前',
+            'stats.sectionTitle': 'このセクションをプレビューで表示',
+            'stats.longestSentences': '📏 長い文',
+
+            // Outline, inspector and lint panel
+            'outline.empty': 'まだ見出しがありません',
+            'panel.selectLine': 'クリックしてこの行を選択',
+            'inspector.fixTitle': '行を候補に置き換える',
+            'lint.problems.one': '問題 {count} 件',
+            'lint.problems.other': '問題 {count} 件',
+            'lint.noProblems': '問題は見つかりませんでした',
+            'lint.fix': '✔️ 修正',
+            'lint.fixTitle': '提案された修正を適用',
+            'lint.fixAll': '✔️ すべて修正 ({count})',
+            'lint.rules': '⚙️ ルール',
+            'lint.rulesTitle': 'このドキュメントのルールを選ぶ',
+            'lint.markerTitle': '{line} 行目: {messages}',
+            'lint.rule.heading-increment': '見出しレベル',
+            'lint.rule.heading-increment.description': '見出しレベルは 1 段ずつ下げる (H2 の次に H4 は不可)',
+            'lint.rule.no-duplicate-headings': '重複した見出し',
+            'lint.rule.no-duplicate-headings.description': '同じ見出しの文字は 1 回だけ使う',
+            'lint.rule.no-empty-links': '空のリンク',
+            'lint.rule.no-empty-links.description': 'リンクには () や (#) ではなくリンク先がある',
+            'lint.rule.image-alt-text': '画像の代替テキスト',
+            'lint.rule.image-alt-text.description': '画像には代替テキストで説明を付ける: ![説明](image.png)',
+            'lint.rule.unclosed-fence': '閉じていないコードブロック',
+            'lint.rule.unclosed-fence.description': 'コードブロックは必ず閉じる',
+            'lint.rule.no-trailing-whitespace': '行末の空白',
+            'lint.rule.no-trailing-whitespace.description': '行末にスペースやタブを残さない (Markdown の改行になる 2 つのスペースは可)',
+            'lint.rule.list-marker-style': 'リストの記号',
+            'lint.rule.list-marker-style.description': '箇条書きはドキュメント全体で 1 種類の記号 (-, * または +) を使う',
+            'lint.message.trailingWhitespace': '行末にスペースまたはタブがあります',
+            'lint.message.headingJump': '見出しが H{from} から H{to} に飛んでいます。H{level} を使ってください',
+            'lint.message.duplicateHeading': '見出し「{text}」が重複しています ({line} 行目で使用済み)',
+            'lint.message.listMarker': 'リスト記号「{marker}」が {line} 行目の「{expected}」と異なります',
+            'lint.message.missingAlt': '画像に代替テキストがありません',
+            'lint.message.emptyLink': 'リンク「{label}」にリンク先がありません',
+            'lint.message.emptyLinkNoText': '文字のないリンクにリンク先がありません',
+            'lint.message.unclosedFence': '{line} 行目で始まるコードブロックが閉じられていません',
+
+            // Settings modals
+            'settings.save': '💾 保存',
+            'settings.resetDefaults': '↩️ 初期設定に戻す',
+            'lintSettings.title': '🧹 チェックルール',
+            'lintSettings.rulesFor': '📄「{name}」のルール',
+            'lintSettings.rulesForThis': '📄 このドキュメントのルール',
+            'lintSettings.makeDefault': '独自のルールがないドキュメントにもこのルールを使う',
+            'lintSettings.allOn': '↩️ すべてオン',
+            'sanitizer.title': '🛡️ HTML サニタイザー',
+            'sanitizer.removed': '🧹 このドキュメントから削除されたもの',
+            'sanitizer.nothingRemoved': '現在のドキュメントからは何も削除されていません。',
+            'sanitizer.allowlist': '✅ 許可リスト',
+            'sanitizer.tags': '許可するタグ (カンマ区切り)',
+            'sanitizer.attributes': '許可する属性 (1 行に「タグ: 属性, 属性」、* はすべてのタグ)',
+            'sanitizer.schemes': '許可する URL スキーム (カンマ区切り)',
+            'sanitizer.save': '💾 許可リストを保存',
+            'exportSettings.title': '🎨 エクスポートテーマ',
+            'exportSettings.look': '🖌️ 見た目',
+            'exportSettings.theme': 'テーマ',
+            'exportSettings.noTheme': 'なし - カスタム CSS のみ',
+            'exportSettings.customCSS': 'カスタム CSS (テーマの後に追加されるため、こちらのルールが優先されます)',
+            'exportSettings.loadCSS': '📂 CSS ファイルを読み込む',
+            'exportSettings.document': '📄 ドキュメント',
+            'exportSettings.documentTitle': 'タイトル ({date} は今日の日付になります)',
+            'exportSettings.lang': '言語 (lang 属性。例: en, fr, pt-BR)',
+            'exportSettings.footer': 'フッターを追加',
+            'exportSettings.footerText': 'フッターの文字 ({date} はエクスポートした日時になります)',
+            'exportSettings.savePreview': '👁️ 保存してプレビュー',
+            'exportSettings.previewFrame': 'エクスポートテーマのプレビュー',
+
+            // Templates
+            'templates.title': '📑 テンプレート',
+            'templates.builtIn': '📦 組み込み',
+            'templates.mine': '⭐ マイテンプレート',
+            'templates.mineEmpty': '保存したテンプレートがここに表示されます。',
+            'templates.saveHeading': '💾 現在のテキストをテンプレートとして保存',
+            'templates.placeholderHelp': 'テンプレートを使うときに値を入れる場所に {{date}}、{{author}} などの {{名前}} を書きます。',
+            'templates.name': '名前',
+            'templates.namePlaceholder': '週報',
+            'templates.description': '説明 (任意)',
+            'templates.descriptionPlaceholder': 'チーム向けの進捗報告',
+            'templates.save': '💾 テンプレートを保存',
+            'templates.delete': '🗑️ 削除',
+            'templates.use': '📑 使う',
+            'templates.lines.one': '{count} 行',
+            'templates.lines.other': '{count} 行',
+            'templates.linesEasyMode.one': '{count} 行、かんたんモード',
+            'templates.linesEasyMode.other': '{count} 行、かんたんモード',
+            'templates.confirmDelete': '🗑️ テンプレート「{name}」を削除しますか?',
+            'templates.fillHeading': '✏️ テンプレートに入力',
+            'templates.back': '← テンプレート',
+            'templates.apply': '📑 テンプレートを使う',
+            'templates.confirmReplace': '📑 現在のテキストを「{name}」で置き換えますか? 🕘 履歴から元に戻せます。',
+
+            // Document library and version history
+            'library.untitled': '無題のドキュメント',
+            'library.open': '開く',
+            'library.rename': '名前を変更',
+            'library.duplicate': '複製',
+            'library.delete': '削除',
+            'library.renamePrompt': '✏️ ドキュメントの新しい名前:',
+            'library.copyName': '{name} (コピー)',
+            'library.confirmDelete': '🗑️「{name}」とそのバージョン履歴を削除しますか?',
+            'library.newPrompt': '📄 新しいドキュメントの名前:',
+            'history.title': '🕘 バージョン履歴',
+            'history.intro': '編集中と、クリア・ファイルのドロップ・復元の前にスナップショットが保存されます。',
+            'history.empty': '以前のバージョンはまだありません。',
+            'history.comparison': '現在と比べて +{added} / −{removed} 行',
+            'history.sameAsCurrent': '現在と同じ',
+            'history.lines.one': '{count} 行',
+            'history.lines.other': '{count} 行',
+            'history.compare': '🔍 比較',
+            'history.restore': '↩️ 復元',
+            'history.identical': 'このバージョンは現在のテキストと同じです。',
+            'history.unchangedLines.one': '… 変更のない {count} 行',
+            'history.unchangedLines.other': '… 変更のない {count} 行',
+            'history.onlyInVersion': '− このバージョンのみ',
+            'history.onlyInCurrent': '+ 現在のテキストのみ',
+            'history.reason.autosave': '自動保存',
+            'history.reason.clear': 'クリア前',
+            'history.reason.file-drop': 'ファイルのドロップ前',
+            'history.reason.restore': '復元前',
+            'history.reason.template': 'テンプレート適用前',
+            'history.reason.easy-mode': 'かんたんモードへの変換前',
+
+            // Clearing, the empty preview and folder sites
+            'confirm.clear': '🗑️ すべての内容を消去してもよろしいですか?',
+            'preview.empty': 'Markdown を入力するとライブプレビューが表示されます...',
+            'site.title': 'ドキュメント',
+
+            // Error messages in the preview
+            'error.markedMissing': '❌ エラー: marked.js ライブラリを読み込めませんでした。インターネット接続を確認してください。',
+            'error.conversion': '❌ 変換エラー: {message}',
+
+            // Easy Mode command descriptions (help modal and inspector), by command name
+            'command.heading': '見出しに変換',
+            'command.bold': '太字に変換',
+            'command.italic': '斜体に変換',
+            'command.quote': '引用に変換',
+            'command.link': 'URL 付きリンクに変換',
+            'command.autolink': '自動リンクに変換',
+            'command.image': '画像に変換',
+            'command.horizontal-rule': '水平線に変換',
+            'command.table-of-contents': '目次に変換',
+            'command.code': 'インラインコードに変換',
+            'command.list-item': '箇条書きに変換',
+            'command.number-item': '番号付きリストに変換',
+            'command.todo': 'タスクに変換',
+            'command.note': 'メモの囲みに変換',
+            'command.warning': '警告の囲みに変換',
+            'command.code-block': 'コードブロックの開始',
+            'command.end-code': 'コードブロックの終了',
+            'command.table': '表の見出し行に変換',
+            'command.table-row': '表の行に変換',
+            'command.strike': '取り消し線に変換',
+            'command.make-bold': '文中の太字',
+            'command.make-italic': '文中の斜体',
+
+            // Built-in templates and Insert menu snippets, by id
+            'template.release-notes': 'リリースノート',
+            'template.release-notes.description': 'バージョンのハイライト、新機能、修正、アップグレード時の注意',
+            'template.adr': 'アーキテクチャ決定記録',
+            'template.adr.description': '設計上の選択の背景、決定、結果 (ADR)',
+            'template.meeting-minutes': '議事録',
+            'template.meeting-minutes.description': '出席者、議題、決定事項、アクションアイテム',
+            'template.readme': 'README',
+            'template.readme.description': 'プロジェクトの概要、インストール、使い方、ライセンス',
+            'snippet.table': '表',
+            'snippet.table.description': '見出し行とセルの行 1 つ',
+            'snippet.code-block': 'コードブロック',
+            'snippet.code-block.description': '言語付きのコードブロック',
+            'snippet.note': 'メモの囲み',
+            'snippet.note.description': '強調されたメモ枠',
+            'snippet.warning': '警告の囲み',
+            'snippet.warning.description': '強調された警告枠',
+            'snippet.tasks': 'タスクリスト',
+            'snippet.tasks.description': 'プレビューでチェックできるチェックボックス',
+            'snippet.image': '画像',
+            'snippet.image.description': '代替テキストと画像のアドレス',
+            'snippet.footnote': '脚注',
+            'snippet.footnote.description': '参照とその注',
+            'snippet.definition-list': '定義リスト',
+            'snippet.definition-list.description': '用語とその定義',
+            'snippet.math': '数式ブロック',
+            'snippet.math.description': '1 行に置く LaTeX の数式',
+            'snippet.diagram': '図',
+            'snippet.diagram.description': 'Mermaid のフローチャート',
+            'snippet.toc': '目次',
+            'snippet.toc.description': 'ドキュメントの見出しの一覧',
+
+            'placeholder.markdown': `# Markdown → HTML 変換ツールへようこそ
+
+ここに Markdown を入力してください...
+
+## 機能:
+- **リアルタイムプレビュー**
+- クリップボードにコピー
+- HTML ファイルとしてダウンロード
+- レスポンシブデザイン
+
+### コード例:
+\`\`\`javascript
+console.log('Hello, World!');
+\`\`\`
+
+> これは引用の例です
+
+1. 番号付きリストの項目 1
+2. 番号付きリストの項目 2
+
+- 箇条書きの項目
+- 別の項目
+
+[GitHub へのリンク](https://github.com)
+
+*斜体のテキスト* と **太字のテキスト**`,
+            'placeholder.easy': `🎯 かんたんモードがオンです！次のコマンドを試してください:
+
+見出し1：ポートフォリオ
+見出し2：自己紹介
+太字：私のサイトへようこそ
+斜体：強調したテキスト
+引用：夢をあきらめないで
+リンク：GitHub を見る | https://github.com
+リスト：最初の機能
+リスト：2 番目の機能
+番号リスト：ステップ 1
+番号リスト：ステップ 2
+コード：console.log('Hello')
+区切り線
+
+表：名前 | 年齢
+行：アリス | 30
+
+コードブロック：javascript
+console.log('Hello, World!');
+コード終わり
+
+英語のコマンド（bold this:、heading 1:）や通常の Markdown も使えます。
+
+## 通常の Markdown
+- **太字のテキスト**
+- *斜体のテキスト*
+- [リンク](https://example.com)`,
+
+            'help.title': '🎯 かんたんモード コマンド一覧',
+            'help.category.Text Formatting': '📝 テキストの書式',
+            'help.category.Headers & Structure': '📋 見出しと構成',
+            'help.category.Links & Lists': '🔗 リンクとリスト',
+            'help.category.Blocks': '🧱 ブロック',
+            'help.category.Inline Commands': '✍️ インラインコマンド',
+            'help.category.Custom Commands': '⭐ カスタムコマンド',
+            'help.removeCommand': 'このコマンドを削除',
+            'help.addCommand': '➕ 独自のコマンドを追加',
+            'help.keywordLabel': 'キーワード（コロンの前に入力）',
+            'help.templateLabel': 'Markdown の出力（{text} はコロンの後の内容に置き換わります）',
+            'help.descriptionLabel': '説明（任意）',
+            'help.import': '📂 JSON を読み込む',
+            'help.export': '💾 JSON で書き出す',
+            'help.add': '➕ コマンドを追加',
+            'help.keywords': '🌐 {language}のキーワード',
+            'help.keywordsIntro': '英語のキーワードの代わりに入力できます（どちらも使えます）。全角のコロン（：）も使えます:',
+            'help.tips': '💡 ヒント',
+            'help.tipMix': '自然なコマンドと通常の Markdown 構文を混ぜて使えます',
+            'help.tipCase': 'コマンドは大文字と小文字を区別しません',
+            'help.tipLines': '1 行に 1 コマンドがおすすめです。リスト項目はインデントで入れ子にできます',
+            'help.tipCode': 'コードブロック内の行は変更されません',
+            'help.tipShare': 'コマンドを JSON で書き出してチームと共有できます',
+            'help.tipInspector': '🔍 インスペクター（エディターの上）で各行の変換結果を確認し、<code>太子：</code> のような入力ミスを修正できます',
+            'help.tipLanguage': '上部のボタンの横で言語を選べます。その言語のキーワードは英語のキーワードと一緒に使えます',
+
+            'notify.ready': '🚀 準備完了！かんたんモードがオンです。自然な言葉のコマンドを試してください！',
+            'notify.easyModeOn': '🎯 かんたんモードをオンにしました。自然な言葉のコマンドが使えます。',
+            'notify.easyModeOff': '📝 かんたんモードをオフにしました。標準の Markdown 構文のみを使います。',
+            'notify.sanitizeOn': '🛡️ サニタイズをオンにしました。危険な HTML はプレビューとエクスポートから削除されます。',
+            'notify.sanitizeOff': '⚠️ サニタイズをオフにしました。スクリプトを含む生の HTML がそのまま残ります。',
+            'notify.unsafeRemoved': '🛡️ 危険な HTML を削除しました: {item}',
+            'notify.unsafeRemovedMore': '🛡️ 危険な HTML を削除しました: {item}（ほか {count} 件）',
+            'notify.codeThemeDark': '🎨 コードテーマ: ダーク（プレビューとダウンロード）',
+            'notify.codeThemeLight': '🎨 コードテーマ: ライト（プレビューとダウンロード）',
+            'notify.themePreviewOn': '🎨 エクスポートテーマのプレビュー中です。ダウンロードはこのように表示されます。',
+            'notify.themePreviewOff': '🎨 ライブプレビューに戻りました。',
+            'notify.languageChanged': '🌐 言語: 日本語',
+            'notify.lintFixedLine': '✔️ {line} 行目を修正しました',
+            'notify.lintFixes': '✔️ {count} 件を修正しました（Ctrl+Z で元に戻す）',
+            'notify.lintRulesSaveFailed': '❌ チェックのルールを保存できませんでした',
+            'notify.lintRulesSaved': '🧹 このドキュメントのチェックのルールを保存しました',
+            'notify.lineChanged': '✔️ {line} 行目を「{text}」に変更しました',
+            'notify.nothingToCopy': '⚠️ コピーする内容がありません',
+            'notify.htmlCopied': '📋 HTML をクリップボードにコピーしました',
+            'notify.formattedCopied': '✉️ 書式付きテキストをコピーしました。メールや文書に貼り付けてください',
+            'notify.formattedCopyFailed': '❌ コピーに失敗しました。プレビューを選択して手動でコピーしてください。',
+            'notify.markdownCopied': '📝 Markdown をクリップボードにコピーしました',
+            'notify.copyFailed': '❌ コピーに失敗しました。選択して手動でコピーしてください。',
+            'notify.nothingToDownload': '⚠️ ダウンロードする内容がありません',
+            'notify.htmlDownloaded': '⬇️ HTML ファイルをダウンロードしました',
+            'notify.downloadFailed': '❌ ダウンロードに失敗しました。もう一度お試しください。',
+            'notify.nothingToExport': '⚠️ エクスポートする内容がありません',
+            'notify.fragmentDownloaded': '🧩 HTML 断片をダウンロードしました',
+            'notify.linkedDownloaded': '🔗 {html} と {css} をダウンロードしました。同じフォルダーに置いてください。',
+            'notify.linkedDownloadedImages.one': '🔗 {html}、{css} と画像ファイル {count} 件をダウンロードしました。同じフォルダーに置いてください。',
+            'notify.linkedDownloadedImages.other': '🔗 {html}、{css} と画像ファイル {count} 件をダウンロードしました。同じフォルダーに置いてください。',
+            'notify.embeddingImages': '📦 画像を埋め込んでいます...',
+            'notify.embedFailed': '⚠️ ダウンロードしましたが、{count} 件の画像を埋め込めませんでした（画像のホストがブロックしている可能性があります）。',
+            'notify.standaloneDownloaded': '📦 単一ファイル HTML をダウンロードしました（画像 {count} 件を埋め込み）',
+            'notify.textDownloaded': '📄 プレーンテキストをダウンロードしました',
+            'notify.markdownDownloaded': '📤 Markdown ファイルをダウンロードしました',
+            'notify.exportFailed': '❌ エクスポートに失敗しました。もう一度お試しください。',
+            'notify.printHint': '🖨️ 印刷ダイアログで「PDF として保存」を選ぶと PDF を作成できます。',
+            'notify.imageStoreFailed': '❌ 画像を保存できませんでした。もう一度お試しください。',
+            'notify.largeImage': '⚠️ 大きな画像: {names}。使えますが、保存やダウンロードが遅くなります。サイズの縮小を検討してください。',
+            'notify.imagesAdded.one': '🖼️ 画像を追加し、このブラウザーに保存しました',
+            'notify.imagesAdded.other': '🖼️ 画像 {count} 件を追加し、このブラウザーに保存しました',
+            'notify.nothingToConvert': '⚠️ 変換する内容がありません',
+            'notify.noEasyConversions': 'ℹ️ かんたんモードのコマンドにできる Markdown がありません。',
+            'notify.convertedToEasy.one': '🔁 {count} 行をかんたんモードのコマンドに変換しました',
+            'notify.convertedToEasy.other': '🔁 {count} 行をかんたんモードのコマンドに変換しました',
+            'notify.alreadyEmpty': '⚠️ 内容はすでに空です',
+            'notify.cleared': '🗑️ 内容をクリアしました。🕘 履歴 から元に戻せます。',
+            'notify.fileLoaded': '📄 ファイル「{name}」を読み込みました',
+            'notify.htmlImported': '🌐 「{name}」を Markdown として読み込みました',
+            'notify.unsupportedDrop': '❌ .md、.markdown、.txt、.html ファイルまたは画像をドロップしてください',
+            'notify.noMarkdownInFolder': '❌ ドロップしたフォルダーに .md や .markdown ファイルがありません',
+            'notify.convertingFiles': '⏳ {count} 件のファイルを変換しています...',
+            'notify.siteConverted': '{count} ページを「{name}」に変換しました',
+            'notify.siteBrokenLinks': '存在しないファイルへのリンク {count} 件: {links}',
+            'notify.siteSkipped': 'スキップ: {files}',
+            'notify.folderFailed': '❌ ドロップしたファイルを変換できませんでした。',
+            'notify.allowlistSaved': '🛡️ サニタイザーの許可リストを保存しました',
+            'notify.allowlistReset': '🛡️ サニタイザーの許可リストを初期設定に戻しました',
+            'notify.themeFileLoaded': '📂 「{name}」を読み込みました。使うには保存してください。',
+            'notify.exportThemeSaved': '🎨 エクスポートテーマを保存しました',
+            'notify.exportSettingsReset': '🎨 エクスポート設定を初期設定に戻しました',
+            'notify.commandMissingFields': '⚠️ キーワードと Markdown の出力を入力してください',
+            'notify.commandAdded': '⭐ コマンド「{keyword}:」を追加しました',
+            'notify.commandRemoved': '🗑️ コマンド「{name}」を削除しました',
+            'notify.noCustomCommands': '⚠️ 書き出すカスタムコマンドがありません',
+            'notify.commandsExported': '💾 カスタムコマンド {count} 件を書き出しました',
+            'notify.commandsImported': '📂 「{name}」からコマンド {count} 件を読み込みました',
+            'notify.commandsImportFailed': '❌ コマンドを読み込めませんでした: {message}',
+            'notify.templateSaved': '⭐ テンプレート「{name}」を保存しました',
+            'notify.templateStarted': '📑 テンプレート「{name}」から作成しました',
+            'notify.templateSaveFailed': '❌ テンプレートを保存できませんでした（ストレージがいっぱいかもしれません）。',
+            'notify.storageUnavailable': '⚠️ ブラウザーのストレージが使えません。再読み込みするとドキュメントは失われます。',
+            'notify.storageBlocked': '⚠️ このページが古いバージョンのまま別のタブで開かれています。ほかのタブを閉じてから再読み込みすると、ドキュメントライブラリを使えます。',
+            'notify.documentCreated': '📄 「{name}」を作成しました',
+            'notify.documentDeleted': '🗑️ 「{name}」を削除しました',
+            'notify.libraryError': '❌ ドキュメントライブラリでエラーが発生しました。',
+            'notify.newDocumentFailed': '❌ 新しいドキュメントを作成できませんでした。',
+            'notify.libraryUnavailable': '⚠️ ドキュメントライブラリは利用できません。',
+            'notify.versionRestored': '↩️ {time} のバージョンを復元しました'
+        }
+    };
+}));
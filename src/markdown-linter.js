@@ -0,0 +1,267 @@
+// Markdown to HTML Converter - Markdown Linter
+// Style and correctness checks for the editor text, with one-click fixes where the intent is clear
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./front-matter.js'));
+    } else {
+        root.MarkdownLinter = factory(root.FrontMatter);
+    }
+}(typeof self !== 'undefined' ? self : this, function (FrontMatter) {
+    'use strict';
+
+    // Rule ids are stored in each document's settings; keep them stable
+    const RULES = [
+        {
+            id: 'heading-increment',
+            name: 'Heading levels',
+            description: 'Heading levels only go down one step at a time (no H2 followed by H4)',
+            severity: 'warning'
+        },
+        {
+            id: 'no-duplicate-headings',
+            name: 'Duplicate headings',
+            description: 'Every heading text is used only once',
+            severity: 'warning'
+        },
+        {
+            id: 'no-empty-links',
+            name: 'Empty links',
+            description: 'Links have a target, not () or (#)',
+            severity: 'error'
+        },
+        {
+            id: 'image-alt-text',
+            name: 'Image alt text',
+            description: 'Images describe themselves with alt text: ![description](image.png)',
+            severity: 'warning'
+        },
+        {
+            id: 'unclosed-fence',
+            name: 'Unclosed code blocks',
+            description: 'Every code block is closed again',
+            severity: 'error'
+        },
+        {
+            id: 'no-trailing-whitespace',
+            name: 'Trailing whitespace',
+            description: 'Lines do not end with spaces or tabs (two spaces, a Markdown line break, are fine)',
+            severity: 'warning'
+        },
+        {
+            id: 'list-marker-style',
+            name: 'List markers',
+            description: 'Bullet lists use one marker (-, * or +) throughout the document',
+            severity: 'warning'
+        }
+    ];
+
+    // Diagnostic messages by id; {name} is filled in from the diagnostic's params. The UI looks the id
+    // up in its locale pack (lint.message.<id>) and falls back to these.
+    const MESSAGES = {
+        trailingWhitespace: 'Line ends with spaces or tabs',
+        headingJump: 'Heading jumps from H{from} to H{to}; use H{level}',
+        duplicateHeading: 'Duplicate heading "{text}" (first used on line {line})',
+        listMarker: 'List marker "{marker}" differs from "{expected}" used on line {line}',
+        missingAlt: 'Image has no alt text',
+        emptyLink: 'Link "{label}" has no target',
+        emptyLinkNoText: 'Link without text has no target',
+        unclosedFence: 'Code block opened on line {line} is never closed'
+    };
+
+    const ATX_HEADING = /^( {0,3})(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+    const EASY_HEADING = /^(\s*heading\s*)([1-6]):\s*(.+)$/i;
+    const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})/;
+    const EASY_FENCE_OPEN = /^code\s*block:?\s*[\w+#.-]*\s*$/i;
+    const EASY_FENCE_CLOSE = /^end\s*code$/i;
+    const LIST_ITEM = /^(\s*)([-*+])([ \t]+)\S/;
+    const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+    const LINK = /(!?)\[([^\]]*)\]\(([^)]*)\)/g;
+
+    class MarkdownLinter {
+        /**
+         * Check a document
+         * @param {string} markdownText - Editor text (front matter is skipped)
+         * @param {Object} [options]
+         * @param {Object} [options.rules] - Rule id → false to turn a rule off (rules are on by default)
+         * @param {boolean} [options.easyMode=false] - Also read "heading 2:" and "code block:" ... "end code" lines
+         * @returns {Array<{rule: string, severity: string, lineNumber: number, message: string, messageId: string, params: Object, fix: ?{lineNumber: number, text: string}}>}
+         *     - Diagnostics in line order; message is the English text of messageId with params filled in;
+         *     fix, when present, replaces line fix.lineNumber with fix.text
+         */
+        static lint(markdownText, options = {}) {
+            const text = String(markdownText || '').replace(/\r\n?/g, '\n');
+            const lines = text.split('\n');
+            const rules = options.rules || {};
+            const diagnostics = [];
+
+            const report = (rule, lineNumber, messageId, params = {}, fix = null) => {
+                if (rules[rule] === false) return;
+                const severity = RULES.find(item => item.id === rule).severity;
+                const message = MESSAGES[messageId].replace(/\{(\w+)\}/g, (match, name) => String(params[name]));
+                diagnostics.push({ rule, severity, lineNumber, message, messageId, params, fix });
+            };
+
+            let fence = null; // Open code block: { lineNumber, marker } or { lineNumber, easy: true }
+            let previousLevel = 0;
+            const headings = new Map(); // Normalized heading text → first line number
+            let listMarker = null; // { marker, lineNumber } of the first bullet in the document
+
+            for (let index = FrontMatter.parse(text).lineCount; index < lines.length; index++) {
+                const line = lines[index];
+                const lineNumber = index + 1;
+
+                // Code block content is left alone
+                if (fence) {
+                    const closed = fence.easy
+                        ? EASY_FENCE_CLOSE.test(line.trim())
+                        : new RegExp(`^ {0,3}${fence.marker[0]}{${fence.marker.length},}[ \\t]*$`).test(line);
+                    if (closed) fence = null;
+                    continue;
+                }
+
+                // Exactly two spaces after text are a hard line break, not stray whitespace
+                if (/[ \t]+$/.test(line) && !/[^ \t] {2}$/.test(line)) {
+                    report('no-trailing-whitespace', lineNumber, 'trailingWhitespace', {}, { lineNumber, text: line.replace(/[ \t]+$/, '') });
+                }
+
+                const fenceMatch = FENCE_OPEN.exec(line);
+                if (fenceMatch || (options.easyMode && EASY_FENCE_OPEN.test(line.trim()))) {
+                    fence = fenceMatch ? { lineNumber, marker: fenceMatch[1] } : { lineNumber, easy: true };
+                    continue;
+                }
+
+                // Headings: levels and duplicates
+                const heading = MarkdownLinter.readHeading(line, options.easyMode);
+                if (heading) {
+                    if (previousLevel && heading.level > previousLevel + 1) {
+                        const level = previousLevel + 1;
+                        report('heading-increment', lineNumber, 'headingJump', { from: previousLevel, to: heading.level, level },
+                            { lineNumber, text: MarkdownLinter.setHeadingLevel(line, level) });
+                    }
+                    previousLevel = heading.level;
+
+                    const key = heading.text.trim().toLowerCase().replace(/\s+/g, ' ');
+                    if (key && headings.has(key)) {
+                        report('no-duplicate-headings', lineNumber, 'duplicateHeading', { text: heading.text.trim(), line: headings.get(key) });
+                    } else if (key) {
+                        headings.set(key, lineNumber);
+                    }
+                }
+
+                // Bullet markers
+                const item = LIST_ITEM.exec(line);
+                if (item && !THEMATIC_BREAK.test(line)) {
+                    if (!listMarker) {
+                        listMarker = { marker: item[2], lineNumber };
+                    } else if (item[2] !== listMarker.marker) {
+                        report('list-marker-style', lineNumber, 'listMarker', { marker: item[2], expected: listMarker.marker, line: listMarker.lineNumber },
+                            { lineNumber, text: item[1] + listMarker.marker + line.slice(item[1].length + 1) });
+                    }
+                }
+
+                // Links and images; inline code is blanked out so `[a]()` examples are ignored
+                const scanned = line.replace(/`[^`]*`/g, match => ' '.repeat(match.length));
+                let link;
+                LINK.lastIndex = 0;
+                while ((link = LINK.exec(scanned)) !== null) {
+                    const [source, bang, label, target] = link;
+                    const original = line.slice(link.index, link.index + source.length);
+
+                    if (bang && !label.trim()) {
+                        const alt = MarkdownLinter.altFromUrl(target);
+                        report('image-alt-text', lineNumber, 'missingAlt', {}, {
+                            lineNumber,
+                            text: line.slice(0, link.index) + original.replace(/^!\[[^\]]*\]/, `![${alt}]`) + line.slice(link.index + source.length)
+                        });
+                    } else if (!bang && /^\s*#?\s*$/.test(target)) {
+                        report('no-empty-links', lineNumber, label.trim() ? 'emptyLink' : 'emptyLinkNoText', { label: label.trim() });
+                    }
+                }
+            }
+
+            if (fence) {
+                const last = lines.length;
+                const closing = fence.easy ? 'end code' : fence.marker;
+                report('unclosed-fence', fence.lineNumber, 'unclosedFence', { line: fence.lineNumber }, {
+                    lineNumber: last,
+                    text: lines[last - 1] === '' ? closing : `${lines[last - 1]}\n${closing}`
+                });
+            }
+
+            return diagnostics.sort((a, b) => a.lineNumber - b.lineNumber);
+        }
+
+        /**
+         * @param {string} line
+         * @param {boolean} easyMode - Also accept "heading N: text"
+         * @returns {{level: number, text: string}|null}
+         */
+        static readHeading(line, easyMode) {
+            const atx = ATX_HEADING.exec(line);
+            if (atx) return { level: atx[2].length, text: atx[3] || '' };
+
+            const easy = easyMode ? EASY_HEADING.exec(line) : null;
+            return easy ? { level: parseInt(easy[2], 10), text: easy[3] } : null;
+        }
+
+        static setHeadingLevel(line, level) {
+            return ATX_HEADING.test(line)
+                ? line.replace(/^( {0,3})#{1,6}/, `$1${'#'.repeat(level)}`)
+                : line.replace(EASY_HEADING, (match, prefix, oldLevel, text) => `${prefix}${level}: ${text}`);
+        }
+
+        /**
+         * Alt text guessed from an image's file name, e.g. "team-photo_2024.png" → "team photo 2024"
+         * @param {string} target - Link target, possibly with a title
+         * @returns {string}
+         */
+        static altFromUrl(target) {
+            const url = String(target).trim().split(/\s+/)[0].replace(/^<|>$/g, '');
+            if (/^data:/i.test(url)) return 'image';
+
+            const name = decodeURIComponentSafe(url.split(/[?#]/)[0].split('/').pop())
+                .replace(/\.[a-z0-9]+$/i, '')
+                .replace(/[-_]+/g, ' ')
+                .trim();
+            return name || 'image';
+        }
+
+        /**
+         * Apply the fixes of several diagnostics to a text (one fix per line; the first one wins)
+         * @param {string} markdownText - Text the diagnostics were computed for
+         * @param {Array<Object>} diagnostics - Diagnostics from lint()
+         * @returns {string} - Fixed text
+         */
+        static applyFixes(markdownText, diagnostics) {
+            const lines = String(markdownText || '').replace(/\r\n?/g, '\n').split('\n');
+            const fixed = new Set();
+
+            diagnostics.forEach(diagnostic => {
+                const fix = diagnostic.fix;
+                if (!fix || fixed.has(fix.lineNumber) || fix.lineNumber < 1 || fix.lineNumber > lines.length) return;
+                lines[fix.lineNumber - 1] = fix.text;
+                fixed.add(fix.lineNumber);
+            });
+
+            return lines.join('\n');
+        }
+
+        /**
+         * @returns {Array<{id: string, name: string, description: string, severity: string}>}
+         */
+        static get RULES() {
+            return RULES.map(rule => Object.assign({}, rule));
+        }
+    }
+
+    function decodeURIComponentSafe(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    return MarkdownLinter;
+}));
@@ -0,0 +1,205 @@
+// Markdown to HTML Converter - Markdown to Easy Mode
+// Rewrites standard Markdown into Easy Mode command syntax (the reverse of the Easy Mode pass)
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./front-matter.js'));
+    } else {
+        root.MarkdownToEasyConverter = factory(root.FrontMatter);
+    }
+}(typeof self !== 'undefined' ? self : this, function (FrontMatter) {
+    'use strict';
+
+    // Whole-line Markdown forms and their Easy Mode equivalents. Inline formatting in the
+    // middle of a sentence is left as Markdown, which Easy Mode accepts as-is.
+    const LINE_RULES = [
+        {
+            pattern: /^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/,
+            replacement: (match, hashes, text) => `heading ${hashes.length}: ${text}`,
+            description: 'Heading'
+        },
+        {
+            pattern: /^(?:-{3,}|\*{3,}|_{3,}|(?:-\s+){2,}-|(?:\*\s+){2,}\*)\s*$/,
+            replacement: () => 'break line',
+            description: 'Horizontal rule'
+        },
+        {
+            // A callout's [!TYPE] line stays Markdown; the quoted lines under it still convert
+            pattern: /^>(?!\s?\[![a-z]+\]\s*$)\s?(.+)$/i,
+            replacement: (match, text) => `quote this: ${text.trim()}`,
+            description: 'Blockquote'
+        },
+        {
+            pattern: /^(\s*)[-*+]\s+\[([ xX])\]\s+(.+)$/,
+            replacement: (match, indent, mark, text) => `${indent}todo${mark === ' ' ? '' : ' done'}: ${text}`,
+            description: 'Task list item'
+        },
+        {
+            pattern: /^(\s*)[-*+]\s+(?!\[[ xX]\]\s)(.+)$/,
+            replacement: (match, indent, text) => `${indent}list item: ${text}`,
+            description: 'List item'
+        },
+        {
+            pattern: /^(\s*)\d+[.)]\s+(.+)$/,
+            replacement: (match, indent, text) => `${indent}number item: ${text}`,
+            description: 'Numbered list item'
+        },
+        {
+            pattern: /^\s{0,3}\[\[toc\]\]\s*$/i,
+            replacement: () => 'table of contents',
+            description: 'Table of contents'
+        },
+        {
+            pattern: /^!\[([^\]]*)\]\(([^)\s]+)\)$/,
+            replacement: (match, alt, url) => `image this: ${alt} | ${url}`,
+            description: 'Image'
+        },
+        {
+            pattern: /^\[([^\]]+)\]\(([^)\s]+)\)$/,
+            replacement: (match, text, url) => text === url ? `link this: ${url}` : `link this: ${text} | ${url}`,
+            description: 'Link'
+        },
+        {
+            pattern: /^\*\*([^*]+)\*\*$|^__([^_]+)__$/,
+            replacement: (match, stars, underscores) => `bold this: ${stars || underscores}`,
+            description: 'Bold text'
+        },
+        {
+            pattern: /^\*([^*]+)\*$|^_([^_]+)_$/,
+            replacement: (match, stars, underscores) => `italic this: ${stars || underscores}`,
+            description: 'Italic text'
+        },
+        {
+            pattern: /^~~([^~]+)~~$/,
+            replacement: (match, text) => `strike this: ${text}`,
+            description: 'Strikethrough'
+        },
+        {
+            pattern: /^`([^`]+)`$/,
+            replacement: (match, text) => `code this: ${text}`,
+            description: 'Inline code'
+        }
+    ];
+
+    class MarkdownToEasyConverter {
+        /**
+         * Convert standard Markdown to Easy Mode commands
+         * @param {string} markdownText - Markdown source
+         * @returns {{text: string, changes: Array<{lineNumber: number, original: string, transformed: string, description: string}>}}
+         */
+        static convert(markdownText) {
+            const lines = String(markdownText || '').split('\n');
+            const output = [];
+            const changes = [];
+            let fence = null;
+            let keptList = null; // Indent of a numbered list that is copied as-is (see below)
+
+            const change = (index, original, transformed, description) => {
+                changes.push({ lineNumber: index + 1, original, transformed, description });
+                return transformed;
+            };
+
+            // YAML front matter is metadata, not Markdown; keep it as written
+            const frontMatterLines = FrontMatter.parse(markdownText).lineCount;
+            output.push(...lines.slice(0, frontMatterLines));
+
+            for (let index = frontMatterLines; index < lines.length; index++) {
+                const line = lines[index];
+
+                // Code fences become "code block:" ... "end code"; their content is copied as-is
+                if (fence) {
+                    if (new RegExp(`^\\s{0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`).test(line)) {
+                        output.push(change(index, line, 'end code', 'Code block end'));
+                        fence = null;
+                    } else {
+                        output.push(line);
+                    }
+                    continue;
+                }
+
+                const fenceMatch = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/.exec(line);
+                if (fenceMatch) {
+                    fence = fenceMatch[1];
+                    output.push(change(index, line, `code block:${fenceMatch[2] ? ' ' + fenceMatch[2] : ''}`, 'Code block start'));
+                    continue;
+                }
+
+                // One-line note and warning callouts become "note this:" / "warning this:"
+                const callout = /^>\s?\[!(note|warning)\]\s*$/i.exec(line);
+                const calloutText = /^>\s?(.+)$/.exec(lines[index + 1] || '');
+                if (callout && calloutText && !/^\s{0,3}>/.test(lines[index + 2] || '')) {
+                    const command = `${callout[1].toLowerCase()} this: ${calloutText[1].trim()}`;
+                    output.push(change(index, `${line}\n${lines[index + 1]}`, command, 'Callout'));
+                    index++;
+                    continue;
+                }
+
+                // Tables: header + delimiter row become "table:", body rows become "row:"
+                if (MarkdownToEasyConverter.isTableRow(line) && MarkdownToEasyConverter.isTableDelimiter(lines[index + 1])) {
+                    output.push(change(index, line, `table: ${MarkdownToEasyConverter.splitRow(line).join(' | ')}`, 'Table header'));
+                    index += 2;
+                    while (index < lines.length && MarkdownToEasyConverter.isTableRow(lines[index])) {
+                        output.push(change(index, lines[index], `row: ${MarkdownToEasyConverter.splitRow(lines[index]).join(' | ')}`, 'Table row'));
+                        index++;
+                    }
+                    index--;
+                    continue;
+                }
+
+                // "number item:" always counts from 1, so a numbered list starting at another number stays
+                // Markdown, together with everything nested in it
+                const numbered = /^(\s*)(\d+)[.)]\s/.exec(line);
+                if (keptList !== null) {
+                    if (!line.trim() || /^\s*/.exec(line)[0].length > keptList.length || (numbered && numbered[1] === keptList)) {
+                        output.push(line);
+                        continue;
+                    }
+                    keptList = null;
+                }
+                if (numbered && parseInt(numbered[2], 10) !== 1 && !MarkdownToEasyConverter.continuesList(lines, index)) {
+                    keptList = numbered[1];
+                    output.push(line);
+                    continue;
+                }
+
+                const rule = LINE_RULES.find(candidate => candidate.pattern.test(line));
+                if (rule) {
+                    output.push(change(index, line, line.replace(rule.pattern, rule.replacement), rule.description));
+                } else {
+                    output.push(line);
+                }
+            }
+
+            return { text: output.join('\n'), changes };
+        }
+
+        /**
+         * @param {Array<string>} lines - Document lines
+         * @param {number} index - Line of a list item
+         * @returns {boolean} - True if the item follows an item of the same list or content nested in one
+         */
+        static continuesList(lines, index) {
+            let previous = index - 1;
+            while (previous >= 0 && !lines[previous].trim()) previous--;
+            if (previous < 0) return false;
+
+            const indent = /^\s*/.exec(lines[index])[0].length;
+            const previousIndent = /^\s*/.exec(lines[previous])[0].length;
+            return previousIndent > indent || (previousIndent === indent && /^\s*(?:[-*+]|\d+[.)])\s/.test(lines[previous]));
+        }
+
+        static isTableRow(line) {
+            return typeof line === 'string' && /^\s*\|?.*\|.*\|?\s*$/.test(line) && line.trim() !== '';
+        }
+
+        static isTableDelimiter(line) {
+            return typeof line === 'string' && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line);
+        }
+
+        static splitRow(line) {
+            return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+        }
+    }
+
+    return MarkdownToEasyConverter;
+}));
@@ -0,0 +1,101 @@
+// Markdown to HTML Converter - Math Renderer
+// $…$ and $$…$$ LaTeX math: a marked extension for the syntax, rendered to MathML with KaTeX
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('../libs/katex.min.js'), require('./html-tokenizer.js'));
+    } else {
+        root.MathRenderer = factory(root.katex, root.HtmlTokenizer);
+    }
+}(typeof self !== 'undefined' ? self : this, function (katex, HtmlTokenizer) {
+    'use strict';
+
+    // $$ on its own lines (or $$…$$ on one line) starts a display formula
+    const BLOCK_PATTERN = /^ {0,3}\$\$([^\n]*?)(?:\$\$ *(?:\n+|$)|\n((?:[^\n]*\n)*?) {0,3}\$\$ *(?:\n+|$))/;
+
+    // Pandoc's rule for inline math, so prices like "$5 and $10" stay text:
+    // no space after the opening $, none before the closing $, and no digit right after it
+    const INLINE_PATTERN = /^\$(?!\s)((?:\\[\s\S]|[^\\$\n])+?)(?<!\s)\$(?!\d)/;
+
+    // $$…$$ inside a paragraph is a display formula too
+    const INLINE_DISPLAY_PATTERN = /^\$\$((?:\\[\s\S]|[^\\$])+?)\$\$/;
+
+    // Formulas leave the parser as escaped TeX in these elements and are rendered after sanitizing,
+    // so the MathML never has to get through the allowlist
+    const PLACEHOLDER_PATTERN = /<(span|div)((?: [\w-]+="[^"]*")*?) class="math-(inline|display)"([^>]*)>([^<]*)<\/\1>/g;
+
+    class MathRenderer {
+        /**
+         * marked extensions for block ($$…$$) and inline ($…$) math
+         * @returns {Array<Object>}
+         */
+        static markedExtensions() {
+            return [
+                {
+                    name: 'mathBlock',
+                    level: 'block',
+                    start: (src) => {
+                        const match = /^ {0,3}\$\$/m.exec(src);
+                        return match ? match.index : undefined;
+                    },
+                    tokenizer(src) {
+                        const match = BLOCK_PATTERN.exec(src);
+                        if (!match) return undefined;
+                        const text = match[2] !== undefined ? `${match[1]}\n${match[2]}` : match[1];
+                        if (!text.trim()) return undefined;
+                        return { type: 'mathBlock', raw: match[0], text: text.trim() };
+                    },
+                    renderer: (token) => `<div class="math-display">${HtmlTokenizer.escapeHtml(token.text)}</div>\n`
+                },
+                {
+                    name: 'mathInline',
+                    level: 'inline',
+                    start: (src) => {
+                        const index = src.indexOf('$');
+                        return index === -1 ? undefined : index;
+                    },
+                    tokenizer(src) {
+                        const display = INLINE_DISPLAY_PATTERN.exec(src);
+                        if (display) return { type: 'mathInline', raw: display[0], text: display[1].trim(), displayMode: true };
+                        const match = INLINE_PATTERN.exec(src);
+                        if (!match) return undefined;
+                        return { type: 'mathInline', raw: match[0], text: match[1], displayMode: false };
+                    },
+                    renderer: (token) => `<span class="math-${token.displayMode ? 'display' : 'inline'}">${HtmlTokenizer.escapeHtml(token.text)}</span>`
+                }
+            ];
+        }
+
+        /**
+         * Replace the math placeholders in an HTML fragment with MathML
+         * @param {string} html - Sanitized HTML
+         * @returns {string}
+         */
+        static renderAll(html) {
+            if (!katex || html.indexOf('class="math-') === -1) return html;
+
+            return html.replace(PLACEHOLDER_PATTERN, (match, tag, before, mode, after, escapedTex) => {
+                const rendered = MathRenderer.render(HtmlTokenizer.decodeEntities(escapedTex), mode === 'display');
+                return rendered === null ? match : `<${tag}${before} class="math-${mode}"${after}>${rendered}</${tag}>`;
+            });
+        }
+
+        /**
+         * @param {string} tex - LaTeX source
+         * @param {boolean} displayMode - Block formula rather than inline
+         * @returns {?string} - MathML, KaTeX's error markup for invalid TeX, or null without KaTeX
+         */
+        static render(tex, displayMode) {
+            if (!katex) return null;
+            try {
+                // MathML needs no fonts or stylesheet, so downloaded files show formulas offline
+                return katex.renderToString(tex, { displayMode, output: 'mathml', throwOnError: false, trust: false });
+            } catch (error) {
+                console.error('Math rendering failed:', error);
+                return null;
+            }
+        }
+    }
+
+    return MathRenderer;
+}));
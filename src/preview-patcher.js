@@ -0,0 +1,121 @@
+// Markdown to HTML Converter - Preview Patcher
+// Updates the live preview block by block, so an edit only replaces the DOM nodes of the blocks it changed
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PreviewPatcher = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    class PreviewPatcher {
+        /**
+         * @param {Element} container - Element the preview is rendered into
+         * @param {Object} [options]
+         * @param {string} [options.lineAttribute='data-source-line'] - Attribute that holds a block's source line
+         */
+        constructor(container, options = {}) {
+            this.container = container;
+            this.lineAttribute = options.lineAttribute || 'data-source-line';
+            this.blocks = []; // { html, line, nodes } of each block in the container
+        }
+
+        /**
+         * Show a new list of blocks. Blocks that start or end the document unchanged keep their nodes
+         * (only their source line is updated); the ones in between are replaced.
+         * @param {Array<{html: string, line: ?number}>} blocks - HTML of each block and the line its first element is tagged with
+         * @returns {number} - Number of blocks that were rendered
+         */
+        update(blocks) {
+            if (!this.isCurrent()) {
+                this.render(blocks);
+                return blocks.length;
+            }
+
+            const previous = this.blocks;
+            let start = 0;
+            while (start < blocks.length && start < previous.length && blocks[start].html === previous[start].html) {
+                start++;
+            }
+            let end = 0;
+            while (end < blocks.length - start && end < previous.length - start &&
+                blocks[blocks.length - 1 - end].html === previous[previous.length - 1 - end].html) {
+                end++;
+            }
+
+            // Replace the changed blocks, in front of the first unchanged block after them
+            const next = previous.length - end < previous.length ? previous[previous.length - end].nodes[0] : null;
+            previous.slice(start, previous.length - end).forEach(block => {
+                block.nodes.forEach(node => node.remove());
+            });
+            const added = blocks.slice(start, blocks.length - end).map(block => this.createBlock(block));
+            const fragment = document.createDocumentFragment();
+            added.forEach(block => block.nodes.forEach(node => fragment.appendChild(node)));
+            this.container.insertBefore(fragment, next);
+
+            // Unchanged blocks may have moved to another line
+            const kept = previous.slice(0, start).concat(previous.slice(previous.length - end));
+            const keptBlocks = blocks.slice(0, start).concat(blocks.slice(blocks.length - end));
+            kept.forEach((block, index) => this.setLine(block, keptBlocks[index].line));
+
+            this.blocks = kept.slice(0, start).concat(added, kept.slice(start));
+            return added.length;
+        }
+
+        /**
+         * Replace the whole preview
+         * @param {Array<{html: string, line: ?number}>} blocks
+         */
+        render(blocks) {
+            this.blocks = blocks.map(block => this.createBlock(block));
+            const fragment = document.createDocumentFragment();
+            this.blocks.forEach(block => block.nodes.forEach(node => fragment.appendChild(node)));
+            this.container.replaceChildren(fragment);
+        }
+
+        /**
+         * Forget the rendered blocks, e.g. after the container was filled with something else
+         */
+        reset() {
+            this.blocks = [];
+        }
+
+        // False when something else has changed the container since the last update
+        isCurrent() {
+            let count = 0;
+            for (const block of this.blocks) {
+                for (const node of block.nodes) {
+                    if (node.parentNode !== this.container) return false;
+                    count++;
+                }
+            }
+            return count > 0 && count === this.container.childNodes.length;
+        }
+
+        createBlock(block) {
+            const template = document.createElement('template');
+            template.innerHTML = block.html;
+            const entry = { html: block.html, line: null, nodes: Array.from(template.content.childNodes) };
+            this.setLine(entry, block.line);
+            return entry;
+        }
+
+        // The line goes on the block's first node when it is an element, as in the full preview HTML
+        setLine(entry, line) {
+            if (entry.line === line) return;
+            entry.line = line;
+
+            const first = entry.nodes[0];
+            if (!first || first.nodeType !== 1) return;
+            if (line) {
+                first.setAttribute(this.lineAttribute, line);
+            } else {
+                first.removeAttribute(this.lineAttribute);
+            }
+        }
+    }
+
+    return PreviewPatcher;
+}));
@@ -0,0 +1,258 @@
+// Markdown to HTML Converter - Site Builder
+// Converts a set of Markdown files into linked HTML pages with shared navigation, an index page and one stylesheet
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./html-tokenizer.js'), require('./export-formats.js'), require('./zip-archive.js'));
+    } else {
+        root.SiteBuilder = factory(root.HtmlTokenizer, root.ExportFormats, root.ZipArchive);
+    }
+}(typeof self !== 'undefined' ? self : this, function (HtmlTokenizer, ExportFormats, ZipArchive) {
+    'use strict';
+
+    const MARKDOWN_EXTENSION = /\.(?:md|markdown)$/i;
+    const STYLESHEET = 'site.css';
+
+    // Navigation and index page rules, added to the export theme's stylesheet
+    const SITE_CSS = `nav.site-nav {
+    margin: 0 0 2em;
+    padding: 0.75em 1em;
+    border: 1px solid rgba(128, 128, 128, 0.3);
+    border-radius: 6px;
+    font-size: 0.9em;
+}
+nav.site-nav ul {
+    margin: 0.5em 0 0;
+    padding: 0;
+    list-style: none;
+}
+nav.site-nav li {
+    display: inline-block;
+    margin: 0 1em 0.25em 0;
+}
+nav.site-nav a[aria-current="page"] {
+    font-weight: 600;
+    text-decoration: none;
+}
+.site-index .site-folder {
+    opacity: 0.7;
+    font-size: 0.85em;
+}`;
+
+    class SiteBuilder {
+        /**
+         * @param {MarkdownConverterCore} core - Converts the pages; its export settings style them
+         * @param {Object} [options]
+         * @param {string} [options.title='Documents'] - Site name, shown on the index page and in the navigation
+         * @param {boolean} [options.easyMode=false] - Translate Easy Mode commands in the pages
+         * @param {Function} [options.renderHtml] - async (html, page) => html, run on each page's converted HTML
+         *     before it is wrapped in a document (diagrams, stored images)
+         */
+        constructor(core, options = {}) {
+            this.core = core;
+            this.title = options.title || 'Documents';
+            this.easyMode = Boolean(options.easyMode);
+            this.renderHtml = options.renderHtml || (html => html);
+        }
+
+        /**
+         * @param {string} path
+         * @returns {boolean} - True for .md and .markdown files
+         */
+        static isMarkdownPath(path) {
+            return MARKDOWN_EXTENSION.test(path);
+        }
+
+        /**
+         * @param {string} path - Markdown file path, e.g. "guide/intro.md"
+         * @returns {string} - Path of its page, e.g. "guide/intro.html"
+         */
+        static toHtmlPath(path) {
+            return path.replace(MARKDOWN_EXTENSION, '.html');
+        }
+
+        /**
+         * Build the site
+         * @param {Array<{path: string, text: string}>} files - Markdown files, with paths relative to the site root
+         * @returns {Promise<{files: Array<{path: string, content: string}>, pages: Array<{path: string, source: string, title: string}>, brokenLinks: Array<{page: string, href: string}>, skipped: Array<string>}>}
+         *     - files are the pages, the index page (unless there is an index.md) and the stylesheet;
+         *       brokenLinks are links to .md files that aren't part of the site; skipped are files whose page
+         *       path was already taken (e.g. notes.md and notes.markdown)
+         */
+        async build(files) {
+            const pages = [];
+            const skipped = [];
+            sortPaths(files.filter(file => SiteBuilder.isMarkdownPath(file.path))).forEach(file => {
+                const path = SiteBuilder.toHtmlPath(normalizePath(file.path));
+                if (pages.some(page => page.path === path)) {
+                    skipped.push(file.path);
+                    return;
+                }
+
+                const result = this.core.convert(file.text, { easyMode: this.easyMode, sourceMap: false, incremental: false });
+                pages.push({
+                    path,
+                    source: file.path,
+                    title: pageTitle(result, file.path),
+                    html: result.html,
+                    frontMatter: result.frontMatter
+                });
+            });
+
+            const paths = new Set(pages.map(page => page.path));
+            const hasIndex = paths.has('index.html');
+            const brokenLinks = [];
+            const output = [];
+
+            for (const page of pages) {
+                const links = SiteBuilder.rewriteLinks(page.html, page.path, paths);
+                links.broken.forEach(href => brokenLinks.push({ page: page.source, href }));
+
+                const html = await this.renderHtml(links.html, page);
+                output.push({ path: page.path, content: this.createPage(page, pages, html) });
+            }
+
+            if (!hasIndex) {
+                const index = { path: 'index.html', title: this.title, frontMatter: {} };
+                output.unshift({ path: index.path, content: this.createPage(index, pages, this.createIndex(pages)) });
+            }
+            output.push({ path: STYLESHEET, content: `${this.core.getDocumentCSS()}\n/* Site navigation */\n${SITE_CSS}\n` });
+
+            return {
+                files: output,
+                pages: pages.map(page => ({ path: page.path, source: page.source, title: page.title })),
+                brokenLinks,
+                skipped
+            };
+        }
+
+        /**
+         * Build the site as a .zip file
+         * @param {Array<{path: string, text: string}>} files - Markdown files
+         * @param {Array<{path: string, data: Uint8Array}>} [assets] - Other files to include as they are (images)
+         * @returns {Promise<{zip: Uint8Array, pages: Array<Object>, brokenLinks: Array<Object>, skipped: Array<string>}>}
+         */
+        async buildZip(files, assets = []) {
+            const site = await this.build(files);
+            const archive = new ZipArchive();
+            assets.forEach(asset => archive.addFile(normalizePath(asset.path), asset.data));
+            site.files.forEach(file => archive.addFile(file.path, file.content));
+
+            return { zip: archive.toUint8Array(), pages: site.pages, brokenLinks: site.brokenLinks, skipped: site.skipped };
+        }
+
+        /**
+         * Point relative links to .md files at their .html pages
+         * @param {string} html - Converted page HTML
+         * @param {string} pagePath - Path of the page the HTML belongs to
+         * @param {Set<string>} paths - Paths of all pages in the site
+         * @returns {{html: string, broken: Array<string>}} - Rewritten HTML, and links to .md files that aren't in the site
+         */
+        static rewriteLinks(html, pagePath, paths) {
+            const broken = [];
+            const output = HtmlTokenizer.tokenize(html).map(token => {
+                const original = token.raw !== undefined ? token.raw : token.text;
+                if (token.type !== 'start' || token.tagName !== 'a') return original;
+
+                const href = token.attributes.find(attribute => attribute.name === 'href');
+                const match = href ? /^([^?#]*)([?#].*)?$/.exec(href.value) : null;
+                if (!match || !SiteBuilder.isMarkdownPath(match[1]) || /^[a-z][\w+.-]*:|^\/|^\\/i.test(match[1])) return original;
+
+                const target = resolvePath(pagePath, safeDecode(match[1]));
+                if (!paths.has(SiteBuilder.toHtmlPath(target))) {
+                    broken.push(href.value);
+                    return original;
+                }
+
+                const rewritten = SiteBuilder.toHtmlPath(match[1]) + (match[2] || '');
+                const attributes = token.attributes.map(attribute => {
+                    const value = attribute === href ? rewritten : attribute.value;
+                    return ` ${attribute.name}="${ExportFormats.escapeAttribute(value)}"`;
+                });
+                return `<a${attributes.join('')}>`;
+            });
+
+            return { html: output.join(''), broken };
+        }
+
+        // A page: the shared navigation (the home link goes to index.html, ours or the generated one),
+        // then the content, in a document styled by the shared stylesheet
+        createPage(page, pages, html) {
+            const prefix = '../'.repeat(page.path.split('/').length - 1);
+            const link = (target, text) => {
+                const current = target === page.path ? ' aria-current="page"' : '';
+                return `<a href="${HtmlTokenizer.escapeHtml(encodePath(prefix + target))}"${current}>${HtmlTokenizer.escapeHtml(text)}</a>`;
+            };
+
+            const items = pages
+                .filter(item => item.path !== 'index.html')
+                .map(item => `<li>${link(item.path, item.title)}</li>`)
+                .join('\n');
+            const nav = `<nav class="site-nav">\n${link('index.html', this.title)}\n<ul>\n${items}\n</ul>\n</nav>\n`;
+
+            return this.core.createCompleteHTMLDocument(nav + html, {
+                title: page.title,
+                metadata: page.frontMatter,
+                stylesheetHref: prefix + STYLESHEET
+            });
+        }
+
+        // The generated index page: every page, with the folder it is in
+        createIndex(pages) {
+            const items = pages.map(page => {
+                const folder = page.path.includes('/') ? ` <span class="site-folder">${HtmlTokenizer.escapeHtml(page.path.replace(/\/[^/]*$/, '/'))}</span>` : '';
+                return `<li><a href="${HtmlTokenizer.escapeHtml(encodePath(page.path))}">${HtmlTokenizer.escapeHtml(page.title)}</a>${folder}</li>`;
+            }).join('\n');
+            return `<h1>${HtmlTokenizer.escapeHtml(this.title)}</h1>\n<ul class="site-index">\n${items}\n</ul>\n`;
+        }
+    }
+
+    // Front matter title, else the first heading, else the file name
+    function pageTitle(result, path) {
+        if (result.frontMatter && result.frontMatter.title) return String(result.frontMatter.title);
+        const heading = result.headings.find(item => item.level === 1) || result.headings[0];
+        if (heading && heading.text) return heading.text;
+        return path.split('/').pop().replace(MARKDOWN_EXTENSION, '');
+    }
+
+    // Top-level pages first, then each folder level, by name; of two files with the same page path, .md comes first
+    function sortPaths(files) {
+        return files.slice().sort((a, b) => {
+            const depth = a.path.split('/').length - b.path.split('/').length;
+            if (depth !== 0) return depth;
+            const order = SiteBuilder.toHtmlPath(a.path).localeCompare(SiteBuilder.toHtmlPath(b.path), undefined, { numeric: true, sensitivity: 'base' });
+            return order !== 0 ? order : Number(/\.md$/i.test(b.path)) - Number(/\.md$/i.test(a.path));
+        });
+    }
+
+    function normalizePath(path) {
+        return resolvePath('', String(path).replace(/\\/g, '/'));
+    }
+
+    // Resolve a relative link against the page it is on, e.g. ("guide/a.html", "../b.md") → "b.md"
+    function resolvePath(pagePath, href) {
+        const parts = pagePath.split('/').slice(0, -1);
+        href.split('/').forEach(part => {
+            if (part === '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    }
+
+    function encodePath(path) {
+        return path.split('/').map(part => (part === '..' ? part : encodeURIComponent(part))).join('/');
+    }
+
+    function safeDecode(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    return SiteBuilder;
+}));
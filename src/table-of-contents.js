@@ -0,0 +1,131 @@
+// Markdown to HTML Converter - Table of Contents
+// GitHub-compatible heading IDs and the nested, linked list that replaces a [[toc]] marker
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./html-tokenizer.js'));
+    } else {
+        root.TableOfContents = factory(root.HtmlTokenizer);
+    }
+}(typeof self !== 'undefined' ? self : this, function (HtmlTokenizer) {
+    'use strict';
+
+    // A line holding only [[toc]] is replaced by the table of contents
+    const MARKER_PATTERN = /^ {0,3}\[\[toc\]\][ \t]*(?:\n+|$)/i;
+
+    // Characters GitHub drops from heading anchors (everything except letters, marks, digits,
+    // connector punctuation, spaces and hyphens)
+    const SLUG_REMOVE = /[^\p{L}\p{M}\p{N}\p{Pc} -]/gu;
+
+    class TableOfContents {
+        /**
+         * GitHub-style anchor for a heading: lower case, punctuation removed, spaces turned into hyphens
+         * @param {string} text - Plain heading text
+         * @returns {string}
+         */
+        static slugify(text) {
+            return String(text).trim().toLowerCase().replace(SLUG_REMOVE, '').replace(/ /g, '-');
+        }
+
+        /**
+         * Create a slugger that de-duplicates anchors within one document ("intro", "intro-1", "intro-2"...)
+         * @returns {{slug: Function}}
+         */
+        static createSlugger() {
+            const seen = new Map();
+
+            return {
+                slug(text) {
+                    const base = TableOfContents.slugify(text);
+                    let slug = base;
+
+                    while (seen.has(slug)) {
+                        seen.set(base, seen.get(base) + 1);
+                        slug = `${base}-${seen.get(base)}`;
+                    }
+                    seen.set(slug, 0);
+                    return slug;
+                }
+            };
+        }
+
+        /**
+         * Plain text of a heading from its inline marked tokens (formatting and HTML tags dropped)
+         * @param {Array<Object>} tokens - Inline tokens
+         * @returns {string}
+         */
+        static plainText(tokens) {
+            return (tokens || []).map(token => {
+                if (token.type === 'html') return '';
+                if (token.tokens && token.tokens.length) return TableOfContents.plainText(token.tokens);
+                return token.text || '';
+            }).join('');
+        }
+
+        /**
+         * Nest headings under the closest preceding heading of a higher level
+         * @param {Array<{level: number, text: string, id: string}>} headings - Headings in document order
+         * @returns {Array<{heading: Object, children: Array}>}
+         */
+        static buildTree(headings) {
+            const root = { children: [] };
+            const stack = [{ level: 0, node: root }];
+
+            headings.forEach(heading => {
+                while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) {
+                    stack.pop();
+                }
+                const node = { heading, children: [] };
+                stack[stack.length - 1].node.children.push(node);
+                stack.push({ level: heading.level, node });
+            });
+
+            return root.children;
+        }
+
+        /**
+         * Render the table of contents as a nested list of links
+         * @param {Array<{level: number, text: string, id: string}>} headings - Headings in document order
+         * @returns {string} - HTML
+         */
+        static render(headings) {
+            const renderList = (nodes) => '<ul>\n' + nodes.map(node => {
+                const link = `<a href="#${HtmlTokenizer.escapeHtml(node.heading.id)}">${HtmlTokenizer.escapeHtml(node.heading.text)}</a>`;
+                return `<li>${link}${node.children.length ? '\n' + renderList(node.children) : ''}</li>\n`;
+            }).join('') + '</ul>\n';
+
+            const body = headings.length
+                ? renderList(TableOfContents.buildTree(headings))
+                : '<p><em>No headings yet</em></p>\n';
+            return `<div class="table-of-contents">\n${body}</div>\n`;
+        }
+
+        /**
+         * marked extension for the [[toc]] marker
+         * @param {Function} getHeadings - Returns the headings of the document being rendered
+         * @returns {Object} - Block extension for marked.use({ extensions: [...] })
+         */
+        static markedExtension(getHeadings) {
+            return {
+                name: 'tableOfContents',
+                level: 'block',
+                start(src) {
+                    const match = /^ {0,3}\[\[toc\]\]/im.exec(src);
+                    return match ? match.index : undefined;
+                },
+                tokenizer(src) {
+                    const match = MARKER_PATTERN.exec(src);
+                    if (match) {
+                        return { type: 'tableOfContents', raw: match[0] };
+                    }
+                    return undefined;
+                },
+                renderer() {
+                    return TableOfContents.render(getHeadings());
+                }
+            };
+        }
+    }
+
+    return TableOfContents;
+}));
@@ -0,0 +1,136 @@
+// Markdown to HTML Converter - Text Diff
+// Line-based diff used to compare saved versions of a document with the current text
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TextDiff = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Above this many cells the LCS table gets too large; the changed region is shown as replaced
+    const MAX_TABLE_SIZE = 4000000;
+
+    class TextDiff {
+        /**
+         * Compare two texts line by line
+         * @param {string} oldText - Earlier text (e.g. a saved version)
+         * @param {string} newText - Later text (e.g. the editor content)
+         * @returns {Array<{type: string, text: string, oldLine: number|null, newLine: number|null}>} - One entry
+         *     per line; type is 'same', 'removed' (only in oldText) or 'added' (only in newText)
+         */
+        static diffLines(oldText, newText) {
+            const oldLines = TextDiff.splitLines(oldText);
+            const newLines = TextDiff.splitLines(newText);
+
+            // Common prefix and suffix need no table
+            let start = 0;
+            while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+                start++;
+            }
+            let oldEnd = oldLines.length;
+            let newEnd = newLines.length;
+            while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+                oldEnd--;
+                newEnd--;
+            }
+
+            const result = [];
+            for (let i = 0; i < start; i++) {
+                result.push({ type: 'same', text: oldLines[i], oldLine: i + 1, newLine: i + 1 });
+            }
+
+            TextDiff.diffRange(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd)).forEach(entry => {
+                result.push({
+                    type: entry.type,
+                    text: entry.text,
+                    oldLine: entry.oldIndex === null ? null : start + entry.oldIndex + 1,
+                    newLine: entry.newIndex === null ? null : start + entry.newIndex + 1
+                });
+            });
+
+            for (let i = oldEnd, j = newEnd; i < oldLines.length; i++, j++) {
+                result.push({ type: 'same', text: oldLines[i], oldLine: i + 1, newLine: j + 1 });
+            }
+
+            return result;
+        }
+
+        /**
+         * Longest common subsequence diff of the changed middle section
+         * @param {Array<string>} oldLines
+         * @param {Array<string>} newLines
+         * @returns {Array<{type: string, text: string, oldIndex: number|null, newIndex: number|null}>}
+         */
+        static diffRange(oldLines, newLines) {
+            const entries = [];
+            const n = oldLines.length;
+            const m = newLines.length;
+
+            if (n * m > MAX_TABLE_SIZE) {
+                oldLines.forEach((text, index) => entries.push({ type: 'removed', text, oldIndex: index, newIndex: null }));
+                newLines.forEach((text, index) => entries.push({ type: 'added', text, oldIndex: null, newIndex: index }));
+                return entries;
+            }
+
+            // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+            const lengths = [];
+            for (let i = 0; i <= n; i++) {
+                lengths.push(new Uint32Array(m + 1));
+            }
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lengths[i][j] = oldLines[i] === newLines[j]
+                        ? lengths[i + 1][j + 1] + 1
+                        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < n && j < m) {
+                if (oldLines[i] === newLines[j]) {
+                    entries.push({ type: 'same', text: oldLines[i], oldIndex: i, newIndex: j });
+                    i++;
+                    j++;
+                } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                    entries.push({ type: 'removed', text: oldLines[i], oldIndex: i, newIndex: null });
+                    i++;
+                } else {
+                    entries.push({ type: 'added', text: newLines[j], oldIndex: null, newIndex: j });
+                    j++;
+                }
+            }
+            for (; i < n; i++) {
+                entries.push({ type: 'removed', text: oldLines[i], oldIndex: i, newIndex: null });
+            }
+            for (; j < m; j++) {
+                entries.push({ type: 'added', text: newLines[j], oldIndex: null, newIndex: j });
+            }
+
+            return entries;
+        }
+
+        /**
+         * Count added and removed lines
+         * @param {Array<Object>} diff - Result of diffLines()
+         * @returns {{added: number, removed: number}}
+         */
+        static summarize(diff) {
+            return diff.reduce((counts, entry) => {
+                if (entry.type === 'added') counts.added++;
+                if (entry.type === 'removed') counts.removed++;
+                return counts;
+            }, { added: 0, removed: 0 });
+        }
+
+        static splitLines(text) {
+            const value = String(text || '');
+            return value === '' ? [] : value.replace(/\r\n?/g, '\n').split('\n');
+        }
+    }
+
+    return TextDiff;
+}));
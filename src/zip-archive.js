@@ -0,0 +1,155 @@
+// Markdown to HTML Converter - Zip Archive
+// Writes .zip files (stored, uncompressed) so several generated files download as one
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ZipArchive = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+    const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+    const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+    const UTF8_NAMES_FLAG = 0x0800;
+
+    let crcTable = null;
+
+    class ZipArchive {
+        /**
+         * @param {Object} [options]
+         * @param {Date} [options.date=new Date()] - Modification time given to every file
+         */
+        constructor(options = {}) {
+            this.date = options.date || new Date();
+            this.files = []; // { name, data, crc }
+        }
+
+        /**
+         * Add a file; a file already added under the same name is replaced
+         * @param {string} name - Path inside the archive, with / between folders
+         * @param {string|Uint8Array|ArrayBuffer} content - Text is stored as UTF-8
+         */
+        addFile(name, content) {
+            const path = String(name).replace(/\\/g, '/').replace(/^\/+/, '');
+            if (!path || path.split('/').includes('..')) {
+                throw new Error(`Invalid file name in zip archive: "${name}"`);
+            }
+
+            const data = typeof content === 'string' ? new TextEncoder().encode(content) : new Uint8Array(content);
+
+            this.files = this.files.filter(file => file.name !== path);
+            this.files.push({ name: path, data, crc: ZipArchive.crc32(data) });
+        }
+
+        /**
+         * @returns {Array<string>} - Names of the files in the archive, in the order they were added
+         */
+        list() {
+            return this.files.map(file => file.name);
+        }
+
+        /**
+         * @returns {Uint8Array} - The .zip file
+         */
+        toUint8Array() {
+            const encoder = new TextEncoder();
+            const { time, date } = dosDateTime(this.date);
+            const localParts = [];
+            const centralParts = [];
+            let offset = 0;
+
+            this.files.forEach(file => {
+                const name = encoder.encode(file.name);
+
+                const local = new DataView(new ArrayBuffer(30));
+                local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+                local.setUint16(4, 20, true); // Version needed to extract (2.0)
+                local.setUint16(6, UTF8_NAMES_FLAG, true);
+                local.setUint16(8, 0, true); // Stored, no compression
+                local.setUint16(10, time, true);
+                local.setUint16(12, date, true);
+                local.setUint32(14, file.crc, true);
+                local.setUint32(18, file.data.length, true);
+                local.setUint32(22, file.data.length, true);
+                local.setUint16(26, name.length, true);
+                local.setUint16(28, 0, true);
+                localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+                const central = new DataView(new ArrayBuffer(46));
+                central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+                central.setUint16(4, 20, true); // Version made by
+                central.setUint16(6, 20, true);
+                central.setUint16(8, UTF8_NAMES_FLAG, true);
+                central.setUint16(10, 0, true);
+                central.setUint16(12, time, true);
+                central.setUint16(14, date, true);
+                central.setUint32(16, file.crc, true);
+                central.setUint32(20, file.data.length, true);
+                central.setUint32(24, file.data.length, true);
+                central.setUint16(28, name.length, true);
+                central.setUint32(42, offset, true);
+                centralParts.push(new Uint8Array(central.buffer), name);
+
+                offset += 30 + name.length + file.data.length;
+            });
+
+            const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, END_OF_DIRECTORY_SIGNATURE, true);
+            end.setUint16(8, this.files.length, true);
+            end.setUint16(10, this.files.length, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+
+            return concat(localParts.concat(centralParts, [new Uint8Array(end.buffer)]));
+        }
+
+        /**
+         * CRC-32 checksum, as stored in zip headers
+         * @param {Uint8Array} data
+         * @returns {number}
+         */
+        static crc32(data) {
+            if (!crcTable) {
+                crcTable = new Uint32Array(256);
+                for (let n = 0; n < 256; n++) {
+                    let c = n;
+                    for (let k = 0; k < 8; k++) {
+                        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                    }
+                    crcTable[n] = c >>> 0;
+                }
+            }
+
+            let crc = 0xffffffff;
+            for (let i = 0; i < data.length; i++) {
+                crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xffffffff) >>> 0;
+        }
+    }
+
+    // MS-DOS time and date fields (local time, two-second resolution, years from 1980)
+    function dosDateTime(value) {
+        const year = Math.max(value.getFullYear(), 1980);
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+
+    function concat(parts) {
+        const output = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+
+    return ZipArchive;
+}));
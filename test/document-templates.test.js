@@ -0,0 +1,34 @@
+// Markdown to HTML Converter - Document template tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DocumentTemplates = require('../src/document-templates.js');
+const FrontMatter = require('../src/front-matter.js');
+
+test('front matter values read back as typed', () => {
+    const values = { number: '3', title: 'Cache "hot" keys', author: 'Ops: on call', date: '2024-05-01' };
+    const filled = DocumentTemplates.fill(DocumentTemplates.get('adr').text, values);
+    const { data, body } = FrontMatter.parse(filled);
+
+    assert.strictEqual(data.title, 'ADR 3: Cache "hot" keys');
+    assert.strictEqual(data.author, 'Ops: on call');
+    assert.strictEqual(data.date, '2024-05-01');
+    assert.match(body, /^# ADR 3: Cache "hot" keys$/m);
+});
+
+test('plain front matter values are quoted only when YAML needs it', () => {
+    const text = '---\ntitle: {{title}}\ntags: [{{tag}}]\nnote: \'{{note}}\'\n---\n{{title}}';
+    assert.strictEqual(DocumentTemplates.fill(text, { title: 'Weekly sync', tag: 'x', note: 'it\'s' }),
+        '---\ntitle: Weekly sync\ntags: [x]\nnote: \'it\'\'s\'\n---\nWeekly sync');
+
+    ['Release: 2.0', '- draft', '[draft]', 'true', 'a #b', 'back\\slash "q"'].forEach(title => {
+        const filled = DocumentTemplates.fill(text, { title });
+        assert.strictEqual(FrontMatter.parse(filled).data.title, title, title);
+        assert.ok(filled.endsWith(`---\n${title}`), title);
+    });
+});
+
+test('placeholders without a value are left as they are', () => {
+    assert.strictEqual(DocumentTemplates.fill('---\ntitle: {{title}}\n---\n{{other}}', {}), '---\ntitle: {{title}}\n---\n{{other}}');
+});
@@ -0,0 +1,60 @@
+// Markdown to HTML Converter - Easy Mode command tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EasyCommandRegistry = require('../src/easy-commands.js');
+const MarkdownConverterCore = require('../src/converter-core.js');
+const Locales = require('../src/locales.js');
+
+function registry(locale) {
+    const commands = new EasyCommandRegistry();
+    if (locale) commands.setAliases(Locales.get(locale).commands);
+    return commands;
+}
+
+test('inline commands end at a comma', () => {
+    assert.strictEqual(registry().apply('Say make bold: hello, then continue').line, 'Say **hello**, then continue');
+    assert.strictEqual(registry().apply('Say make italic: hello, then continue').line, 'Say *hello*, then continue');
+});
+
+test('localized inline commands end at an ideographic or full-width comma', () => {
+    const commands = registry('ja');
+    assert.strictEqual(commands.apply('太字にする：強調、です').line, '**強調**、です');
+    assert.strictEqual(commands.apply('斜体にする：強調，です').line, '*強調*，です');
+    assert.strictEqual(commands.apply('これは太字にする：大事、です').line, 'これは**大事**、です');
+});
+
+test('"row" is only suggested under a table', () => {
+    const commands = registry();
+    ['Now: we ship', 'How: like this', 'Low: 3 degrees'].forEach(line => {
+        assert.strictEqual(commands.suggest(line), null, line);
+    });
+    assert.strictEqual(commands.suggest('roe: Alice | 30'), null);
+    assert.strictEqual(commands.suggest('roe: Alice | 30', { inTable: true }).suggestion, 'row: Alice | 30');
+    assert.strictEqual(commands.suggest('bold ths: text').suggestion, 'bold this: text');
+    assert.strictEqual(commands.suggest('bold ths: text', { inTable: true }).suggestion, 'bold this: text');
+});
+
+test('the converter suggests "row" for a typo under a table', () => {
+    const core = new MarkdownConverterCore();
+    const typos = text => core.transformLines(text).commandWarnings.map(warning => warning.suggestion);
+    assert.deepStrictEqual(typos('Now: we ship\nHow: like this'), []);
+    assert.deepStrictEqual(typos('table: Name | Age\nrow: Alice | 30\nroe: Bob | 25'), ['row: Bob | 25']);
+    assert.deepStrictEqual(typos('table: Name | Age\nroe: Alice | 30'), ['row: Alice | 30']);
+    // Not once the table has ended, nor before it starts
+    assert.deepStrictEqual(typos('table: Name | Age\nrow: Alice | 30\n\nroe: Bob | 25'), []);
+    assert.deepStrictEqual(typos('roe: Bob | 25\ntable: Name | Age'), []);
+});
+
+test('custom commands cannot take a built-in command\'s name', () => {
+    const commands = registry();
+    assert.throws(() => commands.registerDefinition({ name: 'bold', keyword: 'strong', template: '**{text}**' }), /built-in/);
+    assert.strictEqual(commands.apply('bold this: text').line, '**text**');
+    assert.strictEqual(commands.unregister('fixme'), false);
+
+    commands.registerDefinition({ keyword: 'fixme', template: '**FIXME:** {text}' });
+    assert.strictEqual(commands.apply('fixme: later').line, '**FIXME:** later');
+    assert.strictEqual(commands.unregister('fixme'), true);
+    assert.strictEqual(commands.get('bold').custom, false);
+});
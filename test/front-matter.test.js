@@ -0,0 +1,58 @@
+// Markdown to HTML Converter - Front matter and meta tag tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FrontMatter = require('../src/front-matter.js');
+const MarkdownConverterCore = require('../src/converter-core.js');
+
+test('quoted values are unquoted and unescaped', () => {
+    const { data, body, lineCount } = FrontMatter.parse([
+        '---',
+        'title: "ADR 3: \\"Cache\\""',
+        'author: \'O\'\'Neil\'',
+        'tags: [x, "y, z"]',
+        'draft: true',
+        'note: plain # a comment',
+        '---',
+        '# Body'
+    ].join('\n'));
+
+    assert.deepStrictEqual(data, { title: 'ADR 3: "Cache"', author: 'O\'Neil', tags: ['x', 'y, z'], draft: true, note: 'plain' });
+    assert.strictEqual(body, '# Body');
+    assert.strictEqual(lineCount, 7);
+});
+
+test('a block without its closing --- is not front matter', () => {
+    const text = '---\ntitle: x\n\n# No close';
+    assert.deepStrictEqual(FrontMatter.parse(text), { data: {}, body: text, raw: '', lineCount: 0 });
+
+    const core = new MarkdownConverterCore({ easyMode: false });
+    assert.deepStrictEqual(core.convert(text).frontMatter, {});
+    assert.match(core.convert(text).html, /^<hr>/);
+});
+
+test('documents without front matter convert unchanged and get no meta tags', () => {
+    const core = new MarkdownConverterCore({ easyMode: false });
+    const result = core.convert('# Only body');
+    assert.deepStrictEqual(result.frontMatter, {});
+    assert.strictEqual(result.html, '<h1 id="only-body">Only body</h1>\n');
+    assert.strictEqual(core.createMetaTags({}, 'Title'), '');
+    assert.doesNotMatch(core.createCompleteHTMLDocument(result.html), /name="description"|og:/);
+
+    // A horizontal rule followed by ordinary text is not front matter either
+    assert.deepStrictEqual(FrontMatter.parse('---\n\nText after a rule\n').data, {});
+});
+
+test('meta tags escape the front matter values', () => {
+    const core = new MarkdownConverterCore({ easyMode: false });
+    const { frontMatter } = core.convert('---\ntitle: "A: \\"B\\""\nauthor: \'O\'\'Neil\'\ntags: [x, "y, z"]\ndescription: <b>&amp;\n---\n# H');
+    const html = core.createCompleteHTMLDocument('<p>x</p>', { metadata: frontMatter });
+
+    assert.match(html, /<title>A: &quot;B&quot;<\/title>/);
+    assert.match(html, /<meta name="description" content="&lt;b&gt;&amp;amp;">/);
+    assert.match(html, /<meta name="author" content="O&#39;Neil">/);
+    assert.match(html, /<meta name="keywords" content="x, y, z">/);
+    assert.match(html, /<meta property="og:title" content="A: &quot;B&quot;">/);
+    assert.deepStrictEqual(html.match(/article:tag" content="[^"]*"/g), ['article:tag" content="x"', 'article:tag" content="y, z"']);
+});
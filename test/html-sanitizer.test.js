@@ -0,0 +1,56 @@
+// Markdown to HTML Converter - HTML sanitizer tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HtmlSanitizer = require('../src/html-sanitizer.js');
+
+function clean(html) {
+    return new HtmlSanitizer().sanitize(html).html;
+}
+
+test('scripts and styles are dropped with their content', () => {
+    assert.strictEqual(clean('<p>a<script>alert(1)</script>b</p>'), '<p>ab</p>');
+    assert.strictEqual(clean('<style>p { color: red }</style><p>x</p>'), '<p>x</p>');
+    assert.strictEqual(clean('<p>a<script>unclosed'), '<p>a');
+    assert.strictEqual(new HtmlSanitizer().sanitize('<p>a<script>unclosed').open, true);
+});
+
+test('event handler attributes are removed and reported', () => {
+    const result = new HtmlSanitizer().sanitize('<p onclick="x()" class="a">hi</p><img src="a.png" alt="a" ONERROR="x">');
+    assert.strictEqual(result.html, '<p class="a">hi</p><img src="a.png" alt="a">');
+    assert.deepStrictEqual(result.removed.map(item => [item.tag, item.name.toLowerCase(), item.reason]), [
+        ['p', 'onclick', 'Event handler attribute'],
+        ['img', 'onerror', 'Event handler attribute']
+    ]);
+});
+
+test('javascript: and other unsafe URLs are removed', () => {
+    assert.strictEqual(clean('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+    assert.strictEqual(clean('<a href=" JaVa&#x53;cript:alert(1)">x</a>'), '<a>x</a>');
+    assert.strictEqual(clean('<a href="java\tscript:alert(1)">x</a>'), '<a>x</a>');
+    assert.strictEqual(clean('<img src="data:image/svg+xml;base64,AA" alt="a">'), '<img alt="a">');
+    assert.strictEqual(clean('<a href="data:text/html,x">x</a>'), '<a>x</a>');
+});
+
+test('SVG and MathML elements are unwrapped', () => {
+    assert.strictEqual(clean('<svg onload="alert(1)"><circle/><text>t</text></svg>'), 't');
+    assert.strictEqual(clean('<svg><script>alert(1)</script></svg>'), '');
+    assert.strictEqual(
+        clean('<math><mi>x</mi><annotation-xml encoding="text/html"><img src="x" onerror="alert(1)"></annotation-xml></math>'),
+        'x<img src="x">'
+    );
+});
+
+test('allowed tags, attributes and URLs survive', () => {
+    [
+        '<table><tr><td align="left" colspan="2">c</td></tr></table>',
+        '<input type="checkbox" checked="" disabled=""> <details open=""><summary>s</summary>d</details>',
+        '<a href="https://x.org" target="_blank" rel="noopener">l</a> <a href="mailto:a@b.c">m</a> <a href="#top">t</a>',
+        '<img src="data:image/png;base64,AA" alt="a" width="10">',
+        '<h2 id="intro" class="x" lang="fr" dir="ltr" title="t">Intro</h2>',
+        '<pre><code class="language-js">a &lt; b</code></pre>',
+        '<ol start="3"><li><del>x</del> <mark>y</mark> <kbd>z</kbd></li></ol>'
+    ].forEach(html => assert.strictEqual(clean(html), html));
+    assert.strictEqual(clean('<a href="https://x.org" style="color:red">l</a>'), '<a href="https://x.org">l</a>');
+});
@@ -0,0 +1,45 @@
+// Markdown to HTML Converter - HTML to Markdown tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HtmlToMarkdown = require('../src/html-to-markdown.js');
+const MarkdownConverterCore = require('../src/converter-core.js');
+
+// Markdown → HTML → Markdown → HTML gives the same HTML both times
+function assertRoundTrip(markdown) {
+    const core = new MarkdownConverterCore({ easyMode: false });
+    const html = core.convert(markdown).html;
+    assert.strictEqual(core.convert(HtmlToMarkdown.convert(html)).html, html);
+}
+
+test('tables keep their alignment and escaped pipes', () => {
+    assert.strictEqual(
+        HtmlToMarkdown.convert('<table><thead><tr><th align="left">A</th><th align="right">B</th></tr></thead><tbody><tr><td>1 | 2</td><td><b>x</b></td></tr></tbody></table>'),
+        '| A | B |\n| :--- | ---: |\n| 1 \\| 2 | **x** |\n'
+    );
+    assertRoundTrip('| Name | Age | Note |\n|:-----|----:|:----:|\n| Alice | 30 | a \\| b |\n| **Bob** | 25 | `x` |');
+});
+
+test('nested lists keep their depth', () => {
+    assert.strictEqual(HtmlToMarkdown.convert('<ul><li>one<ul><li>two</li></ul></li><li>three</li></ul>'), '- one\n  - two\n- three\n');
+    assertRoundTrip('- one\n  - two\n    - three\n- four\n\n1. first\n2. second\n   - inner\n3. third');
+    assertRoundTrip('- [ ] task\n- [x] done');
+});
+
+test('code blocks keep their language and get a fence longer than their content', () => {
+    assert.strictEqual(
+        HtmlToMarkdown.convert('<pre><code class="language-js">a &lt; b\n```\n</code></pre>'),
+        '````js\na < b\n```\n````\n'
+    );
+    assertRoundTrip('```js\nconst a = `b`;\nif (a < 1) {}\n```\n\n    indented\n\n~~~\n```inner fence\n~~~');
+});
+
+test('links keep their titles and lose unsafe targets', () => {
+    assert.strictEqual(
+        HtmlToMarkdown.convert('<p><a href="https://x.org" title="T">x</a> <a href="javascript:alert(1)">bad</a></p>'),
+        '[x](https://x.org "T") bad\n'
+    );
+    assertRoundTrip('[text](https://x.org "Title") and [**bold link**](https://x.org/a_(b)) and <https://auto.org> and ![alt](img.png)');
+    assertRoundTrip('# Heading\n\n> quote with *em*\n\nText  \nbreak and ~~strike~~\n\n---');
+});
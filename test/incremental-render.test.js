@@ -0,0 +1,47 @@
+// Markdown to HTML Converter - Incremental rendering tests
+// The block-by-block preview (incremental option) must give the same HTML as a full conversion
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MarkdownConverterCore = require('../src/converter-core.js');
+const { generateDocument } = require('../bin/render-benchmark');
+
+function assertSameAsFull(markdown, incremental = new MarkdownConverterCore({ easyMode: false })) {
+    const full = new MarkdownConverterCore({ easyMode: false }).convert(markdown);
+    const result = incremental.convert(markdown, { incremental: true });
+    assert.strictEqual(result.html, full.html);
+    assert.deepStrictEqual(result.sanitizeReport, full.sanitizeReport);
+}
+
+const CASES = {
+    'unclosed comment inside an HTML block': '<div>\n<!-- open\n</div>\n\nafter paragraph\n\n# Heading\n',
+    'unclosed dropped element': 'before\n\n<object>\n\n# Heading\n\n</object>\n\nafter\n',
+    'fence line inside an HTML block': '<div>\n```\n\ncode\n\n```\n</div>\n\nend\n',
+    'math line inside an HTML block': '<div>\n$$\n\nx\n\n$$\n\nend\n',
+    'fence line inside a paragraph': 'para line\n```\n\ncode\n\n```\n\nend\n',
+    'math line inside a paragraph': 'para line\n$$\n\nx = 1\n\n$$\n\nend\n',
+    'unclosed fence': '# Title\n\n```js\nconst a = 1;\n\n# Not a heading\n\n- not a list\n',
+    'link definition as a lazy list continuation': '- item\n\n  more\n[foo]: /url\n\n[foo]\n',
+    'link definition inside a paragraph': '- item\n[foo]: /url\n\nSee [foo].\n',
+    'link definition before its use': '[foo]: /first\n\n[foo]: /second\n\nSee [foo].\n',
+    'unclosed tag across blocks': 'text <b\n\n>x\n\nafter\n'
+};
+
+Object.entries(CASES).forEach(([name, markdown]) => {
+    test(`incremental output matches the full output: ${name}`, () => {
+        assertSameAsFull(markdown);
+    });
+});
+
+test('incremental output matches the full output while a document is edited', () => {
+    const incremental = new MarkdownConverterCore({ easyMode: false });
+    const lines = generateDocument(300, false).split('\n');
+    const inserts = ['```', '<div>', '<!-- comment', '[link]: https://example.com', '$$', '- lazy', ''];
+
+    assertSameAsFull(lines.join('\n'), incremental);
+    for (let edit = 0; edit < 40; edit++) {
+        const line = (edit * 37) % lines.length;
+        lines.splice(line, 0, inserts[edit % inserts.length]);
+        assertSameAsFull(lines.join('\n'), incremental);
+    }
+});
@@ -0,0 +1,75 @@
+// Markdown to HTML Converter - Markdown linter tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MarkdownLinter = require('../src/markdown-linter.js');
+
+function lint(text, options) {
+    return MarkdownLinter.lint(text, options).map(diagnostic => [diagnostic.rule, diagnostic.lineNumber]);
+}
+
+function fix(text, options) {
+    return MarkdownLinter.applyFixes(text, MarkdownLinter.lint(text, options));
+}
+
+test('heading levels go down one step at a time', () => {
+    const text = '# Title\n\n### Skipped\n\n## Fine\n\n#### Skipped again';
+    assert.deepStrictEqual(lint(text), [['heading-increment', 3], ['heading-increment', 7]]);
+    assert.strictEqual(fix(text), '# Title\n\n## Skipped\n\n## Fine\n\n### Skipped again');
+
+    const [diagnostic] = MarkdownLinter.lint('# A\n### B');
+    assert.deepStrictEqual([diagnostic.messageId, diagnostic.params], ['headingJump', { from: 1, to: 3, level: 2 }]);
+    assert.strictEqual(fix('heading 1: A\nheading 3: B', { easyMode: true }), 'heading 1: A\nheading 2: B');
+});
+
+test('duplicate headings are reported without a fix', () => {
+    const diagnostics = MarkdownLinter.lint('# Intro\n## Setup\n## setup \n## Other');
+    const duplicate = diagnostics.find(diagnostic => diagnostic.rule === 'no-duplicate-headings');
+    assert.deepStrictEqual([duplicate.lineNumber, duplicate.params, duplicate.fix], [3, { text: 'setup', line: 2 }, null]);
+});
+
+test('empty links are errors', () => {
+    assert.deepStrictEqual(lint('[a]() and [b](#) and [](  ) and [ok](https://x.org)'), [
+        ['no-empty-links', 1], ['no-empty-links', 1], ['no-empty-links', 1]
+    ]);
+    assert.deepStrictEqual(MarkdownLinter.lint('[]()').map(diagnostic => diagnostic.messageId), ['emptyLinkNoText']);
+    assert.deepStrictEqual(lint('Write `[a]()` for an empty link'), []);
+});
+
+test('images without alt text get one from the file name', () => {
+    assert.deepStrictEqual(lint('![](team-photo_2024.png) ![Logo](logo.png)'), [['image-alt-text', 1]]);
+    assert.strictEqual(fix('See ![](img/team-photo_2024.png "Team") here'), 'See ![team photo 2024](img/team-photo_2024.png "Team") here');
+    assert.strictEqual(fix('![](data:image/png;base64,AA)'), '![image](data:image/png;base64,AA)');
+});
+
+test('unclosed code blocks are closed at the end', () => {
+    assert.deepStrictEqual(lint('```js\nconst a = 1;   \n'), [['unclosed-fence', 1]]);
+    assert.strictEqual(fix('```js\nconst a = 1;\n'), '```js\nconst a = 1;\n```');
+    assert.strictEqual(fix('~~~~\ncode'), '~~~~\ncode\n~~~~');
+    assert.strictEqual(fix('code block: js\nx', { easyMode: true }), 'code block: js\nx\nend code');
+    assert.deepStrictEqual(lint('```\n# Not a heading\n### Inside\n```\n'), []);
+});
+
+test('trailing whitespace is trimmed, but a two-space hard line break is kept', () => {
+    const text = 'one \ntwo  \nthree   \nfour\t\n  \nsix';
+    assert.deepStrictEqual(lint(text), [
+        ['no-trailing-whitespace', 1], ['no-trailing-whitespace', 3], ['no-trailing-whitespace', 4], ['no-trailing-whitespace', 5]
+    ]);
+    assert.strictEqual(fix(text), 'one\ntwo  \nthree\nfour\n\nsix');
+});
+
+test('bullet lists use the first marker throughout', () => {
+    const text = '- one\n* two\n  + nested\n\n---\n\n***';
+    assert.deepStrictEqual(lint(text), [['list-marker-style', 2], ['list-marker-style', 3]]);
+    assert.strictEqual(fix(text), '- one\n- two\n  - nested\n\n---\n\n***');
+});
+
+test('rules can be turned off and front matter is skipped', () => {
+    assert.deepStrictEqual(lint('# A\n### B \n', { rules: { 'heading-increment': false } }), [['no-trailing-whitespace', 2]]);
+    assert.deepStrictEqual(lint('---\ntitle: x \n---\n# A'), []);
+    assert.deepStrictEqual(MarkdownLinter.RULES.map(rule => rule.id), [
+        'heading-increment', 'no-duplicate-headings', 'no-empty-links', 'image-alt-text',
+        'unclosed-fence', 'no-trailing-whitespace', 'list-marker-style'
+    ]);
+});
@@ -0,0 +1,69 @@
+// Markdown to HTML Converter - Markdown to Easy Mode tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MarkdownToEasyConverter = require('../src/markdown-to-easy.js');
+const MarkdownConverterCore = require('../src/converter-core.js');
+
+// Markdown rendered directly and Markdown rewritten as Easy Mode commands give the same HTML
+function assertSameHtml(markdown) {
+    const html = new MarkdownConverterCore({ easyMode: false }).convert(markdown).html;
+    const easy = MarkdownToEasyConverter.convert(markdown).text;
+    assert.strictEqual(new MarkdownConverterCore({ easyMode: true }).convert(easy).html, html);
+}
+
+test('a typical document renders the same after the rewrite', () => {
+    assertSameHtml([
+        '---',
+        'title: T',
+        '---',
+        '# Heading',
+        '',
+        '## Sub *em*',
+        '',
+        'A paragraph with **bold**, *em*, `code` and [a link](https://x.org).',
+        '',
+        '> quoted',
+        '> lines',
+        '',
+        '- one',
+        '- two',
+        '  - nested',
+        '',
+        '1. first',
+        '2. second',
+        '',
+        '- [ ] todo',
+        '- [x] done',
+        '',
+        '---',
+        '',
+        '![Logo](logo.png)',
+        '',
+        '| A | B |',
+        '|---|---|',
+        '| 1 | 2 |',
+        '',
+        '```js',
+        'const a = 1;',
+        '# not a heading',
+        '```',
+        '',
+        '> [!NOTE]',
+        '> Remember this',
+        '',
+        '[[toc]]'
+    ].join('\n'));
+});
+
+test('numbered lists that do not start at 1 stay Markdown', () => {
+    const markdown = 'Para\n\n3. three\n4. four\n   - nested\n\n1. one\n2. two\n   3. inner\n3. three\n\nText\n\n7. seven';
+    assert.strictEqual(MarkdownToEasyConverter.convert(markdown).text,
+        'Para\n\n3. three\n4. four\n   - nested\n\n1. one\n2. two\n   3. inner\n3. three\n\nText\n\n7. seven');
+    assertSameHtml(markdown);
+
+    assert.strictEqual(MarkdownToEasyConverter.convert('1. one\n2. two\n   3. inner\n3. three').text,
+        'number item: one\nnumber item: two\n   3. inner\nnumber item: three');
+    assertSameHtml('1. one\n2. two\n   3. inner\n3. three');
+});
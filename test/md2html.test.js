@@ -0,0 +1,46 @@
+// Markdown to HTML Converter - md2html command line tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { commonDirectory, getOutputPath, main } = require('../bin/md2html');
+
+test('--out-dir keeps the folders below the inputs\' common folder', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'md2html-'));
+    try {
+        fs.mkdirSync(path.join(dir, 'docs', 'a'), { recursive: true });
+        fs.mkdirSync(path.join(dir, 'docs', 'b'));
+        fs.writeFileSync(path.join(dir, 'docs', 'a', 'index.md'), '# A');
+        fs.writeFileSync(path.join(dir, 'docs', 'b', 'index.md'), '# B');
+        fs.writeFileSync(path.join(dir, 'docs', 'top.md'), '# Top');
+
+        const stderr = process.stderr.write;
+        process.stderr.write = () => true;
+        let code;
+        try {
+            code = await main([`${dir}/docs/**/*.md`, '--out-dir', path.join(dir, 'public')]);
+        } finally {
+            process.stderr.write = stderr;
+        }
+
+        assert.strictEqual(code, 0);
+        assert.match(fs.readFileSync(path.join(dir, 'public', 'a', 'index.html'), 'utf8'), /<h1[^>]*>A<\/h1>/);
+        assert.match(fs.readFileSync(path.join(dir, 'public', 'b', 'index.html'), 'utf8'), /<h1[^>]*>B<\/h1>/);
+        assert.ok(fs.existsSync(path.join(dir, 'public', 'top.html')));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('output paths', () => {
+    const root = commonDirectory(['docs/a/index.md', 'docs/b/index.md']);
+    assert.strictEqual(root, path.resolve('docs'));
+    assert.strictEqual(commonDirectory(['docs/a/x.md', 'docs/ab/y.md']), path.resolve('docs'));
+    assert.strictEqual(getOutputPath('docs/a/index.md', { outDir: 'public' }, root), path.join('public', 'a', 'index.html'));
+    assert.strictEqual(getOutputPath('notes.md', { outDir: 'public' }), path.join('public', 'notes.html'));
+    assert.strictEqual(getOutputPath('docs/a/guide.markdown', {}), path.join('docs', 'a', 'guide.html'));
+    assert.strictEqual(getOutputPath('docs/a/guide.md', { output: 'out.html' }), 'out.html');
+});
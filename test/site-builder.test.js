@@ -0,0 +1,59 @@
+// Markdown to HTML Converter - Site Builder tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MarkdownConverterCore = require('../src/converter-core.js');
+const SiteBuilder = require('../src/site-builder.js');
+
+function build(files, options) {
+    return new SiteBuilder(new MarkdownConverterCore(), options).build(files);
+}
+
+function page(site, path) {
+    return site.files.find(file => file.path === path).content;
+}
+
+test('every page links to the generated index page', async () => {
+    const site = await build([
+        { path: 'a.md', text: '# A\n\nSee [B](sub/b.md).' },
+        { path: 'sub/b.md', text: '# B' },
+        { path: 'My File.md', text: '# Mine' }
+    ]);
+
+    assert.ok(site.files.some(file => file.path === 'index.html'));
+    assert.match(page(site, 'a.html'), /<nav class="site-nav">\n<a href="index\.html">Documents<\/a>/);
+    assert.match(page(site, 'sub/b.html'), /<nav class="site-nav">\n<a href="\.\.\/index\.html">Documents<\/a>/);
+    assert.match(page(site, 'My File.html'), /<a href="index\.html">Documents<\/a>/);
+    assert.match(page(site, 'index.html'), /<a href="index\.html" aria-current="page">Documents<\/a>/);
+    assert.match(page(site, 'a.html'), /<a href="sub\/b\.html">B<\/a>/);
+});
+
+test('a dropped index.md is the home page', async () => {
+    const site = await build([
+        { path: 'index.md', text: '# Home' },
+        { path: 'guide.md', text: '# Guide' }
+    ], { title: 'Docs' });
+
+    assert.match(page(site, 'index.html'), /<h1 id="home">Home<\/h1>/);
+    assert.match(page(site, 'guide.html'), /<a href="index\.html">Docs<\/a>/);
+    assert.strictEqual(site.files.filter(file => file.path === 'index.html').length, 1);
+});
+
+test('links between pages point at the .html pages', async () => {
+    const site = await build([
+        { path: 'guide/a.md', text: '[B](../b.md#setup) [C](c.markdown?x=1) [Mine](My%20File.md) [gone](gone.md) [web](https://x.org/a.md)' },
+        { path: 'b.md', text: '# B\n\n[A](guide/a.md)' },
+        { path: 'guide/c.markdown', text: '# C' },
+        { path: 'guide/My File.md', text: '# Mine' }
+    ]);
+
+    const html = page(site, 'guide/a.html');
+    assert.match(html, /<a href="\.\.\/b\.html#setup">B<\/a>/);
+    assert.match(html, /<a href="c\.html\?x=1">C<\/a>/);
+    assert.match(html, /<a href="My%20File\.html">Mine<\/a>/);
+    assert.match(html, /<a href="gone\.md">gone<\/a>/);
+    assert.match(html, /<a href="https:\/\/x\.org\/a\.md">web<\/a>/);
+    assert.match(page(site, 'b.html'), /<a href="guide\/a\.html">A<\/a>/);
+    assert.deepStrictEqual(site.brokenLinks, [{ page: 'guide/a.md', href: 'gone.md' }]);
+});
@@ -0,0 +1,53 @@
+// Markdown to HTML Converter - Table of contents tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TableOfContents = require('../src/table-of-contents.js');
+const MarkdownConverterCore = require('../src/converter-core.js');
+
+function convert(markdown) {
+    return new MarkdownConverterCore({ easyMode: false }).convert(markdown);
+}
+
+test('duplicate headings get unique anchors', () => {
+    const slugger = TableOfContents.createSlugger();
+    assert.deepStrictEqual(['A', 'A', 'A-1', 'A'].map(text => slugger.slug(text)), ['a', 'a-1', 'a-1-1', 'a-2']);
+
+    const { html, headings } = convert('[[toc]]\n\n# Intro\n## Setup\n## Setup\n# Intro\n## Setup-1');
+    const ids = headings.map(heading => heading.id);
+    assert.deepStrictEqual(ids, ['intro', 'setup', 'setup-1', 'intro-1', 'setup-1-1']);
+    ids.forEach(id => {
+        assert.ok(html.includes(`<a href="#${id}">`), `TOC link to ${id}`);
+        assert.ok(html.includes(` id="${id}">`), `heading ${id}`);
+    });
+});
+
+test('headings with inline markup are listed as plain text', () => {
+    const { html, headings } = convert('[[toc]]\n\n## Use `npm` and **bold** [link](https://x.org)\n### A & B <i>x</i>');
+
+    assert.deepStrictEqual(headings.map(heading => [heading.level, heading.text, heading.id]), [
+        [2, 'Use npm and bold link', 'use-npm-and-bold-link'],
+        [3, 'A & B x', 'a--b-x']
+    ]);
+    assert.match(html, /<li><a href="#use-npm-and-bold-link">Use npm and bold link<\/a>/);
+    assert.match(html, /<li><a href="#a--b-x">A &amp; B x<\/a><\/li>/);
+    assert.match(html, /<h2 id="use-npm-and-bold-link">Use <code>npm<\/code> and <strong>bold<\/strong>/);
+});
+
+test('rendered entries are escaped and nested by level', () => {
+    assert.strictEqual(TableOfContents.render([
+        { level: 1, text: '1 < 2 "q"', id: 'x' },
+        { level: 2, text: 'Sub', id: 'sub' }
+    ]), [
+        '<div class="table-of-contents">',
+        '<ul>',
+        '<li><a href="#x">1 &lt; 2 &quot;q&quot;</a>',
+        '<ul>',
+        '<li><a href="#sub">Sub</a></li>',
+        '</ul>',
+        '</li>',
+        '</ul>',
+        '</div>'
+    ].join('\n') + '\n');
+});
@@ -0,0 +1,68 @@
+// Markdown to HTML Converter - Zip archive tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ZipArchive = require('../src/zip-archive.js');
+
+test('crc32 matches the standard check values', () => {
+    const bytes = text => new TextEncoder().encode(text);
+    assert.strictEqual(ZipArchive.crc32(bytes('')), 0);
+    assert.strictEqual(ZipArchive.crc32(bytes('123456789')), 0xcbf43926);
+    assert.strictEqual(ZipArchive.crc32(bytes('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+    assert.strictEqual(ZipArchive.crc32(bytes('héllo')), 0x9e3b8236); // UTF-8 bytes
+});
+
+test('local headers, central directory and end record line up', () => {
+    const archive = new ZipArchive({ date: new Date(2024, 4, 17, 13, 45, 30) });
+    archive.addFile('index.html', '<h1>Hi</h1>');
+    archive.addFile('\\guide\\ünï.md', 'text');
+    const zip = archive.toUint8Array();
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const decoder = new TextDecoder();
+    const time = (13 << 11) | (45 << 5) | 15;
+    const date = ((2024 - 1980) << 9) | (5 << 5) | 17;
+
+    // End of central directory: the last 22 bytes
+    const end = zip.length - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054b50);
+    assert.strictEqual(view.getUint16(end + 8, true), 2);
+    assert.strictEqual(view.getUint16(end + 10, true), 2);
+    const centralSize = view.getUint32(end + 12, true);
+    let central = view.getUint32(end + 16, true);
+    assert.strictEqual(central + centralSize, end);
+
+    const entries = [];
+    for (let index = 0; index < 2; index++) {
+        assert.strictEqual(view.getUint32(central, true), 0x02014b50);
+        const nameLength = view.getUint16(central + 28, true);
+        const local = view.getUint32(central + 42, true);
+        const name = decoder.decode(zip.subarray(central + 46, central + 46 + nameLength));
+
+        assert.strictEqual(view.getUint32(local, true), 0x04034b50);
+        assert.strictEqual(view.getUint16(local + 6, true), 0x0800); // UTF-8 names
+        assert.strictEqual(view.getUint16(local + 8, true), 0); // Stored
+        assert.deepStrictEqual([view.getUint16(local + 10, true), view.getUint16(local + 12, true)], [time, date]);
+        assert.strictEqual(view.getUint32(local + 14, true), view.getUint32(central + 16, true));
+        assert.strictEqual(decoder.decode(zip.subarray(local + 30, local + 30 + nameLength)), name);
+
+        const size = view.getUint32(local + 18, true);
+        assert.strictEqual(view.getUint32(local + 22, true), size);
+        const data = zip.subarray(local + 30 + nameLength, local + 30 + nameLength + size);
+        assert.strictEqual(ZipArchive.crc32(data), view.getUint32(local + 14, true));
+        entries.push([name, decoder.decode(data)]);
+
+        central += 46 + nameLength;
+    }
+
+    assert.deepStrictEqual(entries, [['index.html', '<h1>Hi</h1>'], ['guide/ünï.md', 'text']]);
+});
+
+test('file names are checked and replaced', () => {
+    const archive = new ZipArchive();
+    archive.addFile('a.txt', 'one');
+    archive.addFile('/a.txt', 'two');
+    assert.deepStrictEqual(archive.list(), ['a.txt']);
+    assert.throws(() => archive.addFile('../escape.txt', 'x'), /Invalid file name/);
+    assert.throws(() => archive.addFile('', 'x'), /Invalid file name/);
+});